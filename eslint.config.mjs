@@ -25,6 +25,7 @@ export default [
         },
       },
       globals: {
+        AbortController: 'readonly',
         atob: 'readonly',
         btoa: 'readonly',
         Blob: 'readonly',
@@ -0,0 +1,247 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import axios from 'axios';
+import { queryString } from '@qubit-ltd/common-util';
+import { httpImpl } from './impl/http-impl';
+
+/**
+ * 可以通过`createHttp()`的选项设置的 axios 实例的钩子函数的名称。
+ *
+ * @type {string[]}
+ * @private
+ */
+const HOOK_NAMES = ['getAccessToken', 'resetAccessToken', 'getRouter', 'refreshAccessToken'];
+
+/**
+ * 创建一个新的、独立配置的 axios 实例。
+ *
+ * 创建的实例与默认的`http`实例具有相同的拦截器、文件下载方法和错误处理机制，但拥有各自的
+ * 配置项、钩子函数、错误处理器、载入提示遮盖层的状态、重新登录的确认对话框和错误提示的去重
+ * 记录，因此可以用于访问多个不同的后端服务。
+ *
+ * 用法如下：
+ * ```
+ * const fileHttp = createHttp({
+ *   config: {
+ *     api_base_url: 'https://files.example.com/api',
+ *     app_token_value: 'file-service-token',
+ *     http_timeout: 120000,
+ *   },
+ *   getAccessToken: () => authStorage.loadAccessToken(),
+ *   resetAccessToken: () => authStorage.removeAccessToken(),
+ *   getRouter: () => router,
+ *   errorHandlers: {
+ *     FILE_NOT_FOUND: (error) => Promise.reject(error),
+ *   },
+ * });
+ * ```
+ *
+ * @param {object} options
+ *     创建选项，可包含以下属性：
+ *     - `config: object`：该实例的配置项，其键名与全局`config`对象的键名相同（如
+ *       `'api_base_url'`、`'app_token_value'`、`'http_timeout'`等）；未设置的配置项
+ *       使用全局`config`对象中的值；
+ *     - `getAccessToken: function`、`resetAccessToken: function`、`getRouter: function`、
+ *       `refreshAccessToken: function`：该实例的钩子函数，其含义与默认的`http`实例的同名
+ *       方法相同，也可在创建后再设置；
+ *     - `errorHandlers: object`：额外注册的错误处理器，键为匹配条件，值为错误处理器，
+ *       详见`ErrorHandlerRegistry.register()`。
+ * @return {Axios}
+ *     新创建的 axios 实例。
+ * @see {@tutorial http-features}
+ * @author 胡海星
+ */
+function createHttp(options = {}) {
+  const http = axios.create({
+    transitional: {
+      silentJSONParsing: false,     // 不要静默 JSON 解析
+      forcedJSONParsing: false,     // 不要强制 JSON 解析
+      clarifyTimeoutError: false,
+    },
+    headers: {
+      common: {                     // 设置所有请求的默认请求头
+        'Accept': undefined,        // 必须设置默认的 Accept 头为 undefined，后面才能被拦截器修改
+        'Content-Type': undefined,  // 必须设置默认的 Content-Type 头为 undefined，后面才能被拦截器修改
+      },
+    },
+    paramsSerializer: (params) => queryString.stringify(params, { arrayFormat: 'none' }),
+  });
+  // 清除 axios 默认的超时时间，以便拦截器区分请求配置中是否指定了 timeout
+  http.defaults.timeout = undefined;
+
+  /**
+   * 该实例的配置项，优先于全局`config`对象中的同名配置项。
+   *
+   * @type {object}
+   */
+  http.settings = { ...options.config };
+
+  for (const name of HOOK_NAMES) {
+    if (typeof options[name] === 'function') {
+      http[name] = options[name];
+    }
+  }
+
+  // 配置拦截器设置 HTTP 请求头
+  http.interceptors.request.use(
+    (cfg) => httpImpl.requestConfigInterceptor(http, cfg),
+  );
+
+  // 配置拦截器处理 HTTP 请求的响应结果
+  http.interceptors.response.use(
+    (response) => httpImpl.responseSuccessInterceptor(http, response),
+    (error) => httpImpl.responseFailInterceptor(http, error),
+  );
+
+  /**
+   * 该实例的错误处理器注册表，用于按错误类型和错误代码注册、覆盖或串联错误处理器。
+   *
+   * @type {ErrorHandlerRegistry}
+   */
+  http.errorHandlers = httpImpl.createErrorHandlers();
+  for (const [matcher, handler] of Object.entries(options.errorHandlers ?? {})) {
+    http.errorHandlers.register(matcher, handler);
+  }
+
+  /**
+   * 下载指定的文件。
+   *
+   * @param {string|object} url
+   *     获取待下载文件的URL。函数默认通过HTTP GET操作访问该URL。也可以是一个包含全部参数的
+   *     选项对象，即`{ url, method, params, data, mimeType, autoDownload, filename, onProgress,
+   *     signal, ... }`。
+   * @param {object|null|undefined} params
+   *     HTTP请求的参数，其中属性将以查询字符串的形式，自动编码后附加到URL后。默认值为`{}`。
+   * @param {string} mimeType
+   *     文件的MIME类型。如不提供则自动从响应头中解析获取。
+   * @param {boolean} autoDownload
+   *     是否自动下载文件。默认值为`true`。如此参数为`false`，则返回一个包含下载的文件的信息
+   *     的对象，详见返回值说明。
+   * @param {string} filename
+   *     下载的文件的名称。如不提供则自动从响应头中解析获取，或者使用默认值`downloaded_file`。
+   *     文件名会被处理为可以安全保存的名称；若没有扩展名，则根据MIME类型自动添加。
+   * @param {object} options
+   *     额外的参数，包括`method`（HTTP方法，默认为`'get'`）、`data`（请求体）、`onProgress`
+   *     （下载进度的回调函数）、`signal`（用于取消下载的`AbortSignal`）、`resumable`（是否
+   *     通过 HTTP Range 请求分段下载）、`filenameTemplate`（文件名模板）、`responseEncoding`
+   *     （响应数据的编码方式）、`integrity`（校验文件完整性的方式）、`stream`（以流式的方式
+   *     写入的目标）和`preview`（预览而不是保存文件的方式），其余参数会传递给
+   *     `axios.request()`函数。
+   * @return {Promise<object|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，并返回一个包含下载的文件的信息的
+   *     对象，其中包含以下属性：
+   *     - `blob: Blob` 下载的文件的二进制数据；
+   *     - `filename: string` 下载的文件的名称；
+   *     - `mimeType: string` 下载的文件的MIME类型；
+   *     - `hash: object` 指定了`integrity`选项时，校验完整性时计算得到的摘要；
+   *     - `size: number`、`streamed: boolean` 以流式的方式下载时写入的字节数和`true`，此时
+   *       `blob`为`null`；
+   *     - `preview: object` 指定了`preview`选项时，包含`url`、`window`和`release`属性的对象；
+   *
+   *     如果操作失败，则解析失败并返回一个`ErrorInfo`对象。
+   *     如果操作成功且`autoDownload`设置为`true`，浏览器会自动开始下载文件。
+   */
+  http.download = httpImpl.download;
+
+  /**
+   * 以`multipart/form-data`格式上传文件。
+   *
+   * @param {string} url
+   *     上传文件的URL。
+   * @param {File|Blob|Array<File|Blob>|object} files
+   *     待上传的文件、文件数组，或者字段名称到文件（或文件数组）的映射。
+   * @param {object|null|undefined} fields
+   *     额外的表单字段。默认值为`{}`。
+   * @param {object} options
+   *     其他选项，包括`method`、`fileField`、`onProgress`、`signal`等，其余选项会传递给
+   *     `axios.request()`函数。
+   * @return {Promise<any|ErrorInfo>}
+   *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，并返回服务器响应的数据；否则解析
+   *     失败并返回一个`ErrorInfo`对象。
+   */
+  http.upload = httpImpl.upload;
+
+  /**
+   * 创建一个可断点续传的分片上传任务。
+   *
+   * @param {string} url
+   *     上传接口的URL。
+   * @param {File|Blob} file
+   *     待上传的文件。
+   * @param {object} options
+   *     可选的参数，包括`chunkSize`、`concurrency`、`fields`、`endpoints`、`persist`、
+   *     `storageKey`、`retry`和`onProgress`等。
+   * @return {ResumableUpload}
+   *     新创建的上传任务，提供`start()`、`pause()`、`resume()`和`cancel()`方法。
+   */
+  http.uploadResumable = httpImpl.uploadResumable;
+
+  /**
+   * 批量下载多个文件，将其打包为一个 ZIP 文件后只触发一次下载。
+   *
+   * @param {Array<string|object>} items
+   *     待下载的文件列表，每个元素可以是文件的URL，也可以是`http.download()`的选项对象。
+   * @param {object} options
+   *     可选的参数，包括`filename`（ZIP 文件的名称）、`concurrency`（同时下载的文件数）、
+   *     `autoDownload`、`onProgress`和`signal`。
+   * @return {Promise<object|ErrorInfo>}
+   *     若批量下载没有被取消，则解析成功并返回一个包含`blob`、`filename`、`mimeType`、`files`
+   *     和`failures`属性的对象；否则解析失败并返回一个代码为`'CANCELED'`的`ErrorInfo`对象。
+   */
+  http.downloadAll = httpImpl.downloadAll;
+
+  /**
+   * 创建一个下载管理器，管理多个文件下载的队列、状态、进度和下载历史。
+   *
+   * @param {object} options
+   *     可选的参数，包括`concurrency`（同时下载的文件数）、`historySize`（下载历史的最大
+   *     条数）、`persist`（是否在`localStorage`中保存下载历史）、`storageKey`（保存下载历史
+   *     使用的键值）和`defaults`（每个任务默认的`http.download()`选项）。
+   * @return {DownloadManager}
+   *     新创建的下载管理器，提供`add()`、`cancel()`、`retry()`、`remove()`、`getJobs()`、
+   *     `getHistory()`和`on()`等方法。
+   */
+  http.createDownloadManager = httpImpl.createDownloadManager;
+
+  /**
+   * 运行一个异步导出任务：提交任务，查询其状态直到完成，然后下载其结果文件。
+   *
+   * @param {string} url
+   *     提交导出任务的接口的URL。
+   * @param {object} options
+   *     可选的参数，包括`data`（提交任务的请求体）、`endpoints`（各接口的URL）、`getJobId`
+   *     和`parseStatus`（解析响应数据的函数）、`interval`、`maxInterval`、`backoff`和`timeout`
+   *     （查询的间隔时间和超时时间）、`download`（传给`http.download()`的选项）、`onProgress`
+   *     和`signal`等。
+   * @return {Promise<object|ErrorInfo>}
+   *     若导出和下载成功，则解析成功并返回`http.download()`的返回值，并附加`jobId`属性；
+   *     否则解析失败并返回一个`ErrorInfo`对象。
+   */
+  http.runExportJob = httpImpl.runExportJob;
+
+  /**
+   * 清除此实例的 GET 请求的响应缓存，例如在用户注销之后。
+   *
+   * @return {number}
+   *     被清除的缓存条目的数目。
+   */
+  http.clearCache = httpImpl.clearCache;
+
+  /**
+   * 释放所有预览下载的文件时创建的、尚未释放的对象 URL。
+   *
+   * @return {number}
+   *     释放的对象 URL 的数目。
+   */
+  http.releasePreviews = httpImpl.releasePreviews;
+
+  return http;
+}
+
+export default createHttp;
@@ -6,15 +6,24 @@
 //    All rights reserved.
 //
 ////////////////////////////////////////////////////////////////////////////////
-import axios from 'axios';
-import { queryString } from '@qubit-ltd/common-util';
-import { httpImpl } from './impl/http-impl';
+import createHttp from './create-http';
 
 /**
  * 一个自定义的 axios 实例。
  *
  * 使用该实例发送请求时，会自动在请求头中加上 App Token 和 Access Token，会自动处理服务器
- * 返回的错误信息，包括未授权错误、会话过期错误、令牌无效错误等。
+ * 返回的错误信息，包括未授权错误、会话过期错误、令牌无效错误等。多个请求同时因需要登录而
+ * 失败时，只会显示一个重新登录的确认对话框，所有这些请求都将根据用户的同一个选择来处理；
+ * 短时间内重复出现的相同错误提示也只会显示一次。
+ *
+ * 只有发往与`'api_base_url'`同源的地址，或者发往`'http_auth_allowed_origins'`中列出的源的
+ * 请求才会附带令牌，从而避免将令牌泄露给第三方服务器。
+ *
+ * 向用户显示的提示信息取自`i18n`中当前语言区域的提示信息，调用`i18n.setLocale()`切换语言
+ * 区域后立即生效。
+ *
+ * 该实例是由`createHttp()`创建的默认实例，其配置项全部取自全局`config`对象。若需访问多个
+ * 不同的后端服务，可调用`createHttp(options)`创建多个独立配置的实例。
  *
  * @see {@tutorial http-features}
  *
@@ -29,8 +38,17 @@ import { httpImpl } from './impl/http-impl';
  * - 已经设置了`http.resetAccessToken`方法，该方法用于重置用户登录后的存取令牌；
  * - 已经设置了`http.getRouter`方法，该方法用于获取当前的路由器对象，返回值是一个
  *   `VueRouter`对象。
+ * - （可选）设置`http.refreshAccessToken`方法，该方法用于刷新当前用户的存取令牌，返回一个
+ *   `Promise`对象。刷新成功后，`http.getAccessToken`方法应返回新的令牌。若设置了此方法，
+ *   当请求因用户令牌无效（`INVALID_TOKEN`）或会话过期（`SESSION_EXPIRED`）而失败时，
+ *   将先调用此方法刷新令牌，然后自动重新发送失败的请求；同一时刻只会有一个刷新操作在进行，
+ *   其间失败的其他请求将等待刷新完成后重新发送。仅当刷新失败时，才会提示用户重新登录。
+ *   注意：此方法中若使用`http`发送刷新请求，应设置`skipAutoErrorHandling: true`。
  * - `config`对象提供了以下配置：
  *     - `'api_base_url'`：API服务器的基础URL；如未设置，则抛出异常；
+ *     - `'http_auth_allowed_origins'`：除API服务器外，允许附带 App Token 和 Access Token 的
+ *       源的列表，可以是数组或以逗号分隔的字符串，例如`['https://files.example.com']`；
+ *       发往其他源（如CDN、地图服务、S3预签名URL）的请求不会附带任何令牌；
  *     - `'http_timeout'`：HTTP请求的超时时间；如未设置，则使用默认值 `60000`；
  *     - `'http_header_content_type'`：HTTP请求头的 Content-Type 键值；如未设置，
  *       则使用默认值 `'application/json;charset=UTF-8'`；
@@ -40,6 +58,44 @@ import { httpImpl } from './impl/http-impl';
  *     - `'app_token_value'`：App Token 的键值；如未设置，则抛出异常；
  *     - `'access_token_name'`：Access Token 的键名；如未设置，则使用默认值 `'X-Auth-User-Token'`；
  *     - `'login_page'`：用户登录页面的路由名称；如未设置，则使用默认值 `'Login'`；
+ *     - `'http_loading_delay'`：请求开始后显示载入提示遮盖层之前的延迟时间（毫秒）；如未设置，
+ *       则使用默认值 `0`；
+ *     - `'http_loading_message'`：载入提示遮盖层的默认提示信息；如未设置，则使用`i18n`中当前
+ *       语言区域的提示信息；
+ *     - `'http_error_dedup_window'`：重复错误提示的去重时间窗口（毫秒），在此时间窗口内相同
+ *       的错误提示只显示一次；如未设置，则使用默认值 `2000`；
+ *     - `'http_retry_max_attempts'`：请求失败时的最大尝试次数（包括第一次请求）；如未设置，
+ *       则使用默认值 `1`，即不重试；
+ *     - `'http_retry_base_delay'`：重试的指数退避基础等待时间（毫秒）；如未设置，则使用
+ *       默认值 `500`；
+ *     - `'http_retry_max_delay'`：重试的指数退避最大等待时间（毫秒）；如未设置，则使用
+ *       默认值 `30000`；
+ *     - `'http_upload_chunk_size'`：分片上传的分片大小（字节）；如未设置，则使用默认值
+ *       `5242880`（5 MiB）；
+ *     - `'http_upload_concurrency'`：分片上传时同时上传的分片数；如未设置，则使用默认值 `3`；
+ *     - `'http_download_segment_size'`：分段下载的分段大小（字节）；如未设置，则使用默认值
+ *       `4194304`（4 MiB）；
+ *     - `'http_download_max_retries'`：分段下载时每个分段因网络错误连续重试的最大次数；
+ *       如未设置，则使用默认值 `5`；
+ *     - `'http_download_concurrency'`：批量下载时同时下载的文件数；如未设置，则使用默认值 `3`；
+ *     - `'http_download_history_size'`：下载管理器保存的下载历史的最大条数；如未设置，则使用
+ *       默认值 `50`；
+ *     - `'http_preview_timeout'`：在新窗口中预览下载的文件后，释放其对象 URL 之前的毫秒数；
+ *       如未设置，则使用默认值 `60000`；
+ *     - `'http_export_poll_interval'`：查询异步导出任务状态的初始间隔时间（毫秒）；如未设置，
+ *       则使用默认值 `1000`；
+ *     - `'http_export_poll_max_interval'`：查询异步导出任务状态的最大间隔时间（毫秒）；如未
+ *       设置，则使用默认值 `10000`；
+ *     - `'http_export_timeout'`：异步导出任务的超时时间（毫秒）；如未设置，则使用默认值 `0`，
+ *       即不限制；
+ *     - `'http_cache'`：是否默认缓存 GET 请求的响应；如未设置，则使用默认值 `false`；
+ *     - `'http_cache_ttl'`：缓存的响应的有效时间（毫秒），过期后须向服务器重新验证；如未设置，
+ *       则使用默认值 `60000`；
+ *     - `'http_cache_max_entries'`：最多缓存的响应数目；如未设置，则使用默认值 `100`；
+ *     - `'http_cache_max_size'`：缓存的响应数据的最大总大小（按字符数估算）；如未设置，则使用
+ *       默认值 `5242880`；
+ *     - `'http_cache_busting'`：是否为 GET 请求添加时间戳和随机数参数（`_t`和`_r`），以防止
+ *       浏览器缓存；如未设置，则使用默认值 `false`；
  *
  * ### 文件下载方法`http.download`
  *
@@ -48,11 +104,13 @@ import { httpImpl } from './impl/http-impl';
  * http.download(url, params = {}, mimeType = null, autoDownload = true)
  * ```
  * 其中
- * - `url`：获取待下载文件的URL。函数将通过HTTP GET操作访问该URL；
+ * - `url`：获取待下载文件的URL。函数默认通过HTTP GET操作访问该URL；
  * - `params`：HTTP请求的参数，其中属性将以查询字符串的形式，自动编码后附加到URL后。默认值为`{}`；
  * - `mimeType`：文件的MIME类型。如不提供则自动从响应头中解析获取；
  * - `autoDownload`：是否自动下载文件。默认值为`true`。如此参数为`false`，则返回一个包含下载的文件的信息
  *    的对象，详见返回值说明。
+ * 若未指定文件名，则按照 RFC 6266 和 RFC 5987 解析响应头的`Content-Disposition`获取文件名，
+ * `filename*`参数优先于`filename`参数。
  * 返回值说明：
  * - 该函数返回一个`Promise`对象
  * - 如果操作成功，则解析成功并返回一个包含下载的文件的信息的对象，其中包含以下属性：
@@ -62,6 +120,189 @@ import { httpImpl } from './impl/http-impl';
  * - 如果操作失败，则解析失败并返回一个`ErrorInfo`对象；
  * - 如果操作成功且`autoDownload`设置为`true`，浏览器会自动开始下载文件
  *
+ * 服务器以 JSON 格式返回的错误信息（无论状态码是`4xx`还是`200`）会被解析出来，并与其他请求
+ * 一样交由错误处理器处理，而不会被保存为文件。状态码为`200`时，只有不是附件（即
+ * `Content-Disposition`不为`attachment`）且包含`type`和`code`属性的 JSON 数据才被视为
+ * 错误信息。
+ *
+ * 该方法也可以只传入一个选项对象调用：
+ * ```
+ * http.download({ url, method, params, data, mimeType, autoDownload, filename, onProgress, signal, ... })
+ * ```
+ * 其中`method`为HTTP方法（默认为`'get'`），`data`为请求体，例如通过`POST`提交大量过滤条件的
+ * 导出接口；请求体与其他请求一样使用支持 64 位长整数的 JSON 序列化器序列化，响应的处理方式
+ * 不变。
+ * 其中`onProgress`为下载进度的回调函数，参数包含`loaded`、`total`和`percent`属性（`total`
+ * 由响应头的`Content-Length`得出，无法获知时为`null`）；`signal`为用于取消下载的`AbortSignal`，
+ * 被取消的下载将解析失败并返回一个代码为`'CANCELED'`的`ErrorInfo`对象，不会显示错误信息。
+ * 设置`resumable: true`（或者包含`segmentSize`和`maxRetries`属性的对象）后，将通过 HTTP
+ * Range 请求分段下载文件：网络错误后从最后一个完成的分段继续下载，并通过`ETag`/`If-Range`
+ * 检测文件在下载过程中是否被修改；若服务器不支持 Range 请求，则直接使用其返回的完整文件。
+ * 以位置参数调用时，这些选项可以通过第六个参数`options`传入。
+ *
+ * 下载的文件名（无论是指定的还是从`Content-Disposition`中解析的）会去掉其中的路径、控制
+ * 字符和操作系统不允许的字符，避开 Windows 保留的设备名称，并截断到 255 个字符以内；若文件名
+ * 没有扩展名，则根据文件的MIME类型推断，例如没有文件名的 PDF 文件将被保存为
+ * `downloaded_file.pdf`。`filenameTemplate`选项可以指定文件名模板，例如
+ * `'{name}-{date}.{ext}'`，其中`{date}`和`{time}`为当前日期（`YYYYMMDD`）和时间
+ * （`HHmmss`）；也可以是一个根据`{ filename, name, ext, mimeType, response }`返回文件名的
+ * 函数。
+ *
+ * 对于以编码形式返回文件内容的接口，可以通过`responseEncoding`选项显式指定解码方式：
+ * `'base64'`（响应数据为 base64 编码的文件内容）、`'data-url'`（响应数据为 Data URL）或
+ * `'json-base64'`（响应数据为 JSON 字符串；也可以是`{ type: 'json-base64', field: 'data' }`，
+ * 表示 JSON 对象中指定路径的字段）。默认值`'binary'`表示响应数据就是文件内容。解码失败时
+ * 将解析失败并返回代码为`'INVALID_BASE64'`、`'INVALID_DATA_URL'`或`'INVALID_JSON_BASE64'`的
+ * `ErrorInfo`对象，而不会将数据当作普通文本保存。
+ *
+ * 设置`integrity: true`后，将使用响应头`Repr-Digest`、`Digest`（SHA-256 或 SHA-512）或
+ * `Content-MD5`中的摘要校验下载的文件；也可以将`integrity`设置为期望的摘要，如
+ * `'sha256-BASE64'`或`{ algorithm: 'SHA-256', hash: '...' }`（十六进制或 base64 编码）。
+ * SHA 摘要使用 Web Crypto API 计算。校验通过时，返回的对象中的`hash`属性为计算得到的摘要
+ * （包含`algorithm`、`hex`和`base64`属性）；校验失败时不会自动下载文件，而是解析失败并返回
+ * 代码为`'INTEGRITY_MISMATCH'`、`'INTEGRITY_MISSING'`或`'INTEGRITY_UNSUPPORTED'`的
+ * `ErrorInfo`对象。
+ *
+ * 对于非常大的文件，可以通过`stream`选项以流式的方式下载，将响应数据逐块写入目标，而不是在
+ * 内存中生成整个文件。目标可以是 File System Access API 的`FileSystemFileHandle`对象、一个
+ * `WritableStream`对象，或者在 Node.js 中运行时的文件路径；`stream: true`表示调用
+ * `window.showSaveFilePicker()`让用户选择保存的位置（须在点击等用户操作的事件处理函数中调用）。
+ * 浏览器中使用 axios 的`fetch`适配器接收流式响应。若当前环境不支持指定的目标，则仍以`Blob`的
+ * 方式下载。流式下载时返回的对象中`blob`为`null`，`size`为写入的字节数，`streamed`为`true`。
+ *
+ * 只需显示 PDF、图片等文件时，可以通过`preview`选项预览而不是保存文件：`preview: true`或
+ * `'window'`在新窗口中打开文件（窗口在发送请求之前打开，以免被浏览器拦截）；`'url'`只创建
+ * 文件的对象 URL，通过返回的对象中的`preview.url`使用，并通过`preview.release()`释放。对象
+ * URL 由`http`统一管理，也会在超时（`timeout`，新窗口方式默认为`'http_preview_timeout'`
+ * 配置项或 60 秒）、指定的`signal`被触发、调用`http.releasePreviews()`或者页面触发`pagehide`
+ * 事件时被释放，例如：
+ * ```
+ * const controller = new AbortController();   // 在组件卸载时调用 controller.abort()
+ * const { preview } = await http.download({
+ *   url: '/api/invoices/42/pdf',
+ *   preview: { mode: 'url', signal: controller.signal },
+ * });
+ * iframe.src = preview.url;
+ * ```
+ *
+ * ### 文件上传方法`http.upload`
+ *
+ * 该实例还提供了专门用于上传文件的方法：
+ * ```
+ * http.upload(url, files, fields = {}, options = {})
+ * ```
+ * 其中
+ * - `url`：上传文件的URL；
+ * - `files`：待上传的`File`或`Blob`对象、它们的数组，或者字段名称到文件（或文件数组）的映射；
+ * - `fields`：额外的表单字段，对象值将被序列化为JSON字符串；
+ * - `options`：其他选项，包括`method`（默认为`'post'`）、`fileField`（默认为`'file'`）、
+ *   `onProgress`（上传进度的回调函数，参数包含`loaded`、`total`和`percent`属性）、`signal`
+ *   （用于取消上传的`AbortSignal`），其余选项会传递给`axios.request()`函数。
+ * 请求数据以`multipart/form-data`格式发送，不会被设置为默认的 JSON 类型。该函数返回服务器
+ * 响应的数据，错误的处理方式与其他请求相同；被取消的上传将解析失败并返回一个代码为
+ * `'CANCELED'`的`ErrorInfo`对象，不会显示错误信息。
+ *
+ * ### 分片上传方法`http.uploadResumable`
+ *
+ * 对于大文件，可以创建一个可断点续传的分片上传任务：
+ * ```
+ * const task = http.uploadResumable(url, file, options = {});
+ * const result = await task.start();
+ * ```
+ * 文件被切分为`options.chunkSize`（默认为`'http_upload_chunk_size'`配置项或 5 MiB）大小的
+ * 分片，以`options.concurrency`（默认为`'http_upload_concurrency'`配置项或`3`）的并发数上传。
+ * 上传状态保存在`localStorage`中，页面刷新后对同一文件重新创建的任务只会上传服务器尚未收到的
+ * 分片。任务提供`pause()`、`resume()`、`cancel()`和`getProgress()`方法，`options.onProgress`
+ * 回调函数会在进度变化时被调用。与服务器交互的接口可通过`options.endpoints`修改，详见
+ * `ResumableUpload`类的说明。
+ *
+ * ### 批量下载方法`http.downloadAll`
+ *
+ * 浏览器通常会拦截短时间内连续触发的多个下载，因此可以批量下载多个文件，在浏览器中将其打包
+ * 为一个 ZIP 文件后只触发一次下载：
+ * ```
+ * const { blob, files, failures } = await http.downloadAll(items, options = {});
+ * ```
+ * 其中`items`的每个元素可以是文件的URL，也可以是`http.download()`的选项对象。文件以
+ * `options.concurrency`（默认为`'http_download_concurrency'`配置项或`3`）的并发数下载，文件名
+ * 和 MIME 类型的解析方式与`http.download()`相同，重复的文件名将被加上序号，如`a (1).pdf`。
+ * 单个文件下载失败不会中止整个批量下载，也不会弹出错误提示，而是记录在结果的`failures`属性中。
+ * `options.filename`为 ZIP 文件的名称（默认为`'download.zip'`），此外还支持`autoDownload`、
+ * `onProgress`和`signal`选项。
+ *
+ * ### 下载管理器`http.createDownloadManager`
+ *
+ * 对于需要导出大量报表的页面，可以创建一个下载管理器：
+ * ```
+ * const manager = http.createDownloadManager({ concurrency: 2 });
+ * manager.on('change', (job, event) => render(manager.getJobs(), manager.getHistory()));
+ * const job = manager.add({ url: '/api/reports/1/export', filename: 'report-1.xlsx' });
+ * ```
+ * 下载任务以`concurrency`（默认为`'http_download_concurrency'`配置项或`3`）的并发数按加入
+ * 的顺序下载，每个任务记录其状态（`'queued'`、`'downloading'`、`'done'`、`'failed'`或
+ * `'canceled'`）、进度和错误信息，可通过`cancel(id)`和`retry(id)`单独取消或重试。下载成功的
+ * 文件的名称、大小、完成时间和来源URL被记录在下载历史中（默认最多`50`条），并保存在
+ * `localStorage`中，可通过`getHistory()`获取，用于显示“我的下载”列表。任务的变化通过`on()`
+ * 注册的事件监听器通知，详见`DownloadManager`类的说明。
+ *
+ * ### 异步导出`http.runExportJob`
+ *
+ * 对于服务器异步生成的导出文件，`http.runExportJob(url, options)`提交导出任务，查询其状态
+ * 直到完成，然后通过`http.download()`下载其结果文件：
+ * ```
+ * const controller = new AbortController();
+ * const { filename, jobId } = await http.runExportJob('/api/orders/export', {
+ *   data: { status: 'PAID' },
+ *   download: { filename: 'orders.xlsx' },
+ *   onProgress: ({ stage, percent }) => console.log(stage, percent),
+ *   signal: controller.signal,
+ * });
+ * ```
+ * 默认以`POST {url}`提交任务，服务器应返回任务的ID（`jobId`、`taskId`或`id`属性）；然后以
+ * `GET {url}/{jobId}`查询状态，服务器应返回包含`status`、`progress`和`resultUrl`属性的对象；
+ * 取消时发送`DELETE {url}/{jobId}`。各接口的URL可通过`endpoints`选项修改，响应数据的格式可
+ * 通过`getJobId`和`parseStatus`选项修改。查询的间隔时间从`interval`（默认为
+ * `'http_export_poll_interval'`配置项或 1 秒）开始，每次乘以`backoff`（默认为`1.5`），但不
+ * 超过`maxInterval`（默认为`'http_export_poll_max_interval'`配置项或 10 秒）；页面被隐藏期间
+ * 暂停查询。导出任务失败或超时（`timeout`，默认为`'http_export_timeout'`配置项，不限制）时，
+ * 错误的处理方式与下载失败相同，错误代码分别为服务器返回的代码（或`'EXPORT_FAILED'`）和
+ * `'EXPORT_TIMEOUT'`。
+ *
+ * ### GET 请求的响应缓存
+ *
+ * 设置`'http_cache'`配置项为`true`，或者在请求配置中指定`cache`选项，即可在内存中缓存 GET
+ * 请求的响应（下载文件等二进制响应除外）：
+ * ```
+ * const dict = await http.get('/api/dict/cities', { cache: 'default', cacheTtl: 300000 });
+ * ```
+ * 缓存的有效时间内直接使用缓存的响应，不发送请求；过期后，若缓存的响应有`ETag`或
+ * `Last-Modified`响应头，则以`If-None-Match`或`If-Modified-Since`请求头向服务器重新验证，
+ * 服务器返回 304 时继续使用缓存的响应。缓存的键包含当前用户的存取令牌；缓存的条目数和总大小
+ * 受`'http_cache_max_entries'`和`'http_cache_max_size'`配置项限制，超出时淘汰最久未使用的
+ * 条目。调用`http.clearCache()`可清除所有缓存的响应。
+ *
+ * 为 GET 请求添加`_t`和`_r`参数以防止浏览器缓存的功能默认不启用，可设置`'http_cache_busting'`
+ * 配置项为`true`全局启用，或者在请求配置中设置`cacheBusting: true`对单个请求启用。
+ *
+ * ### 错误处理器注册表`http.errorHandlers`
+ *
+ * 服务器返回的错误信息由`http.errorHandlers`中注册的错误处理器处理，可以按错误代码、错误类型
+ * 或二者的组合注册、覆盖或串联错误处理器：
+ * ```
+ * const unregister = http.errorHandlers.register('PERMISSION_DENIED', (error, { http, config, next }) => {
+ *   if (config?.url?.startsWith('/admin')) {
+ *     return router.push('/403').then(() => Promise.reject(error));
+ *   }
+ *   return next();     // 交给下一个错误处理器，最终由默认处理器显示错误信息
+ * });
+ * ```
+ * 匹配条件可以是错误代码（如`'PERMISSION_DENIED'`）、形如`'TYPE:CODE'`或`'TYPE:*'`的字符串，
+ * 或者包含`type`和`code`属性的对象。同一匹配条件下后注册的处理器先被调用；处理器返回的
+ * `Promise`对象的结果即为该请求的结果。`LOGIN_REQUIRED`、`SESSION_EXPIRED`、`INVALID_TOKEN`
+ * 和`APP_AUTHENTICATION_REQUIRED`的默认处理器已预先注册，其他错误默认显示服务器返回的错误信息。
+ * 这些默认处理器总是排在用户注册的所有处理器之后，因此按错误类型注册的处理器（如
+ * `'AUTHENTICATION_ERROR:*'`）也会先于它们被调用。
+ *
  * ### 额外的请求参数
  *
  * - `skipAutoErrorHandling: boolean` 如果请求选项参数中设置了 `skipAutoErrorHandling`
@@ -70,76 +311,37 @@ import { httpImpl } from './impl/http-impl';
  * - `returnResponse: boolean` 如果请求选项参数中设置了 `returnResponse` 为`true`，
  *    则直接返回包含响应数据的 Axios 响应对象；注意如果响应数据为 JSON 格式数据，它依然会
  *    被解析为 JavaScript 对象。
+ * - `showLoading: boolean|string` 如果请求选项参数中设置了`showLoading`为`true`或一个
+ *    字符串，则请求期间显示载入提示遮盖层，字符串表示遮盖层的提示信息。多个并发请求共享同一个
+ *    遮盖层：遮盖层在第一个请求开始后经过`'http_loading_delay'`毫秒显示，在最后一个请求结束
+ *    时清除。没有设置此选项的请求结束时，仅当没有设置了此选项的请求正在进行时才清除遮盖层。
  * - `noAutoClearLoading: boolean` 如果请求选项参数中设置了`noAutoClearLoading`为`true`，
- *    则收到请求的响应后，不会自动调用`loading.clear()`清除载入的遮盖层。此参数默认值为`false`。
- * - `noAutoClearLoading: boolean` 如果请求选项参数中设置了`noAutoClearLoading`为`true`，
- *    则收到请求的响应后，不会自动调用`loading.clear()`清除载入的遮盖层。此参数默认值为`false`。
+ *    则收到请求的成功响应后，不会自动调用`loading.clear()`清除载入的遮盖层；若该请求设置了
+ *    `showLoading`且是最后一个结束的请求，遮盖层将保持显示，需由调用者自行清除。此参数默认值
+ *    为`false`。
+ * - `baseURL: string`、`timeout: number` 该请求的基础URL和超时时间（毫秒）。按以下优先级
+ *    确定：请求选项中的值；请求选项`profile`指定的命名配置方案中的`'http.profiles.<方案>.base_url'`
+ *    和`'http.profiles.<方案>.timeout'`配置项；全局的`'api_base_url'`和`'http_timeout'`
+ *    配置项。`http.download()`默认使用名为`'download'`的配置方案，因此可通过
+ *    `'http.profiles.download.timeout'`为文件下载设置单独的默认超时时间。
+ * - `profile: string` 该请求使用的命名配置方案，例如`'export'`。
+ * - `retry: boolean|number|object` 该请求的重试策略，覆盖全局配置。`false`表示不重试；
+ *    数字表示最大尝试次数；对象可包含`maxAttempts`、`baseDelay`、`maxDelay`和
+ *    `allowNonIdempotent`属性。网络错误、超时以及`429`、`502`、`503`、`504`响应会按带随机
+ *    抖动的指数退避自动重试（`429`等响应会遵循`Retry-After`响应头，但等待时间不超过
+ *    `maxDelay`）；默认只重试幂等的请求，非幂等的请求（如`POST`）需设置
+ *    `allowNonIdempotent: true`。只有最后一次尝试失败后，才会清除载入遮盖层并显示错误信息。
+ * - `cache: string` 该 GET 请求的缓存模式：`'default'`表示使用未过期的缓存，过期后向服务器
+ *    重新验证；`'reload'`表示不使用缓存，总是向服务器请求，并缓存新的响应；`'no-store'`表示
+ *    既不使用也不保存缓存。如未指定，则在`'http_cache'`配置项为`true`时使用`'default'`，
+ *    否则使用`'no-store'`。
+ * - `cacheTtl: number` 该请求的响应的缓存有效时间（毫秒），覆盖`'http_cache_ttl'`配置项。
+ * - `cacheBusting: boolean` 是否为该 GET 请求添加`_t`和`_r`防缓存参数，覆盖
+ *    `'http_cache_busting'`配置项。
  *
  * @type axios
  * @author 胡海星
  */
-const http = axios.create({
-  transitional: {
-    silentJSONParsing: false,     // 不要静默 JSON 解析
-    forcedJSONParsing: false,     // 不要强制 JSON 解析
-    clarifyTimeoutError: false,
-  },
-  headers: {
-    common: {                     // 设置所有请求的默认请求头
-      'Accept': undefined,        // 必须设置默认的 Accept 头为 undefined，后面才能被拦截器修改
-      'Content-Type': undefined,  // 必须设置默认的 Content-Type 头为 undefined，后面才能被拦截器修改
-    },
-  },
-  paramsSerializer: (params) => queryString.stringify(params, { arrayFormat: 'none' }),
-});
-
-/**
- * 配置拦截器设置 HTTP 请求头。
- *
- * @private
- * @author 胡海星
- */
-http.interceptors.request.use(
-  (cfg) => httpImpl.requestConfigInterceptor(http, cfg),
-);
-
-/**
- * 配置拦截器处理 HTTP 请求的响应结果。
- *
- * @private
- * @author 胡海星
- */
-http.interceptors.response.use(
-  (response) => httpImpl.responseSuccessInterceptor(http, response),
-  (error) => httpImpl.responseFailInterceptor(http, error),
-);
-
-/**
- * 下载指定的文件。
- *
- * @param {string} url
- *     获取待下载文件的URL。函数将通过HTTP GET操作访问该URL。
- * @param {object|null|undefined} params
- *     HTTP请求的参数，其中属性将以查询字符串的形式，自动编码后附加到URL后。默认值为`{}`。
- * @param {string} mimeType
- *     文件的MIME类型。如不提供则自动从响应头中解析获取。
- * @param {boolean} autoDownload
- *     是否自动下载文件。默认值为`true`。如此参数为`false`，则返回一个包含下载的文件的信息
- *     的对象，详见返回值说明。
- * @param {string} filename
- *     下载的文件的名称。如不提供则自动从响应头中解析获取，或者使用默认值`downloaded_file`。
- * @param {object} options
- *     额外的参数，会传递给`axios.get()`函数。
- * @return {Promise<object|ErrorInfo>}
- *     此HTTP请求的`Promise`对象。若操作成功，则解析成功，并返回一个包含下载的文件的信息的
- *     对象，其中包含以下属性：
- *     - `blob: Blob` 下载的文件的二进制数据；
- *     - `filename: string` 下载的文件的名称；
- *     - `mimeType: string` 下载的文件的MIME类型；
- *
- *     如果操作失败，则解析失败并返回一个`ErrorInfo`对象。
- *     如果操作成功且`autoDownload`设置为`true`，浏览器会自动开始下载文件。
- */
-http.download = httpImpl.download;
+const http = createHttp();
 
 export default http;
@@ -0,0 +1,33 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import MessageCatalog from './impl/message-catalog';
+import zhCN from './messages/zh-CN';
+import enUS from './messages/en-US';
+
+/**
+ * 本库向用户显示的提示信息的多语言目录。
+ *
+ * 内置了简体中文（`'zh-CN'`，默认）和美式英语（`'en-US'`）的提示信息。用法如下：
+ * ```
+ * import { i18n } from '@qubit-ltd/common-app';
+ *
+ * i18n.setLocale('en-US');                         // 切换语言区域，立即生效
+ * i18n.register('ja-JP', { 'error.title': 'エラー', ... });  // 注册新的语言区域
+ * i18n.override('en-US', { 'login.confirm_ok': 'Log In' });  // 覆盖部分提示信息
+ * ```
+ * 未找到的提示信息将依次使用同一语言的其他区域以及简体中文的提示信息。
+ *
+ * @type {MessageCatalog}
+ * @author 胡海星
+ */
+const i18n = new MessageCatalog();
+i18n.register('zh-CN', zhCN);
+i18n.register('en-US', enUS);
+
+export default i18n;
@@ -0,0 +1,115 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Json } from '@qubit-ltd/json';
+
+/**
+ * 默认的上传文件的表单字段名称。
+ *
+ * @type {string}
+ */
+const DEFAULT_UPLOAD_FILE_FIELD = 'file';
+
+/**
+ * 判断一个值是否为可上传的文件（`File`或`Blob`对象）。
+ *
+ * @param {any} value
+ *     待判断的值。
+ * @return {boolean}
+ *     若是`File`或`Blob`对象，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isUploadFile(value) {
+  return (typeof Blob !== 'undefined') && (value instanceof Blob);
+}
+
+/**
+ * 向表单中添加一个普通字段。
+ *
+ * @param {FormData} formData
+ *     表单数据。
+ * @param {string} name
+ *     字段名称。
+ * @param {any} value
+ *     字段的值。`null`和`undefined`将被忽略；数组的每个元素将作为同名字段分别添加；
+ *     `File`和`Blob`对象将作为文件添加；其他对象将被序列化为JSON字符串（支持长整数）。
+ * @private
+ */
+function appendField(formData, name, value) {
+  if (value === null || value === undefined) {
+    return;
+  }
+  if (Array.isArray(value)) {
+    value.forEach((v) => appendField(formData, name, v));
+  } else if (isUploadFile(value)) {
+    formData.append(name, value);
+  } else if (typeof value === 'object') {
+    formData.append(name, Json.stringify(value));
+  } else {
+    formData.append(name, String(value));
+  }
+}
+
+/**
+ * 向表单中添加待上传的文件。
+ *
+ * @param {FormData} formData
+ *     表单数据。
+ * @param {string} name
+ *     字段名称。
+ * @param {File|Blob|Array<File|Blob>} file
+ *     待上传的文件或文件数组。
+ * @private
+ */
+function appendFile(formData, name, file) {
+  if (Array.isArray(file)) {
+    file.forEach((f) => appendFile(formData, name, f));
+  } else if (isUploadFile(file)) {
+    formData.append(name, file);
+  } else if (file !== null && file !== undefined) {
+    throw new TypeError(`The file to upload must be a File or Blob object: ${name}`);
+  }
+}
+
+/**
+ * 构造上传文件的`multipart/form-data`表单数据。
+ *
+ * @param {File|Blob|Array<File|Blob>|object} files
+ *     待上传的文件。可以是一个`File`或`Blob`对象，或者它们的数组，此时文件以`fileField`
+ *     指定的字段名称添加；也可以是一个对象，其属性名为字段名称，属性值为该字段的文件或
+ *     文件数组。
+ * @param {object|null|undefined} fields
+ *     额外的普通表单字段，详见`appendField()`。
+ * @param {string} fileField
+ *     `files`为文件或文件数组时使用的字段名称。默认值为`'file'`。
+ * @return {FormData}
+ *     构造的表单数据。
+ * @author 胡海星
+ */
+function buildUploadFormData(files, fields = {}, fileField = DEFAULT_UPLOAD_FILE_FIELD) {
+  const formData = new FormData();
+  for (const [name, value] of Object.entries(fields ?? {})) {
+    appendField(formData, name, value);
+  }
+  if (isUploadFile(files) || Array.isArray(files)) {
+    appendFile(formData, fileField, files);
+  } else if (files && (typeof files === 'object')) {
+    for (const [name, file] of Object.entries(files)) {
+      appendFile(formData, name, file);
+    }
+  } else if (files !== null && files !== undefined) {
+    throw new TypeError('The files to upload must be File or Blob objects.');
+  }
+  return formData;
+}
+
+export {
+  DEFAULT_UPLOAD_FILE_FIELD,
+};
+
+export default buildUploadFormData;
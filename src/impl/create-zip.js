@@ -0,0 +1,159 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import readBlobAsBytes from './read-blob-as-bytes';
+
+/**
+ * ZIP 文件的最大条目数；超过此限制需使用 ZIP64 格式，此处不支持。
+ *
+ * @type {number}
+ * @private
+ */
+const MAX_ENTRIES = 0xffff;
+
+/**
+ * ZIP 文件中单个文件及整个文件的最大字节数。
+ *
+ * @type {number}
+ * @private
+ */
+const MAX_SIZE = 0xffffffff;
+
+/**
+ * 通用标志位，第 11 位表示文件名使用 UTF-8 编码。
+ *
+ * @type {number}
+ * @private
+ */
+const UTF8_FLAG = 0x0800;
+
+/**
+ * CRC-32 的查找表。
+ *
+ * @type {Uint32Array}
+ * @private
+ */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; ++n) {
+    let c = n;
+    for (let k = 0; k < 8; ++k) {
+      c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * 计算数据的 CRC-32 校验值。
+ *
+ * @param {Uint8Array} bytes
+ *     待计算的数据。
+ * @return {number}
+ *     CRC-32 校验值。
+ * @private
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; ++i) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * 将日期转换为 MS-DOS 格式的日期和时间。
+ *
+ * @param {Date} date
+ *     待转换的日期。
+ * @return {object}
+ *     包含`date`和`time`属性的对象。
+ * @private
+ */
+function toDosDateTime(date) {
+  const year = Math.min(Math.max(date.getFullYear(), 1980), 2107);
+  return {
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+  };
+}
+
+/**
+ * 在浏览器中创建一个 ZIP 文件。
+ *
+ * 文件以不压缩（存储）的方式保存，文件名使用 UTF-8 编码。下载的附件通常已经是压缩格式
+ * （如 PDF、图片、Office 文档），再次压缩的收益很小，因此不进行压缩。
+ *
+ * @param {object[]} entries
+ *     ZIP 文件中的条目，每个条目包含以下属性：
+ *     - `name: string`：条目的名称，即 ZIP 文件中的路径；
+ *     - `blob: Blob`：条目的内容；
+ *     - `lastModified: Date`：条目的修改时间（可选），默认为当前时间。
+ * @return {Promise<Blob>}
+ *     ZIP 文件的`Blob`对象，其类型为`application/zip`。
+ * @throws {RangeError}
+ *     若条目数或文件大小超过了 ZIP 格式（不含 ZIP64 扩展）的限制。
+ * @author 胡海星
+ */
+async function createZip(entries) {
+  if (entries.length > MAX_ENTRIES) {
+    throw new RangeError(`Too many entries in the ZIP file: ${entries.length}`);
+  }
+  const parts = [];
+  const centralDirectory = [];
+  let offset = 0;
+  for (const entry of entries) {
+    const data = await readBlobAsBytes(entry.blob);
+    const name = await readBlobAsBytes(new Blob([entry.name]));    // UTF-8 编码的名称
+    const { date, time } = toDosDateTime(entry.lastModified ?? new Date());
+    const crc = crc32(data);
+    if ((data.length > MAX_SIZE) || (offset + 30 + name.length + data.length > MAX_SIZE)) {
+      throw new RangeError(`The ZIP file is too large: ${entry.name}`);
+    }
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);       // 本地文件头签名
+    local.setUint16(4, 20, true);               // 解压所需的版本
+    local.setUint16(6, UTF8_FLAG, true);
+    local.setUint16(8, 0, true);                // 压缩方法：存储
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);     // 压缩后的大小
+    local.setUint32(22, data.length, true);     // 压缩前的大小
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);               // 扩展字段的长度
+    parts.push(local, name, data);
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, 0x02014b50, true);     // 中央目录文件头签名
+    central.setUint16(4, 20, true);             // 创建时使用的版本
+    central.setUint16(6, 20, true);             // 解压所需的版本
+    central.setUint16(8, UTF8_FLAG, true);
+    central.setUint16(10, 0, true);
+    central.setUint16(12, time, true);
+    central.setUint16(14, date, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, name.length, true);
+    // 扩展字段、注释的长度，起始磁盘号，内部和外部文件属性均为 0
+    central.setUint32(42, offset, true);        // 本地文件头的偏移量
+    centralDirectory.push(central, name);
+    offset += 30 + name.length + data.length;
+  }
+  const size = centralDirectory.reduce((sum, part) => sum + part.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);           // 中央目录结束记录签名
+  end.setUint16(8, entries.length, true);       // 本磁盘上的条目数
+  end.setUint16(10, entries.length, true);      // 条目总数
+  end.setUint32(12, size, true);                // 中央目录的大小
+  end.setUint32(16, offset, true);              // 中央目录的偏移量
+  return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+}
+
+export default createZip;
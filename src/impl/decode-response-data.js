@@ -0,0 +1,253 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Json } from '@qubit-ltd/json';
+import { Logger } from '@qubit-ltd/logging';
+import i18n from '../i18n';
+import { readBlobAsText } from './parse-json-blob';
+import parseResponseDataAsBlob, { decodeBase64ToByteArrays } from './parse-response-data-as-blob';
+
+/**
+ * 支持的下载响应数据编码方式。
+ *
+ * - `'binary'`：响应数据即为文件内容（默认）；
+ * - `'base64'`：响应数据为 base64 编码的文件内容；
+ * - `'json-base64'`：响应数据为 JSON，其本身或其中指定字段的值为 base64 编码的文件内容；
+ * - `'data-url'`：响应数据为 Data URL，如`data:application/pdf;base64,JVBERi0...`。
+ *
+ * @type {string[]}
+ */
+const RESPONSE_ENCODINGS = ['binary', 'base64', 'json-base64', 'data-url'];
+
+/**
+ * 解码后的文件在无法获知其 MIME 类型时使用的默认类型。
+ *
+ * @type {string}
+ * @private
+ */
+const DEFAULT_MIME_TYPE = 'application/octet-stream';
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 规范化下载的`responseEncoding`选项。
+ *
+ * @param {string|object|null|undefined} value
+ *     `responseEncoding`选项的值，可以是`RESPONSE_ENCODINGS`中的一个字符串，也可以是一个
+ *     包含`type`和`field`属性的对象，例如`{ type: 'json-base64', field: 'data.content' }`。
+ *     `null`或`undefined`表示`'binary'`。
+ * @return {object}
+ *     包含`type`和`field`属性的对象，其中`field`为字段路径，未指定时为`null`。
+ * @throws {RangeError}
+ *     若编码方式不受支持，或者为`'json-base64'`以外的编码方式指定了字段路径。
+ */
+function normalizeResponseEncoding(value) {
+  const { type = 'binary', field = null } = (value !== null && typeof value === 'object')
+    ? value
+    : { type: value ?? 'binary' };
+  if (!RESPONSE_ENCODINGS.includes(type)) {
+    throw new RangeError(`Unsupported response encoding: ${type}`);
+  }
+  if (field !== null && type !== 'json-base64') {
+    throw new RangeError(`The field path is only supported by the 'json-base64' encoding: ${type}`);
+  }
+  return { type, field };
+}
+
+/**
+ * 创建一个表示解码失败的`ErrorInfo`对象。
+ *
+ * @param {string} code
+ *     错误代码。
+ * @param {string} key
+ *     错误信息在`i18n`中的键。
+ * @param {object} params
+ *     错误信息的参数。
+ * @return {object}
+ *     `ErrorInfo`对象。
+ * @private
+ */
+function createError(code, key, params = {}) {
+  return {
+    type: 'NETWORK_ERROR',
+    code,
+    message: i18n.t(key, params),
+  };
+}
+
+/**
+ * 严格地解码 base64 编码的字符串。
+ *
+ * 允许其中包含空白字符、使用 URL 安全的字母表（`-`和`_`）以及省略末尾的`=`；其他非法字符、
+ * 错误的填充或长度均视为错误。
+ *
+ * @param {string} text
+ *     base64 编码的字符串。
+ * @return {Uint8Array[]|null}
+ *     解码后的字节数组列表；若`text`不是有效的 base64 编码，则返回`null`。
+ * @private
+ */
+function decodeBase64(text) {
+  const value = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+  if (!/^[A-Za-z0-9+/]*={0,2}$/.test(value)) {
+    return null;
+  }
+  const data = value.replace(/=+$/, '');
+  if ((data.length % 4 === 1) || ((data.length !== value.length) && (value.length % 4 !== 0))) {
+    return null;
+  }
+  try {
+    return decodeBase64ToByteArrays(data.padEnd(Math.ceil(data.length / 4) * 4, '='));
+  } catch (e) {
+    logger.error('Failed to decode the base64 data:', e);
+    return null;
+  }
+}
+
+/**
+ * 将 base64 编码的字符串解码为`Blob`对象。
+ *
+ * @param {any} text
+ *     base64 编码的字符串。
+ * @param {string} contentType
+ *     `Blob`对象的 MIME 类型。
+ * @return {Blob}
+ *     解码得到的`Blob`对象。
+ * @throws {object}
+ *     若`text`不是有效的 base64 编码的字符串，则抛出代码为`'INVALID_BASE64'`的
+ *     `ErrorInfo`对象。
+ * @private
+ */
+function decodeBase64AsBlob(text, contentType) {
+  const byteArrays = (typeof text === 'string') ? decodeBase64(text) : null;
+  if (byteArrays === null) {
+    throw createError('INVALID_BASE64', 'error.invalid_base64');
+  }
+  return new Blob(byteArrays, { type: contentType });
+}
+
+/**
+ * 将 Data URL 解码为`Blob`对象。
+ *
+ * @param {any} text
+ *     Data URL，即形如`data:[<MIME类型>][;base64],<数据>`的字符串。
+ * @param {string|null} contentType
+ *     `Blob`对象的 MIME 类型；若为`null`，则使用 Data URL 中的 MIME 类型。
+ * @return {Blob}
+ *     解码得到的`Blob`对象。
+ * @throws {object}
+ *     若`text`不是有效的 Data URL，则抛出代码为`'INVALID_DATA_URL'`的`ErrorInfo`对象。
+ * @private
+ */
+function decodeDataUrlAsBlob(text, contentType) {
+  const match = (typeof text === 'string') ? /^data:([^,]*),(.*)$/is.exec(text.trim()) : null;
+  if (!match) {
+    throw createError('INVALID_DATA_URL', 'error.invalid_data_url');
+  }
+  const params = match[1].split(';').map((s) => s.trim());
+  const base64 = (params.length > 1) && (params[params.length - 1].toLowerCase() === 'base64');
+  if (base64) {
+    params.pop();
+  }
+  const type = contentType ?? (params[0] ? params.join(';') : DEFAULT_MIME_TYPE);
+  if (base64) {
+    const byteArrays = decodeBase64(match[2]);
+    if (byteArrays === null) {
+      throw createError('INVALID_DATA_URL', 'error.invalid_data_url');
+    }
+    return new Blob(byteArrays, { type });
+  }
+  try {
+    return new Blob([decodeURIComponent(match[2])], { type });
+  } catch (e) {
+    logger.error('Failed to decode the data URL:', e);
+    throw createError('INVALID_DATA_URL', 'error.invalid_data_url');
+  }
+}
+
+/**
+ * 获取对象中指定路径的字段值。
+ *
+ * @param {any} value
+ *     对象。
+ * @param {string|null} path
+ *     以`.`分隔的字段路径，如`'data.files.0.content'`；若为`null`，则返回对象本身。
+ * @return {any}
+ *     字段值；若字段不存在，则返回`undefined`。
+ * @private
+ */
+function getFieldValue(value, path) {
+  if (path === null) {
+    return value;
+  }
+  return String(path).split('.').reduce((obj, key) => ((obj !== null && typeof obj === 'object')
+    ? obj[key] : undefined), value);
+}
+
+/**
+ * 按照指定的编码方式，将下载请求的响应数据解码为`Blob`对象。
+ *
+ * 除`'binary'`外，其他编码方式均按指定的方式严格解码，不会在解码失败时将数据当作普通文本；
+ * 解码后的文件的 MIME 类型不取自响应头（响应头描述的是编码后的数据），而是使用`contentType`
+ * 参数、Data URL 中的 MIME 类型或者`application/octet-stream`。
+ *
+ * @param {object} response
+ *     下载请求的响应对象。
+ * @param {string|null} contentType
+ *     解码后的`Blob`对象的 MIME 类型（可选）。
+ * @param {string|object|null|undefined} encoding
+ *     响应数据的编码方式，详见`normalizeResponseEncoding()`函数的说明。
+ * @return {Promise<Blob>}
+ *     若解码成功，则解析成功并返回解码得到的`Blob`对象；否则解析失败并返回一个类型为
+ *     `'NETWORK_ERROR'`的`ErrorInfo`对象，其代码为`'INVALID_BASE64'`、
+ *     `'INVALID_DATA_URL'`或`'INVALID_JSON_BASE64'`。
+ * @author 胡海星
+ */
+async function decodeResponseData(response, contentType, encoding) {
+  const { type, field } = normalizeResponseEncoding(encoding);
+  if (type === 'binary') {
+    return parseResponseDataAsBlob(response, contentType);
+  }
+  logger.debug('Decode the response data as:', type, field ?? '');
+  let data = response.data;
+  const fromBlob = (data instanceof Blob);
+  if (fromBlob) {
+    data = await readBlobAsText(data);
+  }
+  switch (type) {
+    case 'base64':
+      return decodeBase64AsBlob((typeof data === 'string') ? data.trim() : data,
+        contentType ?? DEFAULT_MIME_TYPE);
+    case 'data-url':
+      return decodeDataUrlAsBlob(data, contentType);
+    default: {
+      // 非 Blob 形式返回的`application/json`类型的字符串已被`transformResponseData()`解析过了
+      const headerType = response.headers?.get?.('Content-Type');
+      if ((typeof data === 'string') && (fromBlob || !headerType?.startsWith('application/json'))) {
+        try {
+          data = Json.parse(data);
+        } catch (e) {
+          logger.error('Failed to parse the JSON response data:', e);
+          throw createError('INVALID_JSON_BASE64', 'error.invalid_json_base64');
+        }
+      }
+      const value = getFieldValue(data, field);
+      if (typeof value !== 'string') {
+        throw createError('INVALID_JSON_BASE64', 'error.invalid_json_base64');
+      }
+      return decodeBase64AsBlob(value, contentType ?? DEFAULT_MIME_TYPE);
+    }
+  }
+}
+
+export {
+  RESPONSE_ENCODINGS,
+  normalizeResponseEncoding,
+};
+
+export default decodeResponseData;
@@ -0,0 +1,188 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+import i18n from '../i18n';
+import createZip from './create-zip';
+import { getHttpConfig } from './http-config';
+import sanitizeFilename, { splitFilename } from './sanitize-filename';
+import startAutoDownload from './start-auto-download';
+
+/**
+ * 默认的批量下载时同时下载的文件数。
+ *
+ * @type {number}
+ */
+const DEFAULT_DOWNLOAD_CONCURRENCY = 3;
+
+/**
+ * 默认的批量下载的 ZIP 文件的名称。
+ *
+ * @type {string}
+ */
+const DEFAULT_ZIP_FILENAME = 'download.zip';
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 为文件生成一个在 ZIP 文件中唯一的名称。
+ *
+ * 名称的比较不区分大小写，因为 Windows 和 macOS 的默认文件系统均不区分大小写。重复的名称
+ * 将在扩展名之前加上序号，例如`report.pdf`、`report (1).pdf`、`report (2).pdf`。
+ *
+ * @param {string} filename
+ *     文件的名称。
+ * @param {Set<string>} usedNames
+ *     已使用的名称的集合（小写），此函数会将生成的名称加入其中。
+ * @return {string}
+ *     唯一的名称。
+ * @private
+ */
+function uniqueFilename(filename, usedNames) {
+  const { name, ext } = splitFilename(filename);
+  let result = filename;
+  for (let i = 1; usedNames.has(result.toLowerCase()); ++i) {
+    result = ext ? `${name} (${i}).${ext}` : `${name} (${i})`;
+  }
+  usedNames.add(result.toLowerCase());
+  return result;
+}
+
+/**
+ * 批量下载多个文件，将其打包为一个 ZIP 文件后只触发一次下载。
+ *
+ * 文件以有限的并发数下载，每个文件的下载方式与`http.download()`相同，文件名和 MIME 类型
+ * 的解析方式也相同。单个文件下载失败不会中止整个批量下载，而是记录在结果的`failures`属性
+ * 中；为避免逐个弹出错误提示，文件的下载请求默认设置了`skipAutoErrorHandling`。
+ *
+ * @param {Axios} http
+ *     用于下载文件的 axios 对象。
+ * @param {Array<string|object>} items
+ *     待下载的文件列表，每个元素可以是文件的URL，也可以是`http.download()`的选项对象，
+ *     如`{ url, params, method, data, filename, mimeType }`。由于下载的文件须打包为 ZIP
+ *     文件，文件的选项中不能指定`stream`和`preview`选项。
+ * @param {object} options
+ *     可选的参数，包括：
+ *     - `filename: string`：ZIP 文件的名称，默认为`'download.zip'`；
+ *     - `concurrency: number`：同时下载的文件数，默认使用`'http_download_concurrency'`
+ *       配置项，若未配置则为`3`；
+ *     - `autoDownload: boolean`：是否自动下载 ZIP 文件，默认为`true`；
+ *     - `onProgress: function`：进度的回调函数，每个文件下载完成或失败后调用，其参数为一个
+ *       包含`completed`、`failed`、`total`和`percent`属性的对象；
+ *     - `signal: AbortSignal`：用于取消批量下载的信号。
+ * @return {Promise<object>}
+ *     若批量下载没有被取消，则解析成功并返回一个对象，包含以下属性：
+ *     - `blob: Blob|null`：ZIP 文件；若所有文件均下载失败，则为`null`，且不会自动下载；
+ *     - `filename: string`：ZIP 文件的名称；
+ *     - `mimeType: string`：ZIP 文件的 MIME 类型，即`'application/zip'`；
+ *     - `files: object[]`：成功下载的文件，每个元素包含`index`（在`items`中的下标）、`url`、
+ *       `filename`（在 ZIP 文件中的名称）、`mimeType`和`size`属性；
+ *     - `failures: object[]`：下载失败的文件，每个元素包含`index`、`url`和`error`（通常为
+ *       `ErrorInfo`对象）属性。
+ *
+ *     若批量下载被取消，则解析失败并返回一个代码为`'CANCELED'`的`ErrorInfo`对象。
+ * @author 胡海星
+ */
+async function downloadAll(http, items, options = {}) {
+  if (!Array.isArray(items)) {
+    throw new TypeError('The files to download must be an array.');
+  }
+  const {
+    filename = DEFAULT_ZIP_FILENAME,
+    concurrency = getHttpConfig(http, 'http_download_concurrency', DEFAULT_DOWNLOAD_CONCURRENCY),
+    autoDownload = true,
+    onProgress = null,
+    signal = null,
+  } = options;
+  if (!Number.isInteger(concurrency) || concurrency <= 0) {
+    throw new RangeError(`The concurrency must be a positive integer: ${concurrency}`);
+  }
+  const invalid = items.findIndex((item) => item?.stream || item?.preview);
+  if (invalid >= 0) {
+    throw new RangeError(`The files of a batch download cannot be streamed or previewed: ${invalid}`);
+  }
+  const results = new Array(items.length).fill(null);
+  const failures = [];
+  let next = 0;
+  let completed = 0;
+  const worker = async () => {
+    while ((next < items.length) && !signal?.aborted) {
+      const index = next++;
+      const item = (typeof items[index] === 'string') ? { url: items[index] } : items[index];
+      try {
+        results[index] = await http.download({
+          skipAutoErrorHandling: true,
+          ...(signal ? { signal } : {}),
+          ...item,
+          autoDownload: false,
+        });
+      } catch (error) {
+        logger.error('Failed to download the file:', item?.url, error);
+        failures.push({ index, url: item?.url, error });
+      }
+      ++completed;
+      if (typeof onProgress === 'function') {
+        onProgress({
+          completed,
+          failed: failures.length,
+          total: items.length,
+          percent: Math.round((completed * 100) / items.length),
+        });
+      }
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, worker));
+  if (signal?.aborted) {
+    return Promise.reject({
+      type: 'NETWORK_ERROR',
+      code: 'CANCELED',
+      message: i18n.t('error.canceled'),
+    });
+  }
+  failures.sort((x, y) => x.index - y.index);
+  const usedNames = new Set();
+  const files = [];
+  const entries = [];
+  results.forEach((result, index) => {
+    if (result) {
+      const name = uniqueFilename(result.filename, usedNames);
+      const item = items[index];
+      files.push({
+        index,
+        url: (typeof item === 'string') ? item : item.url,
+        filename: name,
+        mimeType: result.mimeType,
+        size: result.blob.size,
+      });
+      entries.push({ name, blob: result.blob });
+    }
+  });
+  let zipFilename = sanitizeFilename(filename) || DEFAULT_ZIP_FILENAME;
+  if (!splitFilename(zipFilename).ext) {
+    zipFilename = `${zipFilename}.zip`;
+  }
+  logger.info('Downloaded %d of %d files, %d failed.', files.length, items.length, failures.length);
+  const blob = (entries.length > 0) ? await createZip(entries) : null;
+  if (blob && autoDownload) {
+    startAutoDownload(blob, zipFilename);
+  }
+  return {
+    blob,
+    filename: zipFilename,
+    mimeType: 'application/zip',
+    files,
+    failures,
+  };
+}
+
+export {
+  DEFAULT_DOWNLOAD_CONCURRENCY,
+  DEFAULT_ZIP_FILENAME,
+};
+
+export default downloadAll;
@@ -0,0 +1,563 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { LocalStorage } from '@qubit-ltd/storage';
+import { Logger } from '@qubit-ltd/logging';
+import { DEFAULT_DOWNLOAD_CONCURRENCY } from './download-all';
+import { getHttpConfig } from './http-config';
+
+/**
+ * 默认的下载历史记录的最大条数。
+ *
+ * @type {number}
+ */
+const DEFAULT_DOWNLOAD_HISTORY_SIZE = 50;
+
+/**
+ * 在本地存储中保存下载历史记录时使用的默认键值。
+ *
+ * @type {string}
+ */
+const DEFAULT_DOWNLOAD_HISTORY_STORAGE_KEY = 'http_download_history';
+
+/**
+ * 下载管理器支持的事件。
+ *
+ * @type {string[]}
+ */
+const DOWNLOAD_MANAGER_EVENTS = [
+  'add',
+  'start',
+  'progress',
+  'done',
+  'fail',
+  'cancel',
+  'retry',
+  'remove',
+  'change',
+  'history',
+];
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 管理多个文件下载的下载管理器。
+ *
+ * 每个下载任务通过`http.download()`下载，并以有限的并发数按加入的顺序执行。每个任务是一个
+ * 包含以下属性的对象，由下载管理器负责修改，调用者应将其视为只读：
+ * - `id: string`：任务的ID；
+ * - `url: string`：文件的来源URL；
+ * - `options: object`：传给`http.download()`的选项；
+ * - `filename: string|null`：文件的名称，下载完成前为`options.filename`或`null`；
+ * - `mimeType: string|null`：文件的 MIME 类型，下载完成前为`null`；
+ * - `size: number|null`：文件的字节数，下载完成前为`null`；
+ * - `status: string`：任务的状态，可以是`'queued'`、`'downloading'`、`'done'`、`'failed'`
+ *   或`'canceled'`；
+ * - `progress: object`：下载进度，包含`loaded`、`total`和`percent`属性，其中`total`和
+ *   `percent`在无法获知总大小时为`null`；
+ * - `error: object|null`：下载失败时的`ErrorInfo`对象；
+ * - `attempts: number`：已经开始下载的次数；
+ * - `createdAt: number`、`startedAt: number|null`、`finishedAt: number|null`：任务的创建、
+ *   最近一次开始和结束的时间戳（毫秒）。
+ *
+ * 下载成功的任务会被记录在下载历史中，每条记录包含`id`、`filename`、`mimeType`、`size`、
+ * `url`和`time`（完成的时间戳）属性，最近的记录在前。下载历史默认保存在`localStorage`中，
+ * 页面刷新后仍然存在，可用于显示“我的下载”列表。
+ *
+ * 下载管理器通过事件通知任务的变化，因此可以在任意 UI 框架中显示，例如：
+ * ```
+ * const manager = http.createDownloadManager({ concurrency: 2 });
+ * const off = manager.on('change', (job) => render(manager.getJobs()));
+ * const job = manager.add({ url: '/api/reports/1/export', filename: 'report-1.xlsx' });
+ * manager.cancel(job.id);
+ * manager.retry(job.id);
+ * ```
+ * 支持的事件包括：
+ * - `'add'`：任务被加入队列；
+ * - `'start'`：任务开始下载；
+ * - `'progress'`：任务的下载进度发生变化；
+ * - `'done'`：任务下载成功，监听器的第二个参数为`http.download()`的返回值；
+ * - `'fail'`：任务下载失败，监听器的第二个参数为`ErrorInfo`对象；
+ * - `'cancel'`：任务被取消；
+ * - `'retry'`：下载失败或被取消的任务被重新加入队列；
+ * - `'remove'`：任务被移除；
+ * - `'change'`：以上任一事件发生，监听器的第二个参数为事件的名称；
+ * - `'history'`：下载历史发生变化，监听器的参数为新的下载历史。
+ *
+ * @author 胡海星
+ */
+class DownloadManager {
+  /**
+   * 所有尚未被移除的任务，按加入的顺序排列。
+   *
+   * @type {object[]}
+   * @private
+   */
+  jobs = [];
+
+  /**
+   * 正在下载的任务的取消控制器，键为任务的ID。
+   *
+   * @type {Map<string, AbortController>}
+   * @private
+   */
+  controllers = new Map();
+
+  /**
+   * 已注册的事件监听器，键为事件的名称。
+   *
+   * @type {Map<string, Set<function>>}
+   * @private
+   */
+  listeners = new Map();
+
+  /**
+   * 下载历史，最近的记录在前。
+   *
+   * @type {object[]}
+   * @private
+   */
+  history = [];
+
+  /**
+   * 用于生成任务ID的序号。
+   *
+   * @type {number}
+   * @private
+   */
+  sequence = 0;
+
+  /**
+   * 创建一个下载管理器。
+   *
+   * @param {Axios} http
+   *     用于下载文件的 axios 对象。
+   * @param {object} options
+   *     可选的参数，包括：
+   *     - `concurrency: number`：同时下载的文件数，默认使用`'http_download_concurrency'`
+   *       配置项，若未配置则为`3`；
+   *     - `historySize: number`：下载历史的最大条数，默认使用`'http_download_history_size'`
+   *       配置项，若未配置则为`50`；`0`表示不记录下载历史；
+   *     - `persist: boolean`：是否在`localStorage`中保存下载历史，默认为`true`；
+   *     - `storageKey: string`：保存下载历史使用的键值，默认为`'http_download_history'`；
+   *       不同用户或不同页面的下载历史可以使用不同的键值分开保存；
+   *     - `defaults: object`：每个任务默认的`http.download()`选项，默认为
+   *       `{ skipAutoErrorHandling: true }`，即下载失败时不弹出错误提示，而是由调用者根据
+   *       任务的状态显示。
+   */
+  constructor(http, options = {}) {
+    this.http = http;
+    this.concurrency = options.concurrency
+      ?? getHttpConfig(http, 'http_download_concurrency', DEFAULT_DOWNLOAD_CONCURRENCY);
+    this.historySize = options.historySize
+      ?? getHttpConfig(http, 'http_download_history_size', DEFAULT_DOWNLOAD_HISTORY_SIZE);
+    if (!Number.isInteger(this.concurrency) || this.concurrency <= 0) {
+      throw new RangeError(`The concurrency must be a positive integer: ${this.concurrency}`);
+    }
+    if (!Number.isInteger(this.historySize) || this.historySize < 0) {
+      throw new RangeError(`The history size must be a non-negative integer: ${this.historySize}`);
+    }
+    this.persist = options.persist ?? true;
+    this.storageKey = options.storageKey ?? DEFAULT_DOWNLOAD_HISTORY_STORAGE_KEY;
+    this.defaults = options.defaults ?? { skipAutoErrorHandling: true };
+    this.history = this.loadHistory();
+  }
+
+  /**
+   * 注册一个事件监听器。
+   *
+   * @param {string} event
+   *     事件的名称，详见类的说明。
+   * @param {function} listener
+   *     事件监听器，其第一个参数为相关的任务（对于`'history'`事件为下载历史）。
+   * @return {function}
+   *     取消注册此监听器的函数。
+   * @throws {RangeError}
+   *     若事件的名称不受支持。
+   */
+  on(event, listener) {
+    if (!DOWNLOAD_MANAGER_EVENTS.includes(event)) {
+      throw new RangeError(`Unsupported download manager event: ${event}`);
+    }
+    if (typeof listener !== 'function') {
+      throw new TypeError('The event listener must be a function.');
+    }
+    if (!this.listeners.has(event)) {
+      this.listeners.set(event, new Set());
+    }
+    this.listeners.get(event).add(listener);
+    return () => this.off(event, listener);
+  }
+
+  /**
+   * 取消注册一个事件监听器。
+   *
+   * @param {string} event
+   *     事件的名称。
+   * @param {function} listener
+   *     待取消注册的事件监听器。
+   */
+  off(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  /**
+   * 触发一个事件。
+   *
+   * 监听器抛出的异常会被记录到日志中，不会影响下载管理器及其他监听器。
+   *
+   * @param {string} event
+   *     事件的名称。
+   * @param {...any} args
+   *     传给监听器的参数。
+   * @private
+   */
+  emit(event, ...args) {
+    const notify = (name, params) => {
+      for (const listener of [...(this.listeners.get(name) ?? [])]) {
+        try {
+          listener(...params);
+        } catch (e) {
+          logger.error('The listener of the download manager event "%s" failed:', name, e);
+        }
+      }
+    };
+    notify(event, args);
+    if (event !== 'history') {
+      notify('change', [args[0], event]);
+    }
+  }
+
+  /**
+   * 加入一个下载任务。
+   *
+   * 任务被加入队列的末尾，若正在下载的任务数未达到并发数的限制，则立即开始下载。
+   *
+   * @param {string|object} item
+   *     文件的URL，或者`http.download()`的选项对象，如
+   *     `{ url, params, method, data, filename, mimeType }`。
+   * @return {object}
+   *     新加入的任务。
+   */
+  add(item) {
+    const options = (typeof item === 'string') ? { url: item } : { ...item };
+    if (!options.url) {
+      throw new TypeError('The URL of the file to download must be specified.');
+    }
+    const job = {
+      id: `${Date.now().toString(36)}-${++this.sequence}`,
+      url: options.url,
+      options,
+      filename: options.filename ?? null,
+      mimeType: null,
+      size: null,
+      status: 'queued',
+      progress: { loaded: 0, total: null, percent: null },
+      error: null,
+      attempts: 0,
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    this.jobs.push(job);
+    logger.debug('Add a download job:', job.id, job.url);
+    this.emit('add', job);
+    this.pump();
+    return job;
+  }
+
+  /**
+   * 获取指定的任务。
+   *
+   * @param {string} id
+   *     任务的ID。
+   * @return {object|null}
+   *     指定的任务，若不存在则返回`null`。
+   */
+  getJob(id) {
+    return this.jobs.find((job) => job.id === id) ?? null;
+  }
+
+  /**
+   * 获取所有尚未被移除的任务。
+   *
+   * @return {object[]}
+   *     所有任务的数组（副本），按加入的顺序排列。
+   */
+  getJobs() {
+    return [...this.jobs];
+  }
+
+  /**
+   * 获取下载历史。
+   *
+   * @return {object[]}
+   *     下载历史的数组（副本），最近的记录在前。
+   */
+  getHistory() {
+    return [...this.history];
+  }
+
+  /**
+   * 取消指定的任务。
+   *
+   * 排队中的任务直接被取消；正在下载的任务将被中止。已结束的任务不受影响。
+   *
+   * @param {string} id
+   *     任务的ID。
+   * @return {boolean}
+   *     若任务被取消，则返回`true`；否则返回`false`。
+   */
+  cancel(id) {
+    const job = this.getJob(id);
+    if (!job || !['queued', 'downloading'].includes(job.status)) {
+      return false;
+    }
+    logger.info('Cancel the download job:', job.id, job.url);
+    const controller = this.controllers.get(id);
+    if (controller) {
+      // 下载请求被中止后，由 run() 将任务标记为已取消
+      controller.abort();
+    } else {
+      this.finish(job, 'canceled');
+      this.emit('cancel', job);
+    }
+    return true;
+  }
+
+  /**
+   * 取消所有排队中和正在下载的任务。
+   *
+   * @return {number}
+   *     被取消的任务数。
+   */
+  cancelAll() {
+    // 先取消排队中的任务，以免正在下载的任务被中止后开始下载排队中的任务
+    const queued = this.jobs.filter((job) => job.status === 'queued');
+    const downloading = this.jobs.filter((job) => job.status === 'downloading');
+    return [...queued, ...downloading].filter((job) => this.cancel(job.id)).length;
+  }
+
+  /**
+   * 重试下载失败或被取消的任务。
+   *
+   * 任务将被重新加入队列的末尾。
+   *
+   * @param {string} id
+   *     任务的ID。
+   * @return {boolean}
+   *     若任务被重新加入队列，则返回`true`；否则返回`false`。
+   */
+  retry(id) {
+    const job = this.getJob(id);
+    if (!job || !['failed', 'canceled'].includes(job.status)) {
+      return false;
+    }
+    logger.info('Retry the download job:', job.id, job.url);
+    this.jobs.splice(this.jobs.indexOf(job), 1);
+    this.jobs.push(job);
+    Object.assign(job, {
+      status: 'queued',
+      progress: { loaded: 0, total: null, percent: null },
+      error: null,
+      finishedAt: null,
+    });
+    this.emit('retry', job);
+    this.pump();
+    return true;
+  }
+
+  /**
+   * 移除指定的任务。
+   *
+   * 正在下载或排队中的任务会先被取消。下载历史不受影响。
+   *
+   * @param {string} id
+   *     任务的ID。
+   * @return {boolean}
+   *     若任务被移除，则返回`true`；否则返回`false`。
+   */
+  remove(id) {
+    const job = this.getJob(id);
+    if (!job) {
+      return false;
+    }
+    this.cancel(id);
+    this.jobs.splice(this.jobs.indexOf(job), 1);
+    this.emit('remove', job);
+    return true;
+  }
+
+  /**
+   * 移除所有已结束（下载成功、失败或被取消）的任务。
+   *
+   * @return {number}
+   *     被移除的任务数。
+   */
+  clearFinished() {
+    const finished = this.jobs.filter((job) => ['done', 'failed', 'canceled'].includes(job.status));
+    finished.forEach((job) => this.remove(job.id));
+    return finished.length;
+  }
+
+  /**
+   * 清除下载历史。
+   */
+  clearHistory() {
+    this.history = [];
+    this.saveHistory();
+    this.emit('history', this.getHistory());
+  }
+
+  /**
+   * 在并发数允许的范围内开始下载排队中的任务。
+   *
+   * @private
+   */
+  pump() {
+    while (this.controllers.size < this.concurrency) {
+      const job = this.jobs.find((j) => j.status === 'queued');
+      if (!job) {
+        return;
+      }
+      this.run(job);
+    }
+  }
+
+  /**
+   * 下载指定的任务。
+   *
+   * @param {object} job
+   *     待下载的任务。
+   * @private
+   */
+  run(job) {
+    const controller = new AbortController();
+    this.controllers.set(job.id, controller);
+    Object.assign(job, {
+      status: 'downloading',
+      attempts: job.attempts + 1,
+      startedAt: Date.now(),
+    });
+    logger.info('Start the download job:', job.id, job.url);
+    this.emit('start', job);
+    // 任务在下载过程中可能被移除，此后不再触发该任务的事件，以免已移除的任务又被显示出来
+    const notify = (event, ...args) => {
+      if (this.jobs.includes(job)) {
+        this.emit(event, job, ...args);
+      }
+    };
+    // 使用 Promise 包装，使得选项错误等同步抛出的异常也使任务失败，而不会中断队列
+    new Promise((resolve) => resolve(this.http.download({
+      ...this.defaults,
+      ...job.options,
+      signal: controller.signal,
+      onProgress: (progress) => {
+        job.progress = progress;
+        notify('progress');
+        job.options.onProgress?.(progress);
+      },
+    }))).then((result) => {
+      Object.assign(job, {
+        filename: result.filename,
+        mimeType: result.mimeType,
+        size: result.size ?? result.blob?.size ?? null,
+      });
+      if ((job.progress.percent !== 100) && (job.size !== null)) {
+        job.progress = { loaded: job.size, total: job.size, percent: 100 };
+      }
+      this.finish(job, 'done');
+      this.addHistory(job);
+      notify('done', result);
+    }, (error) => {
+      if (controller.signal.aborted || (error?.code === 'CANCELED')) {
+        this.finish(job, 'canceled');
+        notify('cancel');
+      } else {
+        logger.error('The download job failed:', job.id, job.url, error);
+        job.error = error;
+        this.finish(job, 'failed');
+        notify('fail', error);
+      }
+    }).finally(() => {
+      this.controllers.delete(job.id);
+      this.pump();
+    });
+  }
+
+  /**
+   * 结束指定的任务。
+   *
+   * @param {object} job
+   *     待结束的任务。
+   * @param {string} status
+   *     任务结束时的状态。
+   * @private
+   */
+  finish(job, status) {
+    job.status = status;
+    job.finishedAt = Date.now();
+  }
+
+  /**
+   * 将下载成功的任务记录到下载历史中。
+   *
+   * @param {object} job
+   *     下载成功的任务。
+   * @private
+   */
+  addHistory(job) {
+    if (this.historySize === 0) {
+      return;
+    }
+    this.history = [{
+      id: job.id,
+      filename: job.filename,
+      mimeType: job.mimeType,
+      size: job.size,
+      url: job.url,
+      time: job.finishedAt,
+    }, ...this.history].slice(0, this.historySize);
+    this.saveHistory();
+    this.emit('history', this.getHistory());
+  }
+
+  /**
+   * 读取本地保存的下载历史。
+   *
+   * @return {object[]}
+   *     本地保存的下载历史，若不存在则返回空数组。
+   * @private
+   */
+  loadHistory() {
+    if (!this.persist) {
+      return [];
+    }
+    const history = LocalStorage.get(this.storageKey);
+    return Array.isArray(history) ? history.slice(0, this.historySize) : [];
+  }
+
+  /**
+   * 在本地保存下载历史。
+   *
+   * @private
+   */
+  saveHistory() {
+    if (this.persist) {
+      LocalStorage.set(this.storageKey, this.history);
+    }
+  }
+}
+
+export {
+  DEFAULT_DOWNLOAD_HISTORY_SIZE,
+  DEFAULT_DOWNLOAD_HISTORY_STORAGE_KEY,
+  DOWNLOAD_MANAGER_EVENTS,
+};
+
+export default DownloadManager;
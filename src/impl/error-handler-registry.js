@@ -0,0 +1,279 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+
+/**
+ * 匹配任意错误类型或错误代码的通配符。
+ *
+ * @type {string}
+ */
+const ANY = '*';
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 将错误处理器的匹配条件规范化为字符串键。
+ *
+ * @param {string|object} matcher
+ *     匹配条件。若为字符串，则表示错误代码，或者形如`'TYPE:CODE'`的错误类型和错误代码；
+ *     若为对象，则可包含`type`和`code`属性，未指定的属性匹配任意值。
+ * @return {string}
+ *     形如`'TYPE:CODE'`的键，未指定的部分用`'*'`表示。
+ * @private
+ */
+function toKey(matcher) {
+  if (typeof matcher === 'string') {
+    if (matcher.includes(':')) {
+      const [type, code] = matcher.split(':', 2);
+      return `${type || ANY}:${code || ANY}`;
+    }
+    return `${ANY}:${matcher || ANY}`;
+  }
+  if (matcher && (typeof matcher === 'object')) {
+    return `${matcher.type ?? ANY}:${matcher.code ?? ANY}`;
+  }
+  throw new TypeError('The matcher of an error handler must be a string or an object.');
+}
+
+/**
+ * 将错误处理器添加到指定的注册表中。
+ *
+ * @param {Map<string, function[]>} map
+ *     注册表，键为规范化的匹配条件，值为按注册顺序排列的处理器数组。
+ * @param {string} key
+ *     规范化的匹配条件。
+ * @param {function} handler
+ *     错误处理器。
+ * @private
+ */
+function addHandler(map, key, handler) {
+  if (!map.has(key)) {
+    map.set(key, []);
+  }
+  map.get(key).push(handler);
+}
+
+/**
+ * 将注册表中匹配指定的键的处理器，按调用顺序追加到处理链中。
+ *
+ * @param {Map<string, function[]>} map
+ *     注册表。
+ * @param {Set<string>} keys
+ *     按优先级排列的规范化的匹配条件。
+ * @param {function[]} chain
+ *     处理链。
+ * @private
+ */
+function appendHandlers(map, keys, chain) {
+  for (const key of keys) {
+    const list = map.get(key);
+    if (list) {
+      chain.push(...[...list].reverse());
+    }
+  }
+}
+
+/**
+ * 按错误类型和错误代码注册的 HTTP 错误处理器的注册表。
+ *
+ * 每个错误处理器是一个函数`handler(error, context)`，其中`error`是服务器返回的
+ * `ErrorInfo`对象，`context`是一个包含以下属性的对象：
+ * - `http: Axios`：发送该请求的 axios 实例；
+ * - `config: object`：失败的请求的配置对象，可能为`undefined`；
+ * - `next: function`：调用处理链中的下一个错误处理器，返回其处理结果。
+ *
+ * 错误处理器应返回一个`Promise`对象：解析成功时，失败的请求将以其结果解析成功；解析失败时，
+ * 失败的请求将以其原因解析失败。
+ *
+ * 处理一个错误时，按以下顺序查找处理器并组成处理链：
+ * 1. 同时匹配错误类型和错误代码的处理器；
+ * 2. 只匹配错误代码的处理器；
+ * 3. 只匹配错误类型的处理器；
+ * 4. 匹配任意错误的处理器（`'*'`）；
+ * 5. 通过`registerDefault()`注册的内置处理器，按上述顺序查找；
+ * 6. 默认的处理器。
+ *
+ * 内置处理器总是排在所有通过`register()`注册的处理器之后，因此用户注册的处理器，例如
+ * `'AUTHENTICATION_ERROR:*'`，即使比内置处理器的匹配条件更宽泛，也会先被调用。
+ *
+ * 对于同一个匹配条件，后注册的处理器先被调用，从而可以覆盖先注册的处理器，或者通过
+ * `context.next()`在其基础上串联处理。
+ *
+ * @author 胡海星
+ */
+class ErrorHandlerRegistry {
+  /**
+   * 已注册的错误处理器，键为规范化的匹配条件，值为按注册顺序排列的处理器数组。
+   *
+   * @type {Map<string, function[]>}
+   * @private
+   */
+  handlers = new Map();
+
+  /**
+   * 内置的错误处理器，键为规范化的匹配条件，值为按注册顺序排列的处理器数组。
+   *
+   * @type {Map<string, function[]>}
+   * @private
+   */
+  defaults = new Map();
+
+  /**
+   * 默认的错误处理器，处理所有没有被其他处理器处理的错误。
+   *
+   * @type {function|null}
+   */
+  fallback = null;
+
+  /**
+   * 创建一个新的`ErrorHandlerRegistry`对象。
+   *
+   * @param {function|null} fallback
+   *     默认的错误处理器。若为`null`，则没有被处理的错误将被直接拒绝。
+   */
+  constructor(fallback = null) {
+    this.fallback = fallback;
+  }
+
+  /**
+   * 注册一个错误处理器。
+   *
+   * @param {string|object} matcher
+   *     匹配条件，可以是错误代码（如`'PERMISSION_DENIED'`）、形如`'TYPE:CODE'`的字符串
+   *     （如`'AUTHENTICATION_ERROR:*'`），或者包含`type`和`code`属性的对象。
+   * @param {function} handler
+   *     错误处理器`handler(error, context)`。
+   * @return {function}
+   *     一个函数，调用它将注销此次注册的错误处理器。
+   */
+  register(matcher, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('The error handler must be a function.');
+    }
+    const key = toKey(matcher);
+    addHandler(this.handlers, key, handler);
+    logger.debug('Register an error handler for:', key);
+    return () => this.unregister(matcher, handler);
+  }
+
+  /**
+   * 注册一个内置的错误处理器。
+   *
+   * 内置的错误处理器在所有通过`register()`注册的处理器之后被调用，且不能通过`unregister()`
+   * 注销；若要覆盖内置的处理器，可用`register()`注册一个不调用`context.next()`的处理器。
+   *
+   * @param {string|object} matcher
+   *     匹配条件，格式与`register()`的相同。
+   * @param {function} handler
+   *     错误处理器`handler(error, context)`。
+   */
+  registerDefault(matcher, handler) {
+    if (typeof handler !== 'function') {
+      throw new TypeError('The error handler must be a function.');
+    }
+    const key = toKey(matcher);
+    addHandler(this.defaults, key, handler);
+    logger.debug('Register a built-in error handler for:', key);
+  }
+
+  /**
+   * 注销错误处理器。
+   *
+   * @param {string|object} matcher
+   *     匹配条件。
+   * @param {function|undefined} handler
+   *     待注销的错误处理器；若未指定，则注销该匹配条件下的所有处理器。
+   * @return {boolean}
+   *     若注销了至少一个处理器，则返回`true`；否则返回`false`。
+   */
+  unregister(matcher, handler) {
+    const key = toKey(matcher);
+    const list = this.handlers.get(key);
+    if (!list) {
+      return false;
+    }
+    if (handler === undefined) {
+      this.handlers.delete(key);
+      return true;
+    }
+    const index = list.lastIndexOf(handler);
+    if (index < 0) {
+      return false;
+    }
+    list.splice(index, 1);
+    if (list.length === 0) {
+      this.handlers.delete(key);
+    }
+    return true;
+  }
+
+  /**
+   * 判断是否为指定的匹配条件注册了错误处理器，包括内置的错误处理器。
+   *
+   * @param {string|object} matcher
+   *     匹配条件。
+   * @return {boolean}
+   *     若已注册，则返回`true`；否则返回`false`。
+   */
+  has(matcher) {
+    const key = toKey(matcher);
+    return this.handlers.has(key) || this.defaults.has(key);
+  }
+
+  /**
+   * 获取处理指定错误的处理链。
+   *
+   * @param {object} error
+   *     服务器返回的错误信息对象。
+   * @return {function[]}
+   *     处理该错误的处理器列表，按调用顺序排列。
+   */
+  getChain(error) {
+    const type = error?.type ?? ANY;
+    const code = error?.code ?? ANY;
+    const keys = new Set([`${type}:${code}`, `${ANY}:${code}`, `${type}:${ANY}`, `${ANY}:${ANY}`]);
+    const chain = [];
+    appendHandlers(this.handlers, keys, chain);
+    appendHandlers(this.defaults, keys, chain);
+    if (this.fallback) {
+      chain.push(this.fallback);
+    }
+    return chain;
+  }
+
+  /**
+   * 处理指定的错误。
+   *
+   * @param {object} error
+   *     服务器返回的错误信息对象。
+   * @param {object} context
+   *     处理上下文，包含`http`和`config`属性。
+   * @return {Promise}
+   *     处理链的处理结果。
+   */
+  handle(error, context = {}) {
+    const chain = this.getChain(error);
+    const invoke = (index) => {
+      if (index >= chain.length) {
+        return Promise.reject(error);
+      }
+      try {
+        return Promise.resolve(chain[index](error, {
+          ...context,
+          next: () => invoke(index + 1),
+        }));
+      } catch (e) {
+        return Promise.reject(e);
+      }
+    };
+    return invoke(0);
+  }
+}
+
+export default ErrorHandlerRegistry;
@@ -0,0 +1,88 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 常见的 MIME 类型对应的文件扩展名。
+ *
+ * @type {object}
+ * @private
+ */
+const MIME_EXTENSIONS = {
+  'application/epub+zip': 'epub',
+  'application/gzip': 'gz',
+  'application/json': 'json',
+  'application/ld+json': 'jsonld',
+  'application/msword': 'doc',
+  'application/pdf': 'pdf',
+  'application/rtf': 'rtf',
+  'application/vnd.ms-excel': 'xls',
+  'application/vnd.ms-powerpoint': 'ppt',
+  'application/vnd.oasis.opendocument.presentation': 'odp',
+  'application/vnd.oasis.opendocument.spreadsheet': 'ods',
+  'application/vnd.oasis.opendocument.text': 'odt',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation': 'pptx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': 'xlsx',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': 'docx',
+  'application/vnd.rar': 'rar',
+  'application/x-7z-compressed': '7z',
+  'application/x-gzip': 'gz',
+  'application/x-rar-compressed': 'rar',
+  'application/x-tar': 'tar',
+  'application/x-zip-compressed': 'zip',
+  'application/xml': 'xml',
+  'application/zip': 'zip',
+  'audio/aac': 'aac',
+  'audio/mp4': 'm4a',
+  'audio/mpeg': 'mp3',
+  'audio/ogg': 'ogg',
+  'audio/wav': 'wav',
+  'audio/webm': 'weba',
+  'audio/x-wav': 'wav',
+  'image/bmp': 'bmp',
+  'image/gif': 'gif',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/svg+xml': 'svg',
+  'image/tiff': 'tiff',
+  'image/vnd.microsoft.icon': 'ico',
+  'image/webp': 'webp',
+  'image/x-icon': 'ico',
+  'text/calendar': 'ics',
+  'text/css': 'css',
+  'text/csv': 'csv',
+  'text/html': 'html',
+  'text/javascript': 'js',
+  'text/markdown': 'md',
+  'text/plain': 'txt',
+  'text/tab-separated-values': 'tsv',
+  'text/xml': 'xml',
+  'video/mp4': 'mp4',
+  'video/mpeg': 'mpeg',
+  'video/ogg': 'ogv',
+  'video/quicktime': 'mov',
+  'video/webm': 'webm',
+  'video/x-msvideo': 'avi',
+};
+
+/**
+ * 获取 MIME 类型对应的文件扩展名。
+ *
+ * @param {string|null|undefined} mimeType
+ *     MIME 类型，可以带有`charset`等参数，不区分大小写。
+ * @return {string|null}
+ *     不含`.`的文件扩展名；若该 MIME 类型未知（包括`application/octet-stream`），则返回
+ *     `null`。
+ * @author 胡海星
+ */
+function getExtensionFromMimeType(mimeType) {
+  const type = String(mimeType ?? '').split(';')[0].trim().toLowerCase();
+  return MIME_EXTENSIONS[type] ?? null;
+}
+
+export default getExtensionFromMimeType;
@@ -8,21 +8,76 @@
 ////////////////////////////////////////////////////////////////////////////////
 import { Logger } from '@qubit-ltd/logging';
 import extractContentDispositionFilename from './extract-content-disposition-filename';
+import getExtensionFromMimeType from './get-extension-from-mime-type';
+import sanitizeFilename, { splitFilename } from './sanitize-filename';
 
 const DEFAULT_FILENAME = 'downloaded_file';
 const logger = Logger.getLogger('http');
 
+/**
+ * 将数字格式化为两位数字的字符串。
+ *
+ * @param {number} n
+ *     待格式化的数字。
+ * @return {string}
+ *     格式化后的字符串。
+ * @private
+ */
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+/**
+ * 使用文件名模板生成文件名。
+ *
+ * @param {string|function} template
+ *     文件名模板，详见`getFilenameFromResponse()`函数的说明。
+ * @param {object} info
+ *     包含`filename`、`name`、`ext`、`mimeType`和`response`属性的对象。
+ * @return {string}
+ *     生成的文件名。
+ * @private
+ */
+function applyTemplate(template, info) {
+  if (typeof template === 'function') {
+    return String(template(info) ?? '');
+  }
+  const now = new Date();
+  const values = {
+    filename: info.filename,
+    name: info.name,
+    ext: info.ext,
+    date: `${now.getFullYear()}${pad(now.getMonth() + 1)}${pad(now.getDate())}`,
+    time: `${pad(now.getHours())}${pad(now.getMinutes())}${pad(now.getSeconds())}`,
+  };
+  return String(template).replace(/\{(\w+)\}/g,
+    (placeholder, key) => (Object.prototype.hasOwnProperty.call(values, key) ? values[key] : placeholder));
+}
+
 /**
  * 从 HTTP 响应中获取文件名。
  *
+ * 文件名依次取自`filename`参数、响应头的`Content-Disposition`，若均不存在则使用
+ * `downloaded_file`。文件名会经过`sanitizeFilename()`处理，去掉其中的路径、控制字符和
+ * 操作系统不允许的字符；若文件名没有扩展名，则根据`contentType`推断其扩展名，例如 PDF
+ * 文件将被命名为`downloaded_file.pdf`。
+ *
  * @param {AxiosHeaders} response
  *     HTTP 响应对象。
  * @param {string|null} filename
  *     用于下载的文件名（可选）。
+ * @param {string|null} contentType
+ *     下载的文件的 MIME 类型（可选），用于推断文件的扩展名。
+ * @param {string|function|null} template
+ *     文件名模板（可选）。可以是一个字符串，其中的`{filename}`、`{name}`、`{ext}`、
+ *     `{date}`和`{time}`将分别被替换为完整的文件名、不含扩展名的文件名、不含`.`的扩展名、
+ *     当前日期（`YYYYMMDD`）和当前时间（`HHmmss`），例如`'{name}-{date}.{ext}'`；也可以
+ *     是一个函数，其参数为包含`filename`、`name`、`ext`、`mimeType`和`response`属性的对象，
+ *     返回值为文件名。模板生成的文件名同样会被处理，且在没有扩展名时自动添加扩展名。
  * @return {string}
  *     获取到的文件名。
  */
-function getFilenameFromResponse(response, filename) {
+function getFilenameFromResponse(response, filename, contentType = null, template = null) {
   if (!filename) {
     // 从响应头中解析文件名（可选，后端需提供文件名）
     // 注意，response.headers 是一个 AxiosHeaders 对象，必须用 get 方法获取值，
@@ -32,8 +87,23 @@ function getFilenameFromResponse(response, filename) {
     filename = extractContentDispositionFilename(contentDisposition);
     logger.debug('Extracted filename from Content-Disposition:', filename);
   }
-  if (!filename) {
-    filename = DEFAULT_FILENAME;
+  filename = sanitizeFilename(filename) || DEFAULT_FILENAME;
+  const defaultExt = getExtensionFromMimeType(contentType);
+  const { name, ext } = splitFilename(filename);
+  if (!ext && defaultExt) {
+    filename = `${filename}.${defaultExt}`;
+  }
+  if (template) {
+    const info = { filename, name, ext: ext || defaultExt || '', mimeType: contentType, response };
+    const result = sanitizeFilename(applyTemplate(template, info));
+    if (result) {
+      filename = result;
+      if (!splitFilename(filename).ext && defaultExt) {
+        filename = `${filename}.${defaultExt}`;
+      }
+    } else {
+      logger.warn('The filename template produced an empty filename, use the default:', filename);
+    }
   }
   logger.debug('The filename of downloaded file is:', filename);
   return filename;
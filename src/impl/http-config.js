@@ -0,0 +1,58 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import config from '@qubit-ltd/config';
+
+/**
+ * 获取指定的 axios 实例的配置项。
+ *
+ * 若该 axios 实例的`settings`属性（由`createHttp()`的`config`选项设置）中设置了该配置项，
+ * 则使用其值；否则使用全局`config`对象中的配置项。
+ *
+ * @param {Axios|null|undefined} http
+ *     指定的 axios 对象。
+ * @param {string} key
+ *     配置项的键名，例如`'api_base_url'`。
+ * @param {any} defaultValue
+ *     配置项的默认值。
+ * @return {any}
+ *     配置项的值；若未设置，则返回`defaultValue`。
+ * @author 胡海星
+ */
+function getHttpConfig(http, key, defaultValue = undefined) {
+  const settings = http?.settings;
+  if (settings && (settings[key] !== undefined)) {
+    return settings[key];
+  }
+  return config.get(key, defaultValue);
+}
+
+/**
+ * 判断是否为指定的 axios 实例设置了某个配置项。
+ *
+ * @param {Axios|null|undefined} http
+ *     指定的 axios 对象。
+ * @param {string} key
+ *     配置项的键名。
+ * @return {boolean}
+ *     若该 axios 实例的`settings`属性或全局`config`对象中设置了该配置项，则返回`true`；
+ *     否则返回`false`。
+ * @author 胡海星
+ */
+function hasHttpConfig(http, key) {
+  const settings = http?.settings;
+  if (settings && (settings[key] !== undefined)) {
+    return true;
+  }
+  return config.has(key);
+}
+
+export {
+  getHttpConfig,
+  hasHttpConfig,
+};
@@ -6,16 +6,201 @@
 //    All rights reserved.
 //
 ////////////////////////////////////////////////////////////////////////////////
-import { AxiosHeaders } from 'axios';
+import { AxiosHeaders, getAdapter } from 'axios';
 import { Json } from '@qubit-ltd/json';
 import { Logger, Log } from '@qubit-ltd/logging';
 import config from '@qubit-ltd/config';
 import { isString } from '@qubit-ltd/type-detect';
 import { loading, alert, confirm } from '@qubit-ltd/common-ui';
+import i18n from '../i18n';
+import buildUploadFormData from './build-upload-form-data';
+import decodeResponseData, { normalizeResponseEncoding } from './decode-response-data';
+import downloadAll from './download-all';
+import DownloadManager from './download-manager';
+import ErrorHandlerRegistry from './error-handler-registry';
 import getContentTypeFromResponse from './get-content-type-from-response';
 import getFilenameFromResponse from './get-filename-from-response';
-import parseResponseDataAsBlob from './parse-response-data-as-blob';
+import { getHttpConfig, hasHttpConfig } from './http-config';
+import isTrustedRequest from './is-trusted-request';
+import LoadingManager from './loading-manager';
+import ObjectUrlManager from './object-url-manager';
+import openDownloadSink, { resolveDownloadTarget } from './open-download-sink';
+import parseContentDisposition from './parse-content-disposition';
+import parseJsonBlob from './parse-json-blob';
+import pipeToDownloadSink, { readStreamAsBlob } from './pipe-to-download-sink';
+import RangeDownload from './range-download';
+import ResponseCache, { DEFAULT_HTTP_CACHE_TTL } from './response-cache';
+import ResumableUpload from './resumable-upload';
+import runExportJob from './run-export-job';
+import RetryPolicy from './retry-policy';
 import startAutoDownload from './start-auto-download';
+import startPreview, { normalizePreviewOption } from './start-preview';
+import verifyIntegrity, { parseExpectedDigest } from './verify-integrity';
+
+/**
+ * 将 axios 的传输进度事件转换为传给`onProgress`回调函数的进度对象。
+ *
+ * @param {function} onProgress
+ *     进度的回调函数，其参数为一个包含`loaded`、`total`和`percent`属性的对象，其中`total`
+ *     和`percent`在无法获知总大小（例如响应头中没有`Content-Length`）时为`null`。
+ * @return {function}
+ *     可以作为`onUploadProgress`或`onDownloadProgress`选项的函数。
+ * @private
+ */
+function toProgressHandler(onProgress) {
+  return (event) => onProgress({
+    loaded: event.loaded,
+    total: event.total || null,
+    percent: event.total ? Math.round((event.loaded * 100) / event.total) : null,
+  });
+}
+
+/**
+ * 创建流式下载请求的配置对象。
+ *
+ * 浏览器中只有`fetch`适配器支持流式响应，Node.js 中写入文件时使用`http`适配器；若为 axios
+ * 对象或请求指定了自定义的适配器，则直接使用该适配器。若当前环境不支持流式响应，则仍以
+ * `Blob`的形式接收响应数据，再写入下载目标。
+ *
+ * 流式下载的耗时与文件的大小有关，因此流式响应不使用 axios 的`timeout`选项限制整个请求的
+ * 时间，以免较大的文件在下载过程中被中止，而是由`createIdleTimer()`函数限制空闲的时间。
+ *
+ * @param {Axios} http
+ *     发送下载请求的 axios 对象。
+ * @param {object} cfg
+ *     下载请求的配置对象。
+ * @param {FileSystemFileHandle|WritableStream|string|Promise} target
+ *     下载目标。
+ * @return {object}
+ *     流式下载请求的配置对象。
+ * @private
+ */
+function createStreamRequestConfig(http, cfg, target) {
+  if (cfg.adapter || (typeof http.defaults.adapter === 'function')) {
+    return { ...cfg, responseType: 'stream', timeout: 0 };
+  }
+  if (typeof target === 'string') {
+    return { ...cfg, responseType: 'stream', timeout: 0, adapter: 'http' };
+  }
+  if ((typeof globalThis.fetch === 'function')
+    && (typeof globalThis.ReadableStream === 'function')) {
+    return { ...cfg, responseType: 'stream', timeout: 0, adapter: 'fetch' };
+  }
+  logger.info('Streaming responses are not supported, the file will be buffered in memory.');
+  return cfg;
+}
+
+/**
+ * 创建流式下载的空闲计时器。
+ *
+ * 计时器创建后即开始计时，每次调用其`reset()`函数后重新计时；若超过`timeout`毫秒没有重新
+ * 计时，则将`timedOut`属性设为`true`，并触发其`signal`属性，从而中止下载请求及其响应流。
+ * 调用者提供的取消信号被触发时，计时器的`signal`属性也会被触发。
+ *
+ * @param {number} timeout
+ *     允许的空闲时间的毫秒数；若不是正数，则不限制空闲的时间。
+ * @param {AbortSignal|null|undefined} signal
+ *     调用者提供的取消信号。
+ * @return {object}
+ *     计时器对象，包含`signal`、`timedOut`属性以及`reset()`、`clear()`函数，`clear()`函数
+ *     用于在下载结束后停止计时。
+ * @private
+ */
+function createIdleTimer(timeout, signal) {
+  const controller = new AbortController();
+  const onAbort = () => controller.abort(signal.reason);
+  let timeoutId = null;
+  const timer = {
+    signal: controller.signal,
+    timedOut: false,
+    reset() {
+      clearTimeout(timeoutId);
+      if (timeout > 0) {
+        timeoutId = setTimeout(() => {
+          timer.timedOut = true;
+          controller.abort();
+        }, timeout);
+      }
+    },
+    clear() {
+      clearTimeout(timeoutId);
+      signal?.removeEventListener('abort', onAbort);
+    },
+  };
+  if (signal?.aborted) {
+    onAbort();
+  } else {
+    signal?.addEventListener('abort', onAbort);
+  }
+  timer.reset();
+  return timer;
+}
+
+/**
+ * 判断一个错误是否表示操作被取消，例如用户关闭了文件选择对话框，或者下载被`AbortSignal`
+ * 取消。
+ *
+ * @param {any} error
+ *     待判断的错误。
+ * @param {AbortSignal|null|undefined} signal
+ *     下载请求的取消信号。
+ * @return {boolean}
+ *     若表示操作被取消，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isAbortError(error, signal) {
+  return (signal?.aborted === true) || (error?.name === 'AbortError')
+    || (error?.code === 'ERR_CANCELED');
+}
+
+/**
+ * 使用缓存条目创建一个响应对象。
+ *
+ * @param {object} entry
+ *     响应缓存的条目。
+ * @param {object} config
+ *     请求的配置对象。
+ * @param {object|null} request
+ *     重新验证时发送的请求对象；若直接使用缓存，则为`null`。
+ * @return {object}
+ *     响应对象，其`status`为`200`，`cached`属性为`true`。响应数据尚未被转换，axios 会像处理
+ *     普通响应一样调用`transformResponse`转换。
+ * @private
+ */
+function createCachedResponse(entry, config, request = null) {
+  return {
+    data: entry.data,
+    status: 200,
+    statusText: 'OK',
+    headers: new AxiosHeaders(entry.headers),
+    config,
+    request,
+    cached: true,
+  };
+}
+
+/**
+ * 判断下载请求返回的数据是否为服务器的错误信息。
+ *
+ * 若响应头的`Content-Disposition`表明其为附件，则认为下载的是一个文件，即使其内容是 JSON；
+ * 否则，仅当数据为包含字符串类型的`type`和`code`属性的对象时，才认为其为错误信息。
+ *
+ * @param {object} response
+ *     下载请求的响应对象。
+ * @param {any} data
+ *     解析后的响应数据。
+ * @return {boolean}
+ *     若是服务器的错误信息，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isDownloadErrorInfo(response, data) {
+  const disposition = parseContentDisposition(response.headers?.get?.('Content-Disposition'));
+  if (disposition?.type === 'attachment') {
+    return false;
+  }
+  return (data !== null) && (typeof data === 'object')
+    && isString(data.type) && isString(data.code);
+}
 
 /**
  * 默认的 HTTP 请求头的 Content-Type 键值。
@@ -59,6 +244,15 @@ const DEFAULT_ACCESS_TOKEN_NAME = 'X-Auth-User-Token';
  */
 const DEFAULT_LOGIN_PAGE = 'Login';
 
+/**
+ * 默认的重复错误提示的去重时间窗口，单位为毫秒。
+ *
+ * 在此时间窗口内显示的相同的错误提示将被合并为一个。
+ *
+ * @type {number}
+ */
+const DEFAULT_HTTP_ERROR_DEDUP_WINDOW = 2000;
+
 /**
  * JSON 内容类型的前缀。
  *
@@ -75,6 +269,101 @@ const JSON_CONTENT_TYPE_PREFIX = 'application/json';
  */
 const logger = Logger.getLogger('http');
 
+/**
+ * 记录各个 axios 实例正在进行中的刷新存取令牌操作。
+ *
+ * 键为 axios 实例，值为该实例当前正在进行的刷新操作的`Promise`对象。同一时刻每个 axios
+ * 实例最多只有一个刷新操作在进行，其他因令牌失效而失败的请求将等待该操作完成后再重新发送。
+ *
+ * @type {WeakMap<Axios, Promise>}
+ * @private
+ */
+const refreshingAccessTokens = new WeakMap();
+
+/**
+ * 记录在刷新存取令牌的过程中发送的请求。
+ *
+ * 键为请求的配置对象，值为发送该请求时正在进行的刷新操作的`Promise`对象。这些请求可能是
+ * `http.refreshAccessToken`方法自身发送的，若其因令牌失效而失败时仍等待该刷新操作完成，
+ * 则刷新操作将永远无法完成。
+ *
+ * @type {WeakMap<object, Promise>}
+ * @private
+ */
+const requestsDuringRefresh = new WeakMap();
+
+/**
+ * 各个 axios 实例的载入提示遮盖层管理器。
+ *
+ * @type {WeakMap<Axios, LoadingManager>}
+ * @private
+ */
+const loadingManagers = new WeakMap();
+
+/**
+ * 各个 axios 实例的用户提示状态。
+ *
+ * 每个状态是一个包含以下属性的对象：
+ * - `loginConfirmation: Promise|null`：正在进行中的让用户确认是否重新登录的操作，多个请求
+ *   同时因需要登录而失败时，共享同一个确认对话框及其结果；
+ * - `errorAlerts: Map<string, object>`：最近显示的错误提示，用于合并重复的错误提示，键为
+ *   错误提示的标题和内容，值为一个包含`promise`、`time`和`settled`属性的对象。
+ *
+ * @type {WeakMap<Axios, object>}
+ * @private
+ */
+const promptStates = new WeakMap();
+
+/**
+ * 记录各个请求配置对象在被数据转换器转换之前的原始请求数据。
+ *
+ * axios 在发送请求前会用转换后的数据覆盖`config.data`，重新发送请求时需要使用原始数据，
+ * 以免请求数据被重复序列化。
+ *
+ * @type {WeakMap<object, any>}
+ * @private
+ */
+const originalRequestData = new WeakMap();
+
+/**
+ * 管理预览下载的文件时创建的对象 URL。
+ *
+ * 对象 URL 属于整个页面而非某个 axios 实例，因此所有 axios 实例共享此对象。
+ *
+ * @type {ObjectUrlManager}
+ * @private
+ */
+const previewUrls = new ObjectUrlManager();
+
+/**
+ * 各个 axios 实例的响应缓存。
+ *
+ * @type {WeakMap<Axios, ResponseCache>}
+ * @private
+ */
+const responseCaches = new WeakMap();
+
+/**
+ * 支持的请求缓存模式。
+ *
+ * - `'default'`：使用未过期的缓存；缓存过期后向服务器重新验证，若服务器返回 304 则继续使用
+ *   缓存，否则缓存新的响应；
+ * - `'reload'`：不使用缓存，总是向服务器请求，并缓存新的响应；
+ * - `'no-store'`：既不使用缓存，也不缓存响应。
+ *
+ * @type {string[]}
+ * @private
+ */
+const HTTP_CACHE_MODES = ['default', 'reload', 'no-store'];
+
+/**
+ * 不缓存的响应数据类型。下载文件等二进制或流式的响应数据可能很大，不应缓存在内存中。
+ *
+ * @type {string[]}
+ * @private
+ */
+const UNCACHEABLE_RESPONSE_TYPES = ['blob', 'arraybuffer', 'stream', 'document'];
+
 /**
  * The implementation of the `http` object.
  *
@@ -106,27 +395,39 @@ class HttpImpl {
     logger.debug('HTTP headers before fixing:', cfg.headers);
     // 设置所有HTTP请求头默认的 Content-Type 和 Accept 键值
     const defaultHeaders = {
-      'Content-Type': config.get('http_header_content_type', DEFAULT_HTTP_HEADER_CONTENT_TYPE),
-      'Accept': config.get('http_header_accept', DEFAULT_HTTP_HEADER_ACCEPT),
+      'Content-Type': getHttpConfig(http, 'http_header_content_type', DEFAULT_HTTP_HEADER_CONTENT_TYPE),
+      'Accept': getHttpConfig(http, 'http_header_accept', DEFAULT_HTTP_HEADER_ACCEPT),
     };
-    // 所有 HTTP 请求头默认带上 App Token 键值
-    const appTokenName = config.get('app_token_name', DEFAULT_APP_TOKEN_NAME);
-    const appTokenValue = config.get('app_token_value');
-    if (appTokenValue) {
-      logger.debug('Add App Token to HTTP headers:', appTokenName, '=', appTokenValue);
-      defaultHeaders[appTokenName] = appTokenValue;
-    }
-    // 所有 HTTP 请求头默认带上 Access Token 键值
-    const accessTokenName = config.get('access_token_name', DEFAULT_ACCESS_TOKEN_NAME);
-    if (typeof http.getAccessToken === 'function') {
-      const accessToken = http.getAccessToken();
-      logger.debug('Get the access Token:', accessToken);
-      if (accessToken?.value) {
-        logger.debug('Add Access Token to HTTP headers:', accessTokenName, '=', accessToken.value);
-        defaultHeaders[accessTokenName] = accessToken.value;
+    // 对于 FormData 请求数据，不能设置默认的 Content-Type，须由浏览器设置带 boundary 的 multipart 类型
+    if ((typeof FormData !== 'undefined') && (cfg.data instanceof FormData)) {
+      delete defaultHeaders['Content-Type'];
+    }
+    // 只有发往API服务器或允许的源的请求才带上 App Token 和 Access Token 键值，避免令牌泄露
+    const trusted = isTrustedRequest(
+      cfg,
+      getHttpConfig(http, 'api_base_url'),
+      getHttpConfig(http, 'http_auth_allowed_origins'),
+    );
+    if (trusted) {
+      // 所有 HTTP 请求头默认带上 App Token 键值
+      const appTokenName = getHttpConfig(http, 'app_token_name', DEFAULT_APP_TOKEN_NAME);
+      const appTokenValue = getHttpConfig(http, 'app_token_value');
+      if (appTokenValue) {
+        logger.debug('Add App Token to HTTP headers:', appTokenName, '=', appTokenValue);
+        defaultHeaders[appTokenName] = appTokenValue;
+      }
+      // 所有 HTTP 请求头默认带上 Access Token 键值
+      const accessTokenName = getHttpConfig(http, 'access_token_name', DEFAULT_ACCESS_TOKEN_NAME);
+      if (typeof http.getAccessToken === 'function') {
+        const accessToken = http.getAccessToken();
+        logger.debug('Get the access Token:', accessToken);
+        if (accessToken?.value) {
+          logger.debug('Add Access Token to HTTP headers:', accessTokenName, '=', accessToken.value);
+          defaultHeaders[accessTokenName] = accessToken.value;
+        }
+      } else {
+        logger.warn('未设置`http.getAccessToken`方法，必须调用`http.getAccessToken = function() {...}`进行设置');
       }
-    } else {
-      logger.warn('未设置`http.getAccessToken`方法，必须调用`http.getAccessToken = function() {...}`进行设置');
     }
     // 合并配置对象的请求头和上面设置的默认请求头，使用 AxiosHeaders 避免大小写问题
     const cfgHeaders = new AxiosHeaders(cfg.headers ?? {});    // 注意：cfg.headers 可能为 null 或 undefined
@@ -142,7 +443,11 @@ class HttpImpl {
   }
 
   /**
-   * 修改所有HTTP GET请求的参数，加上当前时间戳和随机数，防止浏览器缓存。
+   * 若启用了防缓存参数，则修改HTTP GET请求的参数，加上当前时间戳和随机数，防止浏览器缓存。
+   *
+   * 防缓存参数会使浏览器和代理服务器的缓存完全失效，并使服务器日志中充满无意义的参数，因此
+   * 默认不启用，可通过`'http_cache_busting'`配置项全局启用，或者通过请求配置的`cacheBusting`
+   * 选项对单个请求启用或禁用。
    *
    * @param {Axios} http
    *     待配置的 axios 对象。
@@ -155,7 +460,8 @@ class HttpImpl {
    */
   @Log
   fixGetRequestParams(http, cfg) {
-    if (cfg.method === 'get') {
+    const cacheBusting = cfg.cacheBusting ?? getHttpConfig(http, 'http_cache_busting', false);
+    if ((cfg.method === 'get') && cacheBusting) {
       logger.debug('HTTP GET parameters before fixing:', cfg.params);
       const params = {
         _t: new Date().getTime(),   // 加上当前时间戳
@@ -195,38 +501,38 @@ class HttpImpl {
     if (typeof http.getRouter !== 'function') {
       throw new Error('未设置`http.getRouter`方法，必须调用`http.getRouter = function() {...}`进行设置');
     }
-    if (!config.has('http_header_content_type')) {
+    if (!hasHttpConfig(http, 'http_header_content_type')) {
       logger.info(`未设置\`http_header_content_type\`配置，将设置为默认值：'${DEFAULT_HTTP_HEADER_CONTENT_TYPE}'.`
         + '可调用`config.set("http_header_content_type", contentType)`进行设置');
       config.set('http_header_content_type', DEFAULT_HTTP_HEADER_CONTENT_TYPE);
     }
-    if (!config.has('http_header_accept')) {
+    if (!hasHttpConfig(http, 'http_header_accept')) {
       logger.info(`未设置\`http_header_accept\`配置，将设置为默认值：'${DEFAULT_HTTP_HEADER_ACCEPT}'.`
         + '可调用`config.set("http_header_accept", accept)`进行设置');
       config.set('http_header_accept', DEFAULT_HTTP_HEADER_ACCEPT);
     }
-    if (!config.has('http_timeout')) {
-      logger.info(`未设置\`http_timeout\`配置，将设置为默认值：${DEFAULT_HTTP_TIMEOUT}.`
+    if (!hasHttpConfig(http, 'http_timeout')) {
+      // 不写入全局配置，以免影响其他 axios 实例；发送请求时使用默认值
+      logger.info(`未设置\`http_timeout\`配置，将使用默认值：${DEFAULT_HTTP_TIMEOUT}.`
         + '可调用`config.set("http_timeout", timeout)`进行设置');
-      config.set('http_timeout', DEFAULT_HTTP_TIMEOUT);
     }
-    if (!config.has('app_token_name')) {
+    if (!hasHttpConfig(http, 'app_token_name')) {
       logger.info(`未设置\`app_token_name\`配置，将设置为默认值：'${DEFAULT_APP_TOKEN_NAME}'.`
         + '可调用`config.set("app_token_name", name)`进行设置');
       config.set('app_token_name', DEFAULT_APP_TOKEN_NAME);
     }
-    if (!config.has('access_token_name')) {
+    if (!hasHttpConfig(http, 'access_token_name')) {
       logger.info(`未设置\`access_token_name\`配置，将设置为默认值：'${DEFAULT_ACCESS_TOKEN_NAME}'.`
         + '可调用`config.set("access_token_name", name)`进行设置');
       config.set('access_token_name', DEFAULT_ACCESS_TOKEN_NAME);
     }
-    if (!config.has('api_base_url')) {
+    if (!hasHttpConfig(http, 'api_base_url')) {
       throw new Error('未设置`api_base_url`配置参数，必须调用`config.set("api_base_url", url)`进行设置');
     }
-    if (!config.has('app_token_value')) {
+    if (!hasHttpConfig(http, 'app_token_value')) {
       throw new Error('未设置`app_token_value`配置参数，必须调用`config.set("app_token_value", value)`进行设置');
     }
-    if (!config.has('login_page')) {
+    if (!hasHttpConfig(http, 'login_page')) {
       logger.info(`未设置\`login_page\`配置，将设置为默认值：'${DEFAULT_LOGIN_PAGE}'.`
         + '可调用`config.set("login_page", loginPage)`进行设置');
       config.set('login_page', DEFAULT_LOGIN_PAGE);
@@ -303,17 +609,237 @@ class HttpImpl {
    */
   @Log
   fixDataTransformers(http, cfg) {
+    if (!originalRequestData.has(cfg)) {
+      originalRequestData.set(cfg, cfg.data);
+    }
+    // 重新发送的请求的配置对象中已经包含了自定义的转换器，需避免重复添加
     cfg.transformRequest = [
       this.transformRequestData,
-      ...(cfg.transformRequest ?? []),
+      ...(cfg.transformRequest ?? []).filter((fn) => fn !== this.transformRequestData),
     ];
     cfg.transformResponse = [
       this.transformResponseData,
-      ...(cfg.transformResponse ?? []),
+      ...(cfg.transformResponse ?? []).filter((fn) => fn !== this.transformResponseData),
     ];
     return cfg;
   }
 
+  /**
+   * 获取指定的 axios 实例的载入提示遮盖层管理器。
+   *
+   * @param {Axios} http
+   *     指定的 axios 对象。
+   * @return {LoadingManager}
+   *     该 axios 对象的载入提示遮盖层管理器。
+   */
+  getLoadingManager(http) {
+    let manager = loadingManagers.get(http);
+    if (!manager) {
+      manager = new LoadingManager(http);
+      loadingManagers.set(http, manager);
+    }
+    return manager;
+  }
+
+  /**
+   * 获取指定的 axios 实例的用户提示状态。
+   *
+   * @param {Axios} http
+   *     指定的 axios 对象。
+   * @return {object}
+   *     该 axios 对象的用户提示状态，包含`loginConfirmation`和`errorAlerts`属性。
+   */
+  getPromptState(http) {
+    let state = promptStates.get(http);
+    if (!state) {
+      state = { loginConfirmation: null, errorAlerts: new Map() };
+      promptStates.set(http, state);
+    }
+    return state;
+  }
+
+  /**
+   * 获取指定的 axios 实例的响应缓存。
+   *
+   * @param {Axios} http
+   *     指定的 axios 对象。
+   * @return {ResponseCache}
+   *     该 axios 对象的响应缓存。
+   */
+  getResponseCache(http) {
+    let cache = responseCaches.get(http);
+    if (!cache) {
+      cache = new ResponseCache(http);
+      responseCaches.set(http, cache);
+    }
+    return cache;
+  }
+
+  /**
+   * 获取请求的缓存模式。
+   *
+   * 请求配置的`cache`选项优先；若未指定，则在`'http_cache'`配置项为`true`时使用`'default'`
+   * 模式，否则使用`'no-store'`模式，即默认不缓存。只有 GET 请求的文本或 JSON 响应会被缓存。
+   *
+   * @param {Axios} http
+   *     指定的 axios 对象。
+   * @param {object} cfg
+   *     请求的配置对象。
+   * @return {string}
+   *     请求的缓存模式，即`'default'`、`'reload'`或`'no-store'`。
+   * @throws {RangeError}
+   *     若请求配置的`cache`选项不是受支持的缓存模式。
+   * @private
+   */
+  getCacheMode(http, cfg) {
+    const mode = cfg.cache ?? (getHttpConfig(http, 'http_cache', false) ? 'default' : 'no-store');
+    if (!HTTP_CACHE_MODES.includes(mode)) {
+      throw new RangeError(`Unsupported cache mode: ${mode}`);
+    }
+    if (((cfg.method ?? 'get').toLowerCase() !== 'get')
+      || UNCACHEABLE_RESPONSE_TYPES.includes(cfg.responseType)) {
+      return 'no-store';
+    }
+    return mode;
+  }
+
+  /**
+   * 为可缓存的请求配置使用响应缓存的适配器。
+   *
+   * 缓存的键由请求的完整URL（包括查询参数）和当前用户的存取令牌组成，因此不同用户的响应不会
+   * 互相混用。缓存的有效时间由请求配置的`cacheTtl`选项或`'http_cache_ttl'`配置项决定，默认为
+   * 60 秒；缓存过期后，若缓存的响应有`ETag`或`Last-Modified`响应头，则以`If-None-Match`或
+   * `If-Modified-Since`请求头向服务器重新验证，服务器返回 304 时继续使用缓存的响应。响应头
+   * `Cache-Control`包含`no-store`的响应不会被缓存，包含`no-cache`的响应每次使用前都须重新
+   * 验证。
+   *
+   * @param {Axios} http
+   *     待配置的 axios 对象。
+   * @param {object} cfg
+   *     axios HTTP请求的配置对象，此函数会修改该配置对象的`adapter`属性。
+   * @return {object}
+   *     修改后的配置对象。
+   * @private
+   */
+  @Log
+  applyResponseCache(http, cfg) {
+    const mode = this.getCacheMode(http, cfg);
+    if (mode === 'no-store') {
+      return cfg;
+    }
+    const cache = this.getResponseCache(http);
+    const accessTokenName = getHttpConfig(http, 'access_token_name', DEFAULT_ACCESS_TOKEN_NAME);
+    const accessToken = new AxiosHeaders(cfg.headers ?? {}).get(accessTokenName) ?? '';
+    const key = `${http.getUri(cfg)} ${accessToken}`;
+    const ttl = cfg.cacheTtl ?? getHttpConfig(http, 'http_cache_ttl', DEFAULT_HTTP_CACHE_TTL);
+    // 重试或重新发送的请求的配置对象中已经包含了缓存适配器，需使用其原始的适配器
+    const adapter = getAdapter(cfg.adapter?.originalAdapter ?? cfg.adapter
+      ?? http.defaults.adapter, cfg);
+    const cachedAdapter = (config) => {
+      const entry = (mode === 'default') ? cache.get(key) : null;
+      if (entry && (entry.expires > Date.now())) {
+        logger.debug('Use the cached response:', key);
+        return Promise.resolve(createCachedResponse(entry, config));
+      }
+      if (entry?.etag) {
+        config.headers.set('If-None-Match', entry.etag);
+      }
+      if (entry?.lastModified) {
+        config.headers.set('If-Modified-Since', entry.lastModified);
+      }
+      const revalidated = (response) => {
+        logger.debug('The cached response is not modified:', key);
+        cache.refresh(entry, response.headers, ttl);
+        return createCachedResponse(entry, config, response.request);
+      };
+      return adapter(config).then((response) => {
+        if (entry && (response.status === 304)) {
+          return revalidated(response);
+        }
+        const cacheControl = new AxiosHeaders(response.headers ?? {}).get('Cache-Control') ?? '';
+        if ((response.status === 200) && !/no-store/i.test(cacheControl)) {
+          cache.set(key, response, /no-cache/i.test(cacheControl) ? 0 : ttl);
+        }
+        return response;
+      }, (error) => {
+        // 默认的 validateStatus 认为 304 响应是失败的
+        if (entry && (error?.response?.status === 304)) {
+          return revalidated(error.response);
+        }
+        return Promise.reject(error);
+      });
+    };
+    cachedAdapter.originalAdapter = adapter;
+    cfg.adapter = cachedAdapter;
+    return cfg;
+  }
+
+  /**
+   * 在请求结束时处理载入提示遮盖层。
+   *
+   * 对于通过`showLoading`选项要求显示遮盖层的请求，由载入提示遮盖层管理器在最后一个这样的
+   * 请求结束时清除遮盖层；对于其他请求，仅当没有正在进行中的、要求显示遮盖层的请求时才清除
+   * 遮盖层，以兼容调用者自行调用`loading.show()`显示遮盖层的用法。
+   *
+   * @param {Axios} http
+   *     待配置的 axios 对象。
+   * @param {object} cfg
+   *     axios HTTP请求的配置对象，可能为`undefined`。
+   * @param {boolean} autoClear
+   *     是否自动清除遮盖层。
+   * @private
+   * @author 胡海星
+   */
+  @Log
+  settleLoading(http, cfg, autoClear) {
+    const manager = this.getLoadingManager(http);
+    if (!manager.end(cfg, autoClear) && autoClear && (manager.count === 0)) {
+      loading.clear();  // 清除载入提示遮盖层
+    }
+  }
+
+  /**
+   * 获取指定的命名配置方案中的配置项。
+   *
+   * 命名配置方案的配置项的键名形如`'http.profiles.<方案名称>.<配置项名称>'`，例如
+   * `'http.profiles.export.timeout'`。
+   *
+   * @param {Axios} http
+   *     指定的 axios 对象。
+   * @param {string|undefined} profile
+   *     配置方案的名称；若未指定，则返回`undefined`。
+   * @param {string} key
+   *     配置项的名称，例如`'timeout'`或`'base_url'`。
+   * @return {any}
+   *     该配置方案中的配置项的值；若未设置，则返回`undefined`。
+   * @private
+   */
+  getProfileConfig(http, profile, key) {
+    if (!profile) {
+      return undefined;
+    }
+    return getHttpConfig(http, `http.profiles.${profile}.${key}`);
+  }
+
+  /**
+   * 获取请求的超时时间。
+   *
+   * 优先使用请求配置中的`timeout`，其次使用请求配置指定的配置方案，最后使用全局配置。
+   *
+   * @param {Axios} http
+   *     发送请求的 axios 对象。
+   * @param {object} cfg
+   *     请求的配置对象。
+   * @return {number}
+   *     请求的超时时间的毫秒数。
+   * @private
+   */
+  getRequestTimeout(http, cfg) {
+    return cfg.timeout
+      ?? this.getProfileConfig(http, cfg.profile, 'timeout')
+      ?? getHttpConfig(http, 'http_timeout', DEFAULT_HTTP_TIMEOUT);
+  }
+
   /**
    * 请求配置拦截器。
    *
@@ -328,11 +854,19 @@ class HttpImpl {
   requestConfigInterceptor(http, cfg) {
     this.validateConfig(http);  // 检查HTTP对象是否配置完整
     logger.debug('Axios request configuration before fixing:', cfg);
-    cfg.baseURL = config.get('api_base_url');
-    cfg.timeout = config.get('http_timeout', DEFAULT_HTTP_TIMEOUT);
+    // 优先使用请求配置中的 baseURL 和 timeout，其次使用请求配置指定的配置方案，最后使用全局配置
+    cfg.baseURL = cfg.baseURL
+      ?? this.getProfileConfig(http, cfg.profile, 'base_url')
+      ?? getHttpConfig(http, 'api_base_url');
+    cfg.timeout = this.getRequestTimeout(http, cfg);
+    if (refreshingAccessTokens.has(http)) {
+      requestsDuringRefresh.set(cfg, refreshingAccessTokens.get(http));
+    }
     this.fixRequestHeader(http, cfg);
+    this.applyResponseCache(http, cfg);
     this.fixGetRequestParams(http, cfg);
     this.fixDataTransformers(http, cfg);
+    this.getLoadingManager(http).begin(cfg);
     logger.debug('Axios request configuration after fixing:', cfg);
     return cfg;
   }
@@ -350,10 +884,8 @@ class HttpImpl {
    */
   @Log
   responseSuccessInterceptor(http, response) {
-    if (!response.config?.noAutoClearLoading) {
-      /* 若 response.config.noAutoClearLoading === false/null/undefined, 则会执行下面代码 */
-      loading.clear();  // 清除载入提示遮盖层
-    }
+    // 若 response.config.noAutoClearLoading === false/null/undefined, 则自动清除载入提示遮盖层
+    this.settleLoading(http, response.config, !response.config?.noAutoClearLoading);
     logger.debug('Request success: response =', response);
     if (response.config?.returnResponse === true) {
       // 如果请求配置中设置了 returnResponse 为 true，则返回响应对象；注意此时
@@ -369,6 +901,10 @@ class HttpImpl {
   /**
    * 让用户确认是否重新登录。
    *
+   * 若该 axios 对象已有一个确认对话框正在显示，则不会再显示新的对话框，而是直接返回正在进行
+   * 中的确认操作的`Promise`对象，从而所有同时因需要登录而失败的请求都将根据用户的同一个选择
+   * 来处理。
+   *
    * @param {Axios} http
    *     待配置的 axios 对象。
    * @return {Promise}
@@ -379,11 +915,16 @@ class HttpImpl {
    */
   @Log
   confirmLogin(http) {
-    return confirm.info(
-      '是否重新登录',
-      '您尚未登录或者已经登出，请选择重新登录，或者选择"放弃"停留在本页面',
-      '重新登录',
-      '放弃',
+    const state = this.getPromptState(http);
+    if (state.loginConfirmation) {
+      logger.debug('A login confirmation is in progress, share its result.');
+      return state.loginConfirmation;
+    }
+    const promise = confirm.info(
+      i18n.t('login.confirm_title'),
+      i18n.t('login.confirm_message'),
+      i18n.t('login.confirm_ok'),
+      i18n.t('login.confirm_cancel'),
     ).then(() => {
       http.resetAccessToken();
       if (typeof http.getRouter !== 'function') {
@@ -394,15 +935,66 @@ class HttpImpl {
       if (typeof router?.push !== 'function') {
         throw new Error('`http.getRouter`方法的返回值不是一个`VueRouter`对象，无法调用`push`方法');
       }
-      const loginPage = config.get('login_page', DEFAULT_LOGIN_PAGE);
+      const loginPage = getHttpConfig(http, 'login_page', DEFAULT_LOGIN_PAGE);
       logger.info('Redirect to user login page:', loginPage);
       return router.push({ name: loginPage });
     });
+    state.loginConfirmation = promise;
+    const clear = () => {
+      if (state.loginConfirmation === promise) {
+        state.loginConfirmation = null;
+      }
+    };
+    promise.then(clear, clear);
+    return promise;
+  }
+
+  /**
+   * 显示错误提示。
+   *
+   * 在配置项`'http_error_dedup_window'`指定的时间窗口（毫秒）内，同一个 axios 对象的相同
+   * 标题和内容的错误提示只会显示一次，重复的调用将共享第一次显示的错误提示的`Promise`对象。
+   *
+   * @param {Axios} http
+   *     显示错误提示的 axios 对象。
+   * @param {string} title
+   *     错误提示的标题。
+   * @param {string} message
+   *     错误提示的内容。
+   * @return {Promise}
+   *     错误提示的`Promise`对象，在用户关闭错误提示后解析成功。
+   * @private
+   * @author 胡海星
+   */
+  @Log
+  showErrorAlert(http, title, message) {
+    const now = Date.now();
+    const dedupWindow = getHttpConfig(http, 'http_error_dedup_window', DEFAULT_HTTP_ERROR_DEDUP_WINDOW);
+    const { errorAlerts } = this.getPromptState(http);
+    for (const [key, entry] of errorAlerts) {
+      if (entry.settled && (now - entry.time > dedupWindow)) {
+        errorAlerts.delete(key);
+      }
+    }
+    const key = `${title}\n${message}`;
+    const existing = errorAlerts.get(key);
+    if (existing) {
+      logger.debug('Skip the duplicated error alert:', message);
+      return existing.promise;
+    }
+    const entry = { time: now, settled: false, promise: null };
+    entry.promise = alert.error(title, message).finally(() => {
+      entry.settled = true;
+    });
+    errorAlerts.set(key, entry);
+    return entry.promise;
   }
 
   /**
    * 处理未知错误。
    *
+   * @param {Axios} http
+   *     发送该请求的 axios 对象。
    * @param {object} error
    *     服务器返回的错误信息对象。
    * @return {Promise}
@@ -411,15 +1003,22 @@ class HttpImpl {
    * @author 胡海星
    */
   @Log
-  handleUnknownError(error) {
-    const line1 = error.message ? `${error.message}：请与管理员联系` : '发生未知错误：请与管理员联系';
-    const line2 = error.params ? `<br><br>错误参数为：${Json.stringify(error.params)}` : '';
-    return alert.error('错误', `${line1}${line2}`).then(() => Promise.reject(error));
+  handleUnknownError(http, error) {
+    const line1 = error.message
+      ? i18n.t('error.contact_admin', { message: error.message })
+      : i18n.t('error.unknown');
+    const line2 = error.params
+      ? `<br><br>${i18n.t('error.params', { params: Json.stringify(error.params) })}`
+      : '';
+    return this.showErrorAlert(http, i18n.t('error.title'), `${line1}${line2}`)
+      .then(() => Promise.reject(error));
   }
 
   /**
    * 处理已知错误。
    *
+   * @param {Axios} http
+   *     发送该请求的 axios 对象。
    * @param {object} error
    *     服务器返回的错误信息对象。
    * @return {Promise}
@@ -428,21 +1027,224 @@ class HttpImpl {
    * @author 胡海星
    */
   @Log
-  handleKnownError(error) {
-    const message = error.message ? `${error.message}` : '发生未知错误：请与管理员联系';
-    return alert.error('错误', message).then(() => Promise.reject(error));
+  handleKnownError(http, error) {
+    const message = error.message ? `${error.message}` : i18n.t('error.unknown');
+    return this.showErrorAlert(http, i18n.t('error.title'), message)
+      .then(() => Promise.reject(error));
+  }
+
+  /**
+   * 复制一个已发送的请求的配置对象，用于重新发送该请求。
+   *
+   * 复制的配置对象使用数据转换器转换之前的原始请求数据。
+   *
+   * @param {object} cfg
+   *     已发送的请求的配置对象。
+   * @return {object}
+   *     复制的配置对象。
+   * @private
+   * @author 胡海星
+   */
+  copyRequestConfig(cfg) {
+    return {
+      ...cfg,
+      data: originalRequestData.has(cfg) ? originalRequestData.get(cfg) : cfg.data,
+    };
+  }
+
+  /**
+   * 刷新当前用户的存取令牌。
+   *
+   * 此函数调用用户设置的`http.refreshAccessToken`方法刷新存取令牌。同一时刻对于同一个
+   * axios 实例最多只会有一个刷新操作在进行，在刷新过程中调用此函数将返回正在进行的刷新操作
+   * 的`Promise`对象。
+   *
+   * @param {Axios} http
+   *     待配置的 axios 对象。
+   * @return {Promise}
+   *     一个Promise对象，表示刷新操作的结果。若刷新成功，则解析成功；否则解析失败。
+   * @private
+   * @author 胡海星
+   */
+  @Log
+  refreshAccessToken(http) {
+    let promise = refreshingAccessTokens.get(http);
+    if (!promise) {
+      logger.info('Refreshing the access token ...');
+      promise = Promise.resolve()
+        .then(() => http.refreshAccessToken())
+        .finally(() => refreshingAccessTokens.delete(http));
+      refreshingAccessTokens.set(http, promise);
+    }
+    return promise;
+  }
+
+  /**
+   * 重新发送一个已失败的请求。
+   *
+   * 重新发送的请求会移除原请求头中的 Access Token，从而在请求拦截器中通过
+   * `http.getAccessToken`重新获取最新的存取令牌。
+   *
+   * @param {Axios} http
+   *     待配置的 axios 对象。
+   * @param {object} cfg
+   *     已失败的请求的配置对象。
+   * @return {Promise}
+   *     重新发送的请求的`Promise`对象。
+   * @private
+   * @author 胡海星
+   */
+  @Log
+  replayRequest(http, cfg) {
+    const headers = new AxiosHeaders(cfg.headers ?? {});
+    headers.delete(getHttpConfig(http, 'access_token_name', DEFAULT_ACCESS_TOKEN_NAME));
+    const replayConfig = {
+      ...this.copyRequestConfig(cfg),
+      headers: headers.toJSON(),
+      tokenRefreshed: true,
+    };
+    logger.info('Replay the request:', cfg.method, cfg.url);
+    return http.request(replayConfig);
+  }
+
+  /**
+   * 处理用户存取令牌无效或过期的错误。
+   *
+   * 如果设置了`http.refreshAccessToken`方法，则先尝试刷新存取令牌，刷新成功后重新发送
+   * 失败的请求；仅当无法刷新或刷新失败时，才让用户确认是否重新登录。
+   *
+   * 在刷新存取令牌的过程中发送的请求（例如`http.refreshAccessToken`方法自身发送的请求）
+   * 若在该刷新操作完成之前失败，则直接以原错误解析失败，而不等待该刷新操作，以免刷新操作
+   * 等待其自身发送的请求而永远无法完成。
+   *
+   * @param {Axios} http
+   *     待配置的 axios 对象。
+   * @param {object} error
+   *     服务器返回的错误信息对象。
+   * @param {object} cfg
+   *     失败的请求的配置对象，可能为`undefined`。
+   * @return {Promise}
+   *     一个Promise对象，若成功刷新令牌，则为重新发送的请求的结果；否则为让用户确认是否
+   *     重新登录的结果。
+   * @private
+   * @author 胡海星
+   */
+  @Log
+  handleUserTokenError(http, error, cfg) {
+    if ((typeof http.refreshAccessToken !== 'function') || !cfg || cfg.tokenRefreshed) {
+      return this.confirmLogin(http);
+    }
+    const refreshing = refreshingAccessTokens.get(http);
+    if (refreshing && (requestsDuringRefresh.get(cfg) === refreshing)) {
+      logger.error('The request sent during the token refresh failed:', cfg.method, cfg.url);
+      return Promise.reject(error);
+    }
+    // 若发送请求之后令牌已被其他请求刷新，则无需再次刷新，直接重新发送请求
+    const accessTokenName = getHttpConfig(http, 'access_token_name', DEFAULT_ACCESS_TOKEN_NAME);
+    const usedToken = new AxiosHeaders(cfg.headers ?? {}).get(accessTokenName);
+    const currentToken = http.getAccessToken?.()?.value;
+    if (usedToken && currentToken && (usedToken !== currentToken)) {
+      logger.info('The access token was refreshed after the request was sent.');
+      return this.replayRequest(http, cfg);
+    }
+    return this.refreshAccessToken(http).then(
+      () => this.replayRequest(http, cfg),
+      (e) => {
+        logger.error('Failed to refresh the access token:', e);
+        return this.confirmLogin(http);
+      },
+    );
+  }
+
+  /**
+   * 处理应用或用户的认证令牌错误。
+   *
+   * 对于应用的令牌错误，显示指定的错误提示；对于用户的令牌错误，尝试刷新存取令牌后重新发送
+   * 请求，或者要求用户重新登录。
+   *
+   * @param {Axios} http
+   *     待配置的 axios 对象。
+   * @param {object} error
+   *     服务器返回的错误信息对象，其`params[0].value`表示令牌的所有者，可以是`'app'`或
+   *     `'user'`。
+   * @param {object} cfg
+   *     失败的请求的配置对象（可选）。
+   * @param {string} appMessageKey
+   *     应用的令牌错误的提示信息在`i18n`中的键。
+   * @return {Promise}
+   *     处理错误的结果。
+   * @private
+   * @author 胡海星
+   */
+  handleTokenError(http, error, cfg, appMessageKey) {
+    const owner = error.params && error.params[0]?.value;
+    if (owner === 'app') {
+      return this.showErrorAlert(http, i18n.t('error.title'), i18n.t(appMessageKey))
+        .then(() => Promise.reject(error));
+    } else if (owner === 'user') {
+      return this.handleUserTokenError(http, error, cfg);
+    } else {
+      return this.handleUnknownError(http, error);
+    }
+  }
+
+  /**
+   * 创建一个新的错误处理器注册表，并注册默认的错误处理器。
+   *
+   * 默认的错误处理器包括：
+   * - `LOGIN_REQUIRED`：询问用户是否愿意重新登录；
+   * - `SESSION_EXPIRED`、`INVALID_TOKEN`：对于应用的会话或令牌，显示错误提示；对于用户的
+   *   会话或令牌，刷新存取令牌后重新发送请求，或者要求用户重新登录；
+   * - `APP_AUTHENTICATION_REQUIRED`：显示错误提示；
+   * - 其他错误：显示服务器返回的错误信息。
+   *
+   * 前四种处理器通过`registerDefault()`注册为内置处理器，排在用户注册的所有处理器之后。
+   *
+   * @return {ErrorHandlerRegistry}
+   *     新创建的错误处理器注册表。
+   */
+  createErrorHandlers() {
+    const registry = new ErrorHandlerRegistry((error, { http }) => (
+      this.handleKnownError(http, error)));
+    registry.registerDefault('LOGIN_REQUIRED', (error, { http }) => this.confirmLogin(http));
+    registry.registerDefault('SESSION_EXPIRED', (error, { http, config: cfg }) => (
+      this.handleTokenError(http, error, cfg, 'error.app_session_expired')));
+    registry.registerDefault('INVALID_TOKEN', (error, { http, config: cfg }) => (
+      this.handleTokenError(http, error, cfg, 'error.app_invalid_token')));
+    registry.registerDefault('APP_AUTHENTICATION_REQUIRED', (error, { http }) => (
+      this.showErrorAlert(http, i18n.t('error.title'), i18n.t('error.app_authentication_required'))
+        .then(() => Promise.reject(error))));
+    return registry;
+  }
+
+  /**
+   * 获取指定的 axios 实例的错误处理器注册表。
+   *
+   * 若该 axios 实例还没有错误处理器注册表，则为其创建一个，并保存在其`errorHandlers`属性中。
+   *
+   * @param {Axios} http
+   *     指定的 axios 对象。
+   * @return {ErrorHandlerRegistry}
+   *     该 axios 对象的错误处理器注册表。
+   */
+  getErrorHandlers(http) {
+    if (!(http.errorHandlers instanceof ErrorHandlerRegistry)) {
+      http.errorHandlers = this.createErrorHandlers();
+    }
+    return http.errorHandlers;
   }
 
   /**
    * 处理请求错误。
    *
-   * 智能处理各种类型的错误，包括认证错误、会话过期、令牌无效等，
-   * 并与 UI 抽象层集成提供用户友好的交互。
+   * 根据错误的类型和代码，调用该 axios 对象的错误处理器注册表中注册的错误处理器处理错误。
    *
    * @param {Axios} http
    *     待配置的 axios 对象。
    * @param {object} error
    *     服务器返回的错误信息对象。
+   * @param {object} cfg
+   *     失败的请求的配置对象（可选），用于刷新存取令牌后重新发送请求。
    * @return {Promise}
    *     一个Promise对象，表示处理错误的结果，如果处理成功，则返回一个resolve的Promise对象，
    *     否则返回一个reject的Promise对象，表示处理失败。
@@ -451,40 +1253,47 @@ class HttpImpl {
    * @author 胡海星
    */
   @Log
-  handleResponseError(http, error) {
+  handleResponseError(http, error, cfg) {
     logger.debug('Handle request error:', error);
-    switch (error.code) {
-      case 'LOGIN_REQUIRED':                // 对于未授权错误，询问用户是否愿意重新登录
-        return this.confirmLogin(http);
-      case 'SESSION_EXPIRED':               // 对于已过期会话，要求用户重新登录
-        if (error.params && error.params[0]?.value === 'app') {
-          return alert.error('错误', '应用会话已过期，请与管理员联系')
-            .then(() => Promise.reject(error));
-        } else if (error.params && error.params[0]?.value === 'user') {
-          return this.confirmLogin(http);
-        } else {
-          return this.handleUnknownError(error);
-        }
-      case 'INVALID_TOKEN':                 // 对于令牌无效会话，要求用户重新登录
-        if (error.params && error.params[0]?.value === 'app') {
-          return alert.error('错误', '应用令牌错误，请与管理员联系')
-            .then(() => Promise.reject(error));
-        } else if (error.params && error.params[0]?.value === 'user') {
-          return this.confirmLogin(http);
-        } else {
-          return this.handleUnknownError(error);
-        }
-      case 'APP_AUTHENTICATION_REQUIRED':
-        return alert.error('错误', '当前应用未认证或令牌已过期，请与管理员联系')
-          .then(() => Promise.reject(error));
-      default:                              // 其他错误代码，默认显示错误消息
-        return this.handleKnownError(error);
-    }
+    return this.getErrorHandlers(http).handle(error, { http, config: cfg });
+  }
+
+  /**
+   * 等待一段时间后重试一个失败的请求。
+   *
+   * @param {Axios} http
+   *     待配置的 axios 对象。
+   * @param {object} error
+   *     axios 请求失败时的错误对象。
+   * @param {RetryPolicy} policy
+   *     该请求的重试策略。
+   * @return {Promise}
+   *     重试的请求的`Promise`对象。
+   * @private
+   * @author 胡海星
+   */
+  @Log
+  retryRequest(http, error, policy) {
+    const cfg = error.config;
+    const retryCount = (cfg.retryCount ?? 0) + 1;
+    const delay = policy.getDelay(error, retryCount);
+    logger.warn('Request failed, retry it (%d/%d) after %d ms:',
+      retryCount, policy.maxAttempts - 1, delay, cfg.method, cfg.url);
+    return new Promise((resolve) => setTimeout(resolve, delay))
+      .then(() => http.request({
+        ...this.copyRequestConfig(cfg),
+        retryCount,
+      }));
   }
 
   /**
    * 响应错误拦截器。
    *
+   * 如果失败的请求根据其重试策略可以重试，则等待一段时间后自动重试，此时不会清除载入提示
+   * 遮盖层，也不会显示错误信息；只有最后一次尝试失败后，才会清除载入提示遮盖层并处理错误。
+   * 被调用者主动取消（例如通过`AbortSignal`）的请求不会显示错误信息，而是直接解析失败并返回
+   * 一个代码为`'CANCELED'`的`ErrorInfo`对象。
+   *
    * @param {Axios} http
    *     待配置的 axios 对象。
    * @param {object} error
@@ -494,15 +1303,64 @@ class HttpImpl {
    */
   @Log
   responseFailInterceptor(http, error) {
+    const policy = RetryPolicy.resolve(error?.config, http);
+    if (policy.shouldRetry(error)) {
+      return this.retryRequest(http, error, policy);
+    }
     // 请求失败时始终清除加载提示遮盖层，无论 noAutoClearLoading 是否设置
-    loading.clear();  // 清除载入提示遮盖层
-    logger.error('Request failed:', error);
+    this.settleLoading(http, error?.config, true);
+    const cfg = error.config;
+    if (error?.code === 'ERR_CANCELED') {
+      // 被调用者主动取消的请求不是错误，不显示错误提示
+      logger.info('Request canceled:', cfg?.method, cfg?.url);
+      return Promise.reject({
+        type: 'NETWORK_ERROR',
+        code: 'CANCELED',
+        message: i18n.t('error.canceled'),
+      });
+    }
+    const responseData = error.response?.data;
+    const isStream = (cfg?.responseType === 'stream')
+      && (responseData !== null) && (typeof responseData === 'object');
+    if ((responseData instanceof Blob) || isStream) {
+      // 响应类型为 blob 或 stream 的请求（如文件下载）的错误信息也是二进制数据，需先解析为 JSON 对象
+      const contentType = error.response.headers?.get?.('Content-Type');
+      return readStreamAsBlob(responseData, contentType ?? '')
+        .then((blob) => parseJsonBlob(blob, contentType), (e) => {
+          logger.error('Failed to read the error response:', e);
+          return null;
+        })
+        .then((data) => {
+          error.response.data = data ?? null;
+          return this.handleFailedResponse(http, error);
+        });
+    }
+    return this.handleFailedResponse(http, error);
+  }
+
+  /**
+   * 处理失败的请求的响应。
+   *
+   * 若响应中带有服务器返回的错误信息，则交由错误处理器处理；否则显示网络错误的提示信息。
+   *
+   * @param {Axios} http
+   *     待配置的 axios 对象。
+   * @param {object} error
+   *     axios 请求失败时的错误对象。
+   * @return {Promise<object>}
+   *     一个reject的Promise对象，表示响应错误；若错误被错误处理器成功处理（例如刷新令牌后
+   *     重新发送了请求），则为该处理的结果。
+   * @private
+   */
+  @Log
+  handleFailedResponse(http, error) {
     const cfg = error.config;
+    logger.error('Request failed:', error);
     if (error.response?.data) {
       if (cfg?.skipAutoErrorHandling) {   // skipAutoErrorHandling 表示跳过自动异常处理
         return Promise.reject(error.response?.data);
       } else {
-        return this.handleResponseError(http, error.response?.data);
+        return this.handleResponseError(http, error.response?.data, cfg);
       }
     } else {
       // 对于没有错误消息的错误，把错误对象JSON格式化后输出。
@@ -511,24 +1369,189 @@ class HttpImpl {
       const errorInfo = {
         type: 'NETWORK_ERROR',
         code: 'UNKNOWN',
-        message: `网络请求发生未知错误: ${message}`,
+        message: i18n.t('error.network', { message }),
       };
       if (cfg?.skipAutoErrorHandling) {   // skipAutoErrorHandling 表示跳过自动异常处理
         return Promise.reject(errorInfo);
       } else {
-        return alert.error('错误', `网络请求发生未知错误: ${message}`)
+        return this.showErrorAlert(http, i18n.t('error.title'), errorInfo.message)
           .then(() => Promise.reject(errorInfo));
       }
     }
   }
 
+  /**
+   * 检查下载请求的响应是否为服务器返回的错误信息。
+   *
+   * 某些接口在出错时仍返回`200`状态码，并以 JSON 格式返回错误信息；由于下载请求的响应类型为
+   * `'blob'`，这样的错误信息会被当作文件内容。此函数将 JSON 类型的响应数据解析出来，若其为
+   * 错误信息，则交由错误处理器处理，而不是将其保存为文件。
+   *
+   * @param {Axios} http
+   *     发送下载请求的 axios 对象。
+   * @param {object} response
+   *     下载请求的响应对象。
+   * @return {Promise<object>}
+   *     若响应不是错误信息，则返回原响应对象；否则返回错误处理的结果，通常是一个reject的
+   *     Promise对象。
+   * @private
+   */
+  @Log
+  checkDownloadResponse(http, response) {
+    const contentType = response.headers?.get?.('Content-Type');
+    return parseJsonBlob(response.data, contentType).then((data) => {
+      if (!isDownloadErrorInfo(response, data)) {
+        return response;
+      }
+      logger.error('The download request returned an error:', data);
+      if (response.config?.skipAutoErrorHandling) {
+        return Promise.reject(data);
+      }
+      return this.handleResponseError(http, data, response.config);
+    });
+  }
+
+  /**
+   * 处理分段下载失败时的错误。
+   *
+   * 分段下载的请求跳过了自动异常处理，以便在网络错误后重试；此函数在最终失败时，以与普通
+   * 请求相同的方式处理错误。
+   *
+   * @param {Axios} http
+   *     发送下载请求的 axios 对象。
+   * @param {object} error
+   *     分段下载失败时的`ErrorInfo`对象。
+   * @param {object} cfg
+   *     下载请求的配置对象。
+   * @return {Promise<object>}
+   *     错误处理的结果，通常是一个reject的Promise对象。
+   * @private
+   */
+  @Log
+  handleDownloadError(http, error, cfg) {
+    if (cfg.skipAutoErrorHandling || !error?.type || (error.code === 'CANCELED')) {
+      return Promise.reject(error);
+    }
+    if (error.type === 'NETWORK_ERROR') {
+      return this.showErrorAlert(http, i18n.t('error.title'), error.message)
+        .then(() => Promise.reject(error));
+    }
+    return this.handleResponseError(http, error, cfg);
+  }
+
+  /**
+   * 以流式的方式下载文件，将响应数据逐块写入下载目标，而不是在内存中生成整个文件。
+   *
+   * 请求失败时的错误与普通的下载请求一样由拦截器处理；JSON 类型且不是附件的响应可能是服务器
+   * 返回的错误信息，会先读入内存检查。写入下载目标失败或被取消时，未写入完整的文件将被放弃。
+   *
+   * 流式下载不限制整个请求的时间，而是在超过请求的超时时间仍未收到响应或新的数据时中止下载，
+   * 并返回一个代码为`'TIMEOUT'`的`ErrorInfo`对象。
+   *
+   * @param {Axios} http
+   *     发送下载请求的 axios 对象。
+   * @param {object} cfg
+   *     下载请求的配置对象。
+   * @param {FileSystemFileHandle|WritableStream|string|Promise} target
+   *     下载目标，或者解析为下载目标的`Promise`对象，详见`resolveDownloadTarget()`函数。
+   * @param {object} options
+   *     包含`mimeType`、`filename`、`filenameTemplate`和`onProgress`属性的对象，其含义与
+   *     `download()`函数的同名参数或选项相同。
+   * @return {Promise<object|ErrorInfo>}
+   *     若下载成功，则解析成功并返回一个对象，包含`blob`（为`null`）、`filename`、`mimeType`、
+   *     `size`（写入的字节数）和`streamed`（为`true`）属性；否则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   * @private
+   */
+  @Log
+  streamDownload(http, cfg, target, options) {
+    const { mimeType, filename, filenameTemplate, onProgress } = options;
+    const canceled = () => Promise.reject({
+      type: 'NETWORK_ERROR',
+      code: 'CANCELED',
+      message: i18n.t('error.canceled'),
+    });
+    const timedOut = () => this.handleDownloadError(http, {
+      type: 'NETWORK_ERROR',
+      code: 'TIMEOUT',
+      message: i18n.t('error.download_timeout'),
+    }, cfg);
+    let resolvedTarget;
+    let timer = null;
+    return Promise.resolve(target).then((value) => {
+      resolvedTarget = value;
+      // 在用户选择了下载目标之后才开始计时
+      timer = createIdleTimer(this.getRequestTimeout(http, cfg), cfg.signal);
+      const streamCfg = { ...cfg, signal: timer.signal };
+      return http.request(createStreamRequestConfig(http, streamCfg, value));
+    }, (error) => {
+      // 用户关闭了文件选择对话框
+      logger.info('The file picker was dismissed:', error);
+      return isAbortError(error, cfg.signal) ? canceled() : Promise.reject(error);
+    }).then((response) => {
+      timer.reset();
+      const headerType = response.headers?.get?.('Content-Type');
+      const disposition = parseContentDisposition(response.headers?.get?.('Content-Disposition'));
+      if (!headerType?.startsWith(JSON_CONTENT_TYPE_PREFIX)
+        || (disposition?.type === 'attachment')) {
+        return response;
+      }
+      // JSON 类型的响应可能是服务器返回的错误信息，需读入内存检查
+      return readStreamAsBlob(response.data, headerType).then((blob) => {
+        response.data = blob;
+        return this.checkDownloadResponse(http, response);
+      });
+    }).catch((error) => {
+      if (timer?.timedOut) {
+        logger.error('The download timed out before the response was received:', cfg.url);
+        return timedOut();
+      }
+      return Promise.reject(error);
+    }).then((response) => {
+      const contentType = getContentTypeFromResponse(response, mimeType)
+        ?? 'application/octet-stream';
+      const name = getFilenameFromResponse(response, filename, contentType, filenameTemplate);
+      const length = parseInt(response.headers?.get?.('Content-Length'), 10);
+      const pipeOptions = {
+        total: Number.isFinite(length) ? length : null,
+        onProgress: (progress) => {
+          timer.reset();
+          onProgress?.(progress);
+        },
+        signal: timer.signal,
+      };
+      return openDownloadSink(resolvedTarget).then(
+        (sink) => pipeToDownloadSink(response.data, sink, pipeOptions),
+      ).then((size) => {
+        logger.info('Streamed %d bytes of the downloaded file:', size, name);
+        return {
+          blob: null,
+          filename: name,
+          mimeType: contentType,
+          size,
+          streamed: true,
+        };
+      }, (error) => {
+        logger.error('Failed to write the downloaded file:', error);
+        if (timer.timedOut) {
+          return timedOut();
+        }
+        if (isAbortError(error, cfg.signal)) {
+          return canceled();
+        }
+        return this.handleDownloadError(http, error, cfg);
+      });
+    }).finally(() => timer?.clear());
+  }
+
   /**
    * 下载指定的文件。
    *
    * 内置文件下载功能，支持自动解析文件名和 MIME 类型，可选择自动下载或返回文件信息。
    *
-   * @param {string} url
-   *    获取待下载文件的URL。函数将通过HTTP GET操作访问该URL。
+   * @param {string|object} url
+   *    获取待下载文件的URL。函数默认通过HTTP GET操作访问该URL。也可以是一个包含全部参数的
+   *    选项对象，此时其余参数被忽略，详见`options`参数的说明。
    * @param {object|null|undefined} params
    *    HTTP请求的参数，其中属性将以查询字符串的形式，自动编码后附加到URL后。默认值为`{}`。
    * @param {string} mimeType
@@ -538,14 +1561,81 @@ class HttpImpl {
    *    的对象，详见返回值说明。
    * @param {string} filename
    *    下载的文件的名称。如不提供则自动从响应头中解析获取，或者使用默认值`downloaded_file`。
+   *    文件名中的路径、控制字符、操作系统不允许的字符以及 Windows 保留的设备名称会被处理，
+   *    过长的文件名会被截断；若文件名没有扩展名，则根据文件的MIME类型自动添加扩展名，例如
+   *    `downloaded_file.pdf`。
    * @param {object} options
-   *    其他选项，如`returnResponse`等。
+   *    其他选项，除以下选项外，其余选项会传递给`axios.request()`函数：
+   *    - `method: string`：HTTP方法，默认值为`'get'`，导出文件等接口可以使用`'post'`或`'put'`；
+   *    - `data: any`：请求体，与其他请求一样使用支持 64 位长整数的 JSON 序列化器序列化；
+   *    - `onProgress: function`：下载进度的回调函数，其参数为一个包含`loaded`、`total`和
+   *      `percent`属性的对象，其中`total`由响应头的`Content-Length`得出，无法获知时
+   *      `total`和`percent`为`null`；
+   *    - `signal: AbortSignal`：用于取消下载的信号。取消后，返回的`Promise`对象将解析失败，
+   *      并返回一个代码为`'CANCELED'`的`ErrorInfo`对象，不会显示错误信息；
+   *    - `resumable: boolean|object`：是否通过 HTTP Range 请求分段下载，默认为`false`。
+   *      分段下载时，网络错误后会从最后一个完成的分段继续下载，并通过`ETag`/`If-Range`检测
+   *      文件在下载过程中是否被修改。可以是一个包含`segmentSize`（分段大小，默认为
+   *      `'http_download_segment_size'`配置项或 4 MiB）和`maxRetries`（每个分段连续重试
+   *      的最大次数，默认为`'http_download_max_retries'`配置项或`5`）属性的对象。只对`GET`
+   *      请求有效；
+   *    - `filenameTemplate: string|function`：文件名模板。字符串中的`{filename}`、`{name}`、
+   *      `{ext}`、`{date}`和`{time}`将分别被替换为文件名、不含扩展名的文件名、扩展名、当前
+   *      日期（`YYYYMMDD`）和当前时间（`HHmmss`），例如`'{name}-{date}.{ext}'`；也可以是
+   *      一个函数，其参数为包含`filename`、`name`、`ext`、`mimeType`和`response`属性的
+   *      对象，返回值为文件名；
+   *    - `responseEncoding: string|object`：响应数据的编码方式，默认为`'binary'`，即响应
+   *      数据就是文件内容。`'base64'`表示响应数据为 base64 编码的文件内容；`'data-url'`表示
+   *      响应数据为 Data URL；`'json-base64'`表示响应数据为 JSON 字符串，也可以是
+   *      `{ type: 'json-base64', field: 'data.content' }`，表示 JSON 对象中指定路径的字段为
+   *      base64 编码的文件内容。此时文件的MIME类型取自`mimeType`参数（或 Data URL），未指定
+   *      时为`application/octet-stream`；数据无法解码时，返回的`Promise`对象将解析失败，
+   *      并返回一个代码为`'INVALID_BASE64'`、`'INVALID_DATA_URL'`或`'INVALID_JSON_BASE64'`
+   *      的`ErrorInfo`对象，而不会将其当作普通文本保存；
+   *    - `integrity: boolean|string|object`：校验下载的文件的完整性。若为`true`，则使用响应头
+   *      `Repr-Digest`、`Digest`（SHA-256 或 SHA-512）或`Content-MD5`中的摘要校验，只对
+   *      `'binary'`编码有效；也可以是期望的摘要，如`'sha256-BASE64'`或
+   *      `{ algorithm: 'SHA-256', hash: '十六进制或 base64 编码的摘要' }`。SHA 摘要使用 Web
+   *      Crypto API 计算。校验失败时不会自动下载文件，返回的`Promise`对象将解析失败，并返回
+   *      一个代码为`'INTEGRITY_MISMATCH'`、`'INTEGRITY_MISSING'`或`'INTEGRITY_UNSUPPORTED'`
+   *      的`ErrorInfo`对象；
+   *    - `stream: boolean|FileSystemFileHandle|WritableStream|string`：以流式的方式下载文件，
+   *      将响应数据逐块写入指定的目标，而不是在内存中生成整个文件，适用于非常大的文件。可以是
+   *      File System Access API 的`FileSystemFileHandle`对象、一个`WritableStream`对象，或者
+   *      在 Node.js 20.16 及以上版本中运行时的文件路径（否则抛出`TypeError`）；若为`true`，
+   *      则调用`window.showSaveFilePicker()`让用户选择保存的位置，此时须在用户操作（如点击）
+   *      的事件处理函数中调用此函数，若浏览器不支持 File System Access API，则仍以`Blob`的
+   *      方式下载。流式下载不限制整个请求的时间，而是在超过超时时间仍未收到新的数据时中止
+   *      下载，并返回一个代码为`'TIMEOUT'`的`ErrorInfo`对象。流式下载不会自动下载文件，也不
+   *      支持`resumable`、`integrity`和非`'binary'`的`responseEncoding`选项；
+   *    - `preview: boolean|string|object`：预览而不是保存下载的文件。`true`或`'window'`表示
+   *      在新窗口（或标签页）中打开文件，该窗口在发送请求之前打开，以免被浏览器拦截，下载失败
+   *      时将被关闭；`'url'`表示只创建文件的对象 URL，供调用者使用，例如作为`<img>`或
+   *      `<iframe>`的`src`。也可以是一个包含`mode`（即`'window'`或`'url'`）、`timeout`（自动
+   *      释放对象 URL 之前的毫秒数；`'window'`方式默认为`'http_preview_timeout'`配置项或
+   *      60 秒，`'url'`方式默认不自动释放）和`signal`（触发时释放对象 URL 的`AbortSignal`，
+   *      例如在组件卸载时触发）属性的对象。预览时不会自动下载文件，文件名和 MIME 类型的解析
+   *      方式不变；不能与`stream`选项同时使用。
+   *
+   *    默认使用名为`'download'`的配置方案，因此可通过`'http.profiles.download.timeout'`
+   *    配置项为文件下载设置单独的默认超时时间，也可通过此参数的`profile`或`timeout`属性覆盖。
+   *
+   *    此函数也可以只传入一个选项对象调用，即`download({ url, method, params, data, mimeType,
+   *    autoDownload, filename, filenameTemplate, onProgress, signal, ... })`，其中`url`以外的
+   *    属性均可省略。
    * @return {Promise<object|ErrorInfo>}
    *    此HTTP请求的`Promise`对象。若操作成功，则解析成功，并返回一个包含下载的文件的信息的
    *    对象，其中包含以下属性：
    *    - `blob: Blob` 下载的文件的二进制数据；
    *    - `filename: string` 下载的文件的名称；
    *    - `mimeType: string` 下载的文件的MIME类型；
+   *    - `hash: object` 校验完整性时计算得到的摘要，包含`algorithm`、`hex`和`base64`属性，
+   *      未指定`integrity`选项时不存在此属性；
+   *
+   *    以流式的方式下载时，`blob`属性为`null`，并包含`size`（写入的字节数）和`streamed`
+   *    （为`true`）属性；指定了`preview`选项时，还包含`preview`属性，其值为一个包含`url`
+   *    （文件的对象 URL）、`window`（显示文件的窗口，可能为`null`）和`release`（释放对象 URL
+   *    的函数）属性的对象；
    *
    *    如果操作失败，则解析失败并返回一个`ErrorInfo`对象。如果操作成功且`autoDownload`
    *    设置为`true`，浏览器会自动开始下载文件。
@@ -553,35 +1643,294 @@ class HttpImpl {
    */
   @Log
   download(url, params = {}, mimeType = null, autoDownload = true, filename = null, options = {}) {
-    return this.get(url, {
+    if (url !== null && typeof url === 'object') {
+      // 以选项对象的形式调用：download({ url, params, mimeType, ... })
+      ({
+        url,
+        params = {},
+        mimeType = null,
+        autoDownload = true,
+        filename = null,
+        ...options
+      } = url);
+    }
+    const {
+      onProgress,
+      method,
+      resumable,
+      filenameTemplate,
+      responseEncoding,
+      integrity,
+      stream,
+      preview: previewOption,
+      ...rest
+    } = options;
+    const encoding = normalizeResponseEncoding(responseEncoding);
+    // 响应头中的摘要是对收到的数据计算的，对于编码后的数据只能校验调用者提供的摘要
+    if ((integrity === true) && (encoding.type !== 'binary')) {
+      throw new RangeError('The digest headers can only verify binary responses.');
+    }
+    if (stream && (resumable || integrity || (encoding.type !== 'binary'))) {
+      throw new RangeError('Streaming downloads do not support the resumable, integrity '
+        + 'or non-binary responseEncoding options.');
+    }
+    const preview = normalizePreviewOption(this, previewOption);
+    if (preview && stream) {
+      throw new RangeError('Streaming downloads cannot be previewed.');
+    }
+    const expectedDigest = (integrity && (integrity !== true))
+      ? parseExpectedDigest(integrity)
+      : null;
+    let accept = mimeType ?? '*/*';
+    if (encoding.type !== 'binary') {
+      // 非二进制编码时，响应的是编码后的数据而非指定 MIME 类型的文件
+      accept = (encoding.type === 'json-base64') ? 'application/json' : '*/*';
+    }
+    const cfg = {
+      url,
+      method: method ?? 'get',
       params,
       returnResponse: true,    // 返回原始的响应对象而非解析后的数据
       responseType: 'blob',
       headers: {
-        Accept: mimeType ?? '*/*',
+        Accept: accept,
       },
-      ...options,
-    }).then((response) => {
-      const contentType = getContentTypeFromResponse(response, mimeType);
-      filename = getFilenameFromResponse(response, filename);
-      // 获取返回的 Blob 数据
-      // 判断返回的数据是否为 base64 编码的数据
-      const blob = parseResponseDataAsBlob(response, contentType);
-      if (autoDownload) {
-        startAutoDownload(blob, filename);
-      }
-      return {
-        blob,
+      profile: 'download',
+      ...rest,
+    };
+    // 必须在发送请求之前同步调用，以便在用户操作的事件处理函数中打开文件选择对话框
+    const target = stream ? resolveDownloadTarget(stream, filename) : null;
+    if (target) {
+      return httpImpl.streamDownload(this, cfg, target, {
+        mimeType,
         filename,
-        mimeType: contentType,
-      };
+        filenameTemplate,
+        onProgress,
+      });
+    }
+    // 在用户操作的事件处理函数中打开预览窗口，以免被浏览器拦截
+    const previewWindow = (preview?.mode === 'window') ? window.open('', '_blank') : null;
+    let promise;
+    if (resumable && (cfg.method.toLowerCase() === 'get')) {
+      const download = new RangeDownload(this, cfg, {
+        ...((typeof resumable === 'object') ? resumable : {}),
+        onProgress,
+      });
+      promise = download.start().catch((error) => httpImpl.handleDownloadError(this, error, cfg));
+    } else {
+      if (resumable) {
+        logger.warn('Resumable downloads only support the GET method:', cfg.method, url);
+      }
+      if (typeof onProgress === 'function') {
+        cfg.onDownloadProgress = toProgressHandler(onProgress);
+      }
+      promise = this.request(cfg);
+    }
+    const result = promise.then(
+      (response) => httpImpl.checkDownloadResponse(this, response),
+    ).then((response) => {
+      // 非二进制编码时，响应头中的 Content-Type 描述的是编码后的数据，不能作为文件的 MIME 类型
+      const contentType = (encoding.type === 'binary')
+        ? getContentTypeFromResponse(response, mimeType)
+        : mimeType;
+      // 按照指定的编码方式将返回的数据解码为 Blob 数据
+      return decodeResponseData(response, contentType, encoding).then((blob) => {
+        if (!integrity) {
+          return { blob };
+        }
+        // 校验失败时不会自动下载文件
+        return verifyIntegrity(blob, response, expectedDigest).then((hash) => ({ blob, hash }));
+      }).then(({ blob, hash }) => {
+        const type = contentType ?? blob.type;
+        filename = getFilenameFromResponse(response, filename, type, filenameTemplate);
+        const info = {
+          blob,
+          filename,
+          mimeType: type,
+          ...(hash ? { hash } : {}),
+        };
+        if (preview) {
+          // 预览时不保存文件
+          info.preview = startPreview(blob, filename, type, preview, previewUrls, previewWindow);
+        } else if (autoDownload) {
+          startAutoDownload(blob, filename);
+        }
+        return info;
+      }, (error) => httpImpl.handleDownloadError(this, error, cfg));
+    });
+    if (!previewWindow) {
+      return result;
+    }
+    return result.catch((error) => {
+      previewWindow.close();
+      return Promise.reject(error);
     });
   }
+
+  /**
+   * 上传文件。
+   *
+   * 以`multipart/form-data`格式上传文件及额外的表单字段，请求头的`Content-Type`由浏览器
+   * 自动设置（包含 boundary），不会被设置为默认的 JSON 类型。
+   *
+   * @param {string} url
+   *    上传文件的URL。
+   * @param {File|Blob|Array<File|Blob>|object} files
+   *    待上传的文件。可以是一个`File`或`Blob`对象，或者它们的数组，此时文件以
+   *    `options.fileField`指定的字段名称（默认为`'file'`）上传；也可以是一个对象，其属性名为
+   *    字段名称，属性值为该字段的文件或文件数组。
+   * @param {object|null|undefined} fields
+   *    额外的表单字段。`null`和`undefined`值将被忽略，数组的每个元素将作为同名字段分别上传，
+   *    对象将被序列化为JSON字符串。默认值为`{}`。
+   * @param {object} options
+   *    其他选项，除以下选项外，其余选项会传递给`axios.request()`函数：
+   *    - `method: string`：HTTP方法，默认值为`'post'`；
+   *    - `fileField: string`：`files`为文件或文件数组时使用的字段名称，默认值为`'file'`；
+   *    - `onProgress: function`：上传进度的回调函数，其参数为一个包含`loaded`、`total`和
+   *      `percent`属性的对象，其中`total`和`percent`在无法获知总大小时为`null`；
+   *    - `signal: AbortSignal`：用于取消上传的信号。取消后，返回的`Promise`对象将解析失败，
+   *      并返回一个代码为`'CANCELED'`的`ErrorInfo`对象，不会显示错误信息。
+   * @return {Promise<any|ErrorInfo>}
+   *    此HTTP请求的`Promise`对象。若操作成功，则解析成功，并返回服务器响应的数据；否则解析
+   *    失败并返回一个`ErrorInfo`对象，错误的处理方式与其他请求相同。
+   * @see {@tutorial http-features}
+   */
+  @Log
+  upload(url, files, fields = {}, options = {}) {
+    const { method, fileField, onProgress, ...rest } = options;
+    const data = buildUploadFormData(files, fields, fileField);
+    const cfg = {
+      url,
+      method: method ?? 'post',
+      data,
+      ...rest,
+    };
+    if (typeof onProgress === 'function') {
+      cfg.onUploadProgress = toProgressHandler(onProgress);
+    }
+    return this.request(cfg);
+  }
+
+  /**
+   * 创建一个可断点续传的分片上传任务。
+   *
+   * 文件被切分为分片后以有限的并发数上传，上传状态保存在`localStorage`中，因此页面刷新后
+   * 对同一文件重新创建的任务只会上传服务器尚未收到的分片。与服务器交互的接口详见
+   * `ResumableUpload`类的说明。
+   *
+   * @param {string} url
+   *    上传接口的URL。
+   * @param {File|Blob} file
+   *    待上传的文件。
+   * @param {object} options
+   *    可选的参数，包括`chunkSize`、`concurrency`、`fields`、`endpoints`、`persist`、
+   *    `storageKey`、`retry`和`onProgress`，详见`ResumableUpload`类的构造函数。
+   * @return {ResumableUpload}
+   *    新创建的上传任务。调用其`start()`方法开始上传并获得表示上传结果的`Promise`对象，
+   *    调用其`pause()`、`resume()`和`cancel()`方法暂停、继续和取消上传。
+   * @see {@tutorial http-features}
+   */
+  @Log
+  uploadResumable(url, file, options = {}) {
+    return new ResumableUpload(this, url, file, options);
+  }
+
+  /**
+   * 批量下载多个文件，将其打包为一个 ZIP 文件后只触发一次下载。
+   *
+   * 浏览器通常会拦截短时间内连续触发的多个下载，因此批量下载的文件在浏览器中被打包为一个
+   * ZIP 文件。单个文件下载失败不会中止整个批量下载。
+   *
+   * @param {Array<string|object>} items
+   *    待下载的文件列表，每个元素可以是文件的URL，也可以是`download()`的选项对象。
+   * @param {object} options
+   *    可选的参数，包括`filename`、`concurrency`、`autoDownload`、`onProgress`和`signal`，
+   *    详见`downloadAll()`函数的说明。
+   * @return {Promise<object|ErrorInfo>}
+   *    若批量下载没有被取消，则解析成功并返回一个包含`blob`、`filename`、`mimeType`、`files`
+   *    和`failures`属性的对象，其中`failures`为下载失败的文件及其错误信息；否则解析失败并
+   *    返回一个代码为`'CANCELED'`的`ErrorInfo`对象。
+   * @see {@tutorial http-features}
+   */
+  @Log
+  downloadAll(items, options = {}) {
+    return downloadAll(this, items, options);
+  }
+
+  /**
+   * 创建一个下载管理器。
+   *
+   * 下载管理器维护一个有并发数限制的下载队列，记录每个任务的状态和进度，支持单独取消和重试
+   * 任务，并在`localStorage`中保存最近的下载历史；任务的变化通过事件通知，以便在任意 UI 框架
+   * 中显示。
+   *
+   * @param {object} options
+   *    可选的参数，包括`concurrency`、`historySize`、`persist`、`storageKey`和`defaults`，
+   *    详见`DownloadManager`类的构造函数。
+   * @return {DownloadManager}
+   *    新创建的下载管理器。
+   * @see {@tutorial http-features}
+   */
+  @Log
+  createDownloadManager(options = {}) {
+    return new DownloadManager(this, options);
+  }
+
+  /**
+   * 运行一个异步导出任务，并在导出完成后下载其结果文件。
+   *
+   * 提交导出任务后，以逐渐增长的间隔时间查询任务的状态（页面被隐藏期间暂停查询），任务完成后
+   * 通过`download()`下载其结果文件。与服务器交互的接口详见`runExportJob()`函数的说明。
+   *
+   * @param {string} url
+   *    提交导出任务的接口的URL。
+   * @param {object} options
+   *    可选的参数，包括`method`、`data`、`params`、`endpoints`、`getJobId`、`parseStatus`、
+   *    `interval`、`maxInterval`、`backoff`、`timeout`、`pauseWhenHidden`、`download`、
+   *    `onProgress`、`signal`和`skipAutoErrorHandling`，详见`runExportJob()`函数的说明。
+   * @return {Promise<object|ErrorInfo>}
+   *    若导出和下载成功，则解析成功并返回`download()`的返回值，并附加`jobId`属性；否则解析
+   *    失败并返回一个`ErrorInfo`对象。导出任务失败或超时时，错误的处理方式与下载失败相同；
+   *    被取消时，会通知服务器取消导出任务，并返回一个代码为`'CANCELED'`的`ErrorInfo`对象。
+   * @see {@tutorial http-features}
+   */
+  @Log
+  runExportJob(url, options = {}) {
+    return runExportJob(this, url, options,
+      (error) => httpImpl.handleDownloadError(this, error, options));
+  }
+
+  /**
+   * 清除响应缓存。
+   *
+   * 缓存的键包含当前用户的存取令牌，但用户注销或数据被修改后，仍建议调用此函数清除缓存的
+   * 响应。
+   *
+   * @return {number}
+   *    被清除的缓存条目的数目。
+   */
+  clearCache() {
+    return httpImpl.getResponseCache(this).clear();
+  }
+
+  /**
+   * 释放所有预览下载的文件时创建的、尚未释放的对象 URL。
+   *
+   * 可在页面路由切换等时机调用；已在窗口中打开的文件通常不受影响，但使用这些对象 URL 的
+   * `<img>`或`<iframe>`等元素将无法再加载文件。
+   *
+   * @return {number}
+   *    释放的对象 URL 的数目。
+   */
+  releasePreviews() {
+    return previewUrls.releaseAll();
+  }
 }
 
 const httpImpl = new HttpImpl();
 
 export {
+  DEFAULT_HTTP_ERROR_DEDUP_WINDOW,
   DEFAULT_HTTP_TIMEOUT,
   DEFAULT_HTTP_HEADER_CONTENT_TYPE,
   DEFAULT_HTTP_HEADER_ACCEPT,
@@ -0,0 +1,107 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 判断一个URL是否为绝对URL（包括省略协议的`//host/path`形式）。
+ *
+ * @param {string} url
+ *     待判断的URL。
+ * @return {boolean}
+ *     若是绝对URL，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isAbsoluteUrl(url) {
+  return /^([a-z][a-z\d+\-.]*:)?\/\//i.test(url);
+}
+
+/**
+ * 获取一个URL的源（origin）。
+ *
+ * 相对URL将相对于当前页面的地址解析。
+ *
+ * @param {string} url
+ *     待解析的URL。
+ * @return {string|null}
+ *     该URL的源，例如`'https://api.example.com'`；若无法解析，则返回`null`。
+ * @private
+ */
+function getOrigin(url) {
+  try {
+    const base = globalThis.location?.href ?? 'http://localhost';
+    const origin = new URL(url, base).origin;
+    return (origin === 'null') ? null : origin;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 按 axios 的规则获取一个请求最终的URL。
+ *
+ * @param {object} cfg
+ *     axios HTTP请求的配置对象。
+ * @param {string|undefined} defaultBaseUrl
+ *     该请求没有设置`baseURL`时使用的基础URL。
+ * @return {string}
+ *     该请求最终的URL。
+ * @private
+ */
+function getRequestUrl(cfg, defaultBaseUrl) {
+  const url = cfg.url ?? '';
+  const baseURL = cfg.baseURL ?? defaultBaseUrl ?? '';
+  if (!baseURL || (isAbsoluteUrl(url) && (cfg.allowAbsoluteUrls !== false))) {
+    return url;
+  }
+  if (!url) {
+    return baseURL;
+  }
+  return `${baseURL.replace(/\/+$/, '')}/${url.replace(/^\/+/, '')}`;
+}
+
+/**
+ * 判断是否可以在一个请求中附带认证令牌。
+ *
+ * 只有当请求最终的URL与API服务器的基础URL同源，或者其源在允许的源列表中时，才可以附带
+ * 认证令牌，从而避免将令牌泄露给第三方服务器（如CDN、地图服务或S3预签名URL）。每次判断
+ * 的结果都会记录在日志中。
+ *
+ * @param {object} cfg
+ *     axios HTTP请求的配置对象。
+ * @param {string|undefined} apiBaseUrl
+ *     API服务器的基础URL，也用作没有设置`baseURL`的请求的基础URL。
+ * @param {string|string[]|undefined} allowedOrigins
+ *     额外允许附带认证令牌的源的列表，可以是数组或以逗号分隔的字符串，例如
+ *     `['https://files.example.com']`。
+ * @return {boolean}
+ *     若可以附带认证令牌，则返回`true`；否则返回`false`。
+ * @author 胡海星
+ */
+function isTrustedRequest(cfg, apiBaseUrl, allowedOrigins) {
+  const url = getRequestUrl(cfg, apiBaseUrl);
+  const origin = getOrigin(url);
+  if (!origin) {
+    logger.warn('Cannot resolve the origin of the request URL, do not attach the tokens:', url);
+    return false;
+  }
+  const list = (typeof allowedOrigins === 'string') ? allowedOrigins.split(',') : (allowedOrigins ?? []);
+  const trustedOrigins = [apiBaseUrl, ...list]
+    .filter((o) => (typeof o === 'string') && o.trim())
+    .map((o) => getOrigin(o.trim()));
+  if (trustedOrigins.includes(origin)) {
+    logger.debug('Attach the tokens to the request to the trusted origin:', origin);
+    return true;
+  }
+  logger.info('Do not attach the tokens to the request to the untrusted origin:', origin);
+  return false;
+}
+
+export default isTrustedRequest;
@@ -0,0 +1,180 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+import { loading } from '@qubit-ltd/common-ui';
+import i18n from '../i18n';
+import { getHttpConfig } from './http-config';
+
+/**
+ * 默认的显示载入提示遮盖层之前的延迟时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_HTTP_LOADING_DELAY = 0;
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 管理 HTTP 请求的载入提示遮盖层。
+ *
+ * 此对象对正在进行中的、要求显示载入提示遮盖层的请求进行引用计数：第一个这样的请求开始时，
+ * 在延迟配置项`'http_loading_delay'`指定的毫秒数之后显示遮盖层；最后一个这样的请求结束时，
+ * 清除遮盖层。如果所有请求在延迟时间内都已结束，则不会显示遮盖层。
+ *
+ * 请求通过请求配置中的`showLoading`选项要求显示遮盖层，其值可以是`true`，或者一个字符串，
+ * 表示遮盖层的提示信息。请求配置中的`loadingTicket`属性记录了该请求的计数状态，该请求被
+ * 重试或重新发送时，复制的配置对象共享此属性，从而保证每个请求只被计数一次。
+ *
+ * @author 胡海星
+ */
+class LoadingManager {
+  /**
+   * 此对象所属的 axios 实例，用于读取其配置项。
+   *
+   * @type {Axios|null}
+   * @private
+   */
+  http = null;
+
+  /**
+   * 正在进行中的、要求显示载入提示遮盖层的请求数目。
+   *
+   * @type {number}
+   */
+  count = 0;
+
+  /**
+   * 载入提示遮盖层是否正在显示。
+   *
+   * @type {boolean}
+   */
+  shown = false;
+
+  /**
+   * 延迟显示载入提示遮盖层的定时器。
+   *
+   * @type {number|null}
+   * @private
+   */
+  timer = null;
+
+  /**
+   * 创建一个新的`LoadingManager`对象。
+   *
+   * @param {Axios|null} http
+   *     此对象所属的 axios 实例；若为`null`，则只使用全局配置。
+   */
+  constructor(http = null) {
+    this.http = http;
+  }
+
+  /**
+   * 在请求开始时调用。
+   *
+   * @param {object} cfg
+   *     axios HTTP请求的配置对象。
+   */
+  begin(cfg) {
+    if (!cfg?.showLoading) {
+      return;
+    }
+    if (!cfg.loadingTicket) {
+      cfg.loadingTicket = { active: false };
+    }
+    if (cfg.loadingTicket.active) {
+      return;                   // 重试或重新发送的请求已经被计数
+    }
+    cfg.loadingTicket.active = true;
+    ++this.count;
+    logger.debug('Begin a request with loading overlay, count =', this.count);
+    if ((this.count === 1) && !this.shown && !this.timer) {
+      const message = (typeof cfg.showLoading === 'string')
+        ? cfg.showLoading
+        : (getHttpConfig(this.http, 'http_loading_message') ?? i18n.t('loading.message'));
+      const delay = getHttpConfig(this.http, 'http_loading_delay', DEFAULT_HTTP_LOADING_DELAY);
+      if (delay > 0) {
+        this.timer = setTimeout(() => {
+          this.timer = null;
+          this.show(message);
+        }, delay);
+      } else {
+        this.show(message);
+      }
+    }
+  }
+
+  /**
+   * 在请求结束时调用。
+   *
+   * @param {object} cfg
+   *     axios HTTP请求的配置对象。
+   * @param {boolean} autoClear
+   *     当此请求是最后一个结束的请求时，是否清除载入提示遮盖层。若为`false`，则遮盖层将
+   *     保持显示，需由调用者自行调用`loading.clear()`清除。
+   * @return {boolean}
+   *     若此请求被计数，则返回`true`；否则返回`false`。
+   */
+  end(cfg, autoClear = true) {
+    const ticket = cfg?.loadingTicket;
+    if (!ticket) {
+      return false;
+    }
+    if (ticket.active) {
+      ticket.active = false;
+      --this.count;
+      logger.debug('End a request with loading overlay, count =', this.count);
+      if (this.count === 0) {
+        if (this.timer) {
+          clearTimeout(this.timer);
+          this.timer = null;
+        }
+        if (this.shown) {
+          this.shown = false;
+          if (autoClear) {
+            loading.clear();
+          }
+        }
+      }
+    }
+    return true;
+  }
+
+  /**
+   * 显示载入提示遮盖层。
+   *
+   * @param {string} message
+   *     提示信息。
+   * @private
+   */
+  show(message) {
+    this.shown = true;
+    loading.show(message);
+  }
+
+  /**
+   * 重置此对象的状态，并清除正在显示的载入提示遮盖层。
+   */
+  reset() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.shown) {
+      loading.clear();
+    }
+    this.shown = false;
+    this.count = 0;
+  }
+}
+
+export {
+  DEFAULT_HTTP_LOADING_DELAY,
+};
+
+export default LoadingManager;
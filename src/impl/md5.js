@@ -0,0 +1,93 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 每一轮运算的循环左移位数。
+ *
+ * @type {number[]}
+ * @private
+ */
+const SHIFTS = [
+  7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22, 7, 12, 17, 22,
+  5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20, 5, 9, 14, 20,
+  4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23, 4, 11, 16, 23,
+  6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21, 6, 10, 15, 21,
+];
+
+/**
+ * 每一轮运算的常数，即`floor(abs(sin(i + 1)) * 2^32)`。
+ *
+ * @type {number[]}
+ * @private
+ */
+const CONSTANTS = Array.from({ length: 64 },
+  (_, i) => Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000) >>> 0);
+
+/**
+ * 计算数据的 MD5 摘要。
+ *
+ * Web Crypto API 不支持 MD5 算法，而`Content-MD5`响应头使用的正是 MD5 摘要，因此需要自行
+ * 实现。MD5 已不再安全，只应用于校验数据在传输过程中是否损坏。
+ *
+ * @param {Uint8Array} bytes
+ *     待计算摘要的数据。
+ * @return {Uint8Array}
+ *     16 个字节的 MD5 摘要。
+ * @author 胡海星
+ */
+function md5(bytes) {
+  const length = bytes.length;
+  const padded = new Uint8Array((((length + 8) >>> 6) + 1) << 6);
+  padded.set(bytes);
+  padded[length] = 0x80;
+  const view = new DataView(padded.buffer);
+  // 以小端序在末尾写入数据的比特数（64 位）
+  view.setUint32(padded.length - 8, (length << 3) >>> 0, true);
+  view.setUint32(padded.length - 4, Math.floor(length / 0x20000000), true);
+  const state = [0x67452301, 0xefcdab89, 0x98badcfe, 0x10325476];
+  const words = new Uint32Array(16);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; ++i) {
+      words[i] = view.getUint32(offset + i * 4, true);
+    }
+    let [a, b, c, d] = state;
+    for (let i = 0; i < 64; ++i) {
+      let f;
+      let g;
+      if (i < 16) {
+        f = (b & c) | (~b & d);
+        g = i;
+      } else if (i < 32) {
+        f = (d & b) | (~d & c);
+        g = (5 * i + 1) % 16;
+      } else if (i < 48) {
+        f = b ^ c ^ d;
+        g = (3 * i + 5) % 16;
+      } else {
+        f = c ^ (b | ~d);
+        g = (7 * i) % 16;
+      }
+      const x = (a + f + CONSTANTS[i] + words[g]) >>> 0;
+      a = d;
+      d = c;
+      c = b;
+      b = (b + ((x << SHIFTS[i]) | (x >>> (32 - SHIFTS[i])))) >>> 0;
+    }
+    state[0] = (state[0] + a) >>> 0;
+    state[1] = (state[1] + b) >>> 0;
+    state[2] = (state[2] + c) >>> 0;
+    state[3] = (state[3] + d) >>> 0;
+  }
+  const result = new Uint8Array(16);
+  const resultView = new DataView(result.buffer);
+  state.forEach((value, i) => resultView.setUint32(i * 4, value, true));
+  return result;
+}
+
+export default md5;
@@ -0,0 +1,199 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+
+/**
+ * 默认的语言区域。
+ *
+ * @type {string}
+ */
+const DEFAULT_LOCALE = 'zh-CN';
+
+const logger = Logger.getLogger('i18n');
+
+/**
+ * 规范化语言区域的名称，例如将`'en_us'`规范化为`'en-US'`。
+ *
+ * @param {string} locale
+ *     语言区域的名称。
+ * @return {string}
+ *     规范化后的名称。
+ * @private
+ */
+function normalizeLocale(locale) {
+  const [language, ...rest] = String(locale).replace(/_/g, '-').split('-');
+  return [language.toLowerCase(), ...rest.map((s) => s.toUpperCase())].join('-');
+}
+
+/**
+ * 将提示信息中形如`{name}`的占位符替换为参数值。
+ *
+ * @param {string} message
+ *     提示信息的模板。
+ * @param {object} params
+ *     参数值。
+ * @return {string}
+ *     替换后的提示信息。
+ * @private
+ */
+function interpolate(message, params) {
+  if (!params) {
+    return message;
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => (
+    Object.prototype.hasOwnProperty.call(params, name) ? String(params[name]) : match
+  ));
+}
+
+/**
+ * 多语言提示信息的目录。
+ *
+ * 每种语言区域的提示信息由内置的提示信息和应用覆盖的提示信息组成，应用覆盖的优先。查找
+ * 提示信息时，依次查找当前语言区域（如`'en-GB'`）、同一语言的其他区域（如`'en-US'`）以及
+ * 默认语言区域`'zh-CN'`，若均未找到，则返回提示信息的键本身。
+ *
+ * 提示信息在每次使用时查找，因此切换语言区域后立即生效。
+ *
+ * @author 胡海星
+ */
+class MessageCatalog {
+  /**
+   * 当前的语言区域。
+   *
+   * @type {string}
+   * @private
+   */
+  currentLocale = DEFAULT_LOCALE;
+
+  /**
+   * 内置的提示信息，键为语言区域，值为提示信息对象。
+   *
+   * @type {Map<string, object>}
+   * @private
+   */
+  bundles = new Map();
+
+  /**
+   * 应用覆盖的提示信息，键为语言区域，值为提示信息对象。
+   *
+   * @type {Map<string, object>}
+   * @private
+   */
+  overrides = new Map();
+
+  /**
+   * 获取当前的语言区域。
+   *
+   * @return {string}
+   *     当前的语言区域。
+   */
+  getLocale() {
+    return this.currentLocale;
+  }
+
+  /**
+   * 设置当前的语言区域。
+   *
+   * @param {string} locale
+   *     新的语言区域，例如`'en-US'`。
+   */
+  setLocale(locale) {
+    if (!locale) {
+      throw new TypeError('The locale must be a non-empty string.');
+    }
+    this.currentLocale = normalizeLocale(locale);
+    logger.debug('Set the current locale to:', this.currentLocale);
+  }
+
+  /**
+   * 获取所有已注册提示信息的语言区域。
+   *
+   * @return {string[]}
+   *     所有已注册提示信息的语言区域。
+   */
+  getLocales() {
+    return [...new Set([...this.bundles.keys(), ...this.overrides.keys()])];
+  }
+
+  /**
+   * 注册一种语言区域的内置提示信息。
+   *
+   * @param {string} locale
+   *     语言区域。
+   * @param {object} messages
+   *     该语言区域的提示信息，键为提示信息的键，值为提示信息的模板。
+   */
+  register(locale, messages) {
+    const key = normalizeLocale(locale);
+    this.bundles.set(key, { ...this.bundles.get(key), ...messages });
+  }
+
+  /**
+   * 覆盖指定语言区域的部分提示信息。
+   *
+   * @param {string} locale
+   *     语言区域。
+   * @param {object} messages
+   *     用于覆盖的提示信息，键为提示信息的键，值为提示信息的模板。
+   */
+  override(locale, messages) {
+    const key = normalizeLocale(locale);
+    this.overrides.set(key, { ...this.overrides.get(key), ...messages });
+  }
+
+  /**
+   * 清除应用覆盖的提示信息，并恢复默认的语言区域。
+   */
+  reset() {
+    this.overrides.clear();
+    this.currentLocale = DEFAULT_LOCALE;
+  }
+
+  /**
+   * 获取查找提示信息时依次查找的语言区域。
+   *
+   * @return {string[]}
+   *     依次查找的语言区域。
+   * @private
+   */
+  getCandidateLocales() {
+    const locale = this.currentLocale;
+    const language = locale.split('-')[0];
+    const sameLanguage = this.getLocales()
+      .filter((l) => (l !== locale) && (l.split('-')[0] === language));
+    return [...new Set([locale, ...sameLanguage, DEFAULT_LOCALE])];
+  }
+
+  /**
+   * 获取当前语言区域下的提示信息。
+   *
+   * @param {string} key
+   *     提示信息的键。
+   * @param {object} params
+   *     可选的参数，用于替换提示信息模板中形如`{name}`的占位符。
+   * @return {string}
+   *     当前语言区域下的提示信息；若未找到，则返回`key`本身。
+   */
+  t(key, params = undefined) {
+    for (const locale of this.getCandidateLocales()) {
+      const message = this.overrides.get(locale)?.[key] ?? this.bundles.get(locale)?.[key];
+      if (message !== undefined) {
+        return interpolate(message, params);
+      }
+    }
+    logger.warn('No message found for the key:', key);
+    return key;
+  }
+}
+
+export {
+  DEFAULT_LOCALE,
+};
+
+export default MessageCatalog;
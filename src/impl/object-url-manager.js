@@ -0,0 +1,137 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 管理预览下载的文件时创建的对象 URL（`blob:`URL）。
+ *
+ * 对象 URL 会一直占用其`Blob`对象的内存，直到被`URL.revokeObjectURL()`释放或页面被卸载。
+ * 此对象记录所有通过它创建的对象 URL，并在以下任一情况发生时释放：
+ * - 调用者调用了返回的句柄的`release()`方法，或者此对象的`release()`、`releaseAll()`方法；
+ * - 创建时指定的超时时间已到；
+ * - 创建时指定的`AbortSignal`被触发，例如在组件卸载时触发，从而将对象 URL 的生命周期与
+ *   组件的生命周期绑定；
+ * - 页面触发了`pagehide`事件。
+ *
+ * @author 胡海星
+ */
+class ObjectUrlManager {
+  /**
+   * 尚未释放的对象 URL，键为对象 URL，值为释放该对象 URL 的函数。
+   *
+   * @type {Map<string, function>}
+   * @private
+   */
+  entries = new Map();
+
+  /**
+   * 是否已监听页面的`pagehide`事件。
+   *
+   * @type {boolean}
+   * @private
+   */
+  listening = false;
+
+  /**
+   * 尚未释放的对象 URL 的数目。
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 为指定的`Blob`对象创建一个受管理的对象 URL。
+   *
+   * @param {Blob} blob
+   *     `Blob`对象。
+   * @param {object} options
+   *     可选的参数，包括：
+   *     - `timeout: number`：自动释放对象 URL 之前的毫秒数，默认为`0`，即不自动释放；
+   *     - `signal: AbortSignal`：触发时释放对象 URL 的信号。
+   * @return {object}
+   *     一个包含`url`属性和`release()`方法的句柄。`release()`方法可以被多次调用，只有第一次
+   *     调用会释放对象 URL。
+   */
+  create(blob, options = {}) {
+    const { timeout = 0, signal = null } = options;
+    const url = window.URL.createObjectURL(blob);
+    let timer = null;
+    const onAbort = () => this.release(url);
+    const revoke = () => {
+      if (timer) {
+        clearTimeout(timer);
+      }
+      signal?.removeEventListener?.('abort', onAbort);
+      window.URL.revokeObjectURL(url);
+      logger.debug('Released the object URL:', url);
+    };
+    this.entries.set(url, revoke);
+    this.listen();
+    if (timeout > 0) {
+      timer = setTimeout(onAbort, timeout);
+    }
+    if (signal?.aborted) {
+      this.release(url);
+    } else {
+      signal?.addEventListener?.('abort', onAbort, { once: true });
+    }
+    return {
+      url,
+      release: () => this.release(url),
+    };
+  }
+
+  /**
+   * 释放指定的对象 URL。
+   *
+   * @param {string} url
+   *     待释放的对象 URL。
+   * @return {boolean}
+   *     若该对象 URL 由此对象管理且尚未释放，则返回`true`；否则返回`false`。
+   */
+  release(url) {
+    const revoke = this.entries.get(url);
+    if (!revoke) {
+      return false;
+    }
+    this.entries.delete(url);
+    revoke();
+    return true;
+  }
+
+  /**
+   * 释放所有尚未释放的对象 URL。
+   *
+   * @return {number}
+   *     释放的对象 URL 的数目。
+   */
+  releaseAll() {
+    const urls = [...this.entries.keys()];
+    urls.forEach((url) => this.release(url));
+    return urls.length;
+  }
+
+  /**
+   * 监听页面的`pagehide`事件，在页面被卸载或进入往返缓存时释放所有对象 URL。
+   *
+   * @private
+   */
+  listen() {
+    if (!this.listening && (typeof window.addEventListener === 'function')) {
+      this.listening = true;
+      window.addEventListener('pagehide', () => this.releaseAll());
+    }
+  }
+}
+
+export default ObjectUrlManager;
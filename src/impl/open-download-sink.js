@@ -0,0 +1,193 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 获取 Node.js 的`fs`模块。
+ *
+ * 使用`process.getBuiltinModule()`（Node.js 20.16 及以上版本）获取，以免打包工具在浏览器
+ * 环境中处理对`fs`模块的引用。
+ *
+ * @return {object|null}
+ *     Node.js 的`fs`模块；若当前不是在 Node.js 环境中运行，或者 Node.js 的版本低于 20.16，
+ *     则返回`null`。
+ */
+function getNodeFs() {
+  return globalThis.process?.getBuiltinModule?.('fs') ?? null;
+}
+
+/**
+ * 判断指定的对象是否为 File System Access API 的`FileSystemFileHandle`对象。
+ *
+ * @param {any} target
+ *     待判断的对象。
+ * @return {boolean}
+ *     若是`FileSystemFileHandle`对象，则返回`true`；否则返回`false`。
+ */
+function isFileHandle(target) {
+  return (target !== null) && (typeof target === 'object')
+    && (typeof target.createWritable === 'function');
+}
+
+/**
+ * 判断指定的对象是否为`WritableStream`对象。
+ *
+ * @param {any} target
+ *     待判断的对象。
+ * @return {boolean}
+ *     若是`WritableStream`对象，则返回`true`；否则返回`false`。
+ */
+function isWritableStream(target) {
+  return (target !== null) && (typeof target === 'object')
+    && (typeof target.getWriter === 'function');
+}
+
+/**
+ * 解析下载的`stream`选项，得到下载目标。
+ *
+ * 若`stream`为`true`，则调用`window.showSaveFilePicker()`让用户选择保存文件的位置；此函数
+ * 必须在发送请求之前同步调用，因为浏览器只允许在用户操作（如点击）的事件处理函数中打开文件
+ * 选择对话框。
+ *
+ * @param {boolean|FileSystemFileHandle|WritableStream|string} stream
+ *     下载的`stream`选项。
+ * @param {string|null} suggestedName
+ *     建议的文件名，用于文件选择对话框。
+ * @return {FileSystemFileHandle|WritableStream|string|Promise|null}
+ *     下载目标，或者解析为`FileSystemFileHandle`对象的`Promise`对象；若当前环境不支持文件
+ *     选择对话框，则返回`null`，此时应使用`Blob`的方式下载。
+ * @throws {TypeError}
+ *     若`stream`不是受支持的下载目标，或者`stream`为文件路径但无法获取 Node.js 的`fs`
+ *     模块（即不是在 Node.js 20.16 及以上版本中运行）。
+ */
+function resolveDownloadTarget(stream, suggestedName = null) {
+  if (stream === true) {
+    if (typeof globalThis.window?.showSaveFilePicker === 'function') {
+      return window.showSaveFilePicker(suggestedName ? { suggestedName } : {});
+    }
+    logger.info('The File System Access API is not supported, download the file as a Blob.');
+    return null;
+  }
+  if (typeof stream === 'string') {
+    if (getNodeFs()) {
+      return stream;
+    }
+    // 文件路径无法以 Blob 的方式保存，不能静默地改为下载到浏览器
+    throw new TypeError(`Saving to a file path requires Node.js 20.16 or later: ${stream}`);
+  }
+  if (isFileHandle(stream) || isWritableStream(stream)) {
+    return stream;
+  }
+  throw new TypeError(`Unsupported download sink: ${stream}`);
+}
+
+/**
+ * 将`WritableStream`对象包装为下载目标。
+ *
+ * @param {string} kind
+ *     下载目标的种类。
+ * @param {WritableStream} stream
+ *     待包装的`WritableStream`对象。
+ * @return {object}
+ *     下载目标对象。
+ * @private
+ */
+function fromWritableStream(kind, stream) {
+  const writer = stream.getWriter();
+  return {
+    kind,
+    write: async (chunk) => {
+      await writer.ready;
+      await writer.write(chunk);
+    },
+    close: () => writer.close(),
+    abort: (reason) => writer.abort(reason),
+  };
+}
+
+/**
+ * 将 Node.js 的文件路径包装为下载目标。
+ *
+ * @param {object} fs
+ *     Node.js 的`fs`模块。
+ * @param {string} path
+ *     文件路径。
+ * @return {object}
+ *     下载目标对象。
+ * @private
+ */
+function fromNodeFile(fs, path) {
+  const out = fs.createWriteStream(path);
+  let failure = null;
+  out.on('error', (error) => {
+    failure = error;
+  });
+  return {
+    kind: 'file',
+    write: (chunk) => new Promise((resolve, reject) => {
+      out.write(chunk, (error) => (error ? reject(error) : resolve()));
+    }),
+    close: () => new Promise((resolve, reject) => {
+      if (failure) {
+        reject(failure);
+        return;
+      }
+      out.once('error', reject);
+      out.end(resolve);
+    }),
+    abort: () => new Promise((resolve) => {
+      out.destroy();
+      // 删除未下载完整的文件
+      fs.unlink(path, () => resolve());
+    }),
+  };
+}
+
+/**
+ * 打开一个用于写入下载的文件内容的目标。
+ *
+ * @param {FileSystemFileHandle|WritableStream|string} target
+ *     下载的目标，可以是 File System Access API 的`FileSystemFileHandle`对象（例如
+ *     `window.showSaveFilePicker()`的返回值）、一个`WritableStream`对象，或者在 Node.js
+ *     环境中运行时的文件路径。
+ * @return {Promise<object>}
+ *     打开的下载目标，包含以下属性：
+ *     - `kind: string`：下载目标的种类，即`'file-system'`、`'stream'`或`'file'`；
+ *     - `write: function`：写入一个数据块（`Uint8Array`），返回一个`Promise`对象；
+ *     - `close: function`：完成写入，返回一个`Promise`对象；
+ *     - `abort: function`：放弃写入，返回一个`Promise`对象。对于文件路径，未下载完整的
+ *       文件将被删除。
+ * @throws {TypeError}
+ *     若`target`不是受支持的下载目标，或者在非 Node.js 环境中指定了文件路径。
+ * @author 胡海星
+ */
+async function openDownloadSink(target) {
+  if (isFileHandle(target)) {
+    return fromWritableStream('file-system', await target.createWritable());
+  }
+  if (isWritableStream(target)) {
+    return fromWritableStream('stream', target);
+  }
+  const fs = getNodeFs();
+  if ((typeof target === 'string') && fs) {
+    return fromNodeFile(fs, target);
+  }
+  throw new TypeError(`Unsupported download sink: ${target}`);
+}
+
+export {
+  getNodeFs,
+  isFileHandle,
+  isWritableStream,
+  resolveDownloadTarget,
+};
+
+export default openDownloadSink;
@@ -0,0 +1,198 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 解码百分号编码的 UTF-8 字符串。
+ *
+ * 格式错误的百分号编码（例如不完整的多字节序列）将原样保留，而不是抛出异常。
+ *
+ * @param {string} value
+ *     百分号编码的字符串。
+ * @return {string}
+ *     解码后的字符串。
+ * @private
+ */
+function decodeUtf8Percent(value) {
+  try {
+    return decodeURIComponent(value);
+  } catch (e) {
+    // 逐段解码，每次解码尽可能长的合法字节序列，无法解码的字节原样保留
+    return value.replace(/(%[0-9A-Fa-f]{2})+/g, (run) => {
+      const bytes = run.match(/%[0-9A-Fa-f]{2}/g);
+      let result = '';
+      let i = 0;
+      while (i < bytes.length) {
+        let j = bytes.length;
+        for (; j > i; --j) {
+          try {
+            result += decodeURIComponent(bytes.slice(i, j).join(''));
+            break;
+          } catch (err) {
+            // 继续尝试更短的字节序列
+          }
+        }
+        if (j === i) {
+          result += bytes[i];
+          j = i + 1;
+        }
+        i = j;
+      }
+      return result;
+    });
+  }
+}
+
+/**
+ * 解码百分号编码的 ISO-8859-1 字符串。
+ *
+ * @param {string} value
+ *     百分号编码的字符串。
+ * @return {string}
+ *     解码后的字符串。
+ * @private
+ */
+function decodeLatin1Percent(value) {
+  return value.replace(/%([0-9A-Fa-f]{2})/g, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+}
+
+/**
+ * 解码 RFC 5987 定义的扩展参数值，即形如`charset'language'value`的值，其中`value`为
+ * 百分号编码的字符串。
+ *
+ * 支持`UTF-8`和`ISO-8859-1`字符集，其他字符集按`UTF-8`解码；语言标签被忽略。若值不符合
+ * 上述格式，则直接按`UTF-8`解码整个值。
+ *
+ * @param {string} value
+ *     扩展参数值。
+ * @return {string}
+ *     解码后的值。
+ * @private
+ */
+function decodeExtValue(value) {
+  const match = /^([^']*)'[^']*'(.*)$/s.exec(value);
+  if (!match) {
+    return decodeUtf8Percent(value);
+  }
+  const charset = match[1].trim().toLowerCase();
+  if ((charset === 'iso-8859-1') || (charset === 'latin1')) {
+    return decodeLatin1Percent(match[2]);
+  }
+  return decodeUtf8Percent(match[2]);
+}
+
+/**
+ * 从指定位置读取一个参数值。
+ *
+ * 参数值可以是一个 token、一个双引号括起的字符串（其中`\`为转义字符），或者（为兼容某些
+ * 不规范的服务器）一个单引号括起的字符串。
+ *
+ * @param {string} text
+ *     待解析的字符串。
+ * @param {number} pos
+ *     参数值的起始位置。
+ * @return {object}
+ *     包含`value`和`pos`属性的对象，分别为读取的参数值和参数值之后的位置。
+ * @private
+ */
+function readValue(text, pos) {
+  const quote = text[pos];
+  if (quote === '"') {
+    let value = '';
+    let i = pos + 1;
+    while ((i < text.length) && (text[i] !== '"')) {
+      if ((text[i] === '\\') && (i + 1 < text.length)) {
+        ++i;
+      }
+      value += text[i++];
+    }
+    return { value, pos: i + 1 };
+  }
+  if (quote === '\'') {
+    const end = text.indexOf('\'', pos + 1);
+    if (end > 0) {
+      return { value: text.substring(pos + 1, end), pos: end + 1 };
+    }
+  }
+  let end = text.indexOf(';', pos);
+  if (end < 0) {
+    end = text.length;
+  }
+  return { value: text.substring(pos, end).trim(), pos: end };
+}
+
+/**
+ * 解析 HTTP 响应头中的`Content-Disposition`，支持 RFC 6266 和 RFC 5987。
+ *
+ * 例如`attachment; filename="a;b.txt"; filename*=UTF-8''%E6%96%87.txt`将被解析为：
+ * ```
+ * {
+ *   type: 'attachment',
+ *   parameters: { filename: 'a;b.txt', 'filename*': '文.txt' },
+ *   filename: '文.txt',
+ * }
+ * ```
+ *
+ * 参数名称被转换为小写；对于重复的参数，只保留第一个。以`*`结尾的参数为 RFC 5987 定义的
+ * 扩展参数，其值会被解码；文件名优先使用`filename*`参数，其次使用`filename`参数。格式错误
+ * 的百分号编码将原样保留，此函数不会抛出异常。
+ *
+ * @param {string|null|undefined} value
+ *     `Content-Disposition`响应头的值。
+ * @return {object|null}
+ *     解析得到的对象，包含以下属性：
+ *     - `type: string|null`：小写的处置类型，如`'attachment'`或`'inline'`；若响应头省略了
+ *       处置类型，则为`null`；
+ *     - `parameters: object`：所有参数，扩展参数的值为解码后的值；
+ *     - `filename: string|null`：解码后的文件名，若不存在则为`null`。
+ *
+ *     若`value`为空，则返回`null`。
+ * @author 胡海星
+ */
+function parseContentDisposition(value) {
+  const text = String(value ?? '').trim();
+  if (text.length === 0) {
+    return null;
+  }
+  let pos = 0;
+  let type = null;
+  const typeEnd = text.search(/[;=]/);
+  if ((typeEnd < 0) || (text[typeEnd] === ';')) {
+    // 省略了处置类型的响应头（如`filename="a.txt"`）也可以被解析
+    type = text.substring(0, (typeEnd < 0) ? text.length : typeEnd).trim().toLowerCase() || null;
+    pos = (typeEnd < 0) ? text.length : typeEnd;
+  }
+  const parameters = {};
+  while (pos < text.length) {
+    if ((text[pos] === ';') || /\s/.test(text[pos])) {
+      ++pos;
+      continue;
+    }
+    const eq = text.indexOf('=', pos);
+    const semicolon = text.indexOf(';', pos);
+    if ((eq < 0) || ((semicolon >= 0) && (semicolon < eq))) {
+      // 没有值的参数，忽略之
+      pos = (semicolon < 0) ? text.length : semicolon;
+      continue;
+    }
+    const name = text.substring(pos, eq).trim().toLowerCase();
+    let start = eq + 1;
+    while ((start < text.length) && /\s/.test(text[start])) {
+      ++start;
+    }
+    const result = readValue(text, start);
+    pos = result.pos;
+    if (name && !Object.prototype.hasOwnProperty.call(parameters, name)) {
+      parameters[name] = name.endsWith('*') ? decodeExtValue(result.value) : result.value;
+    }
+  }
+  const filename = parameters['filename*'] || parameters.filename || null;
+  return { type, parameters, filename };
+}
+
+export default parseContentDisposition;
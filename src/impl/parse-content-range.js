@@ -0,0 +1,37 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 解析 HTTP 响应头中的`Content-Range`。
+ *
+ * 例如`'bytes 0-1023/4096'`将被解析为`{ start: 0, end: 1023, total: 4096 }`；若总长度未知，
+ * 即形如`'bytes 0-1023/*'`，则`total`为`null`。
+ *
+ * @param {string|null|undefined} value
+ *     `Content-Range`响应头的值。
+ * @return {object|null}
+ *     解析得到的包含`start`、`end`和`total`属性的对象，其中`end`包含在范围内；若该值不是
+ *     合法的字节范围，则返回`null`。
+ * @author 胡海星
+ */
+function parseContentRange(value) {
+  const match = /^\s*bytes\s+(\d+)-(\d+)\/(\d+|\*)\s*$/i.exec(String(value ?? ''));
+  if (!match) {
+    return null;
+  }
+  const start = Number(match[1]);
+  const end = Number(match[2]);
+  const total = (match[3] === '*' ? null : Number(match[3]));
+  if ((end < start) || ((total !== null) && (end >= total))) {
+    return null;
+  }
+  return { start, end, total };
+}
+
+export default parseContentRange;
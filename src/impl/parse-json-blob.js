@@ -0,0 +1,92 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Json } from '@qubit-ltd/json';
+import { Logger } from '@qubit-ltd/logging';
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 判断一个 MIME 类型是否为 JSON 类型，包括`application/json`以及形如
+ * `application/problem+json`的类型。
+ *
+ * @param {string|null|undefined} contentType
+ *     待判断的 MIME 类型，可以带有`charset`等参数。
+ * @return {boolean}
+ *     若是 JSON 类型，则返回`true`；否则返回`false`。
+ */
+function isJsonContentType(contentType) {
+  return /^application\/([\w.-]+\+)?json\s*(;|$)/i.test(String(contentType ?? '').trim());
+}
+
+/**
+ * 读取`Blob`对象的文本内容。
+ *
+ * 部分环境（如 jsdom）中的`Blob`对象没有`text()`方法，此时使用`FileReader`读取。
+ *
+ * @param {Blob} blob
+ *     待读取的`Blob`对象。
+ * @return {Promise<string>}
+ *     `Blob`对象的文本内容。
+ */
+function readBlobAsText(blob) {
+  if (typeof blob.text === 'function') {
+    return blob.text();
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+}
+
+/**
+ * 解析以`Blob`对象返回的 JSON 响应数据。
+ *
+ * 响应类型为`'blob'`的请求（如文件下载），即使服务器返回的是 JSON 格式的错误信息，其响应
+ * 数据也是一个`Blob`对象。此函数将这样的数据解析为 JSON 对象，解析时支持 64 位长整数。
+ *
+ * @param {any} data
+ *     响应数据。
+ * @param {string|null|undefined} contentType
+ *     响应头中的`Content-Type`；若未提供，则使用`Blob`对象自身的类型。
+ * @return {Promise<any>}
+ *     若响应数据为 JSON 类型的`Blob`对象，则返回解析后的对象；若数据已经是字符串以外的
+ *     非`Blob`对象，则原样返回；否则（非 JSON 类型，或无法解析）返回`undefined`。
+ * @author 胡海星
+ */
+async function parseJsonBlob(data, contentType) {
+  if (data === null || data === undefined) {
+    return undefined;
+  }
+  if (!(data instanceof Blob)) {
+    if (typeof data !== 'string') {
+      return data;            // 已被 transformResponse 解析过的数据
+    }
+    if (!isJsonContentType(contentType)) {
+      return undefined;
+    }
+  } else if (!isJsonContentType(contentType || data.type)) {
+    return undefined;
+  }
+  try {
+    const text = (data instanceof Blob) ? await readBlobAsText(data) : data;
+    return (text.trim().length === 0) ? undefined : Json.parse(text);
+  } catch (e) {
+    logger.warn('Failed to parse the JSON response data:', e);
+    return undefined;
+  }
+}
+
+export {
+  isJsonContentType,
+  readBlobAsText,
+};
+
+export default parseJsonBlob;
@@ -19,7 +19,6 @@ const logger = Logger.getLogger('http');
  *     base64 编码的字符串。
  * @return {Uint8Array[]}
  *     解码后的字节数组列表。
- * @private
  */
 function decodeBase64ToByteArrays(base64String) {
   logger.debug('Starting base64 decoding, input data length:', base64String.length);
@@ -161,22 +160,16 @@ function parseResponseDataAsBlob(response, contentType) {
     return tryConvertBase64ToBlob(base64Data, contentType);
   }
 
-  // // Case 3: Base64 data (quoted)
-  // if (/^"[A-Za-z0-9+/=]+"$/.test(data)) {
-  //   logger.debug('Processing base64 encoded data, length:', data.length);
-  //   const base64Content = data.substring(1, data.length - 1);
-  //   return tryConvertBase64ToBlob(base64Content, contentType);
-  // }
-
-  // // Case 4: Base64 data (unquoted)
-  // if (/^[A-Za-z0-9+/=]+$/.test(data)) {
-  //   logger.debug('Processing base64 encoded data, length:', data.length);
-  //   return tryConvertBase64ToBlob(data, contentType);
-  // }
+  // 纯 base64 编码的数据无法与普通文本可靠地区分，因此不再自动检测，需通过下载的
+  // `responseEncoding`选项显式指定，参见`decodeResponseData()`
 
   // Case 5: Plain text
   logger.debug('Processing plain text data, length:', data.length);
   return new Blob([data], { type: contentType });
 }
 
+export {
+  decodeBase64ToByteArrays,
+};
+
 export default parseResponseDataAsBlob;
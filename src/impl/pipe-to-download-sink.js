@@ -0,0 +1,134 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import readBlobAsBytes from './read-blob-as-bytes';
+
+/**
+ * 若下载已被取消，则抛出取消的原因。
+ *
+ * @param {AbortSignal|null} signal
+ *     用于取消下载的信号。
+ * @private
+ */
+function checkAborted(signal) {
+  if (signal?.aborted) {
+    throw signal.reason ?? new Error('The download was aborted.');
+  }
+}
+
+/**
+ * 逐块读取响应数据。
+ *
+ * @param {ReadableStream|AsyncIterable|Blob} data
+ *     响应数据，可以是 Web 的`ReadableStream`对象（`fetch`适配器）、Node.js 的可读流等异步
+ *     可迭代对象（`http`适配器），或者`Blob`对象（不支持流式响应的环境）。
+ * @param {function} consume
+ *     处理每个数据块的函数，其参数为一个`Uint8Array`对象，返回一个`Promise`对象。
+ * @return {Promise<void>}
+ *     读取完毕后解析成功的`Promise`对象。
+ * @throws {TypeError}
+ *     若响应数据不是受支持的类型。
+ * @private
+ */
+async function readChunks(data, consume) {
+  if (typeof data?.getReader === 'function') {
+    const reader = data.getReader();
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) {
+          return;
+        }
+        await consume(value);
+      }
+    } catch (e) {
+      reader.cancel(e).catch(() => {});
+      throw e;
+    }
+  } else if (typeof data?.[Symbol.asyncIterator] === 'function') {
+    for await (const chunk of data) {
+      await consume(chunk);
+    }
+  } else if (data instanceof Blob) {
+    await consume(await readBlobAsBytes(data));
+  } else {
+    throw new TypeError(`Unsupported response data: ${data}`);
+  }
+}
+
+/**
+ * 将下载请求的响应数据逐块写入下载目标。
+ *
+ * 数据块写入下载目标后才会读取下一个数据块，因此内存中只保留少量数据。写入完成后关闭下载
+ * 目标；若读取或写入失败，则放弃写入下载目标。
+ *
+ * @param {ReadableStream|AsyncIterable|Blob} data
+ *     响应数据，详见`readChunks()`函数的说明。
+ * @param {object} sink
+ *     由`openDownloadSink()`函数打开的下载目标。
+ * @param {object} options
+ *     可选的参数，包括：
+ *     - `total: number|null`：文件的总字节数，通常取自响应头的`Content-Length`；
+ *     - `onProgress: function`：进度的回调函数，每写入一个数据块后调用，其参数为一个包含
+ *       `loaded`、`total`和`percent`属性的对象；
+ *     - `signal: AbortSignal`：用于取消写入的信号。
+ * @return {Promise<number>}
+ *     写入的总字节数。
+ * @author 胡海星
+ */
+async function pipeToDownloadSink(data, sink, options = {}) {
+  const { total = null, onProgress = null, signal = null } = options;
+  let loaded = 0;
+  try {
+    await readChunks(data, async (chunk) => {
+      checkAborted(signal);
+      await sink.write(chunk);
+      loaded += chunk.byteLength;
+      if (typeof onProgress === 'function') {
+        onProgress({
+          loaded,
+          total: total || null,
+          percent: total ? Math.round((loaded * 100) / total) : null,
+        });
+      }
+    });
+    checkAborted(signal);
+    await sink.close();
+  } catch (e) {
+    await Promise.resolve(sink.abort(e)).catch(() => {});
+    throw e;
+  }
+  return loaded;
+}
+
+/**
+ * 将下载请求的响应数据读取为`Blob`对象。
+ *
+ * @param {ReadableStream|AsyncIterable|Blob} data
+ *     响应数据，详见`readChunks()`函数的说明。
+ * @param {string} type
+ *     `Blob`对象的 MIME 类型。
+ * @return {Promise<Blob>}
+ *     包含全部响应数据的`Blob`对象。
+ */
+async function readStreamAsBlob(data, type = '') {
+  if (data instanceof Blob) {
+    return data;
+  }
+  const chunks = [];
+  await readChunks(data, async (chunk) => {
+    chunks.push(chunk);
+  });
+  return new Blob(chunks, { type });
+}
+
+export {
+  readStreamAsBlob,
+};
+
+export default pipeToDownloadSink;
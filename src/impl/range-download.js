@@ -0,0 +1,310 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+import i18n from '../i18n';
+import { getHttpConfig } from './http-config';
+import parseContentRange from './parse-content-range';
+import RetryPolicy from './retry-policy';
+
+/**
+ * 默认的分段下载的分段大小，单位为字节。
+ *
+ * @type {number}
+ */
+const DEFAULT_DOWNLOAD_SEGMENT_SIZE = 4 * 1024 * 1024;
+
+/**
+ * 默认的分段下载时，每个分段因网络错误连续重试的最大次数。
+ *
+ * @type {number}
+ */
+const DEFAULT_DOWNLOAD_MAX_RETRIES = 5;
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 判断一个分段请求的错误是否可以通过重试恢复。
+ *
+ * 只有网络错误（包括没有错误信息的服务器错误和超时）才会被重试；服务器返回的错误信息、
+ * 被取消的请求以及无效的`Content-Range`都不会被重试。
+ *
+ * @param {object} error
+ *     分段请求失败时的`ErrorInfo`对象。
+ * @return {boolean}
+ *     若可以重试，则返回`true`；否则返回`false`。
+ * @private
+ */
+function isRetryable(error) {
+  return (error?.type === 'NETWORK_ERROR') && (error?.code === 'UNKNOWN');
+}
+
+/**
+ * 通过 HTTP Range 请求分段下载文件，在网络错误后从最后一个完成的分段继续下载。
+ *
+ * 第一个分段的响应中的`ETag`（若为强校验值）或`Last-Modified`将作为后续请求的`If-Range`
+ * 请求头，若文件在下载过程中被修改，服务器将返回完整的新文件；若后续分段响应中的`ETag`
+ * 与第一个分段不同，则重新开始下载。若服务器不支持 Range 请求（即返回`200`而非`206`），
+ * 则直接使用其返回的完整文件。
+ *
+ * 分段请求均设置了`skipAutoErrorHandling`，失败时解析失败并返回`ErrorInfo`对象，由调用者
+ * 负责处理。
+ *
+ * @author 胡海星
+ */
+class RangeDownload {
+  /**
+   * 已下载的分段数据。
+   *
+   * @type {Blob[]}
+   * @private
+   */
+  parts = [];
+
+  /**
+   * 已下载的字节数，即下一个分段的起始位置。
+   *
+   * @type {number}
+   */
+  loaded = 0;
+
+  /**
+   * 文件的总字节数；在收到第一个分段之前为`null`。
+   *
+   * @type {number|null}
+   */
+  total = null;
+
+  /**
+   * 第一个分段的响应对象，其响应头将作为最终响应的响应头。
+   *
+   * @type {object|null}
+   * @private
+   */
+  firstResponse = null;
+
+  /**
+   * 创建一个分段下载。
+   *
+   * @param {Axios} http
+   *     用于发送请求的 axios 对象。
+   * @param {object} cfg
+   *     下载请求的配置对象，必须是`GET`请求，且其`responseType`为`'blob'`、
+   *     `returnResponse`为`true`。
+   * @param {object} options
+   *     可选的参数，包括：
+   *     - `segmentSize: number`：分段大小（字节），默认使用`'http_download_segment_size'`
+   *       配置项，若未配置则为 4 MiB；
+   *     - `maxRetries: number`：每个分段因网络错误连续重试的最大次数，默认使用
+   *       `'http_download_max_retries'`配置项，若未配置则为`5`；
+   *     - `onProgress: function`：下载进度的回调函数，其参数为一个包含`loaded`、`total`
+   *       和`percent`属性的对象。
+   */
+  constructor(http, cfg, options = {}) {
+    this.http = http;
+    this.cfg = cfg;
+    this.segmentSize = options.segmentSize
+      ?? getHttpConfig(http, 'http_download_segment_size', DEFAULT_DOWNLOAD_SEGMENT_SIZE);
+    this.maxRetries = options.maxRetries
+      ?? getHttpConfig(http, 'http_download_max_retries', DEFAULT_DOWNLOAD_MAX_RETRIES);
+    if (!Number.isInteger(this.segmentSize) || this.segmentSize <= 0) {
+      throw new RangeError(`The segment size must be a positive integer: ${this.segmentSize}`);
+    }
+    if (!Number.isInteger(this.maxRetries) || this.maxRetries < 0) {
+      throw new RangeError(`The max retries must be a non-negative integer: ${this.maxRetries}`);
+    }
+    this.onProgress = options.onProgress ?? null;
+    this.retryPolicy = RetryPolicy.resolve(null, http);
+  }
+
+  /**
+   * 开始下载。
+   *
+   * @return {Promise<object>}
+   *     若下载成功，则解析成功并返回一个响应对象，其`data`属性为完整文件的`Blob`对象，
+   *     响应头为第一个分段（或服务器返回的完整文件）的响应头；否则解析失败并返回一个
+   *     `ErrorInfo`对象。
+   */
+  async start() {
+    let retries = 0;
+    let restarts = 0;
+    while ((this.total === null) || (this.loaded < this.total)) {
+      let response;
+      try {
+        response = await this.fetchSegment();
+      } catch (error) {
+        if (!isRetryable(error) || (retries >= this.maxRetries)) {
+          throw error;
+        }
+        ++retries;
+        const delay = this.retryPolicy.getDelay(null, retries);
+        logger.warn('Failed to download the segment at %d, retry it (%d/%d) after %d ms:',
+          this.loaded, retries, this.maxRetries, delay, this.cfg.url);
+        await new Promise((resolve) => setTimeout(resolve, delay));
+        continue;
+      }
+      retries = 0;
+      if (response.status !== 206) {
+        // 服务器不支持 Range 请求，或者 If-Range 校验失败（文件已被修改），此时返回的是完整的文件
+        if (this.loaded > 0) {
+          logger.warn('The file was modified during the download, use the new file:', this.cfg.url);
+        } else {
+          logger.info('The server does not support range requests (Accept-Ranges: %s):',
+            response.headers?.get?.('Accept-Ranges') ?? 'none', this.cfg.url);
+        }
+        return response;
+      }
+      if (!this.appendSegment(response)) {
+        if (restarts >= this.maxRetries) {
+          throw this.createError('DOWNLOAD_MODIFIED', 'error.download_modified');
+        }
+        ++restarts;
+        logger.warn('The file was modified during the download, restart it:', this.cfg.url);
+        this.restart();
+      }
+    }
+    return {
+      ...this.firstResponse,
+      status: 200,
+      data: new Blob(this.parts, { type: this.firstResponse.headers?.get?.('Content-Type') ?? '' }),
+    };
+  }
+
+  /**
+   * 下载下一个分段。
+   *
+   * @return {Promise<object>}
+   *     分段请求的响应对象。
+   * @private
+   */
+  fetchSegment() {
+    const start = this.loaded;
+    const end = ((this.total === null) ? (start + this.segmentSize)
+      : Math.min(start + this.segmentSize, this.total)) - 1;
+    const headers = { ...this.cfg.headers, Range: `bytes=${start}-${end}` };
+    const validator = this.getValidator();
+    if (validator && (start > 0)) {
+      headers['If-Range'] = validator;
+    }
+    logger.debug('Download the segment:', this.cfg.url, headers.Range);
+    return this.http.request({
+      ...this.cfg,
+      headers,
+      skipAutoErrorHandling: true,
+      onDownloadProgress: (event) => this.notifyProgress(start + event.loaded),
+    });
+  }
+
+  /**
+   * 获取用作`If-Range`请求头的校验值。
+   *
+   * @return {string|null}
+   *     第一个分段响应中的强`ETag`，或者`Last-Modified`；若均不存在，则返回`null`。
+   * @private
+   */
+  getValidator() {
+    const headers = this.firstResponse?.headers;
+    const etag = headers?.get?.('ETag');
+    if (etag && !etag.startsWith('W/')) {
+      return etag;
+    }
+    return headers?.get?.('Last-Modified') ?? null;
+  }
+
+  /**
+   * 保存一个分段的数据。
+   *
+   * @param {object} response
+   *     状态码为`206`的分段响应对象。
+   * @return {boolean}
+   *     若保存成功，则返回`true`；若该分段的`ETag`与第一个分段不同，即文件已被修改，则返回
+   *     `false`。
+   * @private
+   */
+  appendSegment(response) {
+    const value = response.headers?.get?.('Content-Range');
+    const range = parseContentRange(value);
+    if (!range || (range.total === null) || (range.start !== this.loaded)
+        || ((this.total !== null) && (range.total !== this.total))) {
+      throw this.createError('INVALID_CONTENT_RANGE', 'error.invalid_content_range', {
+        value: value ?? '',
+      });
+    }
+    if (this.firstResponse) {
+      const etag = this.firstResponse.headers?.get?.('ETag');
+      if (etag && (response.headers?.get?.('ETag') !== etag)) {
+        return false;
+      }
+    } else {
+      this.firstResponse = response;
+      this.total = range.total;
+    }
+    this.parts.push(response.data ?? '');
+    this.loaded = range.end + 1;
+    this.notifyProgress(this.loaded);
+    return true;
+  }
+
+  /**
+   * 丢弃已下载的数据，从头开始下载。
+   *
+   * @private
+   */
+  restart() {
+    this.parts = [];
+    this.loaded = 0;
+    this.total = null;
+    this.firstResponse = null;
+  }
+
+  /**
+   * 创建一个表示分段下载失败的`ErrorInfo`对象。
+   *
+   * @param {string} code
+   *     错误代码。
+   * @param {string} key
+   *     错误信息在`i18n`中的键。
+   * @param {object} params
+   *     错误信息的参数。
+   * @return {object}
+   *     `ErrorInfo`对象。
+   * @private
+   */
+  createError(code, key, params = {}) {
+    return {
+      type: 'NETWORK_ERROR',
+      code,
+      message: i18n.t(key, params),
+    };
+  }
+
+  /**
+   * 调用下载进度的回调函数。
+   *
+   * @param {number} loaded
+   *     已下载的字节数。
+   * @private
+   */
+  notifyProgress(loaded) {
+    if (typeof this.onProgress === 'function') {
+      const total = this.total;
+      this.onProgress({
+        loaded,
+        total,
+        percent: total ? Math.round((loaded * 100) / total) : null,
+      });
+    }
+  }
+}
+
+export {
+  DEFAULT_DOWNLOAD_SEGMENT_SIZE,
+  DEFAULT_DOWNLOAD_MAX_RETRIES,
+};
+
+export default RangeDownload;
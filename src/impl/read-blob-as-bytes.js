@@ -0,0 +1,33 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 读取`Blob`对象的二进制内容。
+ *
+ * 部分环境（如 jsdom）中的`Blob`对象没有`arrayBuffer()`方法，此时使用`FileReader`读取。
+ *
+ * @param {Blob} blob
+ *     待读取的`Blob`对象。
+ * @return {Promise<Uint8Array>}
+ *     `Blob`对象的二进制内容。
+ * @author 胡海星
+ */
+function readBlobAsBytes(blob) {
+  if (typeof blob.arrayBuffer === 'function') {
+    return blob.arrayBuffer().then((buffer) => new Uint8Array(buffer));
+  }
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+export default readBlobAsBytes;
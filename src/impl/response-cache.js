@@ -0,0 +1,245 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { AxiosHeaders } from 'axios';
+import { Logger } from '@qubit-ltd/logging';
+import { getHttpConfig } from './http-config';
+
+/**
+ * 默认的缓存的响应的有效时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_HTTP_CACHE_TTL = 60000;
+
+/**
+ * 默认的最多缓存的响应数目。
+ *
+ * @type {number}
+ */
+const DEFAULT_HTTP_CACHE_MAX_ENTRIES = 100;
+
+/**
+ * 默认的缓存的响应数据的最大总大小，按响应数据的字符数估算。
+ *
+ * @type {number}
+ */
+const DEFAULT_HTTP_CACHE_MAX_SIZE = 5 * 1024 * 1024;
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 估算响应数据的大小。
+ *
+ * @param {any} data
+ *     未经转换的响应数据，在浏览器中通常为字符串。
+ * @return {number}
+ *     响应数据的字符数；若无法估算，则返回`0`。
+ * @private
+ */
+function estimateSize(data) {
+  if (typeof data === 'string') {
+    return data.length;
+  }
+  try {
+    return JSON.stringify(data)?.length ?? 0;
+  } catch (e) {
+    return 0;
+  }
+}
+
+/**
+ * HTTP GET 请求的响应缓存。
+ *
+ * 缓存的键通常由请求的完整URL和当前用户的存取令牌组成，值为一个缓存条目，包含以下属性：
+ * - `data: any`：未经`transformResponse`转换的响应数据，因此每次使用缓存时都会重新转换，
+ *   调用者修改返回的数据不会影响缓存；
+ * - `headers: object`：响应头；
+ * - `etag: string|null`：响应头中的`ETag`，用于以`If-None-Match`请求头重新验证；
+ * - `lastModified: string|null`：响应头中的`Last-Modified`，用于以`If-Modified-Since`请求头
+ *   重新验证；
+ * - `expires: number`：缓存条目过期的时间戳（毫秒），过期之前直接使用缓存，过期之后须向服务器
+ *   重新验证；
+ * - `size: number`：响应数据的估算大小。
+ *
+ * 缓存的条目数和总大小分别受`'http_cache_max_entries'`（默认为`100`）和
+ * `'http_cache_max_size'`（默认为 5 MiB，按字符数估算）配置项限制，超出限制时淘汰最久未
+ * 使用的条目；大小超过总大小限制的响应不会被缓存。
+ *
+ * @author 胡海星
+ */
+class ResponseCache {
+  /**
+   * 此对象所属的 axios 实例，用于读取其配置项。
+   *
+   * @type {Axios|null}
+   * @private
+   */
+  http = null;
+
+  /**
+   * 缓存条目，按最近使用的顺序排列，最久未使用的在前。
+   *
+   * @type {Map<string, object>}
+   * @private
+   */
+  entries = new Map();
+
+  /**
+   * 所有缓存条目的估算大小之和。
+   *
+   * @type {number}
+   */
+  totalSize = 0;
+
+  /**
+   * 创建一个响应缓存。
+   *
+   * @param {Axios} http
+   *     此对象所属的 axios 实例。
+   */
+  constructor(http) {
+    this.http = http;
+  }
+
+  /**
+   * 缓存条目的数目。
+   *
+   * @type {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * 获取指定的缓存条目，并将其标记为最近使用。
+   *
+   * @param {string} key
+   *     缓存的键。
+   * @return {object|null}
+   *     缓存条目，包括已过期的条目；若不存在，则返回`null`。
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return null;
+    }
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * 缓存一个响应。
+   *
+   * @param {string} key
+   *     缓存的键。
+   * @param {object} response
+   *     包含`data`和`headers`属性的响应对象，其中`data`为未经转换的响应数据。
+   * @param {number} ttl
+   *     缓存的有效时间（毫秒）；`0`表示每次使用前都须向服务器重新验证。
+   * @return {object|null}
+   *     新的缓存条目；若响应过大而未被缓存，则返回`null`。
+   */
+  set(key, response, ttl) {
+    this.delete(key);
+    const maxSize = getHttpConfig(this.http, 'http_cache_max_size', DEFAULT_HTTP_CACHE_MAX_SIZE);
+    const size = estimateSize(response.data);
+    if (size > maxSize) {
+      logger.debug('The response is too large to be cached:', key, size);
+      return null;
+    }
+    // 使用 AxiosHeaders 避免响应头名称的大小写问题
+    const headers = new AxiosHeaders(response.headers ?? {});
+    const entry = {
+      data: response.data,
+      headers: headers.toJSON(),
+      etag: headers.get('ETag') ?? null,
+      lastModified: headers.get('Last-Modified') ?? null,
+      expires: Date.now() + ttl,
+      size,
+    };
+    this.entries.set(key, entry);
+    this.totalSize += size;
+    this.evict(maxSize);
+    return entry;
+  }
+
+  /**
+   * 延长指定的缓存条目的有效时间，用于服务器确认缓存的响应未被修改（304）之后。
+   *
+   * @param {object} entry
+   *     缓存条目。
+   * @param {object} headers
+   *     服务器返回的 304 响应的响应头，其中新的`ETag`和`Last-Modified`会被记录。
+   * @param {number} ttl
+   *     缓存的有效时间（毫秒）。
+   */
+  refresh(entry, headers, ttl) {
+    const h = new AxiosHeaders(headers ?? {});
+    entry.etag = h.get('ETag') ?? entry.etag;
+    entry.lastModified = h.get('Last-Modified') ?? entry.lastModified;
+    entry.expires = Date.now() + ttl;
+  }
+
+  /**
+   * 删除指定的缓存条目。
+   *
+   * @param {string} key
+   *     缓存的键。
+   * @return {boolean}
+   *     若该缓存条目存在，则返回`true`；否则返回`false`。
+   */
+  delete(key) {
+    const entry = this.entries.get(key);
+    if (!entry) {
+      return false;
+    }
+    this.entries.delete(key);
+    this.totalSize -= entry.size;
+    return true;
+  }
+
+  /**
+   * 清除所有缓存条目。
+   *
+   * @return {number}
+   *     被清除的缓存条目的数目。
+   */
+  clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    this.totalSize = 0;
+    return count;
+  }
+
+  /**
+   * 淘汰最久未使用的缓存条目，直到条目数和总大小都不超过限制。
+   *
+   * @param {number} maxSize
+   *     缓存的最大总大小。
+   * @private
+   */
+  evict(maxSize) {
+    const maxEntries = getHttpConfig(this.http, 'http_cache_max_entries',
+      DEFAULT_HTTP_CACHE_MAX_ENTRIES);
+    while ((this.entries.size > maxEntries) || (this.totalSize > maxSize)) {
+      const [key] = this.entries.keys();
+      logger.debug('Evict the cached response:', key);
+      this.delete(key);
+    }
+  }
+}
+
+export {
+  DEFAULT_HTTP_CACHE_TTL,
+  DEFAULT_HTTP_CACHE_MAX_ENTRIES,
+  DEFAULT_HTTP_CACHE_MAX_SIZE,
+};
+
+export default ResponseCache;
@@ -0,0 +1,575 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { LocalStorage } from '@qubit-ltd/storage';
+import { Logger } from '@qubit-ltd/logging';
+import i18n from '../i18n';
+import { getHttpConfig } from './http-config';
+
+/**
+ * 默认的分片大小，单位为字节。
+ *
+ * @type {number}
+ */
+const DEFAULT_UPLOAD_CHUNK_SIZE = 5 * 1024 * 1024;
+
+/**
+ * 默认的同时上传的分片数。
+ *
+ * @type {number}
+ */
+const DEFAULT_UPLOAD_CONCURRENCY = 3;
+
+/**
+ * 在本地存储中保存上传状态时使用的键值前缀。
+ *
+ * @type {string}
+ */
+const DEFAULT_RESUMABLE_UPLOAD_STORAGE_PREFIX = 'http_resumable_upload';
+
+/**
+ * 默认的分片上传接口的URL。
+ *
+ * @type {object}
+ * @private
+ */
+const DEFAULT_ENDPOINTS = {
+  init: (url) => url,
+  status: (url, uploadId) => `${url}/${uploadId}`,
+  chunk: (url, uploadId, index) => `${url}/${uploadId}/chunks/${index}`,
+  complete: (url, uploadId) => `${url}/${uploadId}/complete`,
+  abort: (url, uploadId) => `${url}/${uploadId}`,
+};
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 可断点续传的分片上传任务。
+ *
+ * 待上传的文件被切分为固定大小的分片，以有限的并发数逐个上传。上传过程与服务器的交互如下
+ * （各接口的URL可通过`endpoints`选项修改）：
+ * - 初始化：`POST {url}`，请求体为包含`filename`、`size`、`mimeType`、`chunkSize`、
+ *   `totalChunks`及`fields`中额外字段的JSON对象，服务器应返回一个包含`uploadId`属性的对象，
+ *   还可以包含一个`uploadedChunks`属性，表示服务器已经收到的分片的序号数组；
+ * - 查询状态：`GET {url}/{uploadId}`，服务器应返回一个包含`uploadedChunks`属性的对象；
+ * - 上传分片：`PUT {url}/{uploadId}/chunks/{index}`，请求体为`multipart/form-data`格式，
+ *   其`file`字段为分片数据，`index`和`offset`字段为分片的序号和在文件中的偏移量；
+ * - 完成上传：`POST {url}/{uploadId}/complete`，服务器返回的数据将作为上传的结果；
+ * - 取消上传：`DELETE {url}/{uploadId}`。
+ *
+ * 每个分片上传成功后，上传状态会保存在`localStorage`中，其键值由URL、文件名、文件大小、
+ * 文件修改时间和分片大小决定。因此页面刷新后，对同一文件创建的上传任务会向服务器查询已
+ * 收到的分片，并只上传其余的分片。
+ *
+ * @author 胡海星
+ */
+class ResumableUpload {
+  /**
+   * 上传任务的状态，可以是`'idle'`、`'uploading'`、`'paused'`、`'completed'`、
+   * `'canceled'`或`'failed'`。
+   *
+   * @type {string}
+   */
+  status = 'idle';
+
+  /**
+   * 服务器为该上传任务分配的ID。
+   *
+   * @type {string|null}
+   */
+  uploadId = null;
+
+  /**
+   * 服务器已经确认收到的分片的序号集合。
+   *
+   * @type {Set<number>}
+   */
+  uploadedChunks = new Set();
+
+  /**
+   * 正在上传的分片已上传的字节数，键为分片的序号。
+   *
+   * @type {Map<number, number>}
+   * @private
+   */
+  loadingChunks = new Map();
+
+  /**
+   * 用于中止当前一轮上传的控制器。
+   *
+   * @type {AbortController|null}
+   * @private
+   */
+  controller = null;
+
+  /**
+   * 表示整个上传任务结果的`Promise`对象。
+   *
+   * @type {Promise|null}
+   * @private
+   */
+  promise = null;
+
+  /**
+   * 创建一个分片上传任务。
+   *
+   * @param {Axios} http
+   *     用于发送请求的 axios 对象。
+   * @param {string} url
+   *     上传接口的URL。
+   * @param {File|Blob} file
+   *     待上传的文件。
+   * @param {object} options
+   *     可选的参数，包括：
+   *     - `chunkSize: number`：分片大小（字节），默认使用`'http_upload_chunk_size'`配置项，
+   *       若未配置则为 5 MiB；
+   *     - `concurrency: number`：同时上传的分片数，默认使用`'http_upload_concurrency'`配置项，
+   *       若未配置则为`3`；
+   *     - `fields: object`：初始化上传时额外发送给服务器的字段；
+   *     - `endpoints: object`：各接口的URL，其属性`init`、`status`、`chunk`、`complete`和
+   *       `abort`均为形如`(url, uploadId, index) => string`的函数；若`status`为`null`，
+   *       则恢复上传时直接使用本地保存的分片信息，不向服务器查询；
+   *     - `persist: boolean`：是否在`localStorage`中保存上传状态，默认为`true`；
+   *     - `storageKey: string`：保存上传状态使用的键值，默认根据URL和文件的信息生成；
+   *     - `retry: boolean|number|object`：分片请求的重试策略，详见`RetryPolicy`；
+   *     - `onProgress: function`：上传进度的回调函数，其参数为`getProgress()`的返回值。
+   */
+  constructor(http, url, file, options = {}) {
+    if (!(file instanceof Blob)) {
+      throw new TypeError('The file to upload must be a File or Blob object.');
+    }
+    this.http = http;
+    this.url = url;
+    this.file = file;
+    this.chunkSize = options.chunkSize
+      ?? getHttpConfig(http, 'http_upload_chunk_size', DEFAULT_UPLOAD_CHUNK_SIZE);
+    this.concurrency = options.concurrency
+      ?? getHttpConfig(http, 'http_upload_concurrency', DEFAULT_UPLOAD_CONCURRENCY);
+    if (!Number.isInteger(this.chunkSize) || this.chunkSize <= 0) {
+      throw new RangeError(`The chunk size must be a positive integer: ${this.chunkSize}`);
+    }
+    if (!Number.isInteger(this.concurrency) || this.concurrency <= 0) {
+      throw new RangeError(`The concurrency must be a positive integer: ${this.concurrency}`);
+    }
+    this.fields = options.fields ?? {};
+    this.endpoints = { ...DEFAULT_ENDPOINTS, ...options.endpoints };
+    this.persist = options.persist ?? true;
+    this.storageKey = options.storageKey ?? this.getDefaultStorageKey();
+    this.retry = options.retry;
+    this.onProgress = options.onProgress ?? null;
+    this.totalChunks = Math.max(1, Math.ceil(file.size / this.chunkSize));
+  }
+
+  /**
+   * 根据上传接口的URL和文件的信息生成保存上传状态使用的键值。
+   *
+   * @return {string}
+   *     保存上传状态使用的键值。
+   * @private
+   */
+  getDefaultStorageKey() {
+    const { name, size, lastModified } = this.file;
+    const fingerprint = [this.url, name ?? '', size, lastModified ?? '', this.chunkSize].join('|');
+    return `${DEFAULT_RESUMABLE_UPLOAD_STORAGE_PREFIX}.${fingerprint}`;
+  }
+
+  /**
+   * 获取当前的上传进度。
+   *
+   * @return {object}
+   *     当前的上传进度，包含以下属性：
+   *     - `loaded: number`：已上传的字节数；
+   *     - `total: number`：文件的总字节数；
+   *     - `percent: number`：已上传的百分比，取值为`0`到`100`之间的整数；
+   *     - `uploadedChunks: number`：服务器已确认收到的分片数；
+   *     - `totalChunks: number`：分片总数。
+   */
+  getProgress() {
+    let loaded = 0;
+    for (const index of this.uploadedChunks) {
+      loaded += this.getChunkRange(index).size;
+    }
+    for (const bytes of this.loadingChunks.values()) {
+      loaded += bytes;
+    }
+    const total = this.file.size;
+    loaded = Math.min(loaded, total);
+    return {
+      loaded,
+      total,
+      percent: (total === 0 ? 100 : Math.round((loaded * 100) / total)),
+      uploadedChunks: this.uploadedChunks.size,
+      totalChunks: this.totalChunks,
+    };
+  }
+
+  /**
+   * 开始上传。
+   *
+   * 若上传已经开始，则直接返回表示上传结果的`Promise`对象。
+   *
+   * @return {Promise<any|ErrorInfo>}
+   *     表示上传结果的`Promise`对象。若上传成功，则解析成功，并返回完成上传的接口返回的
+   *     数据；若上传失败，则解析失败并返回一个`ErrorInfo`对象；若上传被取消，则解析失败并
+   *     返回一个代码为`'CANCELED'`的`ErrorInfo`对象。暂停上传不会使其解析。
+   */
+  start() {
+    if (this.promise && (this.status !== 'failed')) {
+      return this.promise;
+    }
+    this.promise = new Promise((resolve, reject) => {
+      this.resolve = resolve;
+      this.reject = reject;
+    });
+    this.status = 'uploading';
+    this.run();
+    return this.promise;
+  }
+
+  /**
+   * 暂停上传。
+   *
+   * 正在上传的分片会被中止，已确认收到的分片不受影响。
+   */
+  pause() {
+    if (this.status !== 'uploading') {
+      return;
+    }
+    logger.info('Pause the resumable upload:', this.url, this.uploadId);
+    this.status = 'paused';
+    this.abortRun();
+  }
+
+  /**
+   * 继续已暂停的上传。
+   *
+   * @return {Promise<any|ErrorInfo>}
+   *     表示上传结果的`Promise`对象，与`start()`返回的相同。
+   */
+  resume() {
+    if (this.status === 'paused') {
+      logger.info('Resume the resumable upload:', this.url, this.uploadId);
+      this.status = 'uploading';
+      this.run();
+    }
+    return this.promise;
+  }
+
+  /**
+   * 取消上传。
+   *
+   * 正在上传的分片会被中止，本地保存的上传状态会被清除，并通知服务器放弃已上传的分片。
+   * 表示上传结果的`Promise`对象将解析失败，并返回一个代码为`'CANCELED'`的`ErrorInfo`对象。
+   *
+   * @return {Promise<void>}
+   *     通知服务器取消上传的`Promise`对象，该对象总是解析成功。
+   */
+  cancel() {
+    if (['completed', 'canceled'].includes(this.status)) {
+      return Promise.resolve();
+    }
+    logger.info('Cancel the resumable upload:', this.url, this.uploadId);
+    this.status = 'canceled';
+    this.abortRun();
+    this.clearState();
+    this.reject?.({
+      type: 'NETWORK_ERROR',
+      code: 'CANCELED',
+      message: i18n.t('error.canceled'),
+    });
+    if (!this.uploadId || !this.endpoints.abort) {
+      return Promise.resolve();
+    }
+    return this.http.request({
+      method: 'delete',
+      url: this.endpoints.abort(this.url, this.uploadId),
+      skipAutoErrorHandling: true,
+    }).then(() => {}, (error) => {
+      logger.warn('Failed to abort the upload on the server:', error);
+    });
+  }
+
+  /**
+   * 中止当前一轮上传中所有正在进行的请求。
+   *
+   * @private
+   */
+  abortRun() {
+    this.controller?.abort();
+    this.controller = null;
+    this.loadingChunks.clear();
+  }
+
+  /**
+   * 执行一轮上传，直到上传完成、失败，或者被暂停或取消。
+   *
+   * @return {Promise<void>}
+   *     本轮上传结束时解析的`Promise`对象。
+   * @private
+   */
+  async run() {
+    const controller = new AbortController();
+    this.controller = controller;
+    const { signal } = controller;
+    try {
+      if (!this.uploadId) {
+        await this.prepare(signal);
+      }
+      if (signal.aborted) {
+        return;
+      }
+      await this.uploadChunks(signal);
+      if (signal.aborted) {
+        return;
+      }
+      const result = await this.http.request({
+        method: 'post',
+        url: this.endpoints.complete(this.url, this.uploadId),
+        data: { totalChunks: this.totalChunks },
+        signal,
+      });
+      this.status = 'completed';
+      this.controller = null;
+      this.clearState();
+      this.resolve(result);
+    } catch (error) {
+      if (signal.aborted) {
+        return;                 // 被暂停或取消，不是错误
+      }
+      logger.error('The resumable upload failed:', error);
+      controller.abort();       // 中止其他正在上传的分片
+      this.status = 'failed';
+      this.controller = null;
+      this.loadingChunks.clear();
+      this.reject(error);
+    }
+  }
+
+  /**
+   * 恢复本地保存的上传状态，或者向服务器申请一个新的上传任务。
+   *
+   * @param {AbortSignal} signal
+   *     用于中止请求的信号。
+   * @private
+   */
+  async prepare(signal) {
+    const saved = this.loadState();
+    if (saved?.uploadId) {
+      const uploadedChunks = await this.queryUploadedChunks(saved, signal);
+      if (uploadedChunks) {
+        logger.info('Resume the saved upload:', this.url, saved.uploadId);
+        this.uploadId = saved.uploadId;
+        this.setUploadedChunks(uploadedChunks);
+        return;
+      }
+      this.clearState();
+    }
+    const result = await this.http.request({
+      method: 'post',
+      url: this.endpoints.init(this.url),
+      data: {
+        ...this.fields,
+        filename: this.file.name ?? null,
+        size: this.file.size,
+        mimeType: this.file.type || null,
+        chunkSize: this.chunkSize,
+        totalChunks: this.totalChunks,
+      },
+      signal,
+    });
+    if (!result?.uploadId) {
+      throw new Error('The server did not return the ID of the upload.');
+    }
+    this.uploadId = String(result.uploadId);
+    this.setUploadedChunks(result.uploadedChunks ?? []);
+    this.saveState();
+  }
+
+  /**
+   * 查询服务器已经收到的分片。
+   *
+   * @param {object} saved
+   *     本地保存的上传状态。
+   * @param {AbortSignal} signal
+   *     用于中止请求的信号。
+   * @return {Promise<number[]|null>}
+   *     服务器已经收到的分片的序号数组；若服务器已不存在该上传任务，则返回`null`。
+   * @private
+   */
+  async queryUploadedChunks(saved, signal) {
+    if (!this.endpoints.status) {
+      return saved.uploadedChunks ?? [];
+    }
+    try {
+      const result = await this.http.request({
+        method: 'get',
+        url: this.endpoints.status(this.url, saved.uploadId),
+        skipAutoErrorHandling: true,
+        signal,
+      });
+      return result?.uploadedChunks ?? [];
+    } catch (error) {
+      if (signal.aborted) {
+        throw error;
+      }
+      logger.warn('Cannot resume the saved upload, restart it:', saved.uploadId, error);
+      return null;
+    }
+  }
+
+  /**
+   * 设置服务器已经收到的分片。
+   *
+   * @param {Array<number|string>} indexes
+   *     服务器已经收到的分片的序号数组。
+   * @private
+   */
+  setUploadedChunks(indexes) {
+    this.uploadedChunks = new Set(indexes.map(Number)
+      .filter((i) => Number.isInteger(i) && i >= 0 && i < this.totalChunks));
+    this.notifyProgress();
+  }
+
+  /**
+   * 以有限的并发数上传所有尚未被服务器确认收到的分片。
+   *
+   * @param {AbortSignal} signal
+   *     用于中止请求的信号。
+   * @return {Promise<void>}
+   *     所有分片上传完成时解析的`Promise`对象。
+   * @private
+   */
+  async uploadChunks(signal) {
+    const pending = [];
+    for (let i = 0; i < this.totalChunks; ++i) {
+      if (!this.uploadedChunks.has(i)) {
+        pending.push(i);
+      }
+    }
+    let next = 0;
+    const worker = async () => {
+      while ((next < pending.length) && !signal.aborted) {
+        const index = pending[next++];
+        await this.uploadChunk(index, signal);
+      }
+    };
+    const workers = [];
+    for (let i = 0; i < Math.min(this.concurrency, pending.length); ++i) {
+      workers.push(worker());
+    }
+    await Promise.all(workers);
+  }
+
+  /**
+   * 获取指定分片在文件中的范围。
+   *
+   * @param {number} index
+   *     分片的序号。
+   * @return {object}
+   *     包含`start`、`end`和`size`属性的对象。
+   * @private
+   */
+  getChunkRange(index) {
+    const start = index * this.chunkSize;
+    const end = Math.min(start + this.chunkSize, this.file.size);
+    return { start, end, size: end - start };
+  }
+
+  /**
+   * 上传一个分片。
+   *
+   * @param {number} index
+   *     分片的序号。
+   * @param {AbortSignal} signal
+   *     用于中止请求的信号。
+   * @return {Promise<void>}
+   *     分片上传完成时解析的`Promise`对象。
+   * @private
+   */
+  async uploadChunk(index, signal) {
+    const { start, end } = this.getChunkRange(index);
+    const chunk = this.file.slice(start, end);
+    this.loadingChunks.set(index, 0);
+    await this.http.upload(this.endpoints.chunk(this.url, this.uploadId, index), chunk, {
+      index,
+      offset: start,
+    }, {
+      method: 'put',
+      retry: this.retry,
+      signal,
+      onProgress: ({ loaded }) => {
+        if (!signal.aborted) {
+          this.loadingChunks.set(index, loaded);
+          this.notifyProgress();
+        }
+      },
+    });
+    if (signal.aborted) {
+      return;
+    }
+    this.loadingChunks.delete(index);
+    this.uploadedChunks.add(index);
+    this.saveState();
+    this.notifyProgress();
+  }
+
+  /**
+   * 调用上传进度的回调函数。
+   *
+   * @private
+   */
+  notifyProgress() {
+    if (typeof this.onProgress === 'function') {
+      this.onProgress(this.getProgress());
+    }
+  }
+
+  /**
+   * 读取本地保存的上传状态。
+   *
+   * @return {object|null}
+   *     本地保存的上传状态，若不存在则返回`null`。
+   * @private
+   */
+  loadState() {
+    return this.persist ? (LocalStorage.get(this.storageKey) ?? null) : null;
+  }
+
+  /**
+   * 在本地保存当前的上传状态。
+   *
+   * @private
+   */
+  saveState() {
+    if (this.persist) {
+      LocalStorage.set(this.storageKey, {
+        uploadId: this.uploadId,
+        uploadedChunks: [...this.uploadedChunks],
+      });
+    }
+  }
+
+  /**
+   * 清除本地保存的上传状态。
+   *
+   * @private
+   */
+  clearState() {
+    if (this.persist) {
+      LocalStorage.remove(this.storageKey);
+    }
+  }
+}
+
+export {
+  DEFAULT_UPLOAD_CHUNK_SIZE,
+  DEFAULT_UPLOAD_CONCURRENCY,
+  DEFAULT_RESUMABLE_UPLOAD_STORAGE_PREFIX,
+};
+
+export default ResumableUpload;
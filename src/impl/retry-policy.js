@@ -0,0 +1,222 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { AxiosHeaders } from 'axios';
+import { getHttpConfig } from './http-config';
+
+/**
+ * 默认的 HTTP 请求的最大尝试次数（包括第一次请求）。默认值为`1`，即不重试。
+ *
+ * @type {number}
+ */
+const DEFAULT_HTTP_RETRY_MAX_ATTEMPTS = 1;
+
+/**
+ * 默认的 HTTP 请求重试的基础等待时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_HTTP_RETRY_BASE_DELAY = 500;
+
+/**
+ * 默认的 HTTP 请求重试的最大等待时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_HTTP_RETRY_MAX_DELAY = 30000;
+
+/**
+ * 幂等的 HTTP 方法，默认只有使用这些方法的请求才会被重试。
+ *
+ * @type {string[]}
+ * @private
+ */
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete', 'trace'];
+
+/**
+ * 可以重试的 HTTP 响应状态码。
+ *
+ * @type {number[]}
+ * @private
+ */
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * 表示请求超时的 axios 错误代码。
+ *
+ * @type {string[]}
+ * @private
+ */
+const TIMEOUT_ERROR_CODES = ['ECONNABORTED', 'ETIMEDOUT'];
+
+/**
+ * 解析`Retry-After`响应头。
+ *
+ * @param {string|null|undefined} value
+ *     `Retry-After`响应头的值，可以是秒数或者 HTTP 日期。
+ * @return {number|null}
+ *     需要等待的毫秒数；若无法解析则返回`null`。
+ * @private
+ */
+function parseRetryAfter(value) {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const text = String(value).trim();
+  if (/^\d+$/.test(text)) {
+    return Number(text) * 1000;
+  }
+  const time = Date.parse(text);
+  if (Number.isNaN(time)) {
+    return null;
+  }
+  return Math.max(0, time - Date.now());
+}
+
+/**
+ * HTTP 请求的重试策略。
+ *
+ * 重试策略由全局配置和请求配置中的`retry`选项共同决定，请求配置中的选项优先。全局配置包括：
+ * - `'http_retry_max_attempts'`：最大尝试次数（包括第一次请求），默认值为`1`，即不重试；
+ * - `'http_retry_base_delay'`：指数退避的基础等待时间（毫秒），默认值为`500`；
+ * - `'http_retry_max_delay'`：指数退避的最大等待时间（毫秒），默认值为`30000`。
+ *
+ * 请求配置中的`retry`选项可以是：
+ * - `false`：不重试该请求；
+ * - 一个数字：该请求的最大尝试次数；
+ * - 一个对象，包含`maxAttempts`、`baseDelay`、`maxDelay`和`allowNonIdempotent`属性，
+ *   其中`allowNonIdempotent`表示是否允许重试非幂等的请求（如`POST`），默认为`false`。
+ *
+ * 只有网络错误、请求超时以及状态码为`429`、`502`、`503`、`504`的响应才会被重试。
+ *
+ * @author 胡海星
+ */
+class RetryPolicy {
+  /**
+   * 最大尝试次数（包括第一次请求）。
+   *
+   * @type {number}
+   */
+  maxAttempts = DEFAULT_HTTP_RETRY_MAX_ATTEMPTS;
+
+  /**
+   * 指数退避的基础等待时间，单位为毫秒。
+   *
+   * @type {number}
+   */
+  baseDelay = DEFAULT_HTTP_RETRY_BASE_DELAY;
+
+  /**
+   * 指数退避的最大等待时间，单位为毫秒。
+   *
+   * @type {number}
+   */
+  maxDelay = DEFAULT_HTTP_RETRY_MAX_DELAY;
+
+  /**
+   * 是否允许重试非幂等的请求。
+   *
+   * @type {boolean}
+   */
+  allowNonIdempotent = false;
+
+  /**
+   * 根据全局配置和请求配置创建重试策略。
+   *
+   * @param {object|null|undefined} cfg
+   *     axios HTTP请求的配置对象。
+   * @param {Axios|null} http
+   *     发送该请求的 axios 对象，用于读取其配置项；若为`null`，则只使用全局配置。
+   * @return {RetryPolicy}
+   *     该请求的重试策略。
+   */
+  static resolve(cfg, http = null) {
+    const policy = new RetryPolicy();
+    policy.maxAttempts = getHttpConfig(http, 'http_retry_max_attempts', DEFAULT_HTTP_RETRY_MAX_ATTEMPTS);
+    policy.baseDelay = getHttpConfig(http, 'http_retry_base_delay', DEFAULT_HTTP_RETRY_BASE_DELAY);
+    policy.maxDelay = getHttpConfig(http, 'http_retry_max_delay', DEFAULT_HTTP_RETRY_MAX_DELAY);
+    const retry = cfg?.retry;
+    if (retry === false) {
+      policy.maxAttempts = 1;
+    } else if (typeof retry === 'number') {
+      policy.maxAttempts = retry;
+    } else if (retry && (typeof retry === 'object')) {
+      policy.maxAttempts = retry.maxAttempts ?? policy.maxAttempts;
+      policy.baseDelay = retry.baseDelay ?? policy.baseDelay;
+      policy.maxDelay = retry.maxDelay ?? policy.maxDelay;
+      policy.allowNonIdempotent = !!retry.allowNonIdempotent;
+    }
+    return policy;
+  }
+
+  /**
+   * 判断一个失败的请求是否应该重试。
+   *
+   * @param {object} error
+   *     axios 请求失败时的错误对象，其`config.retryCount`属性记录了该请求已重试的次数。
+   * @return {boolean}
+   *     如果应该重试，则返回`true`；否则返回`false`。
+   */
+  shouldRetry(error) {
+    const cfg = error?.config;
+    if (!cfg) {
+      return false;
+    }
+    if ((cfg.retryCount ?? 0) + 1 >= this.maxAttempts) {
+      return false;
+    }
+    const method = (cfg.method ?? 'get').toLowerCase();
+    if (!this.allowNonIdempotent && !IDEMPOTENT_METHODS.includes(method)) {
+      return false;
+    }
+    if (error.code === 'ERR_CANCELED') {
+      return false;
+    }
+    if (TIMEOUT_ERROR_CODES.includes(error.code)) {
+      return true;
+    }
+    if (!error.response) {                      // 网络错误
+      return true;
+    }
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+
+  /**
+   * 计算下一次重试前需要等待的时间。
+   *
+   * 若响应中带有`Retry-After`响应头，则使用该响应头指定的时间，但不超过`maxDelay`，以免
+   * 请求被长时间挂起；否则使用带随机抖动的指数退避时间。
+   *
+   * @param {object} error
+   *     axios 请求失败时的错误对象。
+   * @param {number} retryCount
+   *     即将进行的重试的序号，从`1`开始。
+   * @return {number}
+   *     需要等待的毫秒数。
+   */
+  getDelay(error, retryCount) {
+    const headers = error?.response?.headers;
+    if (headers) {
+      const retryAfter = parseRetryAfter(AxiosHeaders.from(headers).get('Retry-After'));
+      if (retryAfter !== null) {
+        return Math.min(this.maxDelay, retryAfter);
+      }
+    }
+    const delay = Math.min(this.maxDelay, this.baseDelay * (2 ** (retryCount - 1)));
+    // 使用一半固定、一半随机的抖动，避免多个客户端同时重试
+    return Math.round((delay / 2) + (Math.random() * delay) / 2);
+  }
+}
+
+export {
+  DEFAULT_HTTP_RETRY_MAX_ATTEMPTS,
+  DEFAULT_HTTP_RETRY_BASE_DELAY,
+  DEFAULT_HTTP_RETRY_MAX_DELAY,
+};
+
+export default RetryPolicy;
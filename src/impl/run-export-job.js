@@ -0,0 +1,420 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+import i18n from '../i18n';
+import { getHttpConfig } from './http-config';
+
+/**
+ * 默认的查询导出任务状态的初始间隔时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_EXPORT_POLL_INTERVAL = 1000;
+
+/**
+ * 默认的查询导出任务状态的最大间隔时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_EXPORT_POLL_MAX_INTERVAL = 10000;
+
+/**
+ * 默认的导出任务的超时时间，单位为毫秒；`0`表示不限制。
+ *
+ * @type {number}
+ */
+const DEFAULT_EXPORT_TIMEOUT = 0;
+
+/**
+ * 默认的每次查询后查询间隔时间增长的倍数。
+ *
+ * @type {number}
+ */
+const DEFAULT_EXPORT_POLL_BACKOFF = 1.5;
+
+/**
+ * 默认的导出任务接口的URL。
+ *
+ * @type {object}
+ * @private
+ */
+const DEFAULT_ENDPOINTS = {
+  submit: (url) => url,
+  status: (url, jobId) => `${url}/${jobId}`,
+  cancel: (url, jobId) => `${url}/${jobId}`,
+};
+
+/**
+ * 表示导出任务已完成的状态值（小写）。
+ *
+ * @type {string[]}
+ * @private
+ */
+const DONE_STATES = ['done', 'completed', 'complete', 'succeeded', 'success', 'finished'];
+
+/**
+ * 表示导出任务已失败的状态值（小写）。
+ *
+ * @type {string[]}
+ * @private
+ */
+const FAILED_STATES = ['failed', 'failure', 'error'];
+
+/**
+ * 表示导出任务已取消的状态值（小写）。
+ *
+ * @type {string[]}
+ * @private
+ */
+const CANCELED_STATES = ['canceled', 'cancelled', 'aborted'];
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 默认的从提交导出任务的响应数据中获取任务ID的函数。
+ *
+ * @param {object} data
+ *     提交导出任务的接口返回的数据。
+ * @return {string|number|null}
+ *     任务的ID，即`data.jobId`、`data.taskId`或`data.id`；若均不存在，则返回`null`。
+ */
+function getExportJobId(data) {
+  return data?.jobId ?? data?.taskId ?? data?.id ?? null;
+}
+
+/**
+ * 默认的解析导出任务状态的函数。
+ *
+ * 状态值取自`data.status`或`data.state`（不区分大小写），`'done'`、`'completed'`、
+ * `'succeeded'`、`'success'`、`'finished'`等表示已完成，`'failed'`、`'error'`等表示已失败，
+ * `'canceled'`、`'cancelled'`等表示已取消，其他值均表示仍在进行中。
+ *
+ * @param {object} data
+ *     查询导出任务状态的接口（或提交导出任务的接口）返回的数据。
+ * @return {object}
+ *     导出任务的状态，包含以下属性：
+ *     - `state: string`：`'running'`、`'done'`、`'failed'`或`'canceled'`；
+ *     - `progress: number|null`：导出的进度，取值为`0`到`100`，取自`data.progress`；
+ *     - `resultUrl: string|null`：导出结果文件的URL，取自`data.resultUrl`、`data.downloadUrl`
+ *       或`data.url`；
+ *     - `error: object|string|null`：导出失败的原因，取自`data.error`或`data.message`。
+ */
+function parseExportStatus(data) {
+  const value = String(data?.status ?? data?.state ?? '').toLowerCase();
+  let state = 'running';
+  if (DONE_STATES.includes(value)) {
+    state = 'done';
+  } else if (FAILED_STATES.includes(value)) {
+    state = 'failed';
+  } else if (CANCELED_STATES.includes(value)) {
+    state = 'canceled';
+  }
+  const progress = Number(data?.progress);
+  return {
+    state,
+    progress: (data?.progress != null) && Number.isFinite(progress) ? progress : null,
+    resultUrl: data?.resultUrl ?? data?.downloadUrl ?? data?.url ?? null,
+    error: data?.error ?? data?.message ?? null,
+  };
+}
+
+/**
+ * 创建一个表示导出任务被取消的`ErrorInfo`对象。
+ *
+ * @return {object}
+ *     `ErrorInfo`对象。
+ * @private
+ */
+function canceledError() {
+  return {
+    type: 'NETWORK_ERROR',
+    code: 'CANCELED',
+    message: i18n.t('error.canceled'),
+  };
+}
+
+/**
+ * 等待指定的时间。
+ *
+ * @param {number} delay
+ *     等待的毫秒数。
+ * @param {AbortSignal|null} signal
+ *     用于中止等待的信号。
+ * @return {Promise<void>}
+ *     等待结束时解析成功的`Promise`对象；若等待被中止，则解析失败。
+ * @private
+ */
+function sleep(delay, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(canceledError());
+      return;
+    }
+    let timer = null;
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(canceledError());
+    };
+    timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, delay);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 等待页面变为可见。
+ *
+ * 页面被隐藏（例如切换到其他标签页）时暂停查询，以免浪费服务器和网络资源。
+ *
+ * @param {AbortSignal|null} signal
+ *     用于中止等待的信号。
+ * @return {Promise<void>}
+ *     页面可见时解析成功的`Promise`对象；若等待被中止，则解析失败。
+ * @private
+ */
+function waitUntilVisible(signal) {
+  if ((typeof document === 'undefined') || (document.visibilityState !== 'hidden')) {
+    return Promise.resolve();
+  }
+  logger.debug('The page is hidden, pause polling the export job.');
+  return new Promise((resolve, reject) => {
+    const listeners = {};
+    const cleanup = () => {
+      document.removeEventListener('visibilitychange', listeners.change);
+      signal?.removeEventListener('abort', listeners.abort);
+    };
+    listeners.change = () => {
+      if (document.visibilityState !== 'hidden') {
+        cleanup();
+        logger.debug('The page is visible again, resume polling the export job.');
+        resolve();
+      }
+    };
+    listeners.abort = () => {
+      cleanup();
+      reject(canceledError());
+    };
+    document.addEventListener('visibilitychange', listeners.change);
+    signal?.addEventListener('abort', listeners.abort, { once: true });
+  });
+}
+
+/**
+ * 运行一个异步导出任务，并在导出完成后下载其结果文件。
+ *
+ * 导出任务与服务器的交互如下（各接口的URL可通过`endpoints`选项修改，响应数据的格式可通过
+ * `getJobId`和`parseStatus`选项修改）：
+ * - 提交任务：`POST {url}`，请求体为`data`选项，服务器应返回一个包含`jobId`（或`taskId`、
+ *   `id`）属性的对象；若返回的数据表明任务已完成，则不再查询状态；
+ * - 查询状态：`GET {url}/{jobId}`，服务器应返回一个包含`status`、`progress`和`resultUrl`
+ *   属性的对象，详见`parseExportStatus()`函数的说明；
+ * - 取消任务：`DELETE {url}/{jobId}`，在调用者取消导出时发送。
+ *
+ * 查询状态的间隔时间从`interval`开始，每次查询后乘以`backoff`，但不超过`maxInterval`；页面
+ * 被隐藏期间暂停查询。导出任务完成后，其结果文件的URL被传给`http.download()`下载。
+ *
+ * @param {Axios} http
+ *     用于发送请求的 axios 对象。
+ * @param {string} url
+ *     提交导出任务的接口的URL。
+ * @param {object} options
+ *     可选的参数，包括：
+ *     - `method: string`：提交导出任务的HTTP方法，默认为`'post'`；
+ *     - `data: object`：提交导出任务的请求体，例如导出的查询条件；
+ *     - `params: object`：提交导出任务的查询参数；
+ *     - `endpoints: object`：各接口的URL，其属性`submit`、`status`和`cancel`均为形如
+ *       `(url, jobId) => string`的函数；若`cancel`为`null`，则取消时不通知服务器；
+ *     - `getJobId: function`：从提交任务的响应数据中获取任务ID的函数，默认为
+ *       `getExportJobId()`；
+ *     - `parseStatus: function`：将响应数据解析为任务状态的函数，默认为`parseExportStatus()`；
+ *     - `interval: number`：查询状态的初始间隔时间（毫秒），默认使用
+ *       `'http_export_poll_interval'`配置项，若未配置则为`1000`；
+ *     - `maxInterval: number`：查询状态的最大间隔时间（毫秒），默认使用
+ *       `'http_export_poll_max_interval'`配置项，若未配置则为`10000`；
+ *     - `backoff: number`：每次查询后间隔时间增长的倍数，默认为`1.5`；
+ *     - `timeout: number`：导出任务的超时时间（毫秒），默认使用`'http_export_timeout'`配置项，
+ *       若未配置则为`0`，即不限制；
+ *     - `pauseWhenHidden: boolean`：页面被隐藏时是否暂停查询，默认为`true`；
+ *     - `download: object`：传给`http.download()`的选项，例如`filename`、`autoDownload`、
+ *       `stream`等；
+ *     - `onProgress: function`：进度的回调函数，其参数为一个包含`stage`（`'export'`或
+ *       `'download'`）、`jobId`和`percent`属性的对象，下载阶段还包含`loaded`和`total`属性；
+ *       无法获知进度时`percent`为`null`；
+ *     - `signal: AbortSignal`：用于取消导出的信号；
+ *     - `skipAutoErrorHandling: boolean`：是否跳过自动错误处理，默认为`false`。
+ * @param {function} handleError
+ *     处理导出任务失败或超时的函数，其参数为`ErrorInfo`对象，返回一个解析失败的`Promise`
+ *     对象。
+ * @return {Promise<object|ErrorInfo>}
+ *     若导出和下载成功，则解析成功并返回`http.download()`的返回值，并附加`jobId`属性；否则
+ *     解析失败并返回一个`ErrorInfo`对象。导出任务失败时，错误代码为服务器返回的代码或
+ *     `'EXPORT_FAILED'`；超时时为`'EXPORT_TIMEOUT'`；被取消时为`'CANCELED'`。
+ * @author 胡海星
+ */
+async function runExportJob(http, url, options = {}, handleError = (e) => Promise.reject(e)) {
+  const {
+    method = 'post',
+    data,
+    params,
+    getJobId = getExportJobId,
+    parseStatus = parseExportStatus,
+    interval = getHttpConfig(http, 'http_export_poll_interval', DEFAULT_EXPORT_POLL_INTERVAL),
+    maxInterval = getHttpConfig(http, 'http_export_poll_max_interval',
+      DEFAULT_EXPORT_POLL_MAX_INTERVAL),
+    backoff = DEFAULT_EXPORT_POLL_BACKOFF,
+    timeout = getHttpConfig(http, 'http_export_timeout', DEFAULT_EXPORT_TIMEOUT),
+    pauseWhenHidden = true,
+    download = {},
+    onProgress = null,
+    signal = null,
+    skipAutoErrorHandling = false,
+  } = options;
+  if (!Number.isFinite(interval) || (interval <= 0)) {
+    throw new RangeError(`The polling interval must be a positive number: ${interval}`);
+  }
+  if (!Number.isFinite(maxInterval) || (maxInterval < interval)) {
+    throw new RangeError(`The maximum polling interval must not be less than ${interval}: `
+      + `${maxInterval}`);
+  }
+  if (!Number.isFinite(backoff) || (backoff < 1)) {
+    throw new RangeError(`The polling backoff must be a number not less than 1: ${backoff}`);
+  }
+  if (!Number.isFinite(timeout) || (timeout < 0)) {
+    throw new RangeError(`The export timeout must be a non-negative number: ${timeout}`);
+  }
+  const endpoints = { ...DEFAULT_ENDPOINTS, ...options.endpoints };
+  const notify = (progress) => {
+    if (typeof onProgress === 'function') {
+      onProgress(progress);
+    }
+  };
+  let jobId = null;
+  // 通知服务器取消导出任务，返回的 Promise 对象总是解析成功
+  const cancelJob = () => {
+    if ((jobId === null) || !endpoints.cancel) {
+      return Promise.resolve();
+    }
+    logger.info('Cancel the export job on the server:', url, jobId);
+    return http.request({
+      method: 'delete',
+      url: endpoints.cancel(url, jobId),
+      skipAutoErrorHandling: true,
+    }).then(() => {}, (error) => {
+      logger.warn('Failed to cancel the export job on the server:', jobId, error);
+    });
+  };
+  const checkAborted = () => {
+    if (signal?.aborted) {
+      throw canceledError();
+    }
+  };
+  try {
+    const submitted = await http.request({
+      method,
+      url: endpoints.submit(url),
+      data,
+      params,
+      signal,
+      skipAutoErrorHandling,
+    });
+    jobId = getJobId(submitted);
+    checkAborted();
+    let status = parseStatus(submitted);
+    if ((jobId === null) && (status.state !== 'done')) {
+      logger.error('The server did not return the ID of the export job:', url, submitted);
+      return handleError({
+        type: 'SERVER_ERROR',
+        code: 'EXPORT_FAILED',
+        message: i18n.t('error.export_missing_job_id'),
+      });
+    }
+    logger.info('Submitted the export job:', url, jobId);
+    const deadline = (timeout > 0) ? (Date.now() + timeout) : Infinity;
+    let delay = interval;
+    while (status.state === 'running') {
+      notify({ stage: 'export', jobId, percent: status.progress });
+      if (Date.now() + delay > deadline) {
+        logger.error('The export job timed out:', url, jobId);
+        await cancelJob();
+        return handleError({
+          type: 'NETWORK_ERROR',
+          code: 'EXPORT_TIMEOUT',
+          message: i18n.t('error.export_timeout'),
+        });
+      }
+      await sleep(delay, signal);
+      if (pauseWhenHidden) {
+        await waitUntilVisible(signal);
+      }
+      delay = Math.min(delay * backoff, maxInterval);
+      status = parseStatus(await http.request({
+        method: 'get',
+        url: endpoints.status(url, jobId),
+        signal,
+        skipAutoErrorHandling,
+      }));
+      checkAborted();
+    }
+    if (status.state === 'canceled') {
+      logger.info('The export job was canceled on the server:', url, jobId);
+      return Promise.reject(canceledError());
+    }
+    if (status.state === 'failed') {
+      logger.error('The export job failed:', url, jobId, status.error);
+      const error = (typeof status.error === 'object') ? status.error : null;
+      const message = (typeof status.error === 'string') ? status.error : error?.message;
+      return handleError({
+        type: error?.type ?? 'SERVER_ERROR',
+        code: error?.code ?? 'EXPORT_FAILED',
+        message: message || i18n.t('error.export_failed'),
+        ...(error?.params ? { params: error.params } : {}),
+      });
+    }
+    if (!status.resultUrl) {
+      logger.error('The server did not return the URL of the exported file:', url, jobId);
+      return handleError({
+        type: 'SERVER_ERROR',
+        code: 'EXPORT_FAILED',
+        message: i18n.t('error.export_missing_result'),
+      });
+    }
+    notify({ stage: 'export', jobId, percent: 100 });
+    logger.info('The export job is done, download the result:', jobId, status.resultUrl);
+    const result = await http.download({
+      skipAutoErrorHandling,
+      ...download,
+      url: status.resultUrl,
+      ...(signal ? { signal } : {}),
+      onProgress: (progress) => {
+        notify({ stage: 'download', jobId, ...progress });
+        download.onProgress?.(progress);
+      },
+    });
+    return { ...result, jobId };
+  } catch (error) {
+    if (signal?.aborted || (error?.code === 'CANCELED')) {
+      await cancelJob();
+      return Promise.reject(canceledError());
+    }
+    throw error;
+  }
+}
+
+export {
+  DEFAULT_EXPORT_POLL_INTERVAL,
+  DEFAULT_EXPORT_POLL_MAX_INTERVAL,
+  DEFAULT_EXPORT_POLL_BACKOFF,
+  DEFAULT_EXPORT_TIMEOUT,
+  getExportJobId,
+  parseExportStatus,
+};
+
+export default runExportJob;
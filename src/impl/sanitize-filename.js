@@ -0,0 +1,101 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 默认的文件名的最大长度（字符数）。
+ *
+ * @type {number}
+ */
+const DEFAULT_MAX_FILENAME_LENGTH = 255;
+
+/**
+ * Windows 系统保留的设备名称，无论是否带有扩展名都不能作为文件名。
+ *
+ * @type {RegExp}
+ * @private
+ */
+const RESERVED_NAMES = /^(con|prn|aux|nul|com[0-9]|lpt[0-9])(\..*)?$/i;
+
+/**
+ * 将文件名拆分为主文件名和扩展名。
+ *
+ * 扩展名是最后一个`.`之后的 1 到 10 个字母或数字；以`.`开头且没有其他`.`的文件名没有
+ * 扩展名。
+ *
+ * @param {string} filename
+ *     待拆分的文件名。
+ * @return {object}
+ *     包含`name`和`ext`属性的对象，分别为主文件名和不含`.`的扩展名；若没有扩展名，则
+ *     `ext`为空字符串。
+ */
+function splitFilename(filename) {
+  const match = /^(.+)\.([A-Za-z0-9]{1,10})$/.exec(filename);
+  return match ? { name: match[1], ext: match[2] } : { name: filename, ext: '' };
+}
+
+/**
+ * 将文件名截断到指定的最大长度，尽可能保留其扩展名。
+ *
+ * @param {string} filename
+ *     待截断的文件名。
+ * @param {number} maxLength
+ *     最大长度（字符数，代理对按一个字符计算）。
+ * @return {string}
+ *     截断后的文件名。
+ * @private
+ */
+function truncate(filename, maxLength) {
+  const chars = Array.from(filename);
+  if (chars.length <= maxLength) {
+    return filename;
+  }
+  const { name, ext } = splitFilename(filename);
+  if (ext && (ext.length + 1 < maxLength)) {
+    return `${Array.from(name).slice(0, maxLength - ext.length - 1).join('')}.${ext}`;
+  }
+  return chars.slice(0, maxLength).join('');
+}
+
+/**
+ * 将服务器提供的文件名转换为可以安全保存的文件名。
+ *
+ * 此函数去掉文件名中的路径（只保留最后一个`/`或`\`之后的部分）和控制字符，将 Windows
+ * 系统不允许的字符（`<>:"|?*`）替换为`_`，去掉开头的`.`以及结尾的`.`和空格，在 Windows
+ * 系统保留的设备名称（如`CON`、`NUL`、`COM1`等）前加上`_`，并将其截断到最大长度。
+ *
+ * @param {string|null|undefined} filename
+ *     待处理的文件名。
+ * @param {number} maxLength
+ *     文件名的最大长度（字符数），默认值为`255`。
+ * @return {string}
+ *     处理后的文件名；若处理后文件名为空，则返回空字符串。
+ * @author 胡海星
+ */
+function sanitizeFilename(filename, maxLength = DEFAULT_MAX_FILENAME_LENGTH) {
+  let name = String(filename ?? '').split(/[/\\]/).pop();
+  name = name.replace(/\p{Cc}/gu, '')
+    .replace(/[<>:"|?*]/g, '_')
+    .trim()
+    .replace(/^\.+/, '')
+    .replace(/[. ]+$/, '');
+  if (name.length === 0) {
+    return '';
+  }
+  if (RESERVED_NAMES.test(name)) {
+    name = `_${name}`;
+  }
+  return truncate(name, maxLength);
+}
+
+export {
+  DEFAULT_MAX_FILENAME_LENGTH,
+  splitFilename,
+};
+
+export default sanitizeFilename;
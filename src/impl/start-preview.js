@@ -0,0 +1,121 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+import { getHttpConfig } from './http-config';
+
+/**
+ * 支持的预览方式。
+ *
+ * - `'window'`：在新的窗口（或标签页）中打开下载的文件；
+ * - `'url'`：只创建对象 URL，由调用者自行使用，例如作为`<img>`或`<iframe>`的`src`。
+ *
+ * @type {string[]}
+ */
+const PREVIEW_MODES = ['window', 'url'];
+
+/**
+ * 默认的在新窗口中预览的文件的对象 URL 的释放时间，单位为毫秒。
+ *
+ * @type {number}
+ */
+const DEFAULT_PREVIEW_TIMEOUT = 60000;
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 规范化下载的`preview`选项。
+ *
+ * @param {Axios} http
+ *     发送下载请求的 axios 对象，用于读取其配置项。
+ * @param {boolean|string|object|null|undefined} value
+ *     `preview`选项的值。可以是`true`（等同于`'window'`）、`PREVIEW_MODES`中的一个字符串，
+ *     或者一个包含`mode`、`timeout`和`signal`属性的对象。
+ * @return {object|null}
+ *     包含`mode`、`timeout`和`signal`属性的对象；若不预览，则返回`null`。对于`'window'`
+ *     方式，`timeout`默认使用`'http_preview_timeout'`配置项，若未配置则为 60 秒；对于
+ *     `'url'`方式，`timeout`默认为`0`，即不自动释放。
+ * @throws {RangeError}
+ *     若预览方式不受支持，或者超时时间不是非负数。
+ */
+function normalizePreviewOption(http, value) {
+  if (!value) {
+    return null;
+  }
+  let options = value;
+  if (value === true) {
+    options = { mode: 'window' };
+  } else if (typeof value === 'string') {
+    options = { mode: value };
+  }
+  const { mode = 'window', signal = null } = options;
+  if (!PREVIEW_MODES.includes(mode)) {
+    throw new RangeError(`Unsupported preview mode: ${mode}`);
+  }
+  const timeout = options.timeout ?? ((mode === 'window')
+    ? getHttpConfig(http, 'http_preview_timeout', DEFAULT_PREVIEW_TIMEOUT)
+    : 0);
+  if (!Number.isFinite(timeout) || (timeout < 0)) {
+    throw new RangeError(`The preview timeout must be a non-negative number: ${timeout}`);
+  }
+  return { mode, timeout, signal };
+}
+
+/**
+ * 预览下载的文件。
+ *
+ * 文件以`File`对象的形式创建对象 URL，其类型为解析得到的 MIME 类型，以便浏览器按该类型
+ * 显示文件（例如使用内置的 PDF 阅读器）。
+ *
+ * @param {Blob} blob
+ *     下载的文件。
+ * @param {string} filename
+ *     下载的文件的名称。
+ * @param {string} mimeType
+ *     下载的文件的 MIME 类型。
+ * @param {object} preview
+ *     由`normalizePreviewOption()`函数规范化的`preview`选项。
+ * @param {ObjectUrlManager} manager
+ *     管理对象 URL 的对象。
+ * @param {Window|null} win
+ *     发送请求之前打开的空白窗口；若为`null`，则打开一个新窗口。由于浏览器会拦截不是由用户
+ *     操作直接打开的窗口，应尽量在发送请求之前打开窗口。
+ * @return {object}
+ *     包含以下属性的对象：
+ *     - `url: string`：文件的对象 URL；
+ *     - `window: Window|null`：显示文件的窗口，对于`'url'`方式或窗口被浏览器拦截时为`null`；
+ *     - `release: function`：释放对象 URL 的函数。
+ * @author 胡海星
+ */
+function startPreview(blob, filename, mimeType, preview, manager, win = null) {
+  const file = (typeof File === 'function')
+    ? new File([blob], filename, { type: mimeType })
+    : new Blob([blob], { type: mimeType });
+  const { url, release } = manager.create(file, preview);
+  let target = null;
+  if (preview.mode === 'window') {
+    if (win && !win.closed) {
+      win.location.href = url;
+      target = win;
+    } else {
+      target = window.open(url, '_blank');
+      if (!target) {
+        logger.warn('The preview window was blocked by the browser:', filename);
+      }
+    }
+  }
+  return { url, window: target, release };
+}
+
+export {
+  DEFAULT_PREVIEW_TIMEOUT,
+  PREVIEW_MODES,
+  normalizePreviewOption,
+};
+
+export default startPreview;
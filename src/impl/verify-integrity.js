@@ -0,0 +1,293 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Logger } from '@qubit-ltd/logging';
+import i18n from '../i18n';
+import md5 from './md5';
+import readBlobAsBytes from './read-blob-as-bytes';
+
+/**
+ * 支持的摘要算法及其摘要的字节数，按照安全性从高到低排列。
+ *
+ * @type {object}
+ * @private
+ */
+const DIGEST_LENGTHS = {
+  'SHA-512': 64,
+  'SHA-384': 48,
+  'SHA-256': 32,
+  MD5: 16,
+};
+
+const logger = Logger.getLogger('http');
+
+/**
+ * 规范化摘要算法的名称。
+ *
+ * @param {string} name
+ *     摘要算法的名称，如`'sha-256'`、`'sha256'`、`'SHA-512'`或`'md5'`，不区分大小写。
+ * @return {string|null}
+ *     规范化的算法名称，如`'SHA-256'`；若不支持该算法，则返回`null`。
+ * @private
+ */
+function normalizeAlgorithm(name) {
+  const value = String(name ?? '').trim().toUpperCase();
+  const algorithm = /^SHA-?(256|384|512)$/.test(value) ? `SHA-${value.slice(-3)}` : value;
+  return Object.prototype.hasOwnProperty.call(DIGEST_LENGTHS, algorithm) ? algorithm : null;
+}
+
+/**
+ * 将 base64 编码的字符串解码为字节数组。
+ *
+ * @param {string} value
+ *     base64 编码的字符串，也可以使用 URL 安全的字母表。
+ * @return {Uint8Array|null}
+ *     解码后的字节数组；若`value`不是有效的 base64 编码，则返回`null`。
+ * @private
+ */
+function base64ToBytes(value) {
+  try {
+    const binary = atob(value.trim().replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * 将字节数组编码为 base64 字符串。
+ *
+ * @param {Uint8Array} bytes
+ *     字节数组。
+ * @return {string}
+ *     base64 编码的字符串。
+ * @private
+ */
+function bytesToBase64(bytes) {
+  return btoa(Array.from(bytes, (b) => String.fromCharCode(b)).join(''));
+}
+
+/**
+ * 将字节数组编码为小写的十六进制字符串。
+ *
+ * @param {Uint8Array} bytes
+ *     字节数组。
+ * @return {string}
+ *     十六进制字符串。
+ * @private
+ */
+function bytesToHex(bytes) {
+  return Array.from(bytes, (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * 创建一个摘要对象，若摘要的长度与算法不符，则返回`null`。
+ *
+ * @param {string|null} algorithm
+ *     规范化的算法名称。
+ * @param {Uint8Array|null} bytes
+ *     摘要的字节数组。
+ * @param {string} source
+ *     摘要的来源，如`'Repr-Digest'`或`'expected'`。
+ * @return {object|null}
+ *     包含`algorithm`、`bytes`和`source`属性的对象，或者`null`。
+ * @private
+ */
+function createDigest(algorithm, bytes, source) {
+  if (!algorithm || !bytes || (bytes.length !== DIGEST_LENGTHS[algorithm])) {
+    return null;
+  }
+  return { algorithm, bytes, source };
+}
+
+/**
+ * 选择安全性最高的摘要。
+ *
+ * @param {object[]} digests
+ *     摘要对象的列表，其中可能包含`null`。
+ * @return {object|null}
+ *     安全性最高的摘要对象；若列表中没有摘要，则返回`null`。
+ * @private
+ */
+function strongest(digests) {
+  const order = Object.keys(DIGEST_LENGTHS);
+  return digests.filter(Boolean)
+    .sort((x, y) => order.indexOf(x.algorithm) - order.indexOf(y.algorithm))[0] ?? null;
+}
+
+/**
+ * 从响应头中获取用于校验文件完整性的摘要。
+ *
+ * 依次查找以下响应头，并在第一个包含受支持的摘要的响应头中选择安全性最高的摘要：
+ * - `Repr-Digest`（RFC 9530），如`sha-256=:BASE64:, sha-512=:BASE64:`；
+ * - `Digest`（RFC 3230），如`SHA-256=BASE64, MD5=BASE64`；
+ * - `Content-MD5`（RFC 1864），如`BASE64`。
+ *
+ * @param {AxiosHeaders} headers
+ *     响应头。
+ * @return {object|null}
+ *     包含`algorithm`、`bytes`和`source`属性的摘要对象；若响应头中没有受支持的摘要，则
+ *     返回`null`。
+ */
+function getDigestFromHeaders(headers) {
+  const reprDigest = headers?.get?.('Repr-Digest');
+  if (reprDigest) {
+    const digest = strongest(String(reprDigest).split(',').map((member) => {
+      const match = /^\s*([\w-]+)\s*=\s*:([A-Za-z0-9+/=]*):/.exec(member);
+      return match && createDigest(normalizeAlgorithm(match[1]), base64ToBytes(match[2]),
+        'Repr-Digest');
+    }));
+    if (digest) {
+      return digest;
+    }
+  }
+  const legacyDigest = headers?.get?.('Digest');
+  if (legacyDigest) {
+    const digest = strongest(String(legacyDigest).split(',').map((member) => {
+      const eq = member.indexOf('=');
+      return (eq > 0) && createDigest(normalizeAlgorithm(member.substring(0, eq)),
+        base64ToBytes(member.substring(eq + 1)), 'Digest');
+    }));
+    if (digest) {
+      return digest;
+    }
+  }
+  const contentMd5 = headers?.get?.('Content-MD5');
+  return contentMd5 ? createDigest('MD5', base64ToBytes(String(contentMd5)), 'Content-MD5') : null;
+}
+
+/**
+ * 解析调用者提供的期望摘要。
+ *
+ * @param {string|object} expected
+ *     期望的摘要。可以是一个 Subresource Integrity 格式的字符串，如`'sha256-BASE64'`；
+ *     也可以是一个包含`algorithm`和`hash`属性的对象，如
+ *     `{ algorithm: 'SHA-256', hash: '9f86d0...' }`，其中`hash`为十六进制或 base64 编码
+ *     的摘要。
+ * @return {object}
+ *     包含`algorithm`、`bytes`和`source`属性的摘要对象。
+ * @throws {RangeError}
+ *     若期望的摘要格式错误或者其算法不受支持。
+ */
+function parseExpectedDigest(expected) {
+  let algorithm;
+  let hash;
+  if (typeof expected === 'string') {
+    const dash = expected.indexOf('-', expected.toLowerCase().startsWith('sha-') ? 4 : 0);
+    algorithm = normalizeAlgorithm(expected.substring(0, dash));
+    hash = expected.substring(dash + 1);
+  } else {
+    algorithm = normalizeAlgorithm(expected?.algorithm);
+    hash = String(expected?.hash ?? '');
+  }
+  const length = algorithm ? DIGEST_LENGTHS[algorithm] : 0;
+  const bytes = (/^[0-9a-f]+$/i.test(hash) && (hash.length === length * 2))
+    ? Uint8Array.from(hash.match(/../g), (h) => parseInt(h, 16))
+    : base64ToBytes(hash);
+  const digest = createDigest(algorithm, bytes, 'expected');
+  if (!digest) {
+    throw new RangeError(`Invalid expected hash: ${JSON.stringify(expected)}`);
+  }
+  return digest;
+}
+
+/**
+ * 创建一个表示完整性校验失败的`ErrorInfo`对象。
+ *
+ * @param {string} code
+ *     错误代码。
+ * @param {string} key
+ *     错误信息在`i18n`中的键。
+ * @param {object} params
+ *     错误信息的参数。
+ * @return {object}
+ *     `ErrorInfo`对象。
+ * @private
+ */
+function createError(code, key, params = {}) {
+  return {
+    type: 'NETWORK_ERROR',
+    code,
+    message: i18n.t(key, params),
+  };
+}
+
+/**
+ * 计算`Blob`对象的摘要。
+ *
+ * SHA 系列算法使用 Web Crypto API 计算，MD5 算法使用内置的实现计算。
+ *
+ * @param {Blob} blob
+ *     待计算摘要的`Blob`对象。
+ * @param {string} algorithm
+ *     规范化的算法名称，如`'SHA-256'`。
+ * @return {Promise<Uint8Array>}
+ *     摘要的字节数组。若当前环境不支持 Web Crypto API（例如非安全上下文），则解析失败并
+ *     返回一个代码为`'INTEGRITY_UNSUPPORTED'`的`ErrorInfo`对象。
+ */
+async function computeDigest(blob, algorithm) {
+  const bytes = await readBlobAsBytes(blob);
+  if (algorithm === 'MD5') {
+    return md5(bytes);
+  }
+  const subtle = globalThis.crypto?.subtle;
+  if (!subtle) {
+    throw createError('INTEGRITY_UNSUPPORTED', 'error.integrity_unsupported', { algorithm });
+  }
+  return new Uint8Array(await subtle.digest(algorithm, bytes));
+}
+
+/**
+ * 校验下载的文件的完整性。
+ *
+ * @param {Blob} blob
+ *     下载的文件。
+ * @param {object} response
+ *     下载请求的响应对象。
+ * @param {object|null} expected
+ *     由`parseExpectedDigest()`函数解析得到的期望摘要；若为`null`，则使用响应头
+ *     （`Repr-Digest`、`Digest`或`Content-MD5`）中的摘要校验。
+ * @return {Promise<object>}
+ *     若校验通过，则解析成功并返回计算得到的摘要，即一个包含`algorithm`、`hex`和`base64`
+ *     属性的对象；否则解析失败并返回一个类型为`'NETWORK_ERROR'`的`ErrorInfo`对象，其代码为
+ *     `'INTEGRITY_MISMATCH'`（摘要不一致）、`'INTEGRITY_MISSING'`（响应头中没有摘要）或
+ *     `'INTEGRITY_UNSUPPORTED'`（当前环境不支持该算法）。
+ * @author 胡海星
+ */
+async function verifyIntegrity(blob, response, expected = null) {
+  if (expected === null) {
+    expected = getDigestFromHeaders(response.headers);
+    if (!expected) {
+      logger.error('No supported digest found in the response headers:', response.config?.url);
+      throw createError('INTEGRITY_MISSING', 'error.integrity_missing');
+    }
+  }
+  const actual = await computeDigest(blob, expected.algorithm);
+  const hash = {
+    algorithm: expected.algorithm,
+    hex: bytesToHex(actual),
+    base64: bytesToBase64(actual),
+  };
+  if (hash.hex !== bytesToHex(expected.bytes)) {
+    logger.error('The %s digest of the downloaded file does not match the %s digest: %s != %s',
+      expected.algorithm, expected.source, hash.hex, bytesToHex(expected.bytes));
+    throw createError('INTEGRITY_MISMATCH', 'error.integrity_mismatch', {
+      algorithm: expected.algorithm,
+    });
+  }
+  logger.debug('The %s digest of the downloaded file is verified:', expected.algorithm, hash.hex);
+  return hash;
+}
+
+export {
+  computeDigest,
+  getDigestFromHeaders,
+  parseExpectedDigest,
+};
+
+export default verifyIntegrity;
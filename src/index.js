@@ -7,11 +7,15 @@
 //
 ////////////////////////////////////////////////////////////////////////////////
 import AuthStorage from './auth-storage';
+import createHttp from './create-http';
 import http from './http';
+import i18n from './i18n';
 import BasicUserStore from './store/basic-user-store';
 
 export {
   AuthStorage,
+  createHttp,
   http,
+  i18n,
   BasicUserStore,
 };
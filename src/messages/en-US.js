@@ -0,0 +1,51 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 美式英语的提示信息。
+ *
+ * @type {object}
+ * @author 胡海星
+ */
+const enUS = {
+  'error.title': 'Error',
+  'error.unknown': 'An unknown error occurred. Please contact the administrator.',
+  'error.contact_admin': '{message}. Please contact the administrator.',
+  'error.params': 'Error parameters: {params}',
+  'error.network': 'An unknown network error occurred: {message}',
+  'error.canceled': 'The request was canceled.',
+  'error.app_session_expired': 'The application session has expired. Please contact the administrator.',
+  'error.app_invalid_token': 'The application token is invalid. Please contact the administrator.',
+  'error.app_authentication_required': 'The application is not authenticated or its token has expired. '
+    + 'Please contact the administrator.',
+  'error.invalid_content_range': 'The server returned an invalid content range: {value}',
+  'error.download_timeout': 'No data has been received for too long. Please try again later.',
+  'error.download_modified': 'The file was modified repeatedly during the download. Please try again later.',
+  'error.invalid_base64': 'The server returned file data that is not valid base64.',
+  'error.invalid_data_url': 'The server returned file data that is not a valid data URL.',
+  'error.invalid_json_base64': 'The JSON returned by the server has no base64-encoded file content.',
+  'error.integrity_mismatch': 'The downloaded file failed the integrity check ({algorithm}). '
+    + 'It may be corrupted or tampered with.',
+  'error.integrity_missing': 'The server did not provide a digest to verify the downloaded file.',
+  'error.integrity_unsupported': 'This environment cannot verify the downloaded file ({algorithm}).',
+  'error.export_failed': 'The export failed. Please try again later.',
+  'error.export_timeout': 'The export is taking too long. Please try again later.',
+  'error.export_missing_job_id': 'The server did not return the ID of the export job.',
+  'error.export_missing_result': 'The server did not return the URL of the exported file.',
+  'login.confirm_title': 'Sign in again?',
+  'login.confirm_message': 'You are not signed in or have been signed out. Sign in again, '
+    + 'or choose "Cancel" to stay on this page.',
+  'login.store_confirm_message': 'You are not signed in or have been signed out. Sign in again, '
+    + 'or cancel to stay on this page.',
+  'login.confirm_ok': 'Sign In',
+  'login.confirm_cancel': 'Cancel',
+  'loading.message': 'Loading, please wait...',
+};
+
+export default enUS;
@@ -0,0 +1,47 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+
+/**
+ * 简体中文的提示信息。
+ *
+ * @type {object}
+ * @author 胡海星
+ */
+const zhCN = {
+  'error.title': '错误',
+  'error.unknown': '发生未知错误：请与管理员联系',
+  'error.contact_admin': '{message}：请与管理员联系',
+  'error.params': '错误参数为：{params}',
+  'error.network': '网络请求发生未知错误: {message}',
+  'error.canceled': '请求已被取消',
+  'error.app_session_expired': '应用会话已过期，请与管理员联系',
+  'error.app_invalid_token': '应用令牌错误，请与管理员联系',
+  'error.app_authentication_required': '当前应用未认证或令牌已过期，请与管理员联系',
+  'error.invalid_content_range': '服务器返回的数据范围无效：{value}',
+  'error.download_timeout': '长时间没有收到下载的数据，请稍后重试',
+  'error.download_modified': '文件在下载过程中被反复修改，请稍后重试',
+  'error.invalid_base64': '服务器返回的文件数据不是有效的 base64 编码',
+  'error.invalid_data_url': '服务器返回的文件数据不是有效的 Data URL',
+  'error.invalid_json_base64': '服务器返回的 JSON 数据中没有 base64 编码的文件内容',
+  'error.integrity_mismatch': '下载的文件未通过完整性校验（{algorithm}），文件可能已损坏或被篡改',
+  'error.integrity_missing': '服务器没有提供用于校验下载的文件完整性的摘要',
+  'error.integrity_unsupported': '当前环境不支持校验下载的文件的完整性（{algorithm}）',
+  'error.export_failed': '导出失败，请稍后重试',
+  'error.export_timeout': '导出时间过长，请稍后重试',
+  'error.export_missing_job_id': '服务器没有返回导出任务的 ID',
+  'error.export_missing_result': '服务器没有返回导出文件的地址',
+  'login.confirm_title': '是否重新登录',
+  'login.confirm_message': '您尚未登录或者已经登出，请选择重新登录，或者选择"放弃"停留在本页面',
+  'login.store_confirm_message': '您尚未登录或者已经登出，请选择重新登录，或者选择放弃停留在本页面',
+  'login.confirm_ok': '重新登录',
+  'login.confirm_cancel': '放弃',
+  'loading.message': '正在载入，请稍候……',
+};
+
+export default zhCN;
@@ -12,6 +12,7 @@ import { confirm } from '@qubit-ltd/common-ui';
 import config from '@qubit-ltd/config';
 import AuthStorage from '../auth-storage';
 import http from '../http';
+import i18n from '../i18n';
 import { DEFAULT_LOGIN_PAGE } from '../impl/http-impl';
 
 const logger = Logger.getLogger('store.user');
@@ -763,10 +764,10 @@ class BasicUserStore {
   @Log
   confirmLogin() {
     return confirm.info(
-      '是否重新登录',
-      '您尚未登录或者已经登出，请选择重新登录，或者选择放弃停留在本页面',
-      '重新登录',
-      '放弃',
+      i18n.t('login.confirm_title'),
+      i18n.t('login.store_confirm_message'),
+      i18n.t('login.confirm_ok'),
+      i18n.t('login.confirm_cancel'),
     ).then(() => {
       this.resetToken();
       logger.info('Redirect to user login page ...');
@@ -0,0 +1,202 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import { alert } from '@qubit-ltd/common-ui';
+import config from '@qubit-ltd/config';
+import { http, createHttp } from '../src';
+import {
+  DEFAULT_APP_TOKEN_NAME,
+  DEFAULT_ACCESS_TOKEN_NAME,
+  DEFAULT_HTTP_TIMEOUT,
+  httpImpl,
+} from '../src/impl/http-impl';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+function createFileHttp(options = {}) {
+  return createHttp({
+    config: {
+      api_base_url: 'https://files.example.com/api',
+      app_token_value: 'FileAppToken',
+      http_timeout: 120000,
+    },
+    getAccessToken: () => ({ value: 'FileAccessToken' }),
+    resetAccessToken: jest.fn(),
+    getRouter: () => ({ push: jest.fn((obj) => Promise.resolve(obj.name)) }),
+    ...options,
+  });
+}
+
+beforeEach(() => {
+  state.reset();
+  jest.clearAllMocks();
+  mock.reset();
+});
+
+afterAll(() => {
+  mock.restore();
+});
+
+/**
+ * Test the `createHttp` function.
+ */
+describe('createHttp', () => {
+  it('should create an instance different from the default one', () => {
+    const fileHttp = createFileHttp();
+    expect(fileHttp).not.toBe(http);
+    expect(fileHttp.download).toBeInstanceOf(Function);
+    expect(fileHttp.errorHandlers).not.toBe(http.errorHandlers);
+    expect(fileHttp.settings.api_base_url).toBe('https://files.example.com/api');
+  });
+
+  it('should send requests with the configuration of the instance', async () => {
+    const fileHttp = createFileHttp();
+    const fileMock = new AxiosMockAdapter(fileHttp);
+    fileMock.onGet('/files').reply((cfg) => {
+      expect(cfg.baseURL).toBe('https://files.example.com/api');
+      expect(cfg.timeout).toBe(120000);
+      expect(cfg.headers[DEFAULT_APP_TOKEN_NAME]).toBe('FileAppToken');
+      expect(cfg.headers[DEFAULT_ACCESS_TOKEN_NAME]).toBe('FileAccessToken');
+      return [200, { files: [] }];
+    });
+    await expect(fileHttp.get('/files')).resolves.toEqual({ files: [] });
+    fileMock.restore();
+  });
+
+  it('should not change the configuration of the default instance', async () => {
+    createFileHttp();
+    mock.onGet('/data').reply((cfg) => {
+      expect(cfg.baseURL).toBe('https://127.0.0.1/api');
+      expect(cfg.headers[DEFAULT_APP_TOKEN_NAME]).toBe('TestAppToken');
+      expect(cfg.headers[DEFAULT_ACCESS_TOKEN_NAME]).toBe('TestAccessToken');
+      return [200, { ok: true }];
+    });
+    await expect(http.get('/data')).resolves.toEqual({ ok: true });
+  });
+
+  it('should use the global configuration for the unspecified settings', async () => {
+    const reportHttp = createHttp({
+      config: { api_base_url: 'https://reports.example.com/api' },
+      getAccessToken: () => null,
+      resetAccessToken: () => {},
+      getRouter: () => null,
+    });
+    const reportMock = new AxiosMockAdapter(reportHttp);
+    reportMock.onGet('/reports').reply((cfg) => {
+      expect(cfg.baseURL).toBe('https://reports.example.com/api');
+      expect(cfg.headers[DEFAULT_APP_TOKEN_NAME]).toBe('TestAppToken');
+      expect(cfg.headers[DEFAULT_ACCESS_TOKEN_NAME]).toBeUndefined();
+      return [200, []];
+    });
+    await expect(reportHttp.get('/reports')).resolves.toEqual([]);
+    reportMock.restore();
+  });
+
+  it('should not write the default timeout to the global configuration', async () => {
+    config.remove('http_timeout');
+    const reportHttp = createHttp({
+      config: { api_base_url: 'https://reports.example.com/api' },
+      getAccessToken: () => null,
+      resetAccessToken: () => {},
+      getRouter: () => null,
+    });
+    const reportMock = new AxiosMockAdapter(reportHttp);
+    reportMock.onGet('/reports').reply((cfg) => {
+      expect(cfg.timeout).toBe(DEFAULT_HTTP_TIMEOUT);
+      return [200, []];
+    });
+    await expect(reportHttp.get('/reports')).resolves.toEqual([]);
+    expect(config.has('http_timeout')).toBe(false);
+    reportMock.restore();
+  });
+
+  it('should register the error handlers of the instance', async () => {
+    const handler = jest.fn((error) => Promise.reject(error));
+    const fileHttp = createFileHttp({
+      errorHandlers: { FILE_NOT_FOUND: handler },
+    });
+    const fileMock = new AxiosMockAdapter(fileHttp);
+    const errorInfo = { type: 'SERVER_ERROR', code: 'FILE_NOT_FOUND', message: '文件不存在' };
+    fileMock.onGet('/files/1').reply(404, errorInfo);
+    await expect(fileHttp.get('/files/1')).rejects.toEqual(errorInfo);
+    expect(handler).toHaveBeenCalledOnce();
+    expect(handler.mock.calls[0][1].http).toBe(fileHttp);
+    expect(state.alertImpl.message).toBeUndefined();
+    expect(http.errorHandlers.has('FILE_NOT_FOUND')).toBe(false);
+    fileMock.restore();
+  });
+
+  it('should use the login page of the instance', async () => {
+    const push = jest.fn((obj) => Promise.resolve(obj.name));
+    const fileHttp = createFileHttp({
+      config: {
+        api_base_url: 'https://files.example.com/api',
+        app_token_value: 'FileAppToken',
+        login_page: 'FileLogin',
+      },
+      getRouter: () => ({ push }),
+    });
+    const fileMock = new AxiosMockAdapter(fileHttp);
+    fileMock.onGet('/files').reply(401, {
+      type: 'AUTHENTICATION_ERROR',
+      code: 'LOGIN_REQUIRED',
+    });
+    await expect(fileHttp.get('/files')).resolves.toBe('FileLogin');
+    expect(fileHttp.resetAccessToken).toHaveBeenCalledOnce();
+    expect(push).toHaveBeenCalledWith({ name: 'FileLogin' });
+    expect(state.resetAccessToken).not.toHaveBeenCalled();
+    fileMock.restore();
+  });
+
+  it('should not share the login confirmation with other instances', async () => {
+    const fileHttp = createFileHttp();
+    const p1 = httpImpl.confirmLogin(http);
+    const p2 = httpImpl.confirmLogin(fileHttp);
+    expect(p2).not.toBe(p1);
+    expect(httpImpl.confirmLogin(fileHttp)).toBe(p2);
+    await expect(Promise.all([p1, p2])).resolves.toEqual(['Login', 'Login']);
+    expect(state.resetAccessToken).toHaveBeenCalledOnce();
+    expect(fileHttp.resetAccessToken).toHaveBeenCalledOnce();
+  });
+
+  it('should deduplicate the error alerts of each instance separately', async () => {
+    const fileHttp = createFileHttp();
+    const spy = jest.spyOn(alert, 'show');
+    await httpImpl.showErrorAlert(http, '错误', '消息');
+    await httpImpl.showErrorAlert(fileHttp, '错误', '消息');
+    expect(spy).toHaveBeenCalledTimes(2);
+    await httpImpl.showErrorAlert(fileHttp, '错误', '消息');
+    expect(spy).toHaveBeenCalledTimes(2);
+    spy.mockRestore();
+  });
+
+  it('should use the error dedup window of the instance', async () => {
+    const fileHttp = createFileHttp({
+      config: {
+        api_base_url: 'https://files.example.com/api',
+        http_error_dedup_window: 1000,
+      },
+    });
+    const spy = jest.spyOn(alert, 'show');
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(10000);
+    await httpImpl.showErrorAlert(http, '错误', '消息');
+    await httpImpl.showErrorAlert(fileHttp, '错误', '消息');
+    expect(spy).toHaveBeenCalledTimes(2);
+    nowSpy.mockReturnValue(11500);
+    await httpImpl.showErrorAlert(http, '错误', '消息');
+    expect(spy).toHaveBeenCalledTimes(2);
+    await httpImpl.showErrorAlert(fileHttp, '错误', '消息');
+    expect(spy).toHaveBeenCalledTimes(3);
+    nowSpy.mockRestore();
+    spy.mockRestore();
+  });
+});
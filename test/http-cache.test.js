@@ -0,0 +1,200 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import config from '@qubit-ltd/config';
+import { http } from '../src';
+import { httpImpl } from '../src/impl/http-impl';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+const JSON_HEADERS = { 'Content-Type': 'application/json;charset=UTF-8' };
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  http.clearCache();
+  jest.clearAllMocks();
+  config.remove('http_cache');
+  config.remove('http_cache_ttl');
+  config.set('http_retry_base_delay', 1);
+});
+
+afterAll(() => {
+  mock.restore();
+  jest.restoreAllMocks();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+/**
+ * Waits for the specified milliseconds.
+ *
+ * @param {number} ms
+ *     The milliseconds to wait.
+ * @return {Promise<void>}
+ *     A promise resolved after the specified milliseconds.
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+describe('GET response cache', () => {
+  test('should not cache the responses or add cache-busting parameters by default', async () => {
+    mock.onGet('/api/cities').reply(200, '[1,2]', JSON_HEADERS);
+    expect(await http.get('/api/cities')).toEqual([1, 2]);
+    expect(await http.get('/api/cities')).toEqual([1, 2]);
+    expect(mock.history.get).toHaveLength(2);
+    expect(mock.history.get[0].params?._t).toBeUndefined();
+  });
+
+  test('should serve the fresh cached response if enabled by the config', async () => {
+    config.set('http_cache', true);
+    mock.onGet('/api/cities').reply(200, '{"ids":[1,2]}', JSON_HEADERS);
+    const first = await http.get('/api/cities');
+    const second = await http.get('/api/cities');
+    expect(second).toEqual({ ids: [1, 2] });
+    // 缓存的是未经转换的数据，每次返回新的对象，修改返回的数据不影响缓存
+    expect(second).not.toBe(first);
+    first.ids.push(3);
+    expect(await http.get('/api/cities')).toEqual({ ids: [1, 2] });
+    expect(mock.history.get).toHaveLength(1);
+    const response = await http.get('/api/cities', { returnResponse: true });
+    expect(response.status).toBe(200);
+    expect(response.cached).toBe(true);
+  });
+
+  test('should cache the responses of the requests with the cache option', async () => {
+    mock.onGet('/api/cities').reply(200, '[1]', JSON_HEADERS);
+    await http.get('/api/cities', { cache: 'default' });
+    await http.get('/api/cities', { cache: 'default' });
+    await http.get('/api/cities');
+    expect(mock.history.get).toHaveLength(2);
+  });
+
+  test('should revalidate the stale response with If-None-Match', async () => {
+    mock.onGet('/api/cities')
+      .replyOnce(200, '[1]', { ...JSON_HEADERS, ETag: '"v1"' })
+      .onGet('/api/cities')
+      .replyOnce(304, '', { ETag: '"v1"' });
+    expect(await http.get('/api/cities', { cache: 'default', cacheTtl: 1 })).toEqual([1]);
+    await sleep(5);
+    expect(await http.get('/api/cities', { cache: 'default', cacheTtl: 1000 })).toEqual([1]);
+    expect(mock.history.get).toHaveLength(2);
+    expect(mock.history.get[0].headers['If-None-Match']).toBeUndefined();
+    expect(mock.history.get[1].headers['If-None-Match']).toBe('"v1"');
+    // 重新验证后按新的有效时间继续使用缓存
+    expect(await http.get('/api/cities', { cache: 'default' })).toEqual([1]);
+    expect(mock.history.get).toHaveLength(2);
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  test('should revalidate with If-Modified-Since and cache the new response', async () => {
+    const lastModified = 'Wed, 01 Jan 2025 00:00:00 GMT';
+    mock.onGet('/api/cities')
+      .replyOnce(200, '[1]', { ...JSON_HEADERS, 'Last-Modified': lastModified })
+      .onGet('/api/cities')
+      .replyOnce(200, '[1,2]', JSON_HEADERS);
+    config.set('http_cache_ttl', 0);
+    config.set('http_cache', true);
+    expect(await http.get('/api/cities')).toEqual([1]);
+    expect(await http.get('/api/cities')).toEqual([1, 2]);
+    expect(mock.history.get[1].headers['If-Modified-Since']).toBe(lastModified);
+  });
+
+  test('should reload the response and cache it', async () => {
+    let version = 0;
+    mock.onGet('/api/cities').reply(() => [200, `[${++version}]`, JSON_HEADERS]);
+    expect(await http.get('/api/cities', { cache: 'default' })).toEqual([1]);
+    expect(await http.get('/api/cities', { cache: 'reload' })).toEqual([2]);
+    expect(await http.get('/api/cities', { cache: 'default' })).toEqual([2]);
+    expect(mock.history.get).toHaveLength(2);
+  });
+
+  test('should bypass the cache with no-store', async () => {
+    config.set('http_cache', true);
+    let version = 0;
+    mock.onGet('/api/cities').reply(() => [200, `[${++version}]`, JSON_HEADERS]);
+    expect(await http.get('/api/cities', { cache: 'no-store' })).toEqual([1]);
+    expect(await http.get('/api/cities')).toEqual([2]);
+    expect(await http.get('/api/cities', { cache: 'no-store' })).toEqual([3]);
+    expect(await http.get('/api/cities')).toEqual([2]);
+  });
+
+  test('should respect the Cache-Control response header', async () => {
+    config.set('http_cache', true);
+    mock.onGet('/api/private').reply(200, '[1]', { ...JSON_HEADERS, 'Cache-Control': 'no-store' });
+    mock.onGet('/api/revalidate').reply(200, '[1]', {
+      ...JSON_HEADERS,
+      'Cache-Control': 'no-cache',
+      ETag: '"v1"',
+    });
+    await http.get('/api/private');
+    await http.get('/api/private');
+    expect(mock.history.get).toHaveLength(2);
+    await http.get('/api/revalidate');
+    await http.get('/api/revalidate');
+    expect(mock.history.get).toHaveLength(4);
+    expect(mock.history.get[3].headers['If-None-Match']).toBe('"v1"');
+  });
+
+  test('should separate the responses by parameters and access tokens', async () => {
+    config.set('http_cache', true);
+    mock.onGet('/api/cities').reply(200, '[1]', JSON_HEADERS);
+    await http.get('/api/cities', { params: { province: 1 } });
+    await http.get('/api/cities', { params: { province: 2 } });
+    await http.get('/api/cities', { params: { province: 1 } });
+    expect(mock.history.get).toHaveLength(2);
+    state.accessToken.value = 'AnotherAccessToken';
+    await http.get('/api/cities', { params: { province: 1 } });
+    expect(mock.history.get).toHaveLength(3);
+  });
+
+  test('should not cache the non-GET requests and binary responses', async () => {
+    config.set('http_cache', true);
+    mock.onPost('/api/cities').reply(200, '[1]', JSON_HEADERS);
+    mock.onGet('/api/file').reply(200, new Blob(['x']), { 'Content-Type': 'text/plain' });
+    await http.post('/api/cities', {});
+    await http.post('/api/cities', {});
+    await http.get('/api/file', { responseType: 'blob' });
+    await http.get('/api/file', { responseType: 'blob' });
+    expect(mock.history.post).toHaveLength(2);
+    expect(mock.history.get).toHaveLength(2);
+    expect(httpImpl.getResponseCache(http).size).toBe(0);
+  });
+
+  test('should not cache the failed responses', async () => {
+    config.set('http_cache', true);
+    mock.onGet('/api/cities').reply(404, {
+      type: 'SERVER_ERROR',
+      code: 'NOT_FOUND',
+      message: 'Not found',
+    });
+    await expect(http.get('/api/cities', { skipAutoErrorHandling: true }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(httpImpl.getResponseCache(http).size).toBe(0);
+  });
+
+  test('should clear the cached responses', async () => {
+    config.set('http_cache', true);
+    mock.onGet('/api/cities').reply(200, '[1]', JSON_HEADERS);
+    await http.get('/api/cities');
+    expect(http.clearCache()).toBe(1);
+    await http.get('/api/cities');
+    expect(mock.history.get).toHaveLength(2);
+  });
+
+  test('should reject the unsupported cache mode', () => {
+    expect(() => httpImpl.getCacheMode(http, { method: 'get', cache: 'force-cache' }))
+      .toThrow(RangeError);
+  });
+});
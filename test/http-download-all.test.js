@@ -0,0 +1,237 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import config from '@qubit-ltd/config';
+import { http } from '../src';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  jest.clearAllMocks();
+  config.set('http_retry_base_delay', 1);
+  if (!window.URL.createObjectURL) {
+    window.URL.createObjectURL = jest.fn();
+  }
+  if (!window.URL.revokeObjectURL) {
+    window.URL.revokeObjectURL = jest.fn();
+  }
+  jest.spyOn(window.URL, 'createObjectURL').mockReturnValue('blob:http://example.com/blob');
+  jest.spyOn(window.URL, 'revokeObjectURL').mockImplementation(() => {});
+  jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+  jest.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  mock.restore();
+  jest.restoreAllMocks();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+/**
+ * Reads the content of a blob as a byte array.
+ *
+ * @param {Blob} blob
+ *     The blob to read.
+ * @return {Promise<Uint8Array>}
+ *     The content of the blob.
+ */
+function readBytes(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(new Uint8Array(reader.result));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsArrayBuffer(blob);
+  });
+}
+
+/**
+ * Lists the names and contents of the entries in a ZIP archive.
+ *
+ * @param {Blob} blob
+ *     The ZIP archive.
+ * @return {Promise<object[]>}
+ *     The entries of the archive, each with the `name` and `content` properties.
+ */
+async function listZipEntries(blob) {
+  const bytes = await readBytes(blob);
+  const view = new DataView(bytes.buffer);
+  const count = view.getUint16(bytes.length - 22 + 10, true);
+  let pos = view.getUint32(bytes.length - 22 + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; ++i) {
+    const size = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const name = Buffer.from(bytes.subarray(pos + 46, pos + 46 + nameLength)).toString('utf8');
+    const start = offset + 30 + view.getUint16(offset + 26, true);
+    const content = Buffer.from(bytes.subarray(start, start + size)).toString('utf8');
+    entries.push({ name, content });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+/**
+ * Registers a mocked file download.
+ *
+ * @param {string} url
+ *     The URL of the file.
+ * @param {string} filename
+ *     The filename in the `Content-Disposition` header.
+ * @param {string} content
+ *     The content of the file.
+ */
+function mockFile(url, filename, content) {
+  mock.onGet(url).reply(200, new Blob([content], { type: 'text/plain' }), {
+    'Content-Type': 'text/plain',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+}
+
+describe('http.downloadAll', () => {
+  test('should pack all files into one ZIP archive and download it once', async () => {
+    mockFile('/files/1', 'a.txt', 'first');
+    mockFile('/files/2', '报告.txt', 'second');
+    const result = await http.downloadAll(['/files/1', { url: '/files/2' }], {
+      filename: 'reports',
+    });
+    expect(result.filename).toBe('reports.zip');
+    expect(result.mimeType).toBe('application/zip');
+    expect(result.blob.type).toBe('application/zip');
+    expect(result.failures).toEqual([]);
+    expect(result.files).toEqual([
+      { index: 0, url: '/files/1', filename: 'a.txt', mimeType: 'text/plain', size: 5 },
+      { index: 1, url: '/files/2', filename: '报告.txt', mimeType: 'text/plain', size: 6 },
+    ]);
+    expect(await listZipEntries(result.blob)).toEqual([
+      { name: 'a.txt', content: 'first' },
+      { name: '报告.txt', content: 'second' },
+    ]);
+    expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1);
+    expect(window.URL.createObjectURL).toHaveBeenCalledWith(result.blob);
+  });
+
+  test('should rename the files with clashing names', async () => {
+    mockFile('/files/1', 'a.pdf', '1');
+    mockFile('/files/2', 'A.pdf', '2');
+    mockFile('/files/3', 'a.pdf', '3');
+    const result = await http.downloadAll(['/files/1', '/files/2', '/files/3'], {
+      autoDownload: false,
+    });
+    expect(result.filename).toBe('download.zip');
+    expect(result.files.map((f) => f.filename)).toEqual(['a.pdf', 'A (1).pdf', 'a (2).pdf']);
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  test('should record the failed files without showing an alert', async () => {
+    mockFile('/files/1', 'a.txt', 'first');
+    mock.onGet('/files/2').reply(404, {
+      type: 'SERVER_ERROR',
+      code: 'NOT_FOUND',
+      message: 'File not found',
+    });
+    mockFile('/files/3', 'c.txt', 'third');
+    const result = await http.downloadAll(['/files/1', '/files/2', '/files/3']);
+    expect(result.files.map((f) => f.index)).toEqual([0, 2]);
+    expect(result.failures).toHaveLength(1);
+    expect(result.failures[0].index).toBe(1);
+    expect(result.failures[0].url).toBe('/files/2');
+    expect(result.failures[0].error.code).toBe('NOT_FOUND');
+    expect(state.alertImpl.type).toBeUndefined();
+    expect(await listZipEntries(result.blob)).toEqual([
+      { name: 'a.txt', content: 'first' },
+      { name: 'c.txt', content: 'third' },
+    ]);
+    expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1);
+  });
+
+  test('should return a null blob if all files failed', async () => {
+    mock.onGet('/files/1').reply(404, { type: 'SERVER_ERROR', code: 'NOT_FOUND', message: 'x' });
+    const result = await http.downloadAll(['/files/1']);
+    expect(result.blob).toBeNull();
+    expect(result.files).toEqual([]);
+    expect(result.failures).toHaveLength(1);
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  test('should limit the number of concurrent downloads', async () => {
+    let active = 0;
+    let maxActive = 0;
+    mock.onGet(/\/files\/\d+/).reply(async () => {
+      maxActive = Math.max(maxActive, ++active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      --active;
+      return [200, new Blob(['x'], { type: 'text/plain' }), { 'Content-Type': 'text/plain' }];
+    });
+    const urls = ['/files/1', '/files/2', '/files/3', '/files/4', '/files/5'];
+    const progress = [];
+    const result = await http.downloadAll(urls, {
+      concurrency: 2,
+      autoDownload: false,
+      onProgress: (p) => progress.push(p),
+    });
+    expect(maxActive).toBe(2);
+    expect(result.files).toHaveLength(5);
+    expect(progress).toHaveLength(5);
+    expect(progress[4]).toEqual({ completed: 5, failed: 0, total: 5, percent: 100 });
+  });
+
+  test('should use the configured concurrency', async () => {
+    config.set('http_download_concurrency', 1);
+    try {
+      let active = 0;
+      let maxActive = 0;
+      mock.onGet(/\/files\/\d+/).reply(async () => {
+        maxActive = Math.max(maxActive, ++active);
+        await new Promise((resolve) => setTimeout(resolve, 5));
+        --active;
+        return [200, new Blob(['x'], { type: 'text/plain' }), { 'Content-Type': 'text/plain' }];
+      });
+      await http.downloadAll(['/files/1', '/files/2', '/files/3'], { autoDownload: false });
+      expect(maxActive).toBe(1);
+    } finally {
+      config.remove('http_download_concurrency');
+    }
+  });
+
+  test('should reject with CANCELED if the batch is aborted', async () => {
+    const controller = new AbortController();
+    mock.onGet(/\/files\/\d+/).reply(async () => {
+      controller.abort();
+      return [200, new Blob(['x'], { type: 'text/plain' }), { 'Content-Type': 'text/plain' }];
+    });
+    await expect(http.downloadAll(['/files/1', '/files/2', '/files/3'], {
+      concurrency: 1,
+      signal: controller.signal,
+    })).rejects.toMatchObject({ type: 'NETWORK_ERROR', code: 'CANCELED' });
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  test('should reject the invalid arguments', async () => {
+    await expect(http.downloadAll('/files/1')).rejects.toThrow(TypeError);
+    await expect(http.downloadAll(['/files/1'], { concurrency: 0 })).rejects.toThrow(RangeError);
+  });
+
+  test('should reject the files to be streamed or previewed before sending any request', async () => {
+    mock.onGet('/files/1').reply(200, new Blob(['1']));
+    mock.onGet('/files/2').reply(200, new Blob(['2']));
+    await expect(http.downloadAll(['/files/1', { url: '/files/2', stream: true }]))
+      .rejects.toThrow(RangeError);
+    await expect(http.downloadAll(['/files/1', { url: '/files/2', preview: true }]))
+      .rejects.toThrow(RangeError);
+    expect(mock.history.get).toHaveLength(0);
+  });
+});
@@ -0,0 +1,350 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import config from '@qubit-ltd/config';
+import { http } from '../src';
+import DownloadManager, {
+  DEFAULT_DOWNLOAD_HISTORY_STORAGE_KEY,
+} from '../src/impl/download-manager';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  jest.clearAllMocks();
+  window.localStorage.clear();
+  config.set('http_retry_base_delay', 1);
+  if (!window.URL.createObjectURL) {
+    window.URL.createObjectURL = jest.fn();
+  }
+  if (!window.URL.revokeObjectURL) {
+    window.URL.revokeObjectURL = jest.fn();
+  }
+  jest.spyOn(window.URL, 'createObjectURL').mockReturnValue('blob:http://example.com/blob');
+  jest.spyOn(window.URL, 'revokeObjectURL').mockImplementation(() => {});
+  jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+  jest.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  mock.restore();
+  jest.restoreAllMocks();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+/**
+ * Registers a mocked file download.
+ *
+ * @param {string} url
+ *     The URL of the file.
+ * @param {string} filename
+ *     The filename in the `Content-Disposition` header.
+ * @param {string} content
+ *     The content of the file.
+ */
+function mockFile(url, filename, content) {
+  mock.onGet(url).reply(200, new Blob([content], { type: 'text/plain' }), {
+    'Content-Type': 'text/plain',
+    'Content-Disposition': `attachment; filename="${filename}"`,
+  });
+}
+
+/**
+ * Waits until the specified job of a download manager is finished.
+ *
+ * @param {DownloadManager} manager
+ *     The download manager.
+ * @param {object} job
+ *     The job to wait for.
+ * @return {Promise<object>}
+ *     The finished job.
+ */
+function waitForJob(manager, job) {
+  return new Promise((resolve) => {
+    const off = manager.on('change', (j) => {
+      if ((j === job) && ['done', 'failed', 'canceled'].includes(j.status)) {
+        off();
+        resolve(j);
+      }
+    });
+  });
+}
+
+/**
+ * Creates a deferred response for the mocked requests.
+ *
+ * @return {object}
+ *     An object with the `promise` and `resolve` properties.
+ */
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => {
+    resolve = r;
+  });
+  return { promise, resolve };
+}
+
+describe('http.createDownloadManager', () => {
+  test('should download the jobs and record their states', async () => {
+    mockFile('/files/1', 'a.txt', 'first');
+    const manager = http.createDownloadManager();
+    expect(manager).toBeInstanceOf(DownloadManager);
+    const events = [];
+    manager.on('change', (job, event) => events.push(`${event}:${job.status}`));
+    const done = jest.fn();
+    manager.on('done', done);
+    const job = manager.add('/files/1');
+    expect(job.status).toBe('downloading');
+    expect(job.attempts).toBe(1);
+    await waitForJob(manager, job);
+    expect(job.status).toBe('done');
+    expect(job.filename).toBe('a.txt');
+    expect(job.mimeType).toBe('text/plain');
+    expect(job.size).toBe(5);
+    expect(job.progress).toEqual({ loaded: 5, total: 5, percent: 100 });
+    expect(job.finishedAt).not.toBeNull();
+    expect(events[0]).toBe('add:queued');
+    expect(events[events.length - 1]).toBe('done:done');
+    expect(done).toHaveBeenCalledTimes(1);
+    expect(done.mock.calls[0][1].filename).toBe('a.txt');
+    expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1);
+    expect(manager.getJobs()).toEqual([job]);
+  });
+
+  test('should limit the number of concurrent downloads', async () => {
+    let active = 0;
+    let maxActive = 0;
+    mock.onGet(/\/files\/\d+/).reply(async () => {
+      maxActive = Math.max(maxActive, ++active);
+      await new Promise((resolve) => setTimeout(resolve, 5));
+      --active;
+      return [200, new Blob(['x'], { type: 'text/plain' }), { 'Content-Type': 'text/plain' }];
+    });
+    const manager = http.createDownloadManager({ concurrency: 2 });
+    const jobs = ['/files/1', '/files/2', '/files/3', '/files/4'].map((url) => manager.add(url));
+    expect(jobs.map((j) => j.status)).toEqual(['downloading', 'downloading', 'queued', 'queued']);
+    await Promise.all(jobs.map((job) => waitForJob(manager, job)));
+    expect(maxActive).toBe(2);
+    expect(jobs.every((j) => j.status === 'done')).toBe(true);
+  });
+
+  test('should use the configured concurrency and history size', () => {
+    config.set('http_download_concurrency', 1);
+    config.set('http_download_history_size', 2);
+    try {
+      const manager = http.createDownloadManager();
+      expect(manager.concurrency).toBe(1);
+      expect(manager.historySize).toBe(2);
+    } finally {
+      config.remove('http_download_concurrency');
+      config.remove('http_download_history_size');
+    }
+  });
+
+  test('should record the failed job without showing an alert', async () => {
+    mock.onGet('/files/1').reply(404, {
+      type: 'SERVER_ERROR',
+      code: 'NOT_FOUND',
+      message: 'File not found',
+    });
+    const manager = http.createDownloadManager();
+    const fail = jest.fn();
+    manager.on('fail', fail);
+    const job = manager.add('/files/1');
+    await waitForJob(manager, job);
+    expect(job.status).toBe('failed');
+    expect(job.error.code).toBe('NOT_FOUND');
+    expect(fail).toHaveBeenCalledWith(job, job.error);
+    expect(state.alertImpl.type).toBeUndefined();
+    expect(manager.getHistory()).toEqual([]);
+  });
+
+  test('should fail the job with invalid options without stopping the queue', async () => {
+    mockFile('/files/2', 'b.txt', 'second');
+    const manager = http.createDownloadManager({ concurrency: 1 });
+    const first = manager.add({ url: '/files/1', responseEncoding: 'unknown' });
+    const second = manager.add('/files/2');
+    await waitForJob(manager, second);
+    expect(first.status).toBe('failed');
+    expect(first.error).toBeInstanceOf(RangeError);
+    expect(second.status).toBe('done');
+  });
+
+  test('should cancel the queued and downloading jobs', async () => {
+    const response = deferred();
+    mock.onGet('/files/1').reply(async () => {
+      await response.promise;
+      return [200, new Blob(['x'], { type: 'text/plain' }), { 'Content-Type': 'text/plain' }];
+    });
+    const manager = http.createDownloadManager({ concurrency: 1 });
+    const cancel = jest.fn();
+    manager.on('cancel', cancel);
+    const first = manager.add('/files/1');
+    const second = manager.add('/files/2');
+    expect(manager.cancel(second.id)).toBe(true);
+    expect(second.status).toBe('canceled');
+    expect(manager.cancel(second.id)).toBe(false);
+    const finished = waitForJob(manager, first);
+    expect(manager.cancel(first.id)).toBe(true);
+    response.resolve();
+    await finished;
+    expect(first.status).toBe('canceled');
+    expect(cancel).toHaveBeenCalledTimes(2);
+    expect(state.alertImpl.type).toBeUndefined();
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  test('should cancel all unfinished jobs', async () => {
+    const response = deferred();
+    mock.onGet(/\/files\/\d+/).reply(async () => {
+      await response.promise;
+      return [200, new Blob(['x'], { type: 'text/plain' }), { 'Content-Type': 'text/plain' }];
+    });
+    const manager = http.createDownloadManager({ concurrency: 1 });
+    const jobs = ['/files/1', '/files/2', '/files/3'].map((url) => manager.add(url));
+    const finished = waitForJob(manager, jobs[0]);
+    expect(manager.cancelAll()).toBe(3);
+    response.resolve();
+    await finished;
+    expect(jobs.map((j) => j.status)).toEqual(['canceled', 'canceled', 'canceled']);
+    expect(jobs[1].attempts).toBe(0);
+    expect(jobs[2].attempts).toBe(0);
+  });
+
+  test('should retry the failed job', async () => {
+    let count = 0;
+    mock.onGet('/files/1').reply(() => {
+      ++count;
+      if (count === 1) {
+        return [500, { type: 'SERVER_ERROR', code: 'INTERNAL_ERROR', message: 'x' }];
+      }
+      return [200, new Blob(['ok'], { type: 'text/plain' }), { 'Content-Type': 'text/plain' }];
+    });
+    const manager = http.createDownloadManager();
+    const job = manager.add({ url: '/files/1', filename: 'ok.txt' });
+    await waitForJob(manager, job);
+    expect(job.status).toBe('failed');
+    const retry = jest.fn();
+    manager.on('retry', retry);
+    const finished = waitForJob(manager, job);
+    expect(manager.retry(job.id)).toBe(true);
+    expect(retry).toHaveBeenCalledWith(job);
+    await finished;
+    expect(job.status).toBe('done');
+    expect(job.error).toBeNull();
+    expect(job.attempts).toBe(2);
+    expect(manager.retry(job.id)).toBe(false);
+  });
+
+  test('should persist and trim the download history', async () => {
+    mockFile('/files/1', 'a.txt', 'first');
+    mockFile('/files/2', 'b.txt', 'second');
+    mockFile('/files/3', 'c.txt', 'third');
+    const manager = http.createDownloadManager({ concurrency: 1, historySize: 2 });
+    const onHistory = jest.fn();
+    manager.on('history', onHistory);
+    const jobs = ['/files/1', '/files/2', '/files/3'].map((url) => manager.add(url));
+    await waitForJob(manager, jobs[2]);
+    const history = manager.getHistory();
+    expect(history.map((h) => h.filename)).toEqual(['c.txt', 'b.txt']);
+    expect(history[0]).toEqual({
+      id: jobs[2].id,
+      filename: 'c.txt',
+      mimeType: 'text/plain',
+      size: 5,
+      url: '/files/3',
+      time: jobs[2].finishedAt,
+    });
+    expect(onHistory).toHaveBeenCalledTimes(3);
+    expect(window.localStorage.getItem(DEFAULT_DOWNLOAD_HISTORY_STORAGE_KEY)).not.toBeNull();
+    const reloaded = http.createDownloadManager();
+    expect(reloaded.getHistory()).toEqual(history);
+    expect(reloaded.getJobs()).toEqual([]);
+    reloaded.clearHistory();
+    expect(http.createDownloadManager().getHistory()).toEqual([]);
+  });
+
+  test('should not persist the history if disabled', async () => {
+    mockFile('/files/1', 'a.txt', 'first');
+    const manager = http.createDownloadManager({ persist: false });
+    const job = manager.add('/files/1');
+    await waitForJob(manager, job);
+    expect(manager.getHistory()).toHaveLength(1);
+    expect(window.localStorage.getItem(DEFAULT_DOWNLOAD_HISTORY_STORAGE_KEY)).toBeNull();
+  });
+
+  test('should remove the jobs', async () => {
+    mockFile('/files/1', 'a.txt', 'first');
+    mock.onGet('/files/2').reply(404, { type: 'SERVER_ERROR', code: 'NOT_FOUND', message: 'x' });
+    const manager = http.createDownloadManager();
+    const jobs = ['/files/1', '/files/2'].map((url) => manager.add(url));
+    await Promise.all(jobs.map((job) => waitForJob(manager, job)));
+    const onRemove = jest.fn();
+    manager.on('remove', onRemove);
+    expect(manager.remove(jobs[0].id)).toBe(true);
+    expect(manager.remove(jobs[0].id)).toBe(false);
+    expect(manager.getJobs()).toEqual([jobs[1]]);
+    expect(manager.clearFinished()).toBe(1);
+    expect(manager.getJobs()).toEqual([]);
+    expect(onRemove).toHaveBeenCalledTimes(2);
+    expect(manager.getHistory()).toHaveLength(1);
+  });
+
+  test('should not emit the events of a downloading job after it is removed', async () => {
+    const response = deferred();
+    mock.onGet('/files/1').reply(async () => {
+      await response.promise;
+      return [200, new Blob(['x'], { type: 'text/plain' }), { 'Content-Type': 'text/plain' }];
+    });
+    mockFile('/files/2', 'b.txt', 'second');
+    const manager = http.createDownloadManager({ concurrency: 1 });
+    const first = manager.add('/files/1');
+    const second = manager.add('/files/2');
+    const events = [];
+    manager.on('change', (job, event) => events.push(`${event}:${job.url}`));
+    const finished = waitForJob(manager, second);
+    expect(manager.remove(first.id)).toBe(true);
+    response.resolve();
+    await finished;
+    expect(first.status).toBe('canceled');
+    expect(events.filter((e) => e.endsWith('/files/1'))).toEqual(['remove:/files/1']);
+    expect(manager.getJobs()).toEqual([second]);
+  });
+
+  test('should isolate the errors of the event listeners', async () => {
+    mockFile('/files/1', 'a.txt', 'first');
+    const manager = http.createDownloadManager();
+    manager.on('start', () => {
+      throw new Error('listener failed');
+    });
+    const other = jest.fn();
+    manager.on('start', other);
+    const off = manager.on('done', other);
+    off();
+    const job = manager.add('/files/1');
+    await waitForJob(manager, job);
+    expect(job.status).toBe('done');
+    expect(other).toHaveBeenCalledTimes(1);
+  });
+
+  test('should reject the invalid arguments', () => {
+    expect(() => http.createDownloadManager({ concurrency: 0 })).toThrow(RangeError);
+    expect(() => http.createDownloadManager({ historySize: -1 })).toThrow(RangeError);
+    const manager = http.createDownloadManager();
+    expect(() => manager.on('unknown', () => {})).toThrow(RangeError);
+    expect(() => manager.on('done', null)).toThrow(TypeError);
+    expect(() => manager.add({})).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,154 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import config from '@qubit-ltd/config';
+import { http } from '../src';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+let previewWindow;
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  http.releasePreviews();
+  jest.clearAllMocks();
+  config.set('http_retry_base_delay', 1);
+  if (!window.URL.createObjectURL) {
+    window.URL.createObjectURL = jest.fn();
+  }
+  if (!window.URL.revokeObjectURL) {
+    window.URL.revokeObjectURL = jest.fn();
+  }
+  jest.spyOn(window.URL, 'createObjectURL').mockReturnValue('blob:http://example.com/blob');
+  jest.spyOn(window.URL, 'revokeObjectURL').mockImplementation(() => {});
+  jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+  jest.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+  previewWindow = { closed: false, location: { href: 'about:blank' }, close: jest.fn() };
+  jest.spyOn(window, 'open').mockImplementation(() => previewWindow);
+});
+
+afterAll(() => {
+  mock.restore();
+  jest.restoreAllMocks();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+const url = '/api/invoices/42/pdf';
+
+const headers = {
+  'Content-Type': 'application/pdf',
+  'Content-Disposition': 'inline; filename="invoice.pdf"',
+};
+
+describe('http.download with preview option', () => {
+  test('should open the file in the window opened before the request', async () => {
+    mock.onGet(url).reply(() => {
+      expect(window.open).toHaveBeenCalledWith('', '_blank');
+      return [200, new Blob(['%PDF-1.4']), headers];
+    });
+    const result = await http.download({ url, preview: true });
+    expect(result.filename).toBe('invoice.pdf');
+    expect(result.mimeType).toBe('application/pdf');
+    expect(result.preview.url).toBe('blob:http://example.com/blob');
+    expect(result.preview.window).toBe(previewWindow);
+    expect(previewWindow.location.href).toBe('blob:http://example.com/blob');
+    expect(window.open).toHaveBeenCalledTimes(1);
+    // 预览时不会保存文件
+    expect(document.body.appendChild).not.toHaveBeenCalled();
+    const file = window.URL.createObjectURL.mock.calls[0][0];
+    expect(file.type).toBe('application/pdf');
+    expect(file.name).toBe('invoice.pdf');
+  });
+
+  test('should use the detected MIME type for the previewed file', async () => {
+    mock.onGet(url).reply(200, new Blob(['\x89PNG']), { 'Content-Type': 'image/png' });
+    const result = await http.download({ url, preview: 'url' });
+    expect(result.filename).toBe('downloaded_file.png');
+    expect(window.URL.createObjectURL.mock.calls[0][0].type).toBe('image/png');
+  });
+
+  test('should open a new window if the one opened before the request was blocked', async () => {
+    window.open.mockReturnValueOnce(null);
+    mock.onGet(url).reply(200, new Blob(['%PDF-1.4']), headers);
+    const result = await http.download({ url, preview: 'window' });
+    expect(window.open).toHaveBeenCalledTimes(2);
+    expect(window.open).toHaveBeenLastCalledWith('blob:http://example.com/blob', '_blank');
+    expect(result.preview.window).toBe(previewWindow);
+  });
+
+  test('should close the preview window if the download failed', async () => {
+    const error = '{"type":"SERVER_ERROR","code":"NOT_FOUND","message":"x"}';
+    mock.onGet(url).reply(404, new Blob([error]), { 'Content-Type': 'application/json' });
+    await expect(http.download({ url, preview: true })).rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(previewWindow.close).toHaveBeenCalledTimes(1);
+  });
+
+  test('should release the object URL of a window preview after the timeout', async () => {
+    mock.onGet(url).reply(200, new Blob(['%PDF-1.4']), headers);
+    await http.download({ url, preview: { mode: 'window', timeout: 20 } });
+    expect(window.URL.revokeObjectURL).not.toHaveBeenCalled();
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:http://example.com/blob');
+  });
+
+  test('should use the configured timeout for window previews', async () => {
+    config.set('http_preview_timeout', 20);
+    try {
+      mock.onGet(url).reply(200, new Blob(['%PDF-1.4']), headers);
+      await http.download({ url, preview: true });
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      expect(window.URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+    } finally {
+      config.remove('http_preview_timeout');
+    }
+  });
+
+  test('should return a managed object URL without opening a window', async () => {
+    mock.onGet(url).reply(200, new Blob(['%PDF-1.4']), headers);
+    const result = await http.download({ url, preview: 'url' });
+    expect(window.open).not.toHaveBeenCalled();
+    expect(result.preview.window).toBeNull();
+    expect(window.URL.revokeObjectURL).not.toHaveBeenCalled();
+    result.preview.release();
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith('blob:http://example.com/blob');
+  });
+
+  test('should release the object URL when the signal is aborted', async () => {
+    const controller = new AbortController();
+    mock.onGet(url).reply(200, new Blob(['%PDF-1.4']), headers);
+    await http.download({ url, preview: { mode: 'url', signal: controller.signal } });
+    expect(window.URL.revokeObjectURL).not.toHaveBeenCalled();
+    controller.abort();
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+  });
+
+  test('should release all previews with http.releasePreviews()', async () => {
+    let counter = 0;
+    window.URL.createObjectURL.mockImplementation(() => `blob:http://example.com/${++counter}`);
+    mock.onGet(url).reply(200, new Blob(['%PDF-1.4']), headers);
+    await http.download({ url, preview: 'url' });
+    await http.download({ url, preview: 'url' });
+    expect(http.releasePreviews()).toBe(2);
+    expect(http.releasePreviews()).toBe(0);
+  });
+
+  test('should reject the invalid preview options', () => {
+    expect(() => http.download({ url, preview: 'tab' })).toThrow(RangeError);
+    expect(() => http.download({ url, preview: { mode: 'url', timeout: -1 } })).toThrow(RangeError);
+    expect(() => http.download({ url, preview: true, stream: { getWriter: () => null } }))
+      .toThrow(RangeError);
+    expect(window.open).not.toHaveBeenCalled();
+  });
+});
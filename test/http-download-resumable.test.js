@@ -0,0 +1,239 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import config from '@qubit-ltd/config';
+import { http } from '../src';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  jest.clearAllMocks();
+  config.set('http_retry_base_delay', 1);
+  if (!window.URL.createObjectURL) {
+    window.URL.createObjectURL = jest.fn();
+  }
+  if (!window.URL.revokeObjectURL) {
+    window.URL.revokeObjectURL = jest.fn();
+  }
+  jest.spyOn(window.URL, 'createObjectURL').mockReturnValue('blob:http://example.com/blob');
+  jest.spyOn(window.URL, 'revokeObjectURL').mockImplementation(() => {});
+  jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+  jest.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+});
+
+afterAll(() => {
+  mock.restore();
+  jest.restoreAllMocks();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+/**
+ * Reads the text content of a blob.
+ *
+ * @param {Blob} blob
+ *     The blob to read.
+ * @return {Promise<string>}
+ *     The text content of the blob.
+ */
+function readText(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsText(blob);
+  });
+}
+
+describe('http.download with resumable option', () => {
+  const url = '/reports/annual.txt';
+  const content = 'abcdefghijklmnopqrstuvwxyz';
+  const headers = {
+    'Content-Type': 'text/plain',
+    'Content-Disposition': 'attachment; filename="annual.txt"',
+    'Accept-Ranges': 'bytes',
+  };
+
+  /**
+   * Creates a mock reply function serving the requested range of a file.
+   *
+   * @param {string} file
+   *     The content of the file.
+   * @param {string} etag
+   *     The ETag of the file.
+   * @param {string[]} requests
+   *     The array to record the requested ranges and the `If-Range` headers.
+   * @return {function}
+   *     The mock reply function.
+   */
+  function serve(file, etag, requests = []) {
+    return (cfg) => {
+      const range = cfg.headers.get('Range');
+      requests.push(`${range}|${cfg.headers.get('If-Range') ?? ''}`);
+      const [, from, to] = /^bytes=(\d+)-(\d+)$/.exec(range);
+      const start = Number(from);
+      const end = Math.min(Number(to), file.length - 1);
+      return [206, new Blob([file.slice(start, end + 1)]), {
+        ...headers,
+        'Content-Range': `bytes ${start}-${end}/${file.length}`,
+        ETag: etag,
+      }];
+    };
+  }
+
+  it('should download the file in segments and assemble them', async () => {
+    const requests = [];
+    mock.onGet(url).reply(serve(content, '"v1"', requests));
+    const onProgress = jest.fn();
+    const result = await http.download({
+      url,
+      resumable: { segmentSize: 10 },
+      autoDownload: false,
+      onProgress,
+    });
+    expect(requests).toEqual([
+      'bytes=0-9|',
+      'bytes=10-19|"v1"',
+      'bytes=20-25|"v1"',
+    ]);
+    expect(await readText(result.blob)).toBe(content);
+    expect(result.filename).toBe('annual.txt');
+    expect(result.mimeType).toBe('text/plain');
+    expect(onProgress).toHaveBeenLastCalledWith({ loaded: 26, total: 26, percent: 100 });
+  });
+
+  it('should resume from the last completed segment after a network error', async () => {
+    const requests = [];
+    mock.onGet(url).replyOnce(serve(content, '"v1"', requests))
+      .onGet(url).networkErrorOnce()
+      .onGet(url).reply(serve(content, '"v1"', requests));
+    const result = await http.download({ url, resumable: { segmentSize: 10 } });
+    expect(requests).toEqual([
+      'bytes=0-9|',
+      'bytes=10-19|"v1"',
+      'bytes=20-25|"v1"',
+    ]);
+    expect(await readText(result.blob)).toBe(content);
+    expect(state.alertImpl.type).toBeUndefined();
+    expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1);
+  });
+
+  it('should use the Last-Modified as the If-Range if there is no strong ETag', async () => {
+    const requests = [];
+    const reply = serve(content, 'W/"v1"', requests);
+    mock.onGet(url).reply((cfg) => {
+      const [status, data, responseHeaders] = reply(cfg);
+      return [status, data, { ...responseHeaders, 'Last-Modified': 'Wed, 01 Jan 2025 00:00:00 GMT' }];
+    });
+    await http.download({ url, resumable: { segmentSize: 20 }, autoDownload: false });
+    expect(requests).toEqual([
+      'bytes=0-19|',
+      'bytes=20-25|Wed, 01 Jan 2025 00:00:00 GMT',
+    ]);
+  });
+
+  it('should use the full response if the server does not support range requests', async () => {
+    const requests = [];
+    mock.onGet(url).reply((cfg) => {
+      requests.push(cfg.headers.get('Range'));
+      return [200, new Blob([content]), { 'Content-Type': 'text/plain', 'Accept-Ranges': 'none' }];
+    });
+    const result = await http.download({ url, resumable: true, autoDownload: false });
+    expect(requests).toEqual([`bytes=0-${4 * 1024 * 1024 - 1}`]);
+    expect(await readText(result.blob)).toBe(content);
+  });
+
+  it('should use the new file returned when the If-Range does not match', async () => {
+    const modified = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123';
+    mock.onGet(url).replyOnce(serve(content, '"v1"'))
+      .onGet(url).reply((cfg) => {
+        expect(cfg.headers.get('If-Range')).toBe('"v1"');
+        return [200, new Blob([modified]), { ...headers, ETag: '"v2"' }];
+      });
+    const result = await http.download({ url, resumable: { segmentSize: 10 }, autoDownload: false });
+    expect(await readText(result.blob)).toBe(modified);
+  });
+
+  it('should restart the download if the ETag of a segment changes', async () => {
+    const modified = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+    const requests = [];
+    mock.onGet(url).replyOnce(serve(content, '"v1"', requests))
+      .onGet(url).reply(serve(modified, '"v2"', requests));
+    const result = await http.download({ url, resumable: { segmentSize: 10 }, autoDownload: false });
+    expect(requests).toEqual([
+      'bytes=0-9|',
+      'bytes=10-19|"v1"',
+      'bytes=0-9|',
+      'bytes=10-19|"v2"',
+      'bytes=20-25|"v2"',
+    ]);
+    expect(await readText(result.blob)).toBe(modified);
+  });
+
+  it('should reject an invalid Content-Range', async () => {
+    mock.onGet(url).reply(206, new Blob(['abc']), { ...headers, 'Content-Range': 'bytes 5-7/26' });
+    await expect(http.download({ url, resumable: { segmentSize: 10 } })).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'INVALID_CONTENT_RANGE',
+      message: '服务器返回的数据范围无效：bytes 5-7/26',
+    });
+    expect(state.alertImpl.type).toBe('error');
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  it('should report the network error after the retries are exhausted', async () => {
+    mock.onGet(url).networkError();
+    await expect(http.download({ url, resumable: { maxRetries: 2 } })).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'UNKNOWN',
+      message: '网络请求发生未知错误: Network Error',
+    });
+    expect(mock.history.get).toHaveLength(3);
+    expect(state.alertImpl.type).toBe('error');
+    expect(state.alertImpl.message).toBe('网络请求发生未知错误: Network Error');
+  });
+
+  it('should handle the error returned by the server', async () => {
+    const error = '{"type":"SERVER_ERROR","code":"REPORT_NOT_FOUND","message":"报表不存在"}';
+    mock.onGet(url).reply(404, new Blob([error]), { 'Content-Type': 'application/json' });
+    await expect(http.download({ url, resumable: true })).rejects.toEqual({
+      type: 'SERVER_ERROR',
+      code: 'REPORT_NOT_FOUND',
+      message: '报表不存在',
+    });
+    expect(mock.history.get).toHaveLength(1);
+    expect(state.alertImpl.message).toBe('报表不存在');
+  });
+
+  it('should not retry a canceled download', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    await expect(http.download({ url, resumable: true, signal: controller.signal })).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'CANCELED',
+      message: '请求已被取消',
+    });
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  it('should ignore the resumable option for other methods', async () => {
+    mock.onPost(url).reply((cfg) => {
+      expect(cfg.headers.get('Range')).toBeUndefined();
+      return [200, new Blob([content]), headers];
+    });
+    const result = await http.download({ url, method: 'post', resumable: true, autoDownload: false });
+    expect(await readText(result.blob)).toBe(content);
+  });
+});
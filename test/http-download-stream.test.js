@@ -0,0 +1,345 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { ReadableStream, WritableStream } from 'stream/web';
+import { AxiosError, AxiosHeaders, CanceledError } from 'axios';
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import config from '@qubit-ltd/config';
+import { http } from '../src';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+const mockAdapter = http.defaults.adapter;
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  jest.clearAllMocks();
+  config.set('http_retry_base_delay', 1);
+  if (!window.URL.createObjectURL) {
+    window.URL.createObjectURL = jest.fn();
+  }
+  if (!window.URL.revokeObjectURL) {
+    window.URL.revokeObjectURL = jest.fn();
+  }
+  jest.spyOn(window.URL, 'createObjectURL').mockReturnValue('blob:http://example.com/blob');
+  jest.spyOn(window.URL, 'revokeObjectURL').mockImplementation(() => {});
+  jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+  jest.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+  delete window.showSaveFilePicker;
+});
+
+afterEach(() => {
+  http.defaults.adapter = mockAdapter;
+});
+
+afterAll(() => {
+  mock.restore();
+  jest.restoreAllMocks();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+/**
+ * Creates a readable stream emitting the specified text chunks.
+ *
+ * @param {string[]} chunks
+ *     The text chunks.
+ * @return {ReadableStream}
+ *     The readable stream.
+ */
+function createStream(chunks) {
+  return new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(new Uint8Array(Buffer.from(chunk))));
+      controller.close();
+    },
+  });
+}
+
+/**
+ * Replies all requests with a streamed response.
+ *
+ * The axios-mock-adapter clones the reply data without a `pipe()` method as JSON, which turns
+ * a `ReadableStream` into `{}`, so the streamed responses are returned by a custom adapter
+ * which passes the stream through as is.
+ *
+ * @param {number} status
+ *     The status code of the response.
+ * @param {function} createData
+ *     The function creating the response data, e.g., a `ReadableStream`. It is called with the
+ *     request configuration.
+ * @param {object} responseHeaders
+ *     The headers of the response.
+ * @return {function}
+ *     The custom adapter, which is a jest mock function.
+ */
+function replyWithStream(status, createData, responseHeaders) {
+  const adapter = jest.fn((cfg) => {
+    const response = {
+      data: createData(cfg),
+      status,
+      statusText: '',
+      headers: AxiosHeaders.from(responseHeaders),
+      config: cfg,
+      request: {},
+    };
+    if (!cfg.validateStatus || cfg.validateStatus(status)) {
+      return Promise.resolve(response);
+    }
+    return Promise.reject(new AxiosError(`Request failed with status code ${status}`,
+      AxiosError.ERR_BAD_REQUEST, cfg, response.request, response));
+  });
+  http.defaults.adapter = adapter;
+  return adapter;
+}
+
+/**
+ * Creates a writable stream collecting the written chunks as text.
+ *
+ * @return {object}
+ *     An object with the `stream` and the `written` array of text chunks.
+ */
+function createSink() {
+  const written = [];
+  const sink = { written, closed: false, aborted: false };
+  sink.stream = new WritableStream({
+    write(chunk) {
+      written.push(Buffer.from(chunk).toString('utf8'));
+    },
+    close() {
+      sink.closed = true;
+    },
+    abort() {
+      sink.aborted = true;
+    },
+  });
+  return sink;
+}
+
+const headers = {
+  'Content-Type': 'text/csv',
+  'Content-Length': '12',
+  'Content-Disposition': 'attachment; filename="orders.csv"',
+};
+
+describe('http.download with stream option', () => {
+  test('should write the chunks to a WritableStream without creating a Blob', async () => {
+    replyWithStream(200, () => createStream(['id,name\n', '1,a\n']), headers);
+    const sink = createSink();
+    const progress = [];
+    const result = await http.download({
+      url: '/exports/orders',
+      stream: sink.stream,
+      onProgress: (p) => progress.push(p),
+    });
+    expect(result).toEqual({
+      blob: null,
+      filename: 'orders.csv',
+      mimeType: 'text/csv',
+      size: 12,
+      streamed: true,
+    });
+    expect(sink.written).toEqual(['id,name\n', '1,a\n']);
+    expect(sink.closed).toBe(true);
+    expect(progress).toEqual([
+      { loaded: 8, total: 12, percent: 67 },
+      { loaded: 12, total: 12, percent: 100 },
+    ]);
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  test('should write the file to a File System Access handle', async () => {
+    replyWithStream(200, () => createStream(['id,name\n', '1,a\n']), headers);
+    const sink = createSink();
+    const handle = { createWritable: jest.fn(async () => sink.stream) };
+    const result = await http.download('/exports/orders', {}, null, true, null, { stream: handle });
+    expect(handle.createWritable).toHaveBeenCalledTimes(1);
+    expect(result.streamed).toBe(true);
+    expect(sink.written.join('')).toBe('id,name\n1,a\n');
+  });
+
+  test('should ask for the file with showSaveFilePicker if stream is true', async () => {
+    replyWithStream(200, () => createStream(['id,name\n', '1,a\n']), headers);
+    const sink = createSink();
+    const handle = { createWritable: async () => sink.stream };
+    window.showSaveFilePicker = jest.fn(async () => handle);
+    const result = await http.download({
+      url: '/exports/orders',
+      filename: 'my-orders.csv',
+      stream: true,
+    });
+    expect(window.showSaveFilePicker).toHaveBeenCalledWith({ suggestedName: 'my-orders.csv' });
+    expect(result.filename).toBe('my-orders.csv');
+    expect(sink.written.join('')).toBe('id,name\n1,a\n');
+  });
+
+  test('should reject with CANCELED if the file picker is dismissed', async () => {
+    const error = new Error('The user aborted a request.');
+    error.name = 'AbortError';
+    window.showSaveFilePicker = jest.fn(async () => Promise.reject(error));
+    const adapter = replyWithStream(200, () => createStream(['x']), headers);
+    await expect(http.download({ url: '/exports/orders', stream: true }))
+      .rejects.toMatchObject({ type: 'NETWORK_ERROR', code: 'CANCELED' });
+    expect(adapter).not.toHaveBeenCalled();
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  test('should fall back to the Blob download if no file picker is available', async () => {
+    mock.onGet('/exports/orders').reply(200, new Blob(['id,name\n'], { type: 'text/csv' }), headers);
+    const result = await http.download({ url: '/exports/orders', stream: true });
+    expect(result.blob).toBeInstanceOf(Blob);
+    expect(result.streamed).toBeUndefined();
+    expect(mock.history.get[0].responseType).toBe('blob');
+    expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1);
+  });
+
+  test('should write the file to a path under Node.js', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'common-app-'));
+    const file = path.join(dir, 'orders.csv');
+    try {
+      replyWithStream(200, () => createStream(['id,name\n', '1,a\n']), headers);
+      const result = await http.download({ url: '/exports/orders', stream: file });
+      expect(result.size).toBe(12);
+      expect(fs.readFileSync(file, 'utf8')).toBe('id,name\n1,a\n');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('should throw a TypeError for a path if the fs module is unavailable', () => {
+    const { getBuiltinModule } = process;
+    // simulates the Node.js versions before 20.16
+    process.getBuiltinModule = undefined;
+    try {
+      const adapter = replyWithStream(200, () => createStream(['x']), headers);
+      expect(() => http.download({ url: '/exports/orders', stream: '/tmp/orders.csv' }))
+        .toThrow(TypeError);
+      expect(adapter).not.toHaveBeenCalled();
+    } finally {
+      process.getBuiltinModule = getBuiltinModule;
+    }
+  });
+
+  test('should handle the error returned as a JSON stream', async () => {
+    replyWithStream(404, () => createStream([JSON.stringify({
+      type: 'SERVER_ERROR',
+      code: 'NOT_FOUND',
+      message: 'The export was not found.',
+    })]), { 'Content-Type': 'application/json' });
+    const sink = createSink();
+    await expect(http.download({ url: '/exports/orders', stream: sink.stream }))
+      .rejects.toMatchObject({ code: 'NOT_FOUND' });
+    expect(sink.written).toEqual([]);
+    expect(state.alertImpl.message).toBe('The export was not found.');
+  });
+
+  test('should check the JSON response for an error before writing it', async () => {
+    replyWithStream(200, () => createStream([JSON.stringify({
+      type: 'SERVER_ERROR',
+      code: 'EXPORT_FAILED',
+      message: 'The export failed.',
+    })]), { 'Content-Type': 'application/json' });
+    const sink = createSink();
+    await expect(http.download({ url: '/exports/orders', stream: sink.stream }))
+      .rejects.toMatchObject({ code: 'EXPORT_FAILED' });
+    expect(sink.written).toEqual([]);
+  });
+
+  test('should abort the sink and reject with CANCELED if the download is aborted', async () => {
+    const controller = new AbortController();
+    let pulls = 0;
+    replyWithStream(200, () => new ReadableStream({
+      // the first pull fills the queue when the stream is created, so abort after the response
+      // has been received and the writing has started
+      pull(c) {
+        c.enqueue(new Uint8Array([1, 2, 3]));
+        pulls += 1;
+        if (pulls > 1) {
+          controller.abort();
+        }
+      },
+    }), headers);
+    const sink = createSink();
+    await expect(http.download({
+      url: '/exports/orders',
+      stream: sink.stream,
+      signal: controller.signal,
+    })).rejects.toMatchObject({ type: 'NETWORK_ERROR', code: 'CANCELED' });
+    expect(sink.aborted).toBe(true);
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  test('should not limit the time of the whole streamed download', async () => {
+    let pulls = 0;
+    const adapter = replyWithStream(200, () => new ReadableStream({
+      async pull(c) {
+        await new Promise((resolve) => setTimeout(resolve, 30));
+        c.enqueue(new Uint8Array(Buffer.from('abcd')));
+        pulls += 1;
+        if (pulls === 3) {
+          c.close();
+        }
+      },
+    }), headers);
+    const sink = createSink();
+    const result = await http.download({ url: '/exports/orders', stream: sink.stream, timeout: 50 });
+    expect(adapter.mock.calls[0][0].timeout).toBe(0);
+    expect(result.size).toBe(12);
+    expect(sink.closed).toBe(true);
+  });
+
+  test('should reject with TIMEOUT if no data is received within the timeout', async () => {
+    // like the fetch adapter, error the response stream when the request is aborted
+    replyWithStream(200, (cfg) => new ReadableStream({
+      start(c) {
+        c.enqueue(new Uint8Array(Buffer.from('id,name\n')));
+        cfg.signal.addEventListener('abort', () => c.error(new CanceledError(null, cfg)));
+      },
+    }), headers);
+    const sink = createSink();
+    await expect(http.download({ url: '/exports/orders', stream: sink.stream, timeout: 20 }))
+      .rejects.toMatchObject({ type: 'NETWORK_ERROR', code: 'TIMEOUT' });
+    expect(sink.written).toEqual(['id,name\n']);
+    expect(sink.aborted).toBe(true);
+    expect(state.alertImpl.type).toBe('error');
+  });
+
+  test('should reject with TIMEOUT if no response is received within the timeout', async () => {
+    const adapter = jest.fn((cfg) => new Promise((resolve, reject) => {
+      cfg.signal.addEventListener('abort', () => reject(new CanceledError(null, cfg)));
+    }));
+    http.defaults.adapter = adapter;
+    const sink = createSink();
+    await expect(http.download({
+      url: '/exports/orders',
+      stream: sink.stream,
+      timeout: 20,
+      skipAutoErrorHandling: true,
+    })).rejects.toMatchObject({ type: 'NETWORK_ERROR', code: 'TIMEOUT' });
+    expect(adapter).toHaveBeenCalledTimes(1);
+    expect(sink.written).toEqual([]);
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  test('should reject the unsupported option combinations', () => {
+    const sink = createSink();
+    expect(() => http.download({ url: '/a', stream: sink.stream, integrity: true }))
+      .toThrow(RangeError);
+    expect(() => http.download({ url: '/a', stream: sink.stream, responseEncoding: 'base64' }))
+      .toThrow(RangeError);
+    expect(() => http.download({ url: '/a', stream: 42 })).toThrow(TypeError);
+  });
+});
@@ -6,9 +6,11 @@
 //    All rights reserved.
 //
 ////////////////////////////////////////////////////////////////////////////////
+import { webcrypto } from 'crypto';
 import AxiosMockAdapter from 'axios-mock-adapter';
 import { AxiosHeaders } from 'axios';
 import Logger from '@qubit-ltd/logging';
+import config from '@qubit-ltd/config';
 import { http } from '../src';
 import HttpImplState from './impl/http-impl-state';
 
@@ -94,7 +96,7 @@ describe('http.download', () => {
     const result = await http.download(url, params, mimeType, false);
     expect(result).toEqual({
       blob: response.data,
-      filename: 'downloaded_file',
+      filename: 'downloaded_file.pdf',
       mimeType,
     });
   });
@@ -296,10 +298,8 @@ describe('http.download', () => {
     };
     mock.onGet(url).reply((config) => {
       // 检查编码
-      const t = config.params._t;
-      const r = config.params._r;
       const fullUrl = http.getUri({ url, params: config.params });
-      expect(fullUrl).toBe(`/file?_r=${r}&_t=${t}&ids=1&ids=2&ids=3`);
+      expect(fullUrl).toBe('/file?ids=1&ids=2&ids=3');
       return [200, response.data, response.headers];
     });
     const result = await http.download(url, params, mimeType, false);
@@ -309,4 +309,366 @@ describe('http.download', () => {
       mimeType,
     });
   });
+
+  it('should use the timeout of the download profile', async () => {
+    config.set('http_timeout', 1000);
+    config.set('http.profiles.download.timeout', 600000);
+    mock.onGet(url).reply((cfg) => {
+      expect(cfg.timeout).toBe(600000);
+      return [200, response.data, response.headers];
+    });
+    await http.download(url, params, mimeType, false);
+    config.remove('http.profiles.download.timeout');
+  });
+
+  it('should use the global timeout if the download profile is not configured', async () => {
+    config.set('http_timeout', 1000);
+    mock.onGet(url).reply((cfg) => {
+      expect(cfg.timeout).toBe(1000);
+      return [200, response.data, response.headers];
+    });
+    await http.download(url, params, mimeType, false);
+  });
+
+  it('should use the timeout specified in the options', async () => {
+    config.set('http.profiles.download.timeout', 600000);
+    mock.onGet(url).reply((cfg) => {
+      expect(cfg.timeout).toBe(30000);
+      return [200, response.data, response.headers];
+    });
+    await http.download(url, params, mimeType, false, null, { timeout: 30000 });
+    config.remove('http.profiles.download.timeout');
+  });
+
+  it('should accept a single options object', async () => {
+    mock.onGet(url).reply((cfg) => {
+      expect(cfg.params.key).toBe('value');
+      expect(cfg.headers.getAccept()).toBe('application/pdf');
+      expect(cfg.timeout).toBe(30000);
+      return [200, response.data, { 'Content-Type': mimeType }];
+    });
+    const result = await http.download({
+      url,
+      params,
+      mimeType,
+      autoDownload: false,
+      filename: 'custom.pdf',
+      timeout: 30000,
+    });
+    expect(result).toEqual({
+      blob: response.data,
+      filename: 'custom.pdf',
+      mimeType,
+    });
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  it('should use the default values of the omitted options', async () => {
+    mock.onGet(url).reply((cfg) => {
+      expect(cfg.headers.getAccept()).toBe('*/*');
+      return [200, response.data, response.headers];
+    });
+    const result = await http.download({ url });
+    expect(result.filename).toBe('test.pdf');
+    expect(window.URL.createObjectURL).toHaveBeenCalled();
+  });
+
+  it('should report the download progress', async () => {
+    const onProgress = jest.fn();
+    mock.onGet(url).reply((cfg) => {
+      cfg.onDownloadProgress({ loaded: 30, total: 120 });
+      cfg.onDownloadProgress({ loaded: 60 });
+      return [200, response.data, response.headers];
+    });
+    await http.download({ url, autoDownload: false, onProgress });
+    expect(onProgress).toHaveBeenNthCalledWith(1, { loaded: 30, total: 120, percent: 25 });
+    expect(onProgress).toHaveBeenNthCalledWith(2, { loaded: 60, total: null, percent: null });
+  });
+
+  it('should report the download progress with the positional arguments', async () => {
+    const onProgress = jest.fn();
+    mock.onGet(url).reply((cfg) => {
+      expect(cfg.onProgress).toBeUndefined();
+      cfg.onDownloadProgress({ loaded: 120, total: 120 });
+      return [200, response.data, response.headers];
+    });
+    await http.download(url, params, mimeType, false, null, { onProgress });
+    expect(onProgress).toHaveBeenCalledWith({ loaded: 120, total: 120, percent: 100 });
+  });
+
+  it('should download with a JSON POST body', async () => {
+    mock.onPost(url).reply((cfg) => {
+      expect(cfg.headers.getAccept()).toBe('application/pdf');
+      expect(cfg.headers.getContentType()).toMatch(/^application\/json/);
+      expect(cfg.data).toBe('{"status":["PAID","SHIPPED"],"customerId":12345678901234567890}');
+      return [200, response.data, response.headers];
+    });
+    const result = await http.download({
+      url,
+      method: 'post',
+      data: { status: ['PAID', 'SHIPPED'], customerId: 12345678901234567890n },
+      mimeType,
+    });
+    expect(result).toEqual({
+      blob: response.data,
+      filename: 'test.pdf',
+      mimeType,
+    });
+    expect(window.URL.createObjectURL).toHaveBeenCalled();
+  });
+
+  it('should download with the method and body in the positional options', async () => {
+    mock.onPut(url).reply((cfg) => {
+      expect(cfg.params.key).toBe('value');
+      expect(cfg.data).toBe('{"id":1}');
+      return [200, response.data, response.headers];
+    });
+    const result = await http.download(url, params, mimeType, false, null, {
+      method: 'put',
+      data: { id: 1 },
+    });
+    expect(result.filename).toBe('test.pdf');
+  });
+
+  it('should handle a JSON error returned with a 4xx status', async () => {
+    const error = '{"type":"SERVER_ERROR","code":"REPORT_NOT_FOUND","message":"报表不存在"}';
+    mock.onGet(url).reply(404, new Blob([error]), { 'Content-Type': 'application/json;charset=UTF-8' });
+    await expect(http.download(url, params, mimeType)).rejects.toEqual({
+      type: 'SERVER_ERROR',
+      code: 'REPORT_NOT_FOUND',
+      message: '报表不存在',
+    });
+    expect(state.alertImpl.type).toBe('error');
+    expect(state.alertImpl.message).toBe('报表不存在');
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  it('should handle a JSON error returned with a 200 status', async () => {
+    const error = '{"type":"SERVER_ERROR","code":"EXPORT_FAILED","message":"导出失败","id":12345678901234567890}';
+    mock.onGet(url).reply(200, new Blob([error]), { 'Content-Type': 'application/json' });
+    await expect(http.download(url, params, mimeType)).rejects.toEqual({
+      type: 'SERVER_ERROR',
+      code: 'EXPORT_FAILED',
+      message: '导出失败',
+      id: 12345678901234567890n,
+    });
+    expect(state.alertImpl.message).toBe('导出失败');
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  it('should route the JSON error of a download through the error handlers', async () => {
+    const handler = jest.fn((error) => Promise.reject(error));
+    const unregister = http.errorHandlers.register('EXPORT_FAILED', handler);
+    const error = '{"type":"SERVER_ERROR","code":"EXPORT_FAILED","message":"导出失败"}';
+    mock.onPost(url).reply(200, new Blob([error], { type: 'application/json' }));
+    await expect(http.download({ url, method: 'post', data: {} })).rejects.toMatchObject({
+      code: 'EXPORT_FAILED',
+    });
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(state.alertImpl.type).toBeUndefined();
+    unregister();
+  });
+
+  it('should download a JSON file returned as an attachment', async () => {
+    const json = '{"type":"SERVER_ERROR","code":"EXAMPLE"}';
+    const data = new Blob([json], { type: 'application/json' });
+    mock.onGet(url).reply(200, data, {
+      'Content-Type': 'application/json',
+      'Content-Disposition': 'attachment; filename="example.json"',
+    });
+    const result = await http.download(url, params, null, false);
+    expect(result.filename).toBe('example.json');
+    expect(result.blob).toBe(data);
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  it('should download a JSON file that is not an error', async () => {
+    const data = new Blob(['[1, 2, 3]'], { type: 'application/json' });
+    mock.onGet(url).reply(200, data, { 'Content-Type': 'application/json' });
+    const result = await http.download(url, params, null, false);
+    expect(result.blob).toBe(data);
+    expect(result.mimeType).toBe('application/json');
+  });
+
+  it('should report a non-JSON error body as a network error', async () => {
+    mock.onGet(url).reply(502, new Blob(['<html>Bad Gateway</html>'], { type: 'text/html' }));
+    await expect(http.download(url, params, mimeType)).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'UNKNOWN',
+      message: '网络请求发生未知错误: Request failed with status code 502',
+    });
+  });
+
+  it('should reject a canceled download without alert', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const handler = jest.fn(() => [200, response.data, response.headers]);
+    mock.onGet(url).reply(handler);
+    await expect(http.download({ url, signal: controller.signal })).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'CANCELED',
+      message: '请求已被取消',
+    });
+    expect(handler).not.toHaveBeenCalled();
+    expect(state.alertImpl.type).toBeUndefined();
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  it('should sanitize the filename from the Content-Disposition header', async () => {
+    mock.onGet(url).reply(200, response.data, {
+      'Content-Type': mimeType,
+      'Content-Disposition': 'attachment; filename="../../etc/report:2025?.pdf"',
+    });
+    const result = await http.download(url, params, mimeType, false);
+    expect(result.filename).toBe('report_2025_.pdf');
+  });
+
+  it('should add the extension inferred from the MIME type', async () => {
+    mock.onGet(url).reply(200, response.data, {
+      'Content-Type': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+      'Content-Disposition': 'attachment; filename="orders"',
+    });
+    const result = await http.download(url, params, null, false);
+    expect(result.filename).toBe('orders.xlsx');
+  });
+
+  it('should apply the filename template', async () => {
+    jest.useFakeTimers({ now: new Date(2025, 2, 1, 8, 5, 9), doNotFake: ['setTimeout', 'nextTick', 'setImmediate'] });
+    try {
+      mock.onGet(url).reply(200, response.data, response.headers);
+      const result = await http.download({
+        url,
+        autoDownload: false,
+        filenameTemplate: '{name}-{date}-{time}.{ext}',
+      });
+      expect(result.filename).toBe('test-20250301-080509.pdf');
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it('should apply the filename template function', async () => {
+    mock.onGet(url).reply(200, response.data, { 'Content-Type': mimeType });
+    const template = jest.fn(({ name }) => `${name}/invoice`);
+    const result = await http.download(url, params, mimeType, false, null, {
+      filenameTemplate: template,
+    });
+    expect(template).toHaveBeenCalledWith(expect.objectContaining({
+      filename: 'downloaded_file.pdf',
+      name: 'downloaded_file',
+      ext: 'pdf',
+      mimeType,
+    }));
+    expect(result.filename).toBe('invoice.pdf');
+  });
+
+  it('should decode the base64 field of a JSON response', async () => {
+    mock.onGet(url).reply((cfg) => {
+      expect(cfg.headers.getAccept()).toBe('application/json');
+      return [200, '{"data":{"content":"SGVsbG8gV29ybGQ="}}', { 'Content-Type': 'application/json' }];
+    });
+    const result = await http.download({
+      url,
+      mimeType: 'text/plain',
+      autoDownload: false,
+      responseEncoding: { type: 'json-base64', field: 'data.content' },
+    });
+    expect(result.filename).toBe('downloaded_file.txt');
+    expect(result.mimeType).toBe('text/plain');
+    expect(result.blob.size).toBe(11);
+  });
+
+  it('should use the MIME type of a data URL', async () => {
+    mock.onGet(url).reply(200, 'data:application/pdf;base64,SGVsbG8=', { 'Content-Type': 'text/plain' });
+    const result = await http.download(url, params, null, false, null, { responseEncoding: 'data-url' });
+    expect(result.mimeType).toBe('application/pdf');
+    expect(result.filename).toBe('downloaded_file.pdf');
+    expect(result.blob.size).toBe(5);
+  });
+
+  it('should reject the invalid base64 data with an error', async () => {
+    mock.onGet(url).reply(200, 'not base64!', { 'Content-Type': 'text/plain' });
+    await expect(http.download(url, params, mimeType, true, null, {
+      responseEncoding: 'base64',
+    })).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'INVALID_BASE64',
+      message: '服务器返回的文件数据不是有效的 base64 编码',
+    });
+    expect(state.alertImpl.message).toBe('服务器返回的文件数据不是有效的 base64 编码');
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  it('should reject an unsupported response encoding', () => {
+    expect(() => http.download({ url, responseEncoding: 'hex' })).toThrow(RangeError);
+  });
+
+  describe('integrity', () => {
+    // jsdom does not provide the Web Crypto API
+    const originalCrypto = globalThis.crypto;
+    const digest = 'sha-256=:4Kw2AQBd+hhk9Tkqq699iYsbW6uFTxrLRJG82Aa3aww=:';   // "file content"
+
+    beforeAll(() => {
+      Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true, writable: true });
+    });
+
+    afterAll(() => {
+      Object.defineProperty(globalThis, 'crypto', { value: originalCrypto, configurable: true, writable: true });
+    });
+
+    it('should return the hash verified against the Repr-Digest header', async () => {
+      mock.onGet(url).reply(200, response.data, { ...response.headers, 'Repr-Digest': digest });
+      const result = await http.download({ url, integrity: true });
+      expect(result).toEqual({
+        blob: response.data,
+        filename: 'test.pdf',
+        mimeType,
+        hash: {
+          algorithm: 'SHA-256',
+          hex: 'e0ac3601005dfa1864f5392aabaf7d898b1b5bab854f1acb4491bcd806b76b0c',
+          base64: '4Kw2AQBd+hhk9Tkqq699iYsbW6uFTxrLRJG82Aa3aww=',
+        },
+      });
+      expect(window.URL.createObjectURL).toHaveBeenCalled();
+    });
+
+    it('should verify the expected hash', async () => {
+      mock.onGet(url).reply(200, response.data, response.headers);
+      const result = await http.download(url, params, mimeType, false, null, {
+        integrity: { algorithm: 'SHA-256', hash: 'e0ac3601005dfa1864f5392aabaf7d898b1b5bab854f1acb4491bcd806b76b0c' },
+      });
+      expect(result.hash.algorithm).toBe('SHA-256');
+    });
+
+    it('should reject a mismatched file without saving it', async () => {
+      mock.onGet(url).reply(200, new Blob(['tampered'], { type: mimeType }), {
+        ...response.headers,
+        'Repr-Digest': digest,
+      });
+      await expect(http.download({ url, integrity: true })).rejects.toMatchObject({
+        type: 'NETWORK_ERROR',
+        code: 'INTEGRITY_MISMATCH',
+      });
+      expect(state.alertImpl.message).toBe('下载的文件未通过完整性校验（SHA-256），文件可能已损坏或被篡改');
+      expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+    });
+
+    it('should reject the invalid integrity options', () => {
+      expect(() => http.download({ url, integrity: 'sha1-abc' })).toThrow(RangeError);
+      expect(() => http.download({ url, integrity: true, responseEncoding: 'base64' })).toThrow(RangeError);
+    });
+  });
+
+  it('should reject a download canceled during the transfer', async () => {
+    const controller = new AbortController();
+    mock.onGet(url).reply(() => {
+      controller.abort();
+      return [200, response.data, response.headers];
+    });
+    await expect(http.download(url, params, mimeType, true, null, {
+      signal: controller.signal,
+    })).rejects.toMatchObject({ code: 'CANCELED' });
+    expect(state.alertImpl.type).toBeUndefined();
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
 });
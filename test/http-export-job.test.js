@@ -0,0 +1,264 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import config from '@qubit-ltd/config';
+import { http } from '../src';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+let visibility = 'visible';
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  jest.clearAllMocks();
+  visibility = 'visible';
+  config.set('http_retry_base_delay', 1);
+  if (!window.URL.createObjectURL) {
+    window.URL.createObjectURL = jest.fn();
+  }
+  if (!window.URL.revokeObjectURL) {
+    window.URL.revokeObjectURL = jest.fn();
+  }
+  jest.spyOn(window.URL, 'createObjectURL').mockReturnValue('blob:http://example.com/blob');
+  jest.spyOn(window.URL, 'revokeObjectURL').mockImplementation(() => {});
+  jest.spyOn(document.body, 'appendChild').mockImplementation(() => {});
+  jest.spyOn(document.body, 'removeChild').mockImplementation(() => {});
+  jest.spyOn(document, 'visibilityState', 'get').mockImplementation(() => visibility);
+});
+
+afterAll(() => {
+  mock.restore();
+  jest.restoreAllMocks();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+// 使用很短的查询间隔，以免测试运行过慢
+const FAST = { interval: 1, maxInterval: 2 };
+
+/**
+ * Registers a mocked result file.
+ *
+ * @param {string} url
+ *     The URL of the file.
+ * @param {string} content
+ *     The content of the file.
+ */
+function mockResult(url, content) {
+  mock.onGet(url).reply(200, new Blob([content], { type: 'text/csv' }), {
+    'Content-Type': 'text/csv',
+    'Content-Disposition': 'attachment; filename="orders.csv"',
+  });
+}
+
+/**
+ * Registers a mocked status endpoint returning the specified responses in order.
+ *
+ * @param {string} url
+ *     The URL of the status endpoint.
+ * @param {object[]} responses
+ *     The response data; the last one is repeated.
+ */
+function mockStatus(url, responses) {
+  let count = 0;
+  mock.onGet(url).reply(() => {
+    const data = responses[Math.min(count, responses.length - 1)];
+    ++count;
+    return [200, data];
+  });
+}
+
+describe('http.runExportJob', () => {
+  test('should submit the job, poll its status and download the result', async () => {
+    mock.onPost('/exports').reply(200, { jobId: 'j1' });
+    mockStatus('/exports/j1', [
+      { status: 'RUNNING', progress: 10 },
+      { status: 'RUNNING', progress: 60 },
+      { status: 'DONE', progress: 100, resultUrl: '/files/orders.csv' },
+    ]);
+    mockResult('/files/orders.csv', 'a,b');
+    const progress = [];
+    const result = await http.runExportJob('/exports', {
+      ...FAST,
+      data: { year: 2024 },
+      onProgress: (p) => progress.push(p),
+    });
+    expect(result.jobId).toBe('j1');
+    expect(result.filename).toBe('orders.csv');
+    expect(result.mimeType).toBe('text/csv');
+    expect(JSON.parse(mock.history.post[0].data)).toEqual({ year: 2024 });
+    expect(mock.history.get.map((r) => r.url)).toEqual([
+      '/exports/j1', '/exports/j1', '/exports/j1', '/files/orders.csv',
+    ]);
+    const exporting = progress.filter((p) => p.stage === 'export').map((p) => p.percent);
+    expect(exporting).toEqual([null, 10, 60, 100]);
+    expect(progress.every((p) => p.jobId === 'j1')).toBe(true);
+    expect(window.URL.createObjectURL).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not poll if the submitted job is already done', async () => {
+    mock.onPost('/exports').reply(200, { id: 7, status: 'completed', url: '/files/orders.csv' });
+    mockResult('/files/orders.csv', 'a,b');
+    const result = await http.runExportJob('/exports', {
+      ...FAST,
+      download: { filename: 'my-orders.csv', autoDownload: false },
+    });
+    expect(result.jobId).toBe(7);
+    expect(result.filename).toBe('my-orders.csv');
+    expect(mock.history.get.map((r) => r.url)).toEqual(['/files/orders.csv']);
+    expect(window.URL.createObjectURL).not.toHaveBeenCalled();
+  });
+
+  test('should support the custom endpoints and response shapes', async () => {
+    mock.onPut('/reports/export').reply(200, { data: { task: 'T9' } });
+    mockStatus('/tasks/T9', [{ finished: false }, { finished: true, file: '/files/orders.csv' }]);
+    mockResult('/files/orders.csv', 'a,b');
+    const result = await http.runExportJob('/reports/export', {
+      ...FAST,
+      method: 'put',
+      endpoints: { status: (url, id) => `/tasks/${id}` },
+      getJobId: (data) => data.data.task,
+      parseStatus: (data) => ({
+        state: data.finished ? 'done' : 'running',
+        resultUrl: data.file ?? null,
+      }),
+    });
+    expect(result.jobId).toBe('T9');
+    expect(mock.history.get.map((r) => r.url)).toEqual([
+      '/tasks/T9', '/tasks/T9', '/files/orders.csv',
+    ]);
+  });
+
+  test('should show the error of the failed job', async () => {
+    mock.onPost('/exports').reply(200, { jobId: 'j1' });
+    mockStatus('/exports/j1', [{ status: 'failed', message: '数据量过大' }]);
+    await expect(http.runExportJob('/exports', FAST)).rejects.toMatchObject({
+      type: 'SERVER_ERROR',
+      code: 'EXPORT_FAILED',
+      message: '数据量过大',
+    });
+    expect(state.alertImpl.type).toBe('error');
+    expect(mock.history.get).toHaveLength(1);
+  });
+
+  test('should show the error if the server does not return the job ID', async () => {
+    mock.onPost('/exports').reply(200, { status: 'running' });
+    await expect(http.runExportJob('/exports', FAST)).rejects.toMatchObject({
+      type: 'SERVER_ERROR',
+      code: 'EXPORT_FAILED',
+      message: '服务器没有返回导出任务的 ID',
+    });
+    expect(state.alertImpl.type).toBe('error');
+    expect(mock.history.get).toHaveLength(0);
+  });
+
+  test('should show the error if the server does not return the result URL', async () => {
+    mock.onPost('/exports').reply(200, { jobId: 'j1' });
+    mockStatus('/exports/j1', [{ status: 'done' }]);
+    await expect(http.runExportJob('/exports', FAST)).rejects.toMatchObject({
+      type: 'SERVER_ERROR',
+      code: 'EXPORT_FAILED',
+      message: '服务器没有返回导出文件的地址',
+    });
+    expect(state.alertImpl.type).toBe('error');
+    expect(mock.history.get).toHaveLength(1);
+  });
+
+  test('should not show the error if skipAutoErrorHandling is set', async () => {
+    mock.onPost('/exports').reply(200, { jobId: 'j1' });
+    mockStatus('/exports/j1', [{
+      status: 'error',
+      error: { type: 'SERVER_ERROR', code: 'TOO_MANY_ROWS', message: 'x' },
+    }]);
+    await expect(http.runExportJob('/exports', {
+      ...FAST,
+      skipAutoErrorHandling: true,
+    })).rejects.toMatchObject({ code: 'TOO_MANY_ROWS' });
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  test('should time out and cancel the job on the server', async () => {
+    mock.onPost('/exports').reply(200, { jobId: 'j1' });
+    mockStatus('/exports/j1', [{ status: 'running' }]);
+    mock.onDelete('/exports/j1').reply(204);
+    await expect(http.runExportJob('/exports', {
+      interval: 5,
+      maxInterval: 5,
+      timeout: 12,
+      skipAutoErrorHandling: true,
+    })).rejects.toMatchObject({ type: 'NETWORK_ERROR', code: 'EXPORT_TIMEOUT' });
+    expect(mock.history.get.length).toBeLessThanOrEqual(2);
+    expect(mock.history.delete).toHaveLength(1);
+  });
+
+  test('should cancel the job on the server if aborted', async () => {
+    const controller = new AbortController();
+    mock.onPost('/exports').reply(200, { jobId: 'j1' });
+    mock.onGet('/exports/j1').reply(() => {
+      controller.abort();
+      return [200, { status: 'running' }];
+    });
+    mock.onDelete('/exports/j1').reply(204);
+    await expect(http.runExportJob('/exports', {
+      ...FAST,
+      signal: controller.signal,
+    })).rejects.toMatchObject({ type: 'NETWORK_ERROR', code: 'CANCELED' });
+    expect(mock.history.delete).toHaveLength(1);
+    expect(mock.history.delete[0].url).toBe('/exports/j1');
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  test('should pause polling while the page is hidden', async () => {
+    visibility = 'hidden';
+    mock.onPost('/exports').reply(200, { jobId: 'j1' });
+    mockStatus('/exports/j1', [{ status: 'done', resultUrl: '/files/orders.csv' }]);
+    mockResult('/files/orders.csv', 'a,b');
+    const promise = http.runExportJob('/exports', FAST);
+    await new Promise((resolve) => setTimeout(resolve, 20));
+    expect(mock.history.post).toHaveLength(1);
+    expect(mock.history.get).toHaveLength(0);
+    visibility = 'visible';
+    document.dispatchEvent(new Event('visibilitychange'));
+    const result = await promise;
+    expect(result.jobId).toBe('j1');
+    expect(mock.history.get).toHaveLength(2);
+  });
+
+  test('should use the configured polling interval', async () => {
+    config.set('http_export_poll_interval', 1);
+    config.set('http_export_poll_max_interval', 1);
+    try {
+      mock.onPost('/exports').reply(200, { jobId: 'j1' });
+      mockStatus('/exports/j1', [
+        { status: 'running' },
+        { status: 'done', resultUrl: '/files/orders.csv' },
+      ]);
+      mockResult('/files/orders.csv', 'a,b');
+      const result = await http.runExportJob('/exports');
+      expect(result.jobId).toBe('j1');
+    } finally {
+      config.remove('http_export_poll_interval');
+      config.remove('http_export_poll_max_interval');
+    }
+  });
+
+  test('should reject the invalid options', async () => {
+    await expect(http.runExportJob('/exports', { interval: 0 })).rejects.toThrow(RangeError);
+    await expect(http.runExportJob('/exports', { interval: 10, maxInterval: 5 }))
+      .rejects.toThrow(RangeError);
+    await expect(http.runExportJob('/exports', { backoff: 0.5 })).rejects.toThrow(RangeError);
+    await expect(http.runExportJob('/exports', { timeout: -1 })).rejects.toThrow(RangeError);
+    expect(mock.history.post).toHaveLength(0);
+  });
+});
@@ -121,4 +121,64 @@ describe('http.download.noAutoClearLoading', () => {
     
     expect(loading.clear).toHaveBeenCalledTimes(2);
   });
-}); 
\ No newline at end of file
+}); 
+
+describe('http.showLoading', () => {
+  it('should keep the loading overlay until the last concurrent request settles', async () => {
+    const replies = {};
+    for (const name of ['a', 'b', 'c']) {
+      mock.onGet(`/${name}`).reply(() => new Promise((resolve) => {
+        replies[name] = () => resolve([200, { name }]);
+      }));
+    }
+    const showSpy = jest.spyOn(loading, 'show');
+    const pa = http.get('/a', { showLoading: true });
+    const pb = http.get('/b', { showLoading: true });
+    const pc = http.get('/c', { showLoading: true });
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(showSpy).toHaveBeenCalledOnce();
+    replies.a();
+    await pa;
+    replies.b();
+    await pb;
+    expect(loading.clear).not.toHaveBeenCalled();
+    replies.c();
+    await pc;
+    expect(loading.clear).toHaveBeenCalledTimes(1);
+    showSpy.mockRestore();
+  });
+
+  it('should not clear the managed loading overlay when other requests settle', async () => {
+    let replyA = null;
+    mock.onGet('/a').reply(() => new Promise((resolve) => {
+      replyA = () => resolve([200, {}]);
+    }));
+    mock.onGet('/b').reply(200, {});
+    const pa = http.get('/a', { showLoading: true });
+    await http.get('/b');
+    expect(loading.clear).not.toHaveBeenCalled();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    replyA();
+    await pa;
+    expect(loading.clear).toHaveBeenCalledTimes(1);
+  });
+
+  it('should keep the loading overlay if noAutoClearLoading is true', async () => {
+    mock.onGet('/test').reply(200, { success: true });
+    await http.get('/test', { showLoading: true, noAutoClearLoading: true });
+    expect(loading.clear).not.toHaveBeenCalled();
+  });
+
+  it('should clear the loading overlay on failure regardless of noAutoClearLoading', async () => {
+    mock.onGet('/test').reply(500, {
+      type: 'SERVER_ERROR',
+      code: 'INTERNAL_ERROR',
+      message: '服务器内部错误',
+    });
+    await expect(http.get('/test', {
+      showLoading: true,
+      noAutoClearLoading: true,
+    })).rejects.toMatchObject({ type: 'SERVER_ERROR', code: 'INTERNAL_ERROR' });
+    expect(loading.clear).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,239 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import { LocalStorage } from '@qubit-ltd/storage';
+import { http } from '../src';
+import ResumableUpload from '../src/impl/resumable-upload';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+const STORAGE_KEY = 'resumable-upload-test';
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  LocalStorage.remove(STORAGE_KEY);
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  mock.restore();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+/**
+ * Waits for the pending requests and promise callbacks to be processed.
+ *
+ * @return {Promise<void>}
+ *     A promise resolved after a short delay.
+ */
+function flush() {
+  return new Promise((resolve) => setTimeout(resolve, 20));
+}
+
+describe('http.uploadResumable', () => {
+  const url = '/uploads';
+  const chunkUrl = /\/uploads\/u1\/chunks\/\d+$/;
+  // 25 bytes with a chunk size of 10 bytes, i.e., 3 chunks of 10, 10 and 5 bytes
+  const file = new File(['a'.repeat(25)], 'big.bin', {
+    type: 'application/octet-stream',
+    lastModified: 1000,
+  });
+  const options = { chunkSize: 10, concurrency: 2, storageKey: STORAGE_KEY };
+
+  it('should return a ResumableUpload task', () => {
+    const task = http.uploadResumable(url, file, options);
+    expect(task).toBeInstanceOf(ResumableUpload);
+    expect(task.status).toBe('idle');
+    expect(task.totalChunks).toBe(3);
+  });
+
+  it('should reject invalid arguments', () => {
+    expect(() => http.uploadResumable(url, 'big.bin')).toThrow(TypeError);
+    expect(() => http.uploadResumable(url, file, { chunkSize: 0 })).toThrow(RangeError);
+    expect(() => http.uploadResumable(url, file, { concurrency: 1.5 })).toThrow(RangeError);
+  });
+
+  it('should upload all chunks and complete the upload', async () => {
+    const chunks = [];
+    mock.onPost(url).reply((cfg) => {
+      expect(JSON.parse(cfg.data)).toEqual({
+        folder: 'videos',
+        filename: 'big.bin',
+        size: 25,
+        mimeType: 'application/octet-stream',
+        chunkSize: 10,
+        totalChunks: 3,
+      });
+      return [200, { uploadId: 'u1' }];
+    });
+    mock.onPut(chunkUrl).reply((cfg) => {
+      expect(cfg.data).toBeInstanceOf(FormData);
+      chunks.push({
+        index: cfg.data.get('index'),
+        offset: cfg.data.get('offset'),
+        size: cfg.data.get('file').size,
+      });
+      return [200, {}];
+    });
+    mock.onPost('/uploads/u1/complete').reply((cfg) => {
+      expect(JSON.parse(cfg.data)).toEqual({ totalChunks: 3 });
+      return [200, '{"id":12345678901234567890}', { 'Content-Type': 'application/json' }];
+    });
+    const onProgress = jest.fn();
+    const task = http.uploadResumable(url, file, { ...options, fields: { folder: 'videos' }, onProgress });
+    const result = await task.start();
+    expect(result).toEqual({ id: 12345678901234567890n });
+    expect(task.status).toBe('completed');
+    expect(chunks).toIncludeSameMembers([
+      { index: '0', offset: '0', size: 10 },
+      { index: '1', offset: '10', size: 10 },
+      { index: '2', offset: '20', size: 5 },
+    ]);
+    expect(onProgress).toHaveBeenLastCalledWith({
+      loaded: 25,
+      total: 25,
+      percent: 100,
+      uploadedChunks: 3,
+      totalChunks: 3,
+    });
+    expect(LocalStorage.get(STORAGE_KEY)).toBeNil();
+  });
+
+  it('should not upload more chunks at once than the concurrency', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    mock.onPost(url).reply(200, { uploadId: 'u1' });
+    mock.onPut(chunkUrl).reply(() => {
+      ++running;
+      maxRunning = Math.max(maxRunning, running);
+      return flush().then(() => {
+        --running;
+        return [200, {}];
+      });
+    });
+    mock.onPost('/uploads/u1/complete').reply(200, { ok: true });
+    await http.uploadResumable(url, file, options).start();
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should skip the chunks already received by the server after a reload', async () => {
+    LocalStorage.set(STORAGE_KEY, { uploadId: 'u1', uploadedChunks: [0] });
+    const init = jest.fn(() => [200, { uploadId: 'u2' }]);
+    mock.onPost(url).reply(init);
+    mock.onGet('/uploads/u1').reply(200, { uploadedChunks: [0, 2] });
+    const indexes = [];
+    mock.onPut(chunkUrl).reply((cfg) => {
+      indexes.push(cfg.data.get('index'));
+      return [200, {}];
+    });
+    mock.onPost('/uploads/u1/complete').reply(200, { ok: true });
+    const result = await http.uploadResumable(url, file, options).start();
+    expect(result).toEqual({ ok: true });
+    expect(init).not.toHaveBeenCalled();
+    expect(indexes).toEqual(['1']);
+  });
+
+  it('should restart the upload silently if the saved upload no longer exists', async () => {
+    LocalStorage.set(STORAGE_KEY, { uploadId: 'expired', uploadedChunks: [0, 1] });
+    mock.onGet('/uploads/expired').reply(404, {
+      type: 'SERVER_ERROR',
+      code: 'NOT_FOUND',
+      message: '上传任务不存在',
+    });
+    mock.onPost(url).reply(200, { uploadId: 'u1' });
+    const indexes = [];
+    mock.onPut(chunkUrl).reply((cfg) => {
+      indexes.push(cfg.data.get('index'));
+      return [200, {}];
+    });
+    mock.onPost('/uploads/u1/complete').reply(200, { ok: true });
+    await http.uploadResumable(url, file, options).start();
+    expect(indexes).toIncludeSameMembers(['0', '1', '2']);
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  it('should pause and resume the upload', async () => {
+    const indexes = [];
+    let task = null;
+    mock.onPost(url).reply(200, { uploadId: 'u1' });
+    mock.onPut(chunkUrl).reply((cfg) => {
+      const index = cfg.data.get('index');
+      indexes.push(index);
+      if (index === '1' && task.status === 'uploading' && indexes.length === 2) {
+        task.pause();
+      }
+      return [200, {}];
+    });
+    const complete = jest.fn(() => [200, { ok: true }]);
+    mock.onPost('/uploads/u1/complete').reply(complete);
+    task = http.uploadResumable(url, file, { ...options, concurrency: 1 });
+    const promise = task.start();
+    await flush();
+    expect(task.status).toBe('paused');
+    expect(task.uploadedChunks).toEqual(new Set([0]));
+    expect(complete).not.toHaveBeenCalled();
+    expect(LocalStorage.get(STORAGE_KEY)).toEqual({ uploadId: 'u1', uploadedChunks: [0] });
+    expect(task.resume()).toBe(promise);
+    await expect(promise).resolves.toEqual({ ok: true });
+    expect(indexes).toEqual(['0', '1', '1', '2']);
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  it('should cancel the upload and notify the server', async () => {
+    let task = null;
+    mock.onPost(url).reply(200, { uploadId: 'u1' });
+    mock.onPut(chunkUrl).reply(() => {
+      task.cancel();
+      return [200, {}];
+    });
+    const abort = jest.fn(() => [200, {}]);
+    mock.onDelete('/uploads/u1').reply(abort);
+    task = http.uploadResumable(url, file, options);
+    await expect(task.start()).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'CANCELED',
+      message: '请求已被取消',
+    });
+    await flush();
+    expect(task.status).toBe('canceled');
+    expect(abort).toHaveBeenCalledTimes(1);
+    expect(LocalStorage.get(STORAGE_KEY)).toBeNil();
+    expect(state.alertImpl.type).toBeUndefined();
+  });
+
+  it('should keep the state of a failed upload so that it can be restarted', async () => {
+    mock.onPost(url).reply(200, { uploadId: 'u1' });
+    let failures = 1;
+    mock.onPut(chunkUrl).reply((cfg) => {
+      if (cfg.data.get('index') === '1' && failures > 0) {
+        --failures;
+        return [400, { type: 'SERVER_ERROR', code: 'BAD_CHUNK', message: '分片错误' }];
+      }
+      return [200, {}];
+    });
+    mock.onPost('/uploads/u1/complete').reply(200, { ok: true });
+    const task = http.uploadResumable(url, file, { ...options, concurrency: 1 });
+    await expect(task.start()).rejects.toEqual({
+      type: 'SERVER_ERROR',
+      code: 'BAD_CHUNK',
+      message: '分片错误',
+    });
+    expect(task.status).toBe('failed');
+    expect(state.alertImpl.message).toBe('分片错误');
+    expect(LocalStorage.get(STORAGE_KEY)).toEqual({ uploadId: 'u1', uploadedChunks: [0] });
+    await expect(task.start()).resolves.toEqual({ ok: true });
+    expect(task.status).toBe('completed');
+  });
+});
@@ -0,0 +1,104 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import AxiosMockAdapter from 'axios-mock-adapter';
+import Logger from '@qubit-ltd/logging';
+import { alert } from '@qubit-ltd/common-ui';
+import { http } from '../src';
+import {
+  DEFAULT_APP_TOKEN_NAME,
+  DEFAULT_ACCESS_TOKEN_NAME,
+} from '../src/impl/http-impl';
+import HttpImplState from './impl/http-impl-state';
+
+const state = new HttpImplState(http);
+
+const mock = new AxiosMockAdapter(http);
+
+beforeEach(() => {
+  state.reset();
+  mock.reset();
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  mock.restore();
+});
+
+Logger.getLogger('http').setLevel('info');
+
+describe('http.upload', () => {
+  const url = '/upload';
+  const file = new File(['file content'], 'report.pdf', { type: 'application/pdf' });
+
+  it('should upload the files and fields as multipart form data', async () => {
+    mock.onPost(url).reply((cfg) => {
+      expect(cfg.data).toBeInstanceOf(FormData);
+      expect(cfg.data.get('file').name).toBe('report.pdf');
+      expect(cfg.data.get('category')).toBe('finance');
+      expect(String(cfg.headers.getContentType() ?? '')).not.toMatch(/^application\/json/);
+      expect(cfg.headers.get(DEFAULT_APP_TOKEN_NAME)).toBe(state.appToken.value);
+      expect(cfg.headers.get(DEFAULT_ACCESS_TOKEN_NAME)).toBe(state.accessToken.value);
+      return [200, '{"id":12345678901234567890}', { 'Content-Type': 'application/json' }];
+    });
+    const result = await http.upload(url, file, { category: 'finance' });
+    expect(result).toEqual({ id: 12345678901234567890n });
+  });
+
+  it('should use the specified method and file field', async () => {
+    mock.onPut(url).reply((cfg) => {
+      expect(cfg.data.getAll('attachments')).toHaveLength(2);
+      return [200, { ok: true }];
+    });
+    const result = await http.upload(url, [file, file], {}, { method: 'put', fileField: 'attachments' });
+    expect(result).toEqual({ ok: true });
+  });
+
+  it('should report the upload progress', async () => {
+    const onProgress = jest.fn();
+    mock.onPost(url).reply((cfg) => {
+      cfg.onUploadProgress({ loaded: 50, total: 200 });
+      cfg.onUploadProgress({ loaded: 80 });
+      return [200, { ok: true }];
+    });
+    await http.upload(url, file, {}, { onProgress });
+    expect(onProgress).toHaveBeenNthCalledWith(1, { loaded: 50, total: 200, percent: 25 });
+    expect(onProgress).toHaveBeenNthCalledWith(2, { loaded: 80, total: null, percent: null });
+  });
+
+  it('should reject a canceled upload without alert', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    const handler = jest.fn(() => [200, { ok: true }]);
+    mock.onPost(url).reply(handler);
+    const spy = jest.spyOn(alert, 'show');
+    await expect(http.upload(url, file, {}, { signal: controller.signal })).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'CANCELED',
+      message: '请求已被取消',
+    });
+    expect(handler).not.toHaveBeenCalled();
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  it('should handle the errors as other requests', async () => {
+    mock.onPost(url).reply(400, {
+      type: 'SERVER_ERROR',
+      code: 'FILE_TOO_LARGE',
+      message: '文件过大',
+    });
+    await expect(http.upload(url, file)).rejects.toEqual({
+      type: 'SERVER_ERROR',
+      code: 'FILE_TOO_LARGE',
+      message: '文件过大',
+    });
+    expect(state.alertImpl.type).toBe('error');
+    expect(state.alertImpl.message).toBe('文件过大');
+  });
+});
@@ -9,7 +9,8 @@
 import AxiosMockAdapter from 'axios-mock-adapter';
 import { Json } from '@qubit-ltd/json';
 import Logger from '@qubit-ltd/logging';
-import { alert, confirm } from '@qubit-ltd/common-ui';
+import config from '@qubit-ltd/config';
+import { loading, alert, confirm } from '@qubit-ltd/common-ui';
 import { http } from '../src';
 import {
   DEFAULT_HTTP_HEADER_CONTENT_TYPE,
@@ -97,6 +98,29 @@ describe('http.interceptors.request', () => {
     expect(result).toEqual(response);
   });
 
+  it('should not add the tokens to requests to third-party origins', async () => {
+    mock.onGet('https://cdn.example.com/data.json').reply((cfg) => {
+      const headers = cfg.headers;
+      expect(headers.get(DEFAULT_APP_TOKEN_NAME)).toBeUndefined();
+      expect(headers.get(DEFAULT_ACCESS_TOKEN_NAME)).toBeUndefined();
+      return [200, { ok: true }];
+    });
+    const result = await http.get('https://cdn.example.com/data.json');
+    expect(result).toEqual({ ok: true });
+  });
+
+  it('should add the tokens to requests to the allowed origins', async () => {
+    config.set('http_auth_allowed_origins', ['https://files.example.com']);
+    mock.onGet('https://files.example.com/files').reply((cfg) => {
+      const headers = cfg.headers;
+      expect(headers.get(DEFAULT_APP_TOKEN_NAME)).toBe(state.appToken.value);
+      expect(headers.get(DEFAULT_ACCESS_TOKEN_NAME)).toBe(state.accessToken.value);
+      return [200, []];
+    });
+    const result = await http.get('https://files.example.com/files');
+    expect(result).toEqual([]);
+  });
+
   it('should successfully parse the response with lower-case content-type header', async () => {
     const data = { id: 12345678901234567890n, name: 'John' };
     const response = { success: true, name: 'John Doe' };
@@ -830,3 +854,211 @@ describe('http.interceptors.response', () => {
     }
   });
 });
+
+describe('http.refreshAccessToken', () => {
+  const data = { id: 12345678901234567890n, name: 'John' };
+  const error = {
+    type: 'AUTHENTICATION_ERROR',
+    code: 'INVALID_TOKEN',
+    params: [{
+      key: 'entity',
+      value: 'user',
+    }],
+    message: '用户令牌错误',
+  };
+
+  function replyWithNewToken(cfg) {
+    if (cfg.headers.get(DEFAULT_ACCESS_TOKEN_NAME) === 'NewAccessToken') {
+      expect(cfg.data).toBe('{"id":12345678901234567890,"name":"John"}');
+      return [200, { success: true, url: cfg.url }];
+    }
+    return [401, error];
+  }
+
+  it('should refresh the access token and replay the failed request', async () => {
+    http.refreshAccessToken = jest.fn(() => {
+      state.accessToken.value = 'NewAccessToken';
+      return Promise.resolve();
+    });
+    mock.onPost('/data').reply(replyWithNewToken);
+    const spy = jest.spyOn(confirm, 'show');
+    const result = await http.post('/data', data);
+    expect(result).toEqual({ success: true, url: '/data' });
+    expect(http.refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+    expect(state.resetAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('should refresh the access token only once for concurrent failed requests', async () => {
+    http.refreshAccessToken = jest.fn(() => new Promise((resolve) => {
+      setTimeout(() => {
+        state.accessToken.value = 'NewAccessToken';
+        resolve();
+      }, 10);
+    }));
+    mock.onPost(/\/data\d/).reply(replyWithNewToken);
+    const results = await Promise.all([
+      http.post('/data1', data),
+      http.post('/data2', data),
+      http.post('/data3', data),
+    ]);
+    expect(results).toEqual([
+      { success: true, url: '/data1' },
+      { success: true, url: '/data2' },
+      { success: true, url: '/data3' },
+    ]);
+    expect(http.refreshAccessToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('should confirm login if failed to refresh the access token', async () => {
+    http.refreshAccessToken = jest.fn(() => Promise.reject(new Error('refresh failed')));
+    mock.onPost('/data').reply(replyWithNewToken);
+    const spy = jest.spyOn(confirm, 'show');
+    const page = await http.post('/data', data);
+    expect(page).toBe('Login');
+    expect(http.refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(spy).toHaveBeenCalledOnce();
+    spy.mockRestore();
+    expect(state.resetAccessToken).toHaveBeenCalledOnce();
+    expect(state.router.name).toBe('Login');
+  });
+
+  it('should confirm login if the replayed request fails again', async () => {
+    http.refreshAccessToken = jest.fn(() => Promise.resolve());
+    mock.onPost('/data').reply(401, error);
+    const spy = jest.spyOn(confirm, 'show');
+    const page = await http.post('/data', data);
+    expect(page).toBe('Login');
+    expect(http.refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(spy).toHaveBeenCalledOnce();
+    spy.mockRestore();
+  });
+
+  it('should reject the token error of the request sent by the refreshing hook', async () => {
+    let refreshError = null;
+    http.refreshAccessToken = jest.fn(() => http.post('/token/refresh').catch((e) => {
+      refreshError = e;
+      throw e;
+    }));
+    mock.onPost('/token/refresh').reply(401, error);
+    mock.onPost('/data').reply(replyWithNewToken);
+    const spy = jest.spyOn(confirm, 'show');
+    const page = await http.post('/data', data);
+    expect(page).toBe('Login');
+    expect(refreshError).toMatchObject({ type: 'AUTHENTICATION_ERROR', code: 'INVALID_TOKEN' });
+    expect(http.refreshAccessToken).toHaveBeenCalledTimes(1);
+    expect(spy).toHaveBeenCalledOnce();
+    spy.mockRestore();
+  });
+
+  it('should not refresh the access token for the LOGIN_REQUIRED error', async () => {
+    http.refreshAccessToken = jest.fn(() => Promise.resolve());
+    mock.onPost('/data').reply(401, {
+      type: 'AUTHENTICATION_ERROR',
+      code: 'LOGIN_REQUIRED',
+    });
+    const page = await http.post('/data', data);
+    expect(page).toBe('Login');
+    expect(http.refreshAccessToken).not.toHaveBeenCalled();
+  });
+});
+
+describe('http retry policy', () => {
+  beforeEach(() => {
+    config.set('http_retry_max_attempts', 3);
+    config.set('http_retry_base_delay', 1);
+  });
+
+  it('should retry the GET request on 503 and return the final response', async () => {
+    mock.onGet('/data').replyOnce(503)
+      .onGet('/data').replyOnce(503)
+      .onGet('/data').reply(200, { success: true });
+    const spy = jest.spyOn(alert, 'show');
+    const result = await http.get('/data');
+    expect(result).toEqual({ success: true });
+    expect(mock.history.get.length).toBe(3);
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  it('should retry the GET request on network errors', async () => {
+    mock.onGet('/data').networkErrorOnce()
+      .onGet('/data').reply(200, { success: true });
+    const result = await http.get('/data');
+    expect(result).toEqual({ success: true });
+    expect(mock.history.get.length).toBe(2);
+  });
+
+  it('should show the error and clear the loading only after the last attempt', async () => {
+    mock.onGet('/data').reply(503);
+    const clearSpy = jest.spyOn(loading, 'clear');
+    const alertSpy = jest.spyOn(alert, 'show');
+    await expect(http.get('/data')).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'UNKNOWN',
+      message: '网络请求发生未知错误: Request failed with status code 503',
+    });
+    expect(mock.history.get.length).toBe(3);
+    // once by the response interceptor after the last attempt, and once by alert.show()
+    expect(clearSpy).toHaveBeenCalledTimes(2);
+    expect(alertSpy).toHaveBeenCalledOnce();
+    clearSpy.mockRestore();
+    alertSpy.mockRestore();
+  });
+
+  it('should not retry the POST request unless allowed', async () => {
+    mock.onPost('/data').reply(503);
+    await expect(http.post('/data', {})).rejects.toBeDefined();
+    expect(mock.history.post.length).toBe(1);
+  });
+
+  it('should retry the POST request if allowed', async () => {
+    const data = { id: 12345678901234567890n };
+    mock.onPost('/data').replyOnce(503)
+      .onPost('/data').reply((cfg) => {
+        expect(cfg.data).toBe('{"id":12345678901234567890}');
+        return [200, { success: true }];
+      });
+    const result = await http.post('/data', data, { retry: { allowNonIdempotent: true } });
+    expect(result).toEqual({ success: true });
+    expect(mock.history.post.length).toBe(2);
+  });
+
+  it('should not retry the request if the `retry` option is false', async () => {
+    mock.onGet('/data').reply(503);
+    await expect(http.get('/data', { retry: false })).rejects.toBeDefined();
+    expect(mock.history.get.length).toBe(1);
+  });
+});
+
+describe('http concurrent authentication failures', () => {
+  it('should show only one login confirmation for concurrent LOGIN_REQUIRED errors', async () => {
+    mock.onGet(/\/data\d/).reply(401, {
+      type: 'AUTHENTICATION_ERROR',
+      code: 'LOGIN_REQUIRED',
+    });
+    const spy = jest.spyOn(confirm, 'show');
+    const results = await Promise.all([1, 2, 3, 4, 5].map((i) => http.get(`/data${i}`)));
+    expect(results).toEqual(['Login', 'Login', 'Login', 'Login', 'Login']);
+    expect(spy).toHaveBeenCalledOnce();
+    spy.mockRestore();
+    expect(state.resetAccessToken).toHaveBeenCalledOnce();
+    expect(state.pushRouter).toHaveBeenCalledOnce();
+  });
+
+  it('should show only one error alert for concurrent identical errors', async () => {
+    const error = {
+      type: 'SERVER_ERROR',
+      code: 'DATA_CONFLICT',
+      message: '数据冲突',
+    };
+    mock.onGet(/\/data\d/).reply(409, error);
+    const spy = jest.spyOn(alert, 'show');
+    const results = await Promise.allSettled([1, 2, 3].map((i) => http.get(`/data${i}`)));
+    expect(results.map((r) => r.status)).toEqual(['rejected', 'rejected', 'rejected']);
+    expect(results.map((r) => r.reason)).toEqual([error, error, error]);
+    expect(spy).toHaveBeenCalledOnce();
+    spy.mockRestore();
+  });
+});
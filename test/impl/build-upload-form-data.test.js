@@ -0,0 +1,73 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import buildUploadFormData from '../../src/impl/build-upload-form-data';
+
+/**
+ * Test the `buildUploadFormData` function.
+ */
+describe('buildUploadFormData', () => {
+  const file1 = new File(['hello'], 'hello.txt', { type: 'text/plain' });
+  const file2 = new File(['world'], 'world.txt', { type: 'text/plain' });
+
+  it('should add a single file with the default field name', () => {
+    const formData = buildUploadFormData(file1);
+    expect(formData.getAll('file')).toHaveLength(1);
+    expect(formData.get('file').name).toBe('hello.txt');
+  });
+
+  it('should add an array of files with the specified field name', () => {
+    const formData = buildUploadFormData([file1, file2], {}, 'attachments');
+    const files = formData.getAll('attachments');
+    expect(files.map((f) => f.name)).toEqual(['hello.txt', 'world.txt']);
+    expect(formData.has('file')).toBe(false);
+  });
+
+  it('should add files from a map of field names', () => {
+    const formData = buildUploadFormData({ avatar: file1, documents: [file1, file2] });
+    expect(formData.get('avatar').name).toBe('hello.txt');
+    expect(formData.getAll('documents')).toHaveLength(2);
+  });
+
+  it('should add a Blob without a name', () => {
+    const blob = new Blob(['data'], { type: 'application/octet-stream' });
+    const formData = buildUploadFormData(blob);
+    expect(formData.get('file')).toBeInstanceOf(Blob);
+  });
+
+  it('should add the extra fields', () => {
+    const formData = buildUploadFormData(file1, {
+      name: 'report',
+      count: 3,
+      public: false,
+      tags: ['a', 'b'],
+      ignored: null,
+      missing: undefined,
+      meta: { id: 12345678901234567890n },
+    });
+    expect(formData.get('name')).toBe('report');
+    expect(formData.get('count')).toBe('3');
+    expect(formData.get('public')).toBe('false');
+    expect(formData.getAll('tags')).toEqual(['a', 'b']);
+    expect(formData.has('ignored')).toBe(false);
+    expect(formData.has('missing')).toBe(false);
+    expect(formData.get('meta')).toBe('{"id":12345678901234567890}');
+  });
+
+  it('should allow uploading fields without files', () => {
+    const formData = buildUploadFormData(null, { name: 'report' });
+    expect(formData.get('name')).toBe('report');
+    expect(formData.has('file')).toBe(false);
+  });
+
+  it('should throw if the files are not File or Blob objects', () => {
+    expect(() => buildUploadFormData('hello.txt')).toThrow(TypeError);
+    expect(() => buildUploadFormData(['hello.txt'])).toThrow(TypeError);
+    expect(() => buildUploadFormData({ avatar: 'hello.txt' })).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,65 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import createZip from '../../src/impl/create-zip';
+import readBlobAsBytes from '../../src/impl/read-blob-as-bytes';
+
+/**
+ * Reads the entries from the central directory of a ZIP file.
+ *
+ * @param {Uint8Array} bytes
+ *     The content of the ZIP file.
+ * @return {object[]}
+ *     The entries of the ZIP file.
+ */
+function readEntries(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const end = bytes.length - 22;
+  expect(view.getUint32(end, true)).toBe(0x06054b50);
+  const count = view.getUint16(end + 10, true);
+  let pos = view.getUint32(end + 16, true);
+  const entries = [];
+  for (let i = 0; i < count; ++i) {
+    expect(view.getUint32(pos, true)).toBe(0x02014b50);
+    const nameLength = view.getUint16(pos + 28, true);
+    const offset = view.getUint32(pos + 42, true);
+    const size = view.getUint32(pos + 24, true);
+    const dataStart = offset + 30 + view.getUint16(offset + 26, true);
+    entries.push({
+      name: Buffer.from(bytes.subarray(pos + 46, pos + 46 + nameLength)).toString('utf8'),
+      crc: view.getUint32(pos + 16, true),
+      flags: view.getUint16(pos + 8, true),
+      data: bytes.subarray(dataStart, dataStart + size),
+    });
+    pos += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('createZip', () => {
+  it('creates a ZIP file with the stored entries', async () => {
+    const zip = await createZip([
+      { name: 'hello.txt', blob: new Blob(['hello']) },
+      { name: '报告.pdf', blob: new Blob([new Uint8Array([1, 2, 3])]) },
+    ]);
+    expect(zip.type).toBe('application/zip');
+    const bytes = await readBlobAsBytes(zip);
+    expect(new DataView(bytes.buffer).getUint32(0, true)).toBe(0x04034b50);
+    const entries = readEntries(bytes);
+    expect(entries.map((e) => e.name)).toEqual(['hello.txt', '报告.pdf']);
+    expect(entries[0].crc).toBe(0x3610a686);
+    expect(entries[0].flags).toBe(0x0800);
+    expect(Buffer.from(entries[0].data).toString('utf8')).toBe('hello');
+    expect(Array.from(entries[1].data)).toEqual([1, 2, 3]);
+  });
+
+  it('creates an empty ZIP file', async () => {
+    const zip = await createZip([]);
+    expect(zip.size).toBe(22);
+  });
+});
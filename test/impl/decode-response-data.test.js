@@ -0,0 +1,148 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { AxiosHeaders } from 'axios';
+import decodeResponseData, { normalizeResponseEncoding } from '../../src/impl/decode-response-data';
+
+/**
+ * Reads the text content of a blob.
+ *
+ * @param {Blob} blob
+ *     The blob to read.
+ * @return {Promise<string>}
+ *     The text content of the blob.
+ */
+function readText(blob) {
+  return new Promise((resolve) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.readAsText(blob);
+  });
+}
+
+/**
+ * Creates a response object.
+ *
+ * @param {any} data
+ *     The response data.
+ * @param {string} contentType
+ *     The Content-Type of the response.
+ * @return {object}
+ *     The response object.
+ */
+function createResponse(data, contentType = 'text/plain') {
+  return { data, headers: new AxiosHeaders({ 'Content-Type': contentType }) };
+}
+
+const HELLO = 'SGVsbG8gV29ybGQ=';      // "Hello World" in base64
+
+describe('normalizeResponseEncoding', () => {
+  it('normalizes the string and object forms', () => {
+    expect(normalizeResponseEncoding(undefined)).toEqual({ type: 'binary', field: null });
+    expect(normalizeResponseEncoding('base64')).toEqual({ type: 'base64', field: null });
+    expect(normalizeResponseEncoding({ type: 'json-base64', field: 'data' }))
+      .toEqual({ type: 'json-base64', field: 'data' });
+  });
+
+  it('rejects unsupported encodings', () => {
+    expect(() => normalizeResponseEncoding('hex')).toThrow(RangeError);
+    expect(() => normalizeResponseEncoding({ type: 'base64', field: 'data' })).toThrow(RangeError);
+  });
+});
+
+describe('decodeResponseData', () => {
+  it('keeps the binary data as it is by default', async () => {
+    const blob = new Blob([HELLO], { type: 'text/plain' });
+    await expect(decodeResponseData(createResponse(blob), 'text/plain')).resolves.toBe(blob);
+  });
+
+  it('decodes the base64 text', async () => {
+    const blob = await decodeResponseData(createResponse(`${HELLO}\n`), 'text/plain', 'base64');
+    expect(blob.type).toBe('text/plain');
+    expect(await readText(blob)).toBe('Hello World');
+  });
+
+  it('decodes the base64 text returned as a Blob', async () => {
+    const data = new Blob([HELLO], { type: 'text/plain' });
+    const blob = await decodeResponseData(createResponse(data), null, 'base64');
+    expect(blob.type).toBe('application/octet-stream');
+    expect(await readText(blob)).toBe('Hello World');
+  });
+
+  it('accepts the URL-safe alphabet and the omitted padding', async () => {
+    const blob = await decodeResponseData(createResponse('Pz8_Pz8-Pg'), null, 'base64');
+    expect(await readText(blob)).toBe('?????>>');
+    const unpadded = await decodeResponseData(createResponse('SGVsbG8'), null, 'base64');
+    expect(await readText(unpadded)).toBe('Hello');
+  });
+
+  it('rejects the invalid base64 text', async () => {
+    const error = { type: 'NETWORK_ERROR', code: 'INVALID_BASE64' };
+    await expect(decodeResponseData(createResponse('Hello World!'), null, 'base64'))
+      .rejects.toMatchObject(error);
+    await expect(decodeResponseData(createResponse('SGVsb'), null, 'base64'))
+      .rejects.toMatchObject(error);
+    await expect(decodeResponseData(createResponse('SGVsbG8=='), null, 'base64'))
+      .rejects.toMatchObject(error);
+    await expect(decodeResponseData(createResponse(null), null, 'base64'))
+      .rejects.toMatchObject(error);
+  });
+
+  it('decodes a quoted JSON string', async () => {
+    const data = new Blob([`"${HELLO}"`], { type: 'application/json' });
+    const blob = await decodeResponseData(createResponse(data, 'application/json'), 'text/plain', 'json-base64');
+    expect(await readText(blob)).toBe('Hello World');
+  });
+
+  it('decodes the field of a JSON object', async () => {
+    const data = `{"code":0,"data":{"content":"${HELLO}"}}`;
+    const blob = await decodeResponseData(createResponse(data), 'text/plain', {
+      type: 'json-base64',
+      field: 'data.content',
+    });
+    expect(await readText(blob)).toBe('Hello World');
+  });
+
+  it('decodes the JSON data already parsed by the response transformer', async () => {
+    const response = createResponse({ data: HELLO }, 'application/json');
+    const blob = await decodeResponseData(response, 'text/plain', { type: 'json-base64', field: 'data' });
+    expect(await readText(blob)).toBe('Hello World');
+  });
+
+  it('rejects the JSON data without a base64 string', async () => {
+    const error = { type: 'NETWORK_ERROR', code: 'INVALID_JSON_BASE64' };
+    await expect(decodeResponseData(createResponse('not json'), null, 'json-base64'))
+      .rejects.toMatchObject(error);
+    await expect(decodeResponseData(createResponse({ data: HELLO }, 'application/json'), null, 'json-base64'))
+      .rejects.toMatchObject(error);
+    await expect(decodeResponseData(createResponse({ data: 42 }, 'application/json'), null, {
+      type: 'json-base64',
+      field: 'data',
+    })).rejects.toMatchObject(error);
+  });
+
+  it('decodes a base64 data URL with its MIME type', async () => {
+    const blob = await decodeResponseData(createResponse(`data:application/pdf;base64,${HELLO}`), null, 'data-url');
+    expect(blob.type).toBe('application/pdf');
+    expect(await readText(blob)).toBe('Hello World');
+  });
+
+  it('decodes a percent-encoded data URL', async () => {
+    const blob = await decodeResponseData(createResponse('data:,Hello%20World'), 'text/plain', 'data-url');
+    expect(blob.type).toBe('text/plain');
+    expect(await readText(blob)).toBe('Hello World');
+  });
+
+  it('rejects the invalid data URL', async () => {
+    const error = { type: 'NETWORK_ERROR', code: 'INVALID_DATA_URL' };
+    await expect(decodeResponseData(createResponse(HELLO), null, 'data-url'))
+      .rejects.toMatchObject(error);
+    await expect(decodeResponseData(createResponse('data:text/plain;base64,!!!'), null, 'data-url'))
+      .rejects.toMatchObject(error);
+  });
+});
@@ -0,0 +1,155 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import ErrorHandlerRegistry from '../../src/impl/error-handler-registry';
+
+const error = {
+  type: 'AUTHENTICATION_ERROR',
+  code: 'LOGIN_REQUIRED',
+};
+
+/**
+ * Test the `ErrorHandlerRegistry` class.
+ */
+describe('ErrorHandlerRegistry', () => {
+  it('should reject the error if no handler matches and there is no fallback', async () => {
+    const registry = new ErrorHandlerRegistry();
+    await expect(registry.handle(error)).rejects.toBe(error);
+  });
+
+  it('should call the fallback if no handler matches', async () => {
+    const fallback = jest.fn(() => Promise.resolve('fallback'));
+    const registry = new ErrorHandlerRegistry(fallback);
+    await expect(registry.handle(error, { config: {} })).resolves.toBe('fallback');
+    expect(fallback).toHaveBeenCalledOnce();
+    expect(fallback.mock.calls[0][1].config).toEqual({});
+  });
+
+  it('should accept code strings, type-code strings and objects as matchers', () => {
+    const registry = new ErrorHandlerRegistry();
+    const handler = () => Promise.resolve();
+    registry.register('LOGIN_REQUIRED', handler);
+    registry.register('AUTHENTICATION_ERROR:*', handler);
+    registry.register({ type: 'SERVER_ERROR', code: 'TIMEOUT' }, handler);
+    expect(registry.has({ code: 'LOGIN_REQUIRED' })).toBe(true);
+    expect(registry.has({ type: 'AUTHENTICATION_ERROR' })).toBe(true);
+    expect(registry.has('SERVER_ERROR:TIMEOUT')).toBe(true);
+    expect(registry.has('TIMEOUT')).toBe(false);
+  });
+
+  it('should throw if the handler is not a function', () => {
+    const registry = new ErrorHandlerRegistry();
+    expect(() => registry.register('LOGIN_REQUIRED', null)).toThrow(TypeError);
+    expect(() => registry.register(42, () => {})).toThrow(TypeError);
+  });
+
+  it('should call handlers from the most specific to the least specific', async () => {
+    const calls = [];
+    const registry = new ErrorHandlerRegistry(() => {
+      calls.push('fallback');
+      return Promise.resolve('done');
+    });
+    const push = (name) => (e, { next }) => {
+      calls.push(name);
+      return next();
+    };
+    registry.register('*', push('any'));
+    registry.register('AUTHENTICATION_ERROR:*', push('type'));
+    registry.register('LOGIN_REQUIRED', push('code'));
+    registry.register('AUTHENTICATION_ERROR:LOGIN_REQUIRED', push('type-code'));
+    registry.register('SESSION_EXPIRED', push('other'));
+    await expect(registry.handle(error)).resolves.toBe('done');
+    expect(calls).toEqual(['type-code', 'code', 'type', 'any', 'fallback']);
+  });
+
+  it('should call the built-in handlers after all registered handlers', async () => {
+    const calls = [];
+    const registry = new ErrorHandlerRegistry(() => {
+      calls.push('fallback');
+      return Promise.resolve('done');
+    });
+    const push = (name) => (e, { next }) => {
+      calls.push(name);
+      return next();
+    };
+    registry.registerDefault('LOGIN_REQUIRED', push('default-code'));
+    registry.registerDefault('*', push('default-any'));
+    registry.register('*', push('any'));
+    registry.register('AUTHENTICATION_ERROR:*', push('type'));
+    await expect(registry.handle(error)).resolves.toBe('done');
+    expect(calls).toEqual(['type', 'any', 'default-code', 'default-any', 'fallback']);
+  });
+
+  it('should not unregister the built-in handlers', async () => {
+    const registry = new ErrorHandlerRegistry();
+    const builtin = jest.fn(() => Promise.resolve('builtin'));
+    registry.registerDefault('LOGIN_REQUIRED', builtin);
+    expect(registry.has('LOGIN_REQUIRED')).toBe(true);
+    expect(registry.unregister('LOGIN_REQUIRED')).toBe(false);
+    expect(() => registry.registerDefault('LOGIN_REQUIRED', null)).toThrow(TypeError);
+    await expect(registry.handle(error)).resolves.toBe('builtin');
+  });
+
+  it('should call the most recently registered handler first', async () => {
+    const registry = new ErrorHandlerRegistry();
+    const first = jest.fn(() => Promise.resolve('first'));
+    const second = jest.fn((e, { next }) => next().then((r) => `second after ${r}`));
+    registry.register('LOGIN_REQUIRED', first);
+    registry.register('LOGIN_REQUIRED', second);
+    await expect(registry.handle(error)).resolves.toBe('second after first');
+    expect(first).toHaveBeenCalledOnce();
+    expect(second).toHaveBeenCalledOnce();
+  });
+
+  it('should override a handler without calling next()', async () => {
+    const registry = new ErrorHandlerRegistry();
+    const first = jest.fn(() => Promise.resolve('first'));
+    const second = jest.fn(() => Promise.resolve('second'));
+    registry.register('LOGIN_REQUIRED', first);
+    registry.register('LOGIN_REQUIRED', second);
+    await expect(registry.handle(error)).resolves.toBe('second');
+    expect(first).not.toHaveBeenCalled();
+  });
+
+  it('should pass the context to the handlers', async () => {
+    const registry = new ErrorHandlerRegistry();
+    const handler = jest.fn(() => Promise.resolve());
+    const http = {};
+    const cfg = { url: '/test' };
+    registry.register('LOGIN_REQUIRED', handler);
+    await registry.handle(error, { http, config: cfg });
+    const context = handler.mock.calls[0][1];
+    expect(context.http).toBe(http);
+    expect(context.config).toBe(cfg);
+    expect(context.next).toBeInstanceOf(Function);
+  });
+
+  it('should convert the exception thrown by a handler to a rejection', async () => {
+    const registry = new ErrorHandlerRegistry();
+    const failure = new Error('failure');
+    registry.register('LOGIN_REQUIRED', () => {
+      throw failure;
+    });
+    await expect(registry.handle(error)).rejects.toBe(failure);
+  });
+
+  it('should unregister handlers', async () => {
+    const fallback = jest.fn(() => Promise.resolve('fallback'));
+    const registry = new ErrorHandlerRegistry(fallback);
+    const first = jest.fn(() => Promise.resolve('first'));
+    const second = jest.fn(() => Promise.resolve('second'));
+    registry.register('LOGIN_REQUIRED', first);
+    const unregister = registry.register('LOGIN_REQUIRED', second);
+    expect(unregister()).toBe(true);
+    expect(unregister()).toBe(false);
+    await expect(registry.handle(error)).resolves.toBe('first');
+    expect(registry.unregister('LOGIN_REQUIRED')).toBe(true);
+    expect(registry.has('LOGIN_REQUIRED')).toBe(false);
+    await expect(registry.handle(error)).resolves.toBe('fallback');
+  });
+});
@@ -66,4 +66,16 @@ describe('extractContentDispositionFilename', () => {
     const result = extractContentDispositionFilename(contentDisposition);
     expect(result).toBe('test.json');
   });
+
+  it('returns the filename* even if it precedes the filename', () => {
+    const contentDisposition = 'attachment; filename*=UTF-8\'\'example%20file.txt; filename="example.txt"';
+    const result = extractContentDispositionFilename(contentDisposition);
+    expect(result).toBe('example file.txt');
+  });
+
+  it('returns the quoted filename containing a semicolon', () => {
+    const contentDisposition = 'attachment; filename="a;b.txt"';
+    const result = extractContentDispositionFilename(contentDisposition);
+    expect(result).toBe('a;b.txt');
+  });
 });
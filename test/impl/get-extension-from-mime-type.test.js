@@ -0,0 +1,30 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import getExtensionFromMimeType from '../../src/impl/get-extension-from-mime-type';
+
+describe('getExtensionFromMimeType', () => {
+  it('returns the extension of the common MIME types', () => {
+    expect(getExtensionFromMimeType('application/pdf')).toBe('pdf');
+    expect(getExtensionFromMimeType('image/jpeg')).toBe('jpg');
+    expect(getExtensionFromMimeType('text/csv')).toBe('csv');
+    expect(getExtensionFromMimeType('application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'))
+      .toBe('xlsx');
+  });
+
+  it('ignores the parameters and the case', () => {
+    expect(getExtensionFromMimeType('Text/Plain; charset=UTF-8')).toBe('txt');
+  });
+
+  it('returns null for unknown or missing MIME types', () => {
+    expect(getExtensionFromMimeType('application/octet-stream')).toBeNull();
+    expect(getExtensionFromMimeType('application/x-unknown')).toBeNull();
+    expect(getExtensionFromMimeType('')).toBeNull();
+    expect(getExtensionFromMimeType(null)).toBeNull();
+  });
+});
@@ -0,0 +1,45 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import config from '@qubit-ltd/config';
+import { getHttpConfig, hasHttpConfig } from '../../src/impl/http-config';
+import RetryPolicy from '../../src/impl/retry-policy';
+
+beforeEach(() => {
+  config.set('http_timeout', 1000);
+  config.remove('http_retry_max_attempts');
+});
+
+afterAll(() => {
+  config.remove('http_timeout');
+});
+
+/**
+ * Test the `getHttpConfig` and `hasHttpConfig` functions.
+ */
+describe('getHttpConfig', () => {
+  it('should prefer the settings of the instance', () => {
+    const http = { settings: { http_timeout: 2000 } };
+    expect(getHttpConfig(http, 'http_timeout', 3000)).toBe(2000);
+    expect(hasHttpConfig(http, 'http_timeout')).toBe(true);
+  });
+
+  it('should fall back to the global configuration', () => {
+    const http = { settings: { http_timeout: undefined } };
+    expect(getHttpConfig(http, 'http_timeout', 3000)).toBe(1000);
+    expect(getHttpConfig(null, 'http_timeout', 3000)).toBe(1000);
+    expect(getHttpConfig({}, 'http_retry_max_attempts', 3)).toBe(3);
+    expect(hasHttpConfig({}, 'http_retry_max_attempts')).toBe(false);
+  });
+
+  it('should be used by the retry policy', () => {
+    const http = { settings: { http_retry_max_attempts: 4 } };
+    expect(RetryPolicy.resolve({}, http).maxAttempts).toBe(4);
+    expect(RetryPolicy.resolve({}).maxAttempts).toBe(1);
+  });
+});
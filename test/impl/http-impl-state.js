@@ -11,6 +11,8 @@ import { loading, alert, confirm } from '@qubit-ltd/common-ui';
 import MockLoadingImpl from '../mock/mock-loading-impl';
 import MockAlertImpl from '../mock/mock-alert-impl';
 import MockConfirmImpl from '../mock/mock-confirm-impl';
+import { httpImpl } from '../../src/impl/http-impl';
+import i18n from '../../src/i18n';
 
 /**
  * The state object for testing the `http` object.
@@ -89,12 +91,26 @@ class HttpImplState {
     config.set('app_token_value', this.appToken.value);
     config.remove('access_token_name');
     config.remove('login_page');
+    config.remove('http_retry_max_attempts');
+    config.remove('http_retry_base_delay');
+    config.remove('http_retry_max_delay');
+    config.remove('http_loading_delay');
+    config.remove('http_loading_message');
+    config.remove('http_error_dedup_window');
+    config.remove('http_auth_allowed_origins');
     this.http.getAccessToken = this.getAccessToken;
     this.http.resetAccessToken = this.resetAccessToken;
     this.http.getRouter = this.getRouter;
+    delete this.http.refreshAccessToken;
+    this.http.errorHandlers = httpImpl.createErrorHandlers();
     loading.setImpl(this.loadingImpl);
     alert.setImpl(this.alertImpl);
     confirm.setImpl(this.confirmImpl);
+    httpImpl.getLoadingManager(this.http).reset();
+    const prompts = httpImpl.getPromptState(this.http);
+    prompts.loginConfirmation = null;
+    prompts.errorAlerts.clear();
+    i18n.reset();
   }
 }
 
@@ -20,6 +20,7 @@ import {
   DEFAULT_HTTP_TIMEOUT,
   httpImpl,
 } from '../../src/impl/http-impl';
+import i18n from '../../src/i18n';
 import HttpImplState from './http-impl-state';
 
 const state = new HttpImplState(http);
@@ -131,6 +132,37 @@ describe('fixRequestHeader', () => {
     expect(cfg.headers['Customized-Access-Token']).toBeUndefined();
   });
 
+  it('should add tokens to requests to the API server', () => {
+    const cfg = { url: 'https://127.0.0.1/api/users', headers: {} };
+    httpImpl.fixRequestHeader(http, cfg);
+    expect(cfg.headers[DEFAULT_APP_TOKEN_NAME]).toBe(state.appToken.value);
+    expect(cfg.headers[DEFAULT_ACCESS_TOKEN_NAME]).toBe(state.accessToken.value);
+  });
+
+  it('should not add tokens to requests to other origins', () => {
+    const cfg = { url: 'https://cdn.example.com/image.png', headers: {} };
+    httpImpl.fixRequestHeader(http, cfg);
+    expect(cfg.headers[DEFAULT_APP_TOKEN_NAME]).toBeUndefined();
+    expect(cfg.headers[DEFAULT_ACCESS_TOKEN_NAME]).toBeUndefined();
+    expect(state.getAccessToken).not.toHaveBeenCalled();
+    expect(cfg.headers['Content-Type']).toBe(DEFAULT_HTTP_HEADER_CONTENT_TYPE);
+  });
+
+  it('should add tokens to requests to the allowed origins', () => {
+    config.set('http_auth_allowed_origins', ['https://files.example.com']);
+    const cfg = { url: 'https://files.example.com/upload', headers: {} };
+    httpImpl.fixRequestHeader(http, cfg);
+    expect(cfg.headers[DEFAULT_APP_TOKEN_NAME]).toBe(state.appToken.value);
+    expect(cfg.headers[DEFAULT_ACCESS_TOKEN_NAME]).toBe(state.accessToken.value);
+  });
+
+  it('should not set default Content-Type for FormData request data', () => {
+    const cfg = { headers: {}, data: new FormData() };
+    httpImpl.fixRequestHeader(http, cfg);
+    expect(cfg.headers['Content-Type']).toBeUndefined();
+    expect(cfg.headers['Accept']).toBe(DEFAULT_HTTP_HEADER_ACCEPT);
+  });
+
   it('should merge existing headers with new headers', () => {
     const cfg = { headers: { 'Existing-Header': 'existingValue' } };
     httpImpl.fixRequestHeader(http, cfg);
@@ -191,13 +223,34 @@ describe('fixGetRequestParams', () => {
     expect(result).toBe(cfg);
   });
 
-  it('should add timestamp and random number to GET request params', () => {
-    const cfg = { method: 'get', params: {} };
+  it('should not add timestamp and random number to GET request params by default', () => {
+    const cfg = { method: 'get', params: { key: 'value' } };
+    httpImpl.fixGetRequestParams(http, cfg);
+    expect(cfg.params).toEqual({ key: 'value' });
+  });
+
+  it('should add timestamp and random number to GET request params if enabled', () => {
+    const cfg = { method: 'get', params: {}, cacheBusting: true };
     httpImpl.fixGetRequestParams(http, cfg);
     expect(cfg.params._t).toBeDefined();
     expect(cfg.params._r).toBeDefined();
   });
 
+  it('should add timestamp and random number if enabled by the config', () => {
+    config.set('http_cache_busting', true);
+    try {
+      const cfg = { method: 'get', params: {} };
+      httpImpl.fixGetRequestParams(http, cfg);
+      expect(cfg.params._t).toBeDefined();
+      expect(cfg.params._r).toBeDefined();
+      const disabled = { method: 'get', params: {}, cacheBusting: false };
+      httpImpl.fixGetRequestParams(http, disabled);
+      expect(disabled.params).toEqual({});
+    } finally {
+      config.remove('http_cache_busting');
+    }
+  });
+
   it('should not modify params for non-GET requests', () => {
     const cfg = { method: 'post', params: { key: 'value' } };
     httpImpl.fixGetRequestParams(http, cfg);
@@ -205,7 +258,7 @@ describe('fixGetRequestParams', () => {
   });
 
   it('should not overwrite existing GET request params', () => {
-    const cfg = { method: 'get', params: { existing: 'value' } };
+    const cfg = { method: 'get', params: { existing: 'value' }, cacheBusting: true };
     httpImpl.fixGetRequestParams(http, cfg);
     expect(cfg.params.existing).toBe('value');
     expect(cfg.params._t).toBeDefined();
@@ -250,6 +303,14 @@ describe('fixDataTransformers', () => {
     expect(cfg.transformResponse)
       .toEqual([httpImpl.transformResponseData, ...oldResponseTransformers]);
   });
+
+  it('should not add the data transformers twice', () => {
+    const cfg = { data: {} };
+    httpImpl.fixDataTransformers(http, cfg);
+    httpImpl.fixDataTransformers(http, cfg);
+    expect(cfg.transformRequest).toEqual([httpImpl.transformRequestData]);
+    expect(cfg.transformResponse).toEqual([httpImpl.transformResponseData]);
+  });
 });
 
 /**
@@ -383,6 +444,88 @@ describe('confirmLogin', () => {
   });
 });
 
+/**
+ * Test the single-flight login confirmation.
+ */
+describe('confirmLogin with concurrent calls', () => {
+  it('should show only one confirm dialog for concurrent calls', async () => {
+    const spy = jest.spyOn(confirm, 'show');
+    const promises = [
+      httpImpl.confirmLogin(http),
+      httpImpl.confirmLogin(http),
+      httpImpl.confirmLogin(http),
+    ];
+    expect(promises[1]).toBe(promises[0]);
+    expect(promises[2]).toBe(promises[0]);
+    const results = await Promise.all(promises);
+    expect(results).toEqual(['Login', 'Login', 'Login']);
+    expect(spy).toHaveBeenCalledOnce();
+    spy.mockRestore();
+    expect(state.resetAccessToken).toHaveBeenCalledOnce();
+    expect(state.pushRouter).toHaveBeenCalledOnce();
+  });
+
+  it('should show a new confirm dialog after the previous one settled', async () => {
+    const spy = jest.spyOn(confirm, 'show');
+    await httpImpl.confirmLogin(http);
+    await httpImpl.confirmLogin(http);
+    expect(spy).toHaveBeenCalledTimes(2);
+    spy.mockRestore();
+  });
+
+  it('should reject all concurrent calls if the user cancels', async () => {
+    const spy = jest.spyOn(confirm, 'show').mockImplementation(() => Promise.reject());
+    const p1 = httpImpl.confirmLogin(http);
+    const p2 = httpImpl.confirmLogin(http);
+    await expect(p1).rejects.toBeUndefined();
+    await expect(p2).rejects.toBeUndefined();
+    expect(spy).toHaveBeenCalledOnce();
+    spy.mockRestore();
+    expect(state.pushRouter).not.toHaveBeenCalled();
+  });
+});
+
+/**
+ * Test the `showErrorAlert` function.
+ */
+describe('showErrorAlert', () => {
+  it('should deduplicate identical error alerts', async () => {
+    const spy = jest.spyOn(alert, 'show');
+    const error1 = { type: 'SERVER_ERROR', code: 'DATA_CONFLICT', message: '数据冲突' };
+    const error2 = { type: 'SERVER_ERROR', code: 'DATA_CONFLICT', message: '数据冲突' };
+    const p1 = httpImpl.handleKnownError(http, error1);
+    const p2 = httpImpl.handleKnownError(http, error2);
+    await expect(p1).rejects.toBe(error1);
+    await expect(p2).rejects.toBe(error2);
+    await expect(httpImpl.handleKnownError(http, error1)).rejects.toBe(error1);
+    expect(spy).toHaveBeenCalledOnce();
+    spy.mockRestore();
+  });
+
+  it('should not deduplicate different error alerts', async () => {
+    const spy = jest.spyOn(alert, 'show');
+    await httpImpl.showErrorAlert(http, '错误', '消息1');
+    await httpImpl.showErrorAlert(http, '错误', '消息2');
+    expect(spy).toHaveBeenCalledTimes(2);
+    spy.mockRestore();
+  });
+
+  it('should show the identical error alert again after the window', async () => {
+    config.set('http_error_dedup_window', 1000);
+    const spy = jest.spyOn(alert, 'show');
+    const nowSpy = jest.spyOn(Date, 'now').mockReturnValue(10000);
+    await httpImpl.showErrorAlert(http, '错误', '消息');
+    nowSpy.mockReturnValue(10500);
+    await httpImpl.showErrorAlert(http, '错误', '消息');
+    expect(spy).toHaveBeenCalledTimes(1);
+    nowSpy.mockReturnValue(11001);
+    await httpImpl.showErrorAlert(http, '错误', '消息');
+    expect(spy).toHaveBeenCalledTimes(2);
+    nowSpy.mockRestore();
+    spy.mockRestore();
+  });
+});
+
 /**
  * Test the `handleUnknownError` function.
  */
@@ -398,7 +541,7 @@ describe('handleUnknownError', () => {
       message: '未知错误的消息',
     };
     try {
-      await httpImpl.handleUnknownError(error);
+      await httpImpl.handleUnknownError(http, error);
     } catch (e) {
       expect(e).toBe(error);
       expect(state.alertImpl.type).toBe('error');
@@ -417,7 +560,7 @@ describe('handleUnknownError', () => {
       message: '未知错误的消息',
     };
     try {
-      await httpImpl.handleUnknownError(error);
+      await httpImpl.handleUnknownError(http, error);
     } catch (e) {
       expect(e).toBe(error);
       expect(state.alertImpl.type).toBe('error');
@@ -439,7 +582,7 @@ describe('handleUnknownError', () => {
       }],
     };
     try {
-      await httpImpl.handleUnknownError(error);
+      await httpImpl.handleUnknownError(http, error);
     } catch (e) {
       expect(e).toBe(error);
       expect(state.alertImpl.type).toBe('error');
@@ -458,7 +601,7 @@ describe('handleUnknownError', () => {
       message: '',
     };
     try {
-      await httpImpl.handleUnknownError(error);
+      await httpImpl.handleUnknownError(http, error);
     } catch (e) {
       expect(e).toBe(error);
       expect(state.alertImpl.type).toBe('error');
@@ -471,6 +614,112 @@ describe('handleUnknownError', () => {
   });
 });
 
+/**
+ * Test the `refreshAccessToken` function.
+ */
+describe('refreshAccessToken', () => {
+  it('should call http.refreshAccessToken only once for concurrent calls', async () => {
+    let resolveRefresh = null;
+    http.refreshAccessToken = jest.fn(() => new Promise((resolve) => {
+      resolveRefresh = resolve;
+    }));
+    const p1 = httpImpl.refreshAccessToken(http);
+    const p2 = httpImpl.refreshAccessToken(http);
+    expect(p2).toBe(p1);
+    await Promise.resolve();
+    resolveRefresh('token');
+    await expect(p1).resolves.toBe('token');
+    expect(http.refreshAccessToken).toHaveBeenCalledTimes(1);
+  });
+
+  it('should call http.refreshAccessToken again after the previous refreshing settled', async () => {
+    http.refreshAccessToken = jest.fn(() => Promise.reject(new Error('failed')));
+    await expect(httpImpl.refreshAccessToken(http)).rejects.toThrow('failed');
+    await expect(httpImpl.refreshAccessToken(http)).rejects.toThrow('failed');
+    expect(http.refreshAccessToken).toHaveBeenCalledTimes(2);
+  });
+});
+
+/**
+ * Test the `handleUserTokenError` function.
+ */
+describe('handleUserTokenError', () => {
+  const error = {
+    type: 'AUTHENTICATION_ERROR',
+    code: 'INVALID_TOKEN',
+    params: [{
+      key: 'entity',
+      value: 'user',
+    }],
+  };
+
+  it('should confirm login if http.refreshAccessToken is not set', async () => {
+    const cfg = { method: 'get', url: '/data', headers: {} };
+    const page = await httpImpl.handleUserTokenError(http, error, cfg);
+    expect(page).toBe('Login');
+    expect(state.confirmImpl.type).toBe('info');
+  });
+
+  it('should confirm login if the request has already been replayed', async () => {
+    http.refreshAccessToken = jest.fn(() => Promise.resolve());
+    const cfg = { method: 'get', url: '/data', headers: {}, tokenRefreshed: true };
+    const page = await httpImpl.handleUserTokenError(http, error, cfg);
+    expect(page).toBe('Login');
+    expect(http.refreshAccessToken).not.toHaveBeenCalled();
+  });
+
+  it('should replay the request directly if the token has been refreshed', async () => {
+    http.refreshAccessToken = jest.fn(() => Promise.resolve());
+    const spy = jest.spyOn(httpImpl, 'replayRequest').mockImplementation(() => Promise.resolve('ok'));
+    const cfg = {
+      method: 'get',
+      url: '/data',
+      headers: { [DEFAULT_ACCESS_TOKEN_NAME]: 'OutdatedAccessToken' },
+    };
+    const result = await httpImpl.handleUserTokenError(http, error, cfg);
+    expect(result).toBe('ok');
+    expect(spy).toHaveBeenCalledWith(http, cfg);
+    expect(http.refreshAccessToken).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+});
+
+/**
+ * Test the `replayRequest` function.
+ */
+describe('replayRequest', () => {
+  it('should remove the access token header and mark the request as replayed', async () => {
+    const spy = jest.spyOn(http, 'request').mockImplementation((cfg) => Promise.resolve(cfg));
+    const cfg = {
+      method: 'post',
+      url: '/data',
+      data: '{"id":1}',
+      headers: {
+        [DEFAULT_ACCESS_TOKEN_NAME]: 'OldAccessToken',
+        'Existing-Header': 'existingValue',
+      },
+    };
+    const result = await httpImpl.replayRequest(http, cfg);
+    expect(result).not.toBe(cfg);
+    expect(result.headers[DEFAULT_ACCESS_TOKEN_NAME]).toBeUndefined();
+    expect(result.headers['Existing-Header']).toBe('existingValue');
+    expect(result.tokenRefreshed).toBe(true);
+    expect(result.data).toBe('{"id":1}');
+    spy.mockRestore();
+  });
+
+  it('should replay the request with the data before transformation', async () => {
+    const spy = jest.spyOn(http, 'request').mockImplementation((cfg) => Promise.resolve(cfg));
+    const data = { id: 12345678901234567890n };
+    const cfg = { method: 'post', url: '/data', data, headers: {} };
+    httpImpl.fixDataTransformers(http, cfg);
+    cfg.data = '{"id":12345678901234567890}';
+    const result = await httpImpl.replayRequest(http, cfg);
+    expect(result.data).toBe(data);
+    spy.mockRestore();
+  });
+});
+
 /**
  * Test the `handleResponseError` function.
  */
@@ -747,6 +996,117 @@ describe('handleResponseError', () => {
   });
 });
 
+/**
+ * Test the `handleResponseError` function with custom error handlers.
+ */
+describe('handleResponseError with custom error handlers', () => {
+  it('should call the handler registered for the error code', async () => {
+    const handler = jest.fn(() => Promise.resolve('handled'));
+    http.errorHandlers.register('PERMISSION_DENIED', handler);
+    const error = { type: 'AUTHORIZATION_ERROR', code: 'PERMISSION_DENIED', message: '没有权限' };
+    const cfg = { url: '/admin' };
+    const result = await httpImpl.handleResponseError(http, error, cfg);
+    expect(result).toBe('handled');
+    expect(handler).toHaveBeenCalledOnce();
+    expect(handler.mock.calls[0][0]).toBe(error);
+    expect(handler.mock.calls[0][1].http).toBe(http);
+    expect(handler.mock.calls[0][1].config).toBe(cfg);
+    expect(state.alertImpl.message).toBeUndefined();
+  });
+
+  it('should override a default handler', async () => {
+    const handler = jest.fn((error) => Promise.reject(error));
+    http.errorHandlers.register('LOGIN_REQUIRED', handler);
+    const error = { type: 'AUTHENTICATION_ERROR', code: 'LOGIN_REQUIRED' };
+    await expect(httpImpl.handleResponseError(http, error)).rejects.toBe(error);
+    expect(handler).toHaveBeenCalledOnce();
+    expect(state.confirmImpl.title).toBeUndefined();
+    expect(state.pushRouter).not.toHaveBeenCalled();
+  });
+
+  it('should chain to the default handler by calling next()', async () => {
+    const handler = jest.fn((error, { next }) => next());
+    http.errorHandlers.register('AUTHENTICATION_ERROR:*', handler);
+    const error = { type: 'AUTHENTICATION_ERROR', code: 'LOGIN_REQUIRED' };
+    const page = await httpImpl.handleResponseError(http, error);
+    expect(page).toBe('Login');
+    expect(handler).toHaveBeenCalledOnce();
+    expect(state.confirmImpl.title).toBe('是否重新登录');
+  });
+
+  it('should fall back to the default handler after unregistering', async () => {
+    const handler = jest.fn(() => Promise.resolve('handled'));
+    const unregister = http.errorHandlers.register('PERMISSION_DENIED', handler);
+    unregister();
+    const error = { type: 'AUTHORIZATION_ERROR', code: 'PERMISSION_DENIED', message: '没有权限' };
+    await expect(httpImpl.handleResponseError(http, error)).rejects.toBe(error);
+    expect(handler).not.toHaveBeenCalled();
+    expect(state.alertImpl.title).toBe('错误');
+    expect(state.alertImpl.message).toBe('没有权限');
+  });
+
+  it('should create the default handlers for an instance without a registry', async () => {
+    delete http.errorHandlers;
+    const error = { type: 'AUTHENTICATION_ERROR', code: 'LOGIN_REQUIRED' };
+    const page = await httpImpl.handleResponseError(http, error);
+    expect(page).toBe('Login');
+    expect(http.errorHandlers.has('LOGIN_REQUIRED')).toBe(true);
+  });
+});
+
+/**
+ * Test the localization of the user-facing messages.
+ */
+describe('localized messages', () => {
+  it('should show the login confirmation in the current locale', async () => {
+    i18n.setLocale('en-US');
+    await httpImpl.confirmLogin(http);
+    expect(state.confirmImpl.title).toBe('Sign in again?');
+    expect(state.confirmImpl.okLabel).toBe('Sign In');
+    expect(state.confirmImpl.cancelLabel).toBe('Cancel');
+  });
+
+  it('should use the overridden messages', async () => {
+    i18n.setLocale('en-US');
+    i18n.override('en-US', { 'login.confirm_ok': 'Log In' });
+    await httpImpl.confirmLogin(http);
+    expect(state.confirmImpl.title).toBe('Sign in again?');
+    expect(state.confirmImpl.okLabel).toBe('Log In');
+  });
+
+  it('should show the unknown error in the current locale', async () => {
+    i18n.setLocale('en-US');
+    const error = { type: 'UNKNOWN', code: 'UNKNOWN', params: [{ key: 'id', value: '1' }] };
+    await expect(httpImpl.handleUnknownError(http, error)).rejects.toBe(error);
+    expect(state.alertImpl.title).toBe('Error');
+    expect(state.alertImpl.message).toBe('An unknown error occurred. Please contact the administrator.'
+      + `<br><br>Error parameters: ${Json.stringify(error.params)}`);
+  });
+
+  it('should show the application token errors in the locale at the time of the failure', async () => {
+    const error = {
+      type: 'AUTHENTICATION_ERROR',
+      code: 'INVALID_TOKEN',
+      params: [{ key: 'entity', value: 'app' }],
+    };
+    i18n.setLocale('en-US');
+    await expect(httpImpl.handleResponseError(http, error)).rejects.toBe(error);
+    expect(state.alertImpl.message).toBe('The application token is invalid. Please contact the administrator.');
+  });
+
+  it('should localize the network error', async () => {
+    i18n.setLocale('en-US');
+    const errorResponse = { message: 'Network Error' };
+    await expect(httpImpl.responseFailInterceptor(http, errorResponse)).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'UNKNOWN',
+      message: 'An unknown network error occurred: Network Error',
+    });
+    expect(state.alertImpl.title).toBe('Error');
+    expect(state.alertImpl.message).toBe('An unknown network error occurred: Network Error');
+  });
+});
+
 /**
  * Test the `validateConfig` function.
  */
@@ -815,10 +1175,10 @@ describe('validateConfig', () => {
     expect(config.get('http_timeout')).toBe(200);
   });
 
-  it('should set if config[http_timeout] is not set', () => {
+  it('should use the default if config[http_timeout] is not set', () => {
     config.remove('http_timeout');
     expect(httpImpl.validateConfig(http)).toBe(true);
-    expect(config.get('http_timeout')).toBe(DEFAULT_HTTP_TIMEOUT);
+    expect(config.has('http_timeout')).toBe(false);
   });
 
   it('should pass if config[app_token_name] is set', () => {
@@ -953,6 +1313,51 @@ describe('requestConfigInterceptor', () => {
     expect(result.timeout).toBe(DEFAULT_HTTP_TIMEOUT);
   });
 
+  it('should keep the baseURL and timeout specified in the request', () => {
+    const cfg = { method: 'get', baseURL: 'https://reports.example.com/api', timeout: 300000 };
+    config.set('http_timeout', 111);
+    const result = httpImpl.requestConfigInterceptor(http, cfg);
+    expect(result.baseURL).toBe('https://reports.example.com/api');
+    expect(result.timeout).toBe(300000);
+  });
+
+  it('should keep the zero timeout specified in the request', () => {
+    const cfg = { method: 'get', timeout: 0 };
+    const result = httpImpl.requestConfigInterceptor(http, cfg);
+    expect(result.timeout).toBe(0);
+  });
+
+  it('should use the named profile of the request', () => {
+    config.set('http.profiles.export.timeout', 300000);
+    config.set('http.profiles.export.base_url', 'https://export.example.com/api');
+    const cfg = { method: 'get', profile: 'export' };
+    const result = httpImpl.requestConfigInterceptor(http, cfg);
+    expect(result.baseURL).toBe('https://export.example.com/api');
+    expect(result.timeout).toBe(300000);
+    config.remove('http.profiles.export.timeout');
+    config.remove('http.profiles.export.base_url');
+  });
+
+  it('should use the global configuration for the settings missing in the profile', () => {
+    config.set('http.profiles.export.timeout', 300000);
+    config.set('http_timeout', 111);
+    const cfg = { method: 'get', profile: 'export' };
+    const result = httpImpl.requestConfigInterceptor(http, cfg);
+    expect(result.baseURL).toBe('https://127.0.0.1/api');
+    expect(result.timeout).toBe(300000);
+    const other = httpImpl.requestConfigInterceptor(http, { method: 'get', profile: 'unknown' });
+    expect(other.timeout).toBe(111);
+    config.remove('http.profiles.export.timeout');
+  });
+
+  it('should prefer the request options to the profile', () => {
+    config.set('http.profiles.export.timeout', 300000);
+    const cfg = { method: 'get', profile: 'export', timeout: 5000 };
+    const result = httpImpl.requestConfigInterceptor(http, cfg);
+    expect(result.timeout).toBe(5000);
+    config.remove('http.profiles.export.timeout');
+  });
+
   it('should call fixRequestHeader', () => {
     const cfg = {
       method: 'get',
@@ -987,8 +1392,7 @@ describe('requestConfigInterceptor', () => {
     const result = httpImpl.requestConfigInterceptor(http, cfg);
     expect(result).toBe(cfg);
     expect(spy).toHaveBeenCalledOnce();
-    expect(cfg.params._t).toBeDefined();
-    expect(cfg.params._r).toBeDefined();
+    expect(cfg.params).toEqual({ key: 'value' });
     spy.mockRestore();
   });
 });
@@ -0,0 +1,59 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import isTrustedRequest from '../../src/impl/is-trusted-request';
+
+const API_BASE_URL = 'https://api.example.com/v1';
+
+/**
+ * Test the `isTrustedRequest` function.
+ */
+describe('isTrustedRequest', () => {
+  it('should trust relative URLs resolved against the API base URL', () => {
+    expect(isTrustedRequest({ url: '/users' }, API_BASE_URL)).toBe(true);
+    expect(isTrustedRequest({ url: 'users', baseURL: API_BASE_URL }, API_BASE_URL)).toBe(true);
+    expect(isTrustedRequest({}, API_BASE_URL)).toBe(true);
+  });
+
+  it('should trust absolute URLs of the same origin as the API base URL', () => {
+    expect(isTrustedRequest({ url: 'https://api.example.com/other/path' }, API_BASE_URL)).toBe(true);
+  });
+
+  it('should not trust absolute URLs of other origins', () => {
+    expect(isTrustedRequest({ url: 'https://cdn.example.com/a.png' }, API_BASE_URL)).toBe(false);
+    expect(isTrustedRequest({ url: 'http://api.example.com/users' }, API_BASE_URL)).toBe(false);
+    expect(isTrustedRequest({ url: 'https://api.example.com:8443/users' }, API_BASE_URL)).toBe(false);
+    expect(isTrustedRequest({ url: '//cdn.example.com/a.png' }, API_BASE_URL)).toBe(false);
+  });
+
+  it('should not trust requests with a per-request base URL of another origin', () => {
+    const cfg = { url: '/objects/1', baseURL: 'https://bucket.s3.amazonaws.com' };
+    expect(isTrustedRequest(cfg, API_BASE_URL)).toBe(false);
+  });
+
+  it('should combine absolute URLs with the base URL if allowAbsoluteUrls is false', () => {
+    const cfg = { url: 'https://cdn.example.com/a.png', baseURL: API_BASE_URL, allowAbsoluteUrls: false };
+    expect(isTrustedRequest(cfg, API_BASE_URL)).toBe(true);
+  });
+
+  it('should trust the allowed origins given as an array', () => {
+    const allowed = ['https://files.example.com', 'https://reports.example.com/'];
+    expect(isTrustedRequest({ url: 'https://files.example.com/f/1' }, API_BASE_URL, allowed)).toBe(true);
+    expect(isTrustedRequest({ url: 'https://reports.example.com/r' }, API_BASE_URL, allowed)).toBe(true);
+    expect(isTrustedRequest({ url: 'https://maps.example.com/tile' }, API_BASE_URL, allowed)).toBe(false);
+  });
+
+  it('should trust the allowed origins given as a comma-separated string', () => {
+    const allowed = 'https://files.example.com, https://reports.example.com';
+    expect(isTrustedRequest({ url: 'https://reports.example.com/r' }, API_BASE_URL, allowed)).toBe(true);
+  });
+
+  it('should not trust anything if the origin cannot be resolved', () => {
+    expect(isTrustedRequest({ url: 'http://[invalid' }, API_BASE_URL)).toBe(false);
+  });
+});
@@ -0,0 +1,130 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import config from '@qubit-ltd/config';
+import { loading } from '@qubit-ltd/common-ui';
+import LoadingManager from '../../src/impl/loading-manager';
+import i18n from '../../src/i18n';
+import MockLoadingImpl from '../mock/mock-loading-impl';
+
+const loadingImpl = new MockLoadingImpl();
+
+beforeEach(() => {
+  loadingImpl.reset();
+  loading.setImpl(loadingImpl);
+  config.remove('http_loading_delay');
+  config.remove('http_loading_message');
+  i18n.reset();
+  jest.restoreAllMocks();
+  jest.useRealTimers();
+});
+
+/**
+ * Test the `LoadingManager` class.
+ */
+describe('LoadingManager', () => {
+  it('should ignore requests not asking for the loading overlay', () => {
+    const manager = new LoadingManager();
+    const cfg = {};
+    manager.begin(cfg);
+    expect(manager.count).toBe(0);
+    expect(loadingImpl.message).toBeUndefined();
+    expect(manager.end(cfg)).toBe(false);
+  });
+
+  it('should show the loading overlay with the default message', () => {
+    const manager = new LoadingManager();
+    manager.begin({ showLoading: true });
+    expect(manager.count).toBe(1);
+    expect(manager.shown).toBe(true);
+    expect(loadingImpl.message).toBe('正在载入，请稍候……');
+  });
+
+  it('should show the default message in the current locale', () => {
+    i18n.setLocale('en-US');
+    const manager = new LoadingManager();
+    manager.begin({ showLoading: true });
+    expect(loadingImpl.message).toBe('Loading, please wait...');
+  });
+
+  it('should show the loading overlay with the specified message', () => {
+    const manager = new LoadingManager();
+    manager.begin({ showLoading: '正在保存……' });
+    expect(loadingImpl.message).toBe('正在保存……');
+  });
+
+  it('should clear the loading overlay only when the last request ends', () => {
+    const manager = new LoadingManager();
+    const clearSpy = jest.spyOn(loading, 'clear');
+    const cfg1 = { showLoading: true };
+    const cfg2 = { showLoading: true };
+    const cfg3 = { showLoading: true };
+    manager.begin(cfg1);
+    manager.begin(cfg2);
+    manager.begin(cfg3);
+    expect(manager.count).toBe(3);
+    expect(manager.end(cfg1)).toBe(true);
+    expect(manager.end(cfg2)).toBe(true);
+    expect(clearSpy).not.toHaveBeenCalled();
+    expect(loadingImpl.message).toBe('正在载入，请稍候……');
+    expect(manager.end(cfg3)).toBe(true);
+    expect(clearSpy).toHaveBeenCalledOnce();
+    expect(manager.count).toBe(0);
+    expect(manager.shown).toBe(false);
+  });
+
+  it('should count a request only once even if its config is copied', () => {
+    const manager = new LoadingManager();
+    const cfg = { showLoading: true };
+    manager.begin(cfg);
+    const copy = { ...cfg };
+    manager.begin(copy);
+    expect(manager.count).toBe(1);
+    manager.end(copy);
+    manager.end(cfg);
+    expect(manager.count).toBe(0);
+  });
+
+  it('should show the loading overlay after the configured delay', () => {
+    jest.useFakeTimers();
+    config.set('http_loading_delay', 200);
+    const manager = new LoadingManager();
+    manager.begin({ showLoading: true });
+    expect(loadingImpl.message).toBeUndefined();
+    jest.advanceTimersByTime(199);
+    expect(loadingImpl.message).toBeUndefined();
+    jest.advanceTimersByTime(1);
+    expect(loadingImpl.message).toBe('正在载入，请稍候……');
+  });
+
+  it('should not show the loading overlay if all requests end within the delay', () => {
+    jest.useFakeTimers();
+    config.set('http_loading_delay', 200);
+    const manager = new LoadingManager();
+    const showSpy = jest.spyOn(loading, 'show');
+    const clearSpy = jest.spyOn(loading, 'clear');
+    const cfg = { showLoading: true };
+    manager.begin(cfg);
+    jest.advanceTimersByTime(100);
+    manager.end(cfg);
+    jest.advanceTimersByTime(200);
+    expect(showSpy).not.toHaveBeenCalled();
+    expect(clearSpy).not.toHaveBeenCalled();
+  });
+
+  it('should keep the loading overlay if autoClear is false', () => {
+    const manager = new LoadingManager();
+    const clearSpy = jest.spyOn(loading, 'clear');
+    const cfg = { showLoading: true };
+    manager.begin(cfg);
+    manager.end(cfg, false);
+    expect(manager.count).toBe(0);
+    expect(clearSpy).not.toHaveBeenCalled();
+    expect(loadingImpl.message).toBe('正在载入，请稍候……');
+  });
+});
@@ -0,0 +1,112 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import MessageCatalog, { DEFAULT_LOCALE } from '../../src/impl/message-catalog';
+import i18n from '../../src/i18n';
+import zhCN from '../../src/messages/zh-CN';
+import enUS from '../../src/messages/en-US';
+
+function createCatalog() {
+  const catalog = new MessageCatalog();
+  catalog.register('zh-CN', { hello: '你好，{name}', bye: '再见' });
+  catalog.register('en-US', { hello: 'Hello, {name}' });
+  return catalog;
+}
+
+/**
+ * Test the `MessageCatalog` class.
+ */
+describe('MessageCatalog', () => {
+  it('should use the default locale', () => {
+    const catalog = createCatalog();
+    expect(catalog.getLocale()).toBe(DEFAULT_LOCALE);
+    expect(catalog.t('hello', { name: '张三' })).toBe('你好，张三');
+  });
+
+  it('should switch the locale', () => {
+    const catalog = createCatalog();
+    catalog.setLocale('en-US');
+    expect(catalog.getLocale()).toBe('en-US');
+    expect(catalog.t('hello', { name: 'Bob' })).toBe('Hello, Bob');
+  });
+
+  it('should normalize the locale', () => {
+    const catalog = createCatalog();
+    catalog.setLocale('en_us');
+    expect(catalog.getLocale()).toBe('en-US');
+  });
+
+  it('should throw if the locale is empty', () => {
+    const catalog = createCatalog();
+    expect(() => catalog.setLocale('')).toThrow(TypeError);
+  });
+
+  it('should fall back to the same language of another region', () => {
+    const catalog = createCatalog();
+    catalog.setLocale('en-GB');
+    expect(catalog.t('hello', { name: 'Bob' })).toBe('Hello, Bob');
+  });
+
+  it('should fall back to the default locale', () => {
+    const catalog = createCatalog();
+    catalog.setLocale('en-US');
+    expect(catalog.t('bye')).toBe('再见');
+    catalog.setLocale('ja-JP');
+    expect(catalog.t('hello', { name: '太郎' })).toBe('你好，太郎');
+  });
+
+  it('should return the key if no message is found', () => {
+    const catalog = createCatalog();
+    expect(catalog.t('unknown.key')).toBe('unknown.key');
+  });
+
+  it('should keep the unknown placeholders', () => {
+    const catalog = createCatalog();
+    expect(catalog.t('hello')).toBe('你好，{name}');
+    expect(catalog.t('hello', {})).toBe('你好，{name}');
+  });
+
+  it('should register a new locale', () => {
+    const catalog = createCatalog();
+    catalog.register('ja-JP', { hello: 'こんにちは、{name}' });
+    catalog.setLocale('ja-JP');
+    expect(catalog.t('hello', { name: '太郎' })).toBe('こんにちは、太郎');
+    expect(catalog.getLocales()).toEqual(['zh-CN', 'en-US', 'ja-JP']);
+  });
+
+  it('should override individual messages', () => {
+    const catalog = createCatalog();
+    catalog.override('zh-CN', { bye: '拜拜' });
+    expect(catalog.t('bye')).toBe('拜拜');
+    expect(catalog.t('hello', { name: '张三' })).toBe('你好，张三');
+  });
+
+  it('should clear the overrides and restore the default locale when reset', () => {
+    const catalog = createCatalog();
+    catalog.override('zh-CN', { bye: '拜拜' });
+    catalog.setLocale('en-US');
+    catalog.reset();
+    expect(catalog.getLocale()).toBe(DEFAULT_LOCALE);
+    expect(catalog.t('bye')).toBe('再见');
+  });
+});
+
+/**
+ * Test the bundled message catalogs.
+ */
+describe('i18n', () => {
+  afterEach(() => i18n.reset());
+
+  it('should bundle the zh-CN and en-US messages', () => {
+    expect(i18n.getLocales()).toEqual(expect.arrayContaining(['zh-CN', 'en-US']));
+  });
+
+  it('should define the same keys for all bundled locales', () => {
+    expect(Object.keys(enUS).sort()).toEqual(Object.keys(zhCN).sort());
+  });
+});
@@ -0,0 +1,115 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import ObjectUrlManager from '../../src/impl/object-url-manager';
+
+let counter = 0;
+
+const { createObjectURL, revokeObjectURL } = window.URL;
+
+/**
+ * Restores a static method of `window.URL`, or removes it if jsdom does not provide it.
+ *
+ * @param {string} name
+ *     The name of the method.
+ * @param {function|undefined} original
+ *     The original method.
+ */
+function restoreUrlMethod(name, original) {
+  if (original) {
+    window.URL[name] = original;
+  } else {
+    delete window.URL[name];
+  }
+}
+
+beforeEach(() => {
+  // jsdom does not implement the object URLs, so install fresh mocks for each test
+  window.URL.createObjectURL = jest.fn(() => `blob:test/${++counter}`);
+  window.URL.revokeObjectURL = jest.fn();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  restoreUrlMethod('createObjectURL', createObjectURL);
+  restoreUrlMethod('revokeObjectURL', revokeObjectURL);
+});
+
+describe('ObjectUrlManager', () => {
+  test('should create and release an object URL only once', () => {
+    const manager = new ObjectUrlManager();
+    const blob = new Blob(['abc']);
+    const handle = manager.create(blob);
+    expect(window.URL.createObjectURL).toHaveBeenCalledWith(blob);
+    expect(manager.size).toBe(1);
+    handle.release();
+    handle.release();
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith(handle.url);
+    expect(manager.size).toBe(0);
+  });
+
+  test('should release the object URL after the timeout', () => {
+    jest.useFakeTimers();
+    const manager = new ObjectUrlManager();
+    const { url } = manager.create(new Blob(['abc']), { timeout: 1000 });
+    jest.advanceTimersByTime(999);
+    expect(window.URL.revokeObjectURL).not.toHaveBeenCalled();
+    jest.advanceTimersByTime(1);
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith(url);
+    expect(manager.size).toBe(0);
+  });
+
+  test('should cancel the timer if the object URL is released', () => {
+    jest.useFakeTimers();
+    const manager = new ObjectUrlManager();
+    const handle = manager.create(new Blob(['abc']), { timeout: 1000 });
+    handle.release();
+    jest.advanceTimersByTime(1000);
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+  });
+
+  test('should release the object URL when the signal is aborted', () => {
+    const manager = new ObjectUrlManager();
+    const controller = new AbortController();
+    const { url } = manager.create(new Blob(['abc']), { signal: controller.signal });
+    expect(window.URL.revokeObjectURL).not.toHaveBeenCalled();
+    controller.abort();
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith(url);
+    expect(manager.size).toBe(0);
+  });
+
+  test('should release the object URL at once if the signal is already aborted', () => {
+    const manager = new ObjectUrlManager();
+    const controller = new AbortController();
+    controller.abort();
+    manager.create(new Blob(['abc']), { signal: controller.signal });
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledTimes(1);
+    expect(manager.size).toBe(0);
+  });
+
+  test('should release all object URLs', () => {
+    const manager = new ObjectUrlManager();
+    const first = manager.create(new Blob(['a']));
+    const second = manager.create(new Blob(['b']));
+    expect(manager.releaseAll()).toBe(2);
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith(first.url);
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledWith(second.url);
+    expect(manager.release(first.url)).toBe(false);
+    expect(manager.releaseAll()).toBe(0);
+  });
+
+  test('should release all object URLs when the page is hidden', () => {
+    const manager = new ObjectUrlManager();
+    manager.create(new Blob(['a']));
+    manager.create(new Blob(['b']));
+    window.dispatchEvent(new Event('pagehide'));
+    expect(window.URL.revokeObjectURL).toHaveBeenCalledTimes(2);
+    expect(manager.size).toBe(0);
+  });
+});
@@ -0,0 +1,107 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import parseContentDisposition from '../../src/impl/parse-content-disposition';
+
+/**
+ * Test the `parseContentDisposition` function.
+ */
+describe('parseContentDisposition', () => {
+  it('should return null for empty values', () => {
+    expect(parseContentDisposition(null)).toBeNull();
+    expect(parseContentDisposition(undefined)).toBeNull();
+    expect(parseContentDisposition('')).toBeNull();
+    expect(parseContentDisposition('   ')).toBeNull();
+  });
+
+  it('should parse the disposition type without parameters', () => {
+    expect(parseContentDisposition('Inline')).toEqual({
+      type: 'inline',
+      parameters: {},
+      filename: null,
+    });
+  });
+
+  it('should parse all parameters with lower case names', () => {
+    expect(parseContentDisposition('attachment; FileName=report.pdf; size=1024; creation-date="Wed, 12 Feb 1997 16:29:51 -0500"')).toEqual({
+      type: 'attachment',
+      parameters: {
+        filename: 'report.pdf',
+        size: '1024',
+        'creation-date': 'Wed, 12 Feb 1997 16:29:51 -0500',
+      },
+      filename: 'report.pdf',
+    });
+  });
+
+  it('should parse quoted filenames containing semicolons and escaped quotes', () => {
+    expect(parseContentDisposition('attachment; filename="a;b \\"c\\".txt"; size=1').parameters).toEqual({
+      filename: 'a;b "c".txt',
+      size: '1',
+    });
+  });
+
+  it('should decode the UTF-8 extended filename', () => {
+    const result = parseContentDisposition("attachment; filename*=UTF-8''%E6%B5%8B%E8%AF%95%20file.txt");
+    expect(result.filename).toBe('测试 file.txt');
+    expect(result.parameters['filename*']).toBe('测试 file.txt');
+  });
+
+  it('should decode the ISO-8859-1 extended filename with a language tag', () => {
+    const result = parseContentDisposition("attachment; filename*=iso-8859-1'en'%A3%20rates.txt");
+    expect(result.filename).toBe('£ rates.txt');
+  });
+
+  it('should ignore the language tag of a UTF-8 extended filename', () => {
+    const result = parseContentDisposition("attachment; filename*=utf-8'zh-CN'%E6%96%87.txt");
+    expect(result.filename).toBe('文.txt');
+  });
+
+  it('should prefer filename* to filename in any order', () => {
+    expect(parseContentDisposition("attachment; filename=\"plain.txt\"; filename*=UTF-8''%E6%96%87.txt").filename)
+      .toBe('文.txt');
+    expect(parseContentDisposition("attachment; filename*=UTF-8''%E6%96%87.txt; filename=\"plain.txt\"").filename)
+      .toBe('文.txt');
+  });
+
+  it('should fall back to filename if filename* is empty', () => {
+    expect(parseContentDisposition("attachment; filename*=UTF-8''; filename=plain.txt").filename)
+      .toBe('plain.txt');
+  });
+
+  it('should keep the malformed percent encoding without throwing', () => {
+    expect(parseContentDisposition("attachment; filename*=UTF-8''%E6%B5%8B%E8%AF.txt").filename)
+      .toBe('测%E8%AF.txt');
+    expect(parseContentDisposition("attachment; filename*=UTF-8''100%.txt").filename)
+      .toBe('100%.txt');
+  });
+
+  it('should keep the first of duplicated parameters', () => {
+    expect(parseContentDisposition('attachment; filename=a.txt; filename=b.txt').filename).toBe('a.txt');
+  });
+
+  it('should parse the parameters if the disposition type is omitted', () => {
+    expect(parseContentDisposition('filename="a.txt"')).toEqual({
+      type: null,
+      parameters: { filename: 'a.txt' },
+      filename: 'a.txt',
+    });
+  });
+
+  it('should tolerate whitespaces, single quotes and parameters without values', () => {
+    expect(parseContentDisposition(" attachment ;flag; filename = 'a b.txt' ; ")).toEqual({
+      type: 'attachment',
+      parameters: { filename: 'a b.txt' },
+      filename: 'a b.txt',
+    });
+  });
+
+  it('should tolerate an unterminated quoted string', () => {
+    expect(parseContentDisposition('attachment; filename="a.txt').filename).toBe('a.txt');
+  });
+});
@@ -0,0 +1,33 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import parseContentRange from '../../src/impl/parse-content-range';
+
+/**
+ * Test the `parseContentRange` function.
+ */
+describe('parseContentRange', () => {
+  it('should parse a byte range with the total length', () => {
+    expect(parseContentRange('bytes 0-1023/4096')).toEqual({ start: 0, end: 1023, total: 4096 });
+    expect(parseContentRange('  Bytes 10-10/11 ')).toEqual({ start: 10, end: 10, total: 11 });
+  });
+
+  it('should parse a byte range with an unknown total length', () => {
+    expect(parseContentRange('bytes 0-1023/*')).toEqual({ start: 0, end: 1023, total: null });
+  });
+
+  it('should return null for invalid values', () => {
+    expect(parseContentRange(null)).toBeNull();
+    expect(parseContentRange(undefined)).toBeNull();
+    expect(parseContentRange('')).toBeNull();
+    expect(parseContentRange('bytes */4096')).toBeNull();
+    expect(parseContentRange('items 0-9/100')).toBeNull();
+    expect(parseContentRange('bytes 10-5/100')).toBeNull();
+    expect(parseContentRange('bytes 0-100/100')).toBeNull();
+  });
+});
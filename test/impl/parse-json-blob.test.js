@@ -0,0 +1,67 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import parseJsonBlob, { isJsonContentType } from '../../src/impl/parse-json-blob';
+
+/**
+ * Test the `isJsonContentType` function.
+ */
+describe('isJsonContentType', () => {
+  it('should recognize the JSON content types', () => {
+    expect(isJsonContentType('application/json')).toBe(true);
+    expect(isJsonContentType('application/json;charset=UTF-8')).toBe(true);
+    expect(isJsonContentType('Application/JSON; charset=utf-8')).toBe(true);
+    expect(isJsonContentType('application/problem+json')).toBe(true);
+  });
+
+  it('should reject the other content types', () => {
+    expect(isJsonContentType('application/pdf')).toBe(false);
+    expect(isJsonContentType('application/jsonl')).toBe(false);
+    expect(isJsonContentType('text/plain')).toBe(false);
+    expect(isJsonContentType('')).toBe(false);
+    expect(isJsonContentType(null)).toBe(false);
+    expect(isJsonContentType(undefined)).toBe(false);
+  });
+});
+
+/**
+ * Test the `parseJsonBlob` function.
+ */
+describe('parseJsonBlob', () => {
+  const json = '{"type":"SERVER_ERROR","code":"NOT_FOUND","id":12345678901234567890}';
+  const expected = { type: 'SERVER_ERROR', code: 'NOT_FOUND', id: 12345678901234567890n };
+
+  it('should parse a JSON blob with the specified content type', async () => {
+    const blob = new Blob([json]);
+    await expect(parseJsonBlob(blob, 'application/json;charset=UTF-8')).resolves.toEqual(expected);
+  });
+
+  it('should use the type of the blob if the content type is not specified', async () => {
+    const blob = new Blob([json], { type: 'application/json' });
+    await expect(parseJsonBlob(blob, null)).resolves.toEqual(expected);
+  });
+
+  it('should parse a JSON string', async () => {
+    await expect(parseJsonBlob(json, 'application/json')).resolves.toEqual(expected);
+  });
+
+  it('should return the data already parsed as it is', async () => {
+    await expect(parseJsonBlob(expected, 'application/json')).resolves.toBe(expected);
+  });
+
+  it('should return undefined for non-JSON data', async () => {
+    await expect(parseJsonBlob(new Blob(['%PDF-1.4']), 'application/pdf')).resolves.toBeUndefined();
+    await expect(parseJsonBlob('hello', 'text/plain')).resolves.toBeUndefined();
+    await expect(parseJsonBlob(null, 'application/json')).resolves.toBeUndefined();
+  });
+
+  it('should return undefined for empty or invalid JSON', async () => {
+    await expect(parseJsonBlob(new Blob(['']), 'application/json')).resolves.toBeUndefined();
+    await expect(parseJsonBlob(new Blob(['{invalid']), 'application/json')).resolves.toBeUndefined();
+  });
+});
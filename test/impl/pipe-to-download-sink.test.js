@@ -0,0 +1,104 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { Readable } from 'stream';
+import pipeToDownloadSink, { readStreamAsBlob } from '../../src/impl/pipe-to-download-sink';
+import readBlobAsBytes from '../../src/impl/read-blob-as-bytes';
+
+/**
+ * Creates a download sink recording the written text chunks.
+ *
+ * @param {function} onWrite
+ *     An optional function called for each chunk before it is recorded.
+ * @return {object}
+ *     The download sink, with the `written` array and the `state` string.
+ */
+function createSink(onWrite = () => {}) {
+  const sink = {
+    written: [],
+    state: 'open',
+    write: async (chunk) => {
+      onWrite(chunk);
+      sink.written.push(Buffer.from(chunk).toString('utf8'));
+    },
+    close: async () => {
+      sink.state = 'closed';
+    },
+    abort: async () => {
+      sink.state = 'aborted';
+    },
+  };
+  return sink;
+}
+
+describe('pipeToDownloadSink', () => {
+  test('should pipe a Node.js readable stream to the sink', async () => {
+    const sink = createSink();
+    const data = Readable.from([Buffer.from('abc'), Buffer.from('de')]);
+    const progress = [];
+    const size = await pipeToDownloadSink(data, sink, {
+      total: 5,
+      onProgress: (p) => progress.push(p),
+    });
+    expect(size).toBe(5);
+    expect(sink.written).toEqual(['abc', 'de']);
+    expect(sink.state).toBe('closed');
+    expect(progress.map((p) => p.percent)).toEqual([60, 100]);
+  });
+
+  test('should write a Blob to the sink in one chunk', async () => {
+    const sink = createSink();
+    const size = await pipeToDownloadSink(new Blob(['hello']), sink);
+    expect(size).toBe(5);
+    expect(sink.written).toEqual(['hello']);
+  });
+
+  test('should report a null percentage if the total size is unknown', async () => {
+    const progress = [];
+    await pipeToDownloadSink(Readable.from([Buffer.from('abc')]), createSink(), {
+      onProgress: (p) => progress.push(p),
+    });
+    expect(progress).toEqual([{ loaded: 3, total: null, percent: null }]);
+  });
+
+  test('should abort the sink if a write fails', async () => {
+    const sink = createSink(() => {
+      throw new Error('disk full');
+    });
+    await expect(pipeToDownloadSink(Readable.from([Buffer.from('abc')]), sink))
+      .rejects.toThrow('disk full');
+    expect(sink.state).toBe('aborted');
+  });
+
+  test('should abort the sink if the signal is aborted', async () => {
+    const controller = new AbortController();
+    const sink = createSink(() => controller.abort());
+    const data = Readable.from([Buffer.from('abc'), Buffer.from('de')]);
+    await expect(pipeToDownloadSink(data, sink, { signal: controller.signal })).rejects.toBeDefined();
+    expect(sink.written).toEqual(['abc']);
+    expect(sink.state).toBe('aborted');
+  });
+
+  test('should reject the unsupported data', async () => {
+    await expect(pipeToDownloadSink('abc', createSink())).rejects.toThrow(TypeError);
+  });
+});
+
+describe('readStreamAsBlob', () => {
+  test('should read a stream as a Blob', async () => {
+    const blob = await readStreamAsBlob(Readable.from([Buffer.from('abc'), Buffer.from('de')]),
+      'text/plain');
+    expect(blob.type).toBe('text/plain');
+    expect(Buffer.from(await readBlobAsBytes(blob)).toString('utf8')).toBe('abcde');
+  });
+
+  test('should return a Blob as is', async () => {
+    const blob = new Blob(['abc']);
+    expect(await readStreamAsBlob(blob)).toBe(blob);
+  });
+});
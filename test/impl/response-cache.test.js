@@ -0,0 +1,105 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { AxiosHeaders } from 'axios';
+import config from '@qubit-ltd/config';
+import ResponseCache from '../../src/impl/response-cache';
+
+beforeEach(() => {
+  config.remove('http_cache_max_entries');
+  config.remove('http_cache_max_size');
+});
+
+/**
+ * Test the `ResponseCache` class.
+ */
+describe('ResponseCache', () => {
+  it('should cache the raw response data and its validators', () => {
+    const cache = new ResponseCache();
+    const headers = new AxiosHeaders({
+      'Content-Type': 'application/json',
+      etag: '"v1"',
+      'last-modified': 'Wed, 01 Jan 2025 00:00:00 GMT',
+    });
+    const now = Date.now();
+    const entry = cache.set('k', { data: '{"a":1}', headers }, 1000);
+    expect(entry.data).toBe('{"a":1}');
+    expect(entry.etag).toBe('"v1"');
+    expect(entry.lastModified).toBe('Wed, 01 Jan 2025 00:00:00 GMT');
+    expect(entry.expires).toBeGreaterThanOrEqual(now + 1000);
+    expect(entry.size).toBe(7);
+    expect(new AxiosHeaders(entry.headers).get('Content-Type')).toBe('application/json');
+    expect(cache.get('k')).toBe(entry);
+    expect(cache.get('x')).toBeNull();
+    expect(cache.size).toBe(1);
+    expect(cache.totalSize).toBe(7);
+  });
+
+  it('should accept the plain response headers', () => {
+    const cache = new ResponseCache();
+    const entry = cache.set('k', { data: 'x', headers: { ETag: '"v1"' } }, 0);
+    expect(entry.etag).toBe('"v1"');
+    expect(entry.lastModified).toBeNull();
+  });
+
+  it('should refresh the entry after a revalidation', () => {
+    const cache = new ResponseCache();
+    const entry = cache.set('k', { data: 'x', headers: { ETag: '"v1"' } }, 0);
+    cache.refresh(entry, new AxiosHeaders({ ETag: '"v2"' }), 1000);
+    expect(entry.etag).toBe('"v2"');
+    expect(entry.expires).toBeGreaterThan(Date.now());
+    cache.refresh(entry, {}, 0);
+    expect(entry.etag).toBe('"v2"');
+  });
+
+  it('should evict the least recently used entries', () => {
+    config.set('http_cache_max_entries', 2);
+    const cache = new ResponseCache();
+    cache.set('a', { data: 'a' }, 1000);
+    cache.set('b', { data: 'b' }, 1000);
+    cache.get('a');
+    cache.set('c', { data: 'c' }, 1000);
+    expect(cache.get('b')).toBeNull();
+    expect(cache.get('a')).not.toBeNull();
+    expect(cache.get('c')).not.toBeNull();
+    expect(cache.size).toBe(2);
+  });
+
+  it('should limit the total size of the entries', () => {
+    config.set('http_cache_max_size', 10);
+    const cache = new ResponseCache();
+    cache.set('a', { data: '1234' }, 1000);
+    cache.set('b', { data: '5678' }, 1000);
+    cache.set('c', { data: '90ab' }, 1000);
+    expect(cache.get('a')).toBeNull();
+    expect(cache.totalSize).toBe(8);
+    expect(cache.set('d', { data: '12345678901' }, 1000)).toBeNull();
+    expect(cache.get('d')).toBeNull();
+    expect(cache.size).toBe(2);
+  });
+
+  it('should estimate the size of the non-string data', () => {
+    const cache = new ResponseCache();
+    expect(cache.set('k', { data: { a: 1 } }, 0).size).toBe(7);
+  });
+
+  it('should replace, delete and clear the entries', () => {
+    const cache = new ResponseCache();
+    cache.set('a', { data: '12' }, 1000);
+    cache.set('a', { data: '123' }, 1000);
+    expect(cache.totalSize).toBe(3);
+    expect(cache.delete('a')).toBe(true);
+    expect(cache.delete('a')).toBe(false);
+    expect(cache.totalSize).toBe(0);
+    cache.set('a', { data: '1' }, 1000);
+    cache.set('b', { data: '2' }, 1000);
+    expect(cache.clear()).toBe(2);
+    expect(cache.size).toBe(0);
+    expect(cache.totalSize).toBe(0);
+  });
+});
@@ -0,0 +1,166 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import config from '@qubit-ltd/config';
+import RetryPolicy, {
+  DEFAULT_HTTP_RETRY_MAX_ATTEMPTS,
+  DEFAULT_HTTP_RETRY_BASE_DELAY,
+  DEFAULT_HTTP_RETRY_MAX_DELAY,
+} from '../../src/impl/retry-policy';
+
+beforeEach(() => {
+  config.remove('http_retry_max_attempts');
+  config.remove('http_retry_base_delay');
+  config.remove('http_retry_max_delay');
+  jest.restoreAllMocks();
+});
+
+/**
+ * Test the `RetryPolicy.resolve` function.
+ */
+describe('RetryPolicy.resolve', () => {
+  it('should use the default values', () => {
+    const policy = RetryPolicy.resolve({});
+    expect(policy.maxAttempts).toBe(DEFAULT_HTTP_RETRY_MAX_ATTEMPTS);
+    expect(policy.baseDelay).toBe(DEFAULT_HTTP_RETRY_BASE_DELAY);
+    expect(policy.maxDelay).toBe(DEFAULT_HTTP_RETRY_MAX_DELAY);
+    expect(policy.allowNonIdempotent).toBe(false);
+  });
+
+  it('should use the global configuration', () => {
+    config.set('http_retry_max_attempts', 3);
+    config.set('http_retry_base_delay', 100);
+    config.set('http_retry_max_delay', 1000);
+    const policy = RetryPolicy.resolve(undefined);
+    expect(policy.maxAttempts).toBe(3);
+    expect(policy.baseDelay).toBe(100);
+    expect(policy.maxDelay).toBe(1000);
+  });
+
+  it('should disable retrying if the `retry` option is false', () => {
+    config.set('http_retry_max_attempts', 3);
+    const policy = RetryPolicy.resolve({ retry: false });
+    expect(policy.maxAttempts).toBe(1);
+  });
+
+  it('should use the `retry` option as the maximum attempts if it is a number', () => {
+    const policy = RetryPolicy.resolve({ retry: 5 });
+    expect(policy.maxAttempts).toBe(5);
+  });
+
+  it('should override the global configuration with the `retry` option', () => {
+    config.set('http_retry_max_attempts', 3);
+    config.set('http_retry_base_delay', 100);
+    const policy = RetryPolicy.resolve({
+      retry: { maxDelay: 200, allowNonIdempotent: true },
+    });
+    expect(policy.maxAttempts).toBe(3);
+    expect(policy.baseDelay).toBe(100);
+    expect(policy.maxDelay).toBe(200);
+    expect(policy.allowNonIdempotent).toBe(true);
+  });
+});
+
+/**
+ * Test the `RetryPolicy.shouldRetry` function.
+ */
+describe('RetryPolicy.shouldRetry', () => {
+  const policy = RetryPolicy.resolve({ retry: 3 });
+
+  it('should not retry the error without config', () => {
+    expect(policy.shouldRetry({ message: 'error' })).toBe(false);
+  });
+
+  it('should retry network errors of GET requests', () => {
+    expect(policy.shouldRetry({ config: { method: 'get' } })).toBe(true);
+  });
+
+  it('should retry timeout errors', () => {
+    const error = { code: 'ECONNABORTED', config: { method: 'get' } };
+    expect(policy.shouldRetry(error)).toBe(true);
+  });
+
+  it('should retry the responses of status 429, 502, 503 and 504', () => {
+    for (const status of [429, 502, 503, 504]) {
+      const error = { config: { method: 'get' }, response: { status } };
+      expect(policy.shouldRetry(error)).toBe(true);
+    }
+  });
+
+  it('should not retry the responses of other status', () => {
+    for (const status of [400, 401, 403, 404, 500]) {
+      const error = { config: { method: 'get' }, response: { status } };
+      expect(policy.shouldRetry(error)).toBe(false);
+    }
+  });
+
+  it('should not retry the canceled requests', () => {
+    const error = { code: 'ERR_CANCELED', config: { method: 'get' } };
+    expect(policy.shouldRetry(error)).toBe(false);
+  });
+
+  it('should not retry non-idempotent requests by default', () => {
+    const error = { config: { method: 'post' }, response: { status: 503 } };
+    expect(policy.shouldRetry(error)).toBe(false);
+  });
+
+  it('should retry non-idempotent requests if allowed', () => {
+    const p = RetryPolicy.resolve({ retry: { maxAttempts: 3, allowNonIdempotent: true } });
+    const error = { config: { method: 'post' }, response: { status: 503 } };
+    expect(p.shouldRetry(error)).toBe(true);
+  });
+
+  it('should not retry if reached the maximum attempts', () => {
+    expect(policy.shouldRetry({ config: { method: 'get', retryCount: 1 } })).toBe(true);
+    expect(policy.shouldRetry({ config: { method: 'get', retryCount: 2 } })).toBe(false);
+  });
+});
+
+/**
+ * Test the `RetryPolicy.getDelay` function.
+ */
+describe('RetryPolicy.getDelay', () => {
+  const policy = RetryPolicy.resolve({ retry: { maxAttempts: 10, baseDelay: 100, maxDelay: 5000 } });
+
+  it('should use exponential backoff with jitter', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    expect(policy.getDelay({}, 1)).toBe(50);
+    expect(policy.getDelay({}, 2)).toBe(100);
+    expect(policy.getDelay({}, 3)).toBe(200);
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(policy.getDelay({}, 1)).toBe(100);
+    expect(policy.getDelay({}, 3)).toBe(400);
+  });
+
+  it('should not exceed the maximum delay', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(1);
+    expect(policy.getDelay({}, 10)).toBe(5000);
+  });
+
+  it('should honour the Retry-After header in seconds', () => {
+    const error = { response: { status: 429, headers: { 'Retry-After': '2' } } };
+    expect(policy.getDelay(error, 1)).toBe(2000);
+  });
+
+  it('should honour the Retry-After header in HTTP date', () => {
+    jest.spyOn(Date, 'now').mockReturnValue(Date.parse('Wed, 21 Oct 2015 07:28:00 GMT'));
+    const error = { response: { status: 503, headers: { 'retry-after': 'Wed, 21 Oct 2015 07:28:03 GMT' } } };
+    expect(policy.getDelay(error, 1)).toBe(3000);
+  });
+
+  it('should not wait longer than the maximum delay for the Retry-After header', () => {
+    const error = { response: { status: 429, headers: { 'Retry-After': '86400' } } };
+    expect(policy.getDelay(error, 1)).toBe(5000);
+  });
+
+  it('should ignore invalid Retry-After header', () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0);
+    const error = { response: { status: 503, headers: { 'Retry-After': 'invalid' } } };
+    expect(policy.getDelay(error, 1)).toBe(50);
+  });
+});
@@ -0,0 +1,66 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import sanitizeFilename, { splitFilename } from '../../src/impl/sanitize-filename';
+
+describe('sanitizeFilename', () => {
+  it('keeps a safe filename unchanged', () => {
+    expect(sanitizeFilename('报告 2025.pdf')).toBe('报告 2025.pdf');
+  });
+
+  it('strips the path components', () => {
+    expect(sanitizeFilename('../../etc/passwd')).toBe('passwd');
+    expect(sanitizeFilename('C:\\Windows\\system.ini')).toBe('system.ini');
+  });
+
+  it('removes the control characters', () => {
+    expect(sanitizeFilename('a\u0000b\nc\u007f.txt')).toBe('abc.txt');
+    expect(sanitizeFilename('a\u0085b\u009f.txt')).toBe('ab.txt');
+  });
+
+  it('replaces the characters forbidden on Windows', () => {
+    expect(sanitizeFilename('a<b>c:d"e|f?g*.txt')).toBe('a_b_c_d_e_f_g_.txt');
+  });
+
+  it('trims the leading dots and the trailing dots and spaces', () => {
+    expect(sanitizeFilename('..hidden')).toBe('hidden');
+    expect(sanitizeFilename(' report.pdf. . ')).toBe('report.pdf');
+    expect(sanitizeFilename('..')).toBe('');
+  });
+
+  it('prefixes the reserved Windows device names', () => {
+    expect(sanitizeFilename('CON')).toBe('_CON');
+    expect(sanitizeFilename('nul.txt')).toBe('_nul.txt');
+    expect(sanitizeFilename('com1.tar.gz')).toBe('_com1.tar.gz');
+    expect(sanitizeFilename('console.txt')).toBe('console.txt');
+  });
+
+  it('caps the length but keeps the extension', () => {
+    const result = sanitizeFilename(`${'a'.repeat(300)}.pdf`);
+    expect(result).toHaveLength(255);
+    expect(result.endsWith('aaa.pdf')).toBe(true);
+    expect(sanitizeFilename('abcdefghij', 4)).toBe('abcd');
+    expect(sanitizeFilename('😀😀😀.txt', 6)).toBe('😀😀.txt');
+  });
+
+  it('returns an empty string for empty names', () => {
+    expect(sanitizeFilename(null)).toBe('');
+    expect(sanitizeFilename(undefined)).toBe('');
+    expect(sanitizeFilename('  ')).toBe('');
+    expect(sanitizeFilename('dir/')).toBe('');
+  });
+});
+
+describe('splitFilename', () => {
+  it('splits the name and the extension', () => {
+    expect(splitFilename('report.2025.pdf')).toEqual({ name: 'report.2025', ext: 'pdf' });
+    expect(splitFilename('README')).toEqual({ name: 'README', ext: '' });
+    expect(splitFilename('.env')).toEqual({ name: '.env', ext: '' });
+    expect(splitFilename('notes.md draft')).toEqual({ name: 'notes.md draft', ext: '' });
+  });
+});
@@ -0,0 +1,135 @@
+////////////////////////////////////////////////////////////////////////////////
+//
+//    Copyright (c) 2022 - 2025.
+//    Haixing Hu, Qubit Co. Ltd.
+//
+//    All rights reserved.
+//
+////////////////////////////////////////////////////////////////////////////////
+import { webcrypto } from 'crypto';
+import { AxiosHeaders } from 'axios';
+import verifyIntegrity, {
+  getDigestFromHeaders,
+  parseExpectedDigest,
+} from '../../src/impl/verify-integrity';
+import md5 from '../../src/impl/md5';
+
+// jsdom does not provide the Web Crypto API
+const originalCrypto = globalThis.crypto;
+
+beforeAll(() => {
+  Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true, writable: true });
+});
+
+afterAll(() => {
+  Object.defineProperty(globalThis, 'crypto', { value: originalCrypto, configurable: true, writable: true });
+});
+
+const BLOB = new Blob(['Hello World'], { type: 'text/plain' });
+const SHA256 = 'pZGm1Av0IEBKARczz7exkNYsZb8LzaMrV7J32a2fFG4=';
+const SHA256_HEX = 'a591a6d40bf420404a011733cfb7b190d62c65bf0bcda32b57b277d9ad9f146e';
+const SHA512 = 'LHT9F+2v2A6ER7DUZ0HuJDt+t03SFJoKsbkkb7MDgvJ+hT2FhXGeDmfL2g2qj1FnEGRhXWRa4nrLFb+xRH9Fmw==';
+const MD5 = 'sQqNsWTgdUEFt6mb5y4/5Q==';
+
+/**
+ * Creates a response object with the specified headers.
+ *
+ * @param {object} headers
+ *     The response headers.
+ * @return {object}
+ *     The response object.
+ */
+function createResponse(headers) {
+  return { data: BLOB, headers: new AxiosHeaders(headers), config: { url: '/file' } };
+}
+
+describe('md5', () => {
+  it('computes the MD5 digest', () => {
+    const hex = (bytes) => Buffer.from(bytes).toString('hex');
+    expect(hex(md5(new Uint8Array(0)))).toBe('d41d8cd98f00b204e9800998ecf8427e');
+    expect(hex(md5(new Uint8Array(Buffer.from('The quick brown fox jumps over the lazy dog')))))
+      .toBe('9e107d9d372bb6826bd81d3542a419d6');
+  });
+});
+
+describe('getDigestFromHeaders', () => {
+  it('prefers the strongest digest of the Repr-Digest header', () => {
+    const digest = getDigestFromHeaders(new AxiosHeaders({
+      'Repr-Digest': `sha-256=:${SHA256}:, sha-512=:${SHA512}:`,
+      'Content-MD5': MD5,
+    }));
+    expect(digest.algorithm).toBe('SHA-512');
+    expect(digest.source).toBe('Repr-Digest');
+  });
+
+  it('falls back to the Digest and Content-MD5 headers', () => {
+    expect(getDigestFromHeaders(new AxiosHeaders({ Digest: `MD5=${MD5}, SHA-256=${SHA256}` })))
+      .toMatchObject({ algorithm: 'SHA-256', source: 'Digest' });
+    expect(getDigestFromHeaders(new AxiosHeaders({ 'Repr-Digest': 'crc32=:AAAAAA==:', 'Content-MD5': MD5 })))
+      .toMatchObject({ algorithm: 'MD5', source: 'Content-MD5' });
+  });
+
+  it('ignores the unsupported or malformed digests', () => {
+    expect(getDigestFromHeaders(new AxiosHeaders({ Digest: 'SHA-256=abc' }))).toBeNull();
+    expect(getDigestFromHeaders(new AxiosHeaders({}))).toBeNull();
+  });
+});
+
+describe('parseExpectedDigest', () => {
+  it('parses the SRI strings and the objects', () => {
+    expect(parseExpectedDigest(`sha256-${SHA256}`).algorithm).toBe('SHA-256');
+    expect(parseExpectedDigest(`sha-512-${SHA512}`).algorithm).toBe('SHA-512');
+    expect(parseExpectedDigest({ algorithm: 'sha-256', hash: SHA256_HEX }).algorithm).toBe('SHA-256');
+    expect(parseExpectedDigest({ algorithm: 'MD5', hash: MD5 }).algorithm).toBe('MD5');
+  });
+
+  it('rejects the invalid expected hashes', () => {
+    expect(() => parseExpectedDigest('sha1-abc')).toThrow(RangeError);
+    expect(() => parseExpectedDigest(`sha256-${MD5}`)).toThrow(RangeError);
+    expect(() => parseExpectedDigest({ algorithm: 'SHA-256' })).toThrow(RangeError);
+  });
+});
+
+describe('verifyIntegrity', () => {
+  it('verifies the digest of the response headers', async () => {
+    const hash = await verifyIntegrity(BLOB, createResponse({ 'Repr-Digest': `sha-256=:${SHA256}:` }));
+    expect(hash).toEqual({ algorithm: 'SHA-256', hex: SHA256_HEX, base64: SHA256 });
+  });
+
+  it('verifies the Content-MD5 header', async () => {
+    const hash = await verifyIntegrity(BLOB, createResponse({ 'Content-MD5': MD5 }));
+    expect(hash).toMatchObject({ algorithm: 'MD5', base64: MD5 });
+  });
+
+  it('verifies the expected digest', async () => {
+    const expected = parseExpectedDigest({ algorithm: 'SHA-512', hash: SHA512 });
+    const hash = await verifyIntegrity(BLOB, createResponse({}), expected);
+    expect(hash).toMatchObject({ algorithm: 'SHA-512', base64: SHA512 });
+  });
+
+  it('rejects a mismatched digest', async () => {
+    const response = createResponse({ 'Repr-Digest': `sha-256=:${SHA256}:` });
+    await expect(verifyIntegrity(new Blob(['Hello World!']), response)).rejects.toEqual({
+      type: 'NETWORK_ERROR',
+      code: 'INTEGRITY_MISMATCH',
+      message: '下载的文件未通过完整性校验（SHA-256），文件可能已损坏或被篡改',
+    });
+  });
+
+  it('rejects a response without a digest', async () => {
+    await expect(verifyIntegrity(BLOB, createResponse({}))).rejects.toMatchObject({
+      type: 'NETWORK_ERROR',
+      code: 'INTEGRITY_MISSING',
+    });
+  });
+
+  it('rejects when the Web Crypto API is unavailable', async () => {
+    Object.defineProperty(globalThis, 'crypto', { value: {}, configurable: true, writable: true });
+    try {
+      await expect(verifyIntegrity(BLOB, createResponse({ 'Repr-Digest': `sha-256=:${SHA256}:` })))
+        .rejects.toMatchObject({ code: 'INTEGRITY_UNSUPPORTED' });
+    } finally {
+      Object.defineProperty(globalThis, 'crypto', { value: webcrypto, configurable: true, writable: true });
+    }
+  });
+});